@@ -10,6 +10,7 @@ public class RconConnection
     private readonly Socket clientSocket;
     private readonly Settings settings;
     private byte[] receiveBuffer;
+    private readonly StringBuilder pendingInput = new StringBuilder(); // Data received after the last complete line
     private bool isConnected = true;
 
     // Version read from Meta.json at startup
@@ -149,7 +150,6 @@ public class RconConnection
     /// </summary>
     private async Task<string?> ReceiveMessageAsync(NetworkStream networkStream, CancellationToken cancellationToken)
     {
-        var sb = new StringBuilder();
         int bytesRead = 0;
 
         try
@@ -160,6 +160,25 @@ public class RconConnection
 
             while (true)
             {
+                // A single read can carry several lines (e.g. password + first command),
+                // so hand out any complete line already buffered before reading again
+                string content = pendingInput.ToString();
+                int newlineIndex = content.IndexOf('\n');
+                if (newlineIndex >= 0)
+                {
+                    // Extract message up to newline and keep the rest for the next call
+                    string message = content.Substring(0, newlineIndex).Trim();
+                    pendingInput.Clear();
+                    pendingInput.Append(content.Substring(newlineIndex + 1));
+
+                    // Empty lines are ignored
+                    if (message.Length > 0)
+                    {
+                        return message;
+                    }
+                    continue;
+                }
+
                 bytesRead = await networkStream.ReadAsync(receiveBuffer, 0, receiveBuffer.Length, cancellationToken);
 
                 if (bytesRead == 0)
@@ -192,30 +211,7 @@ public class RconConnection
 
                 if (cleanedBytes.Count > 0)
                 {
-                    sb.Append(Encoding.UTF8.GetString(cleanedBytes.ToArray()));
-                }
-
-                // Check if we have a complete message (terminated with newline)
-                string content = sb.ToString();
-                int newlineIndex = content.IndexOf('\n');
-                if (newlineIndex >= 0)
-                {
-                    // Extract message up to newline
-                    string message = content.Substring(0, newlineIndex).Trim();
-
-                    // Keep any remaining data for next message
-                    if (newlineIndex + 1 < content.Length)
-                    {
-                        sb.Clear();
-                        sb.Append(content.Substring(newlineIndex + 1));
-                    }
-                    else
-                    {
-                        sb.Clear();
-                    }
-
-                    // Return the message (empty if only whitespace)
-                    return message.Length > 0 ? message : null;
+                    pendingInput.Append(Encoding.UTF8.GetString(cleanedBytes.ToArray()));
                 }
             }
         }
@@ -248,7 +244,7 @@ public class RconConnection
             }
 
             // Route the command
-            var response = await RconProtocol.HandleCommandAsync(message, this);
+            var response = await RconProtocol.HandleCommandAsync(message, this, settings);
 
             // Send response
             await SendMessageAsync(response, networkStream, cancellationToken);
@@ -0,0 +1,153 @@
+namespace RCON;
+
+/// <summary>
+/// One shared history line - a console command or a world broadcast message
+/// </summary>
+public class RconHistoryEntry
+{
+    public string Text { get; set; } = "";
+    public string Author { get; set; } = "";
+    public long Timestamp { get; set; } // Unix milliseconds
+}
+
+/// <summary>
+/// Shared history document served by /api/history
+/// </summary>
+public class RconHistoryDocument
+{
+    public List<RconHistoryEntry> Commands { get; set; } = new();
+    public List<RconHistoryEntry> Messages { get; set; } = new();
+}
+
+/// <summary>
+/// Team-wide command and message history, saved as history.json next to the mod
+/// Conflicts are resolved per line: the same text is kept once, with the newest timestamp and its author
+/// </summary>
+public static class RconHistoryStore
+{
+    public const int MaxEntries = 200;
+
+    private static readonly object lockObj = new object();
+    private static RconHistoryDocument? document;
+
+    private static readonly JsonSerializerOptions jsonOptions = new JsonSerializerOptions
+    {
+        PropertyNameCaseInsensitive = true,
+        WriteIndented = true
+    };
+
+    private static string FilePath =>
+        Path.Combine(Path.GetDirectoryName(Assembly.GetExecutingAssembly().Location) ?? ".", "history.json");
+
+    /// <summary>
+    /// Current shared history, newest first
+    /// </summary>
+    public static RconHistoryDocument Get()
+    {
+        lock (lockObj)
+        {
+            return Copy(Load());
+        }
+    }
+
+    /// <summary>
+    /// Merge a client's new lines into the shared history and save it
+    /// Lines are credited to the authenticated author; timestamps from the future are clamped to now
+    /// </summary>
+    public static RconHistoryDocument Merge(RconHistoryDocument incoming, string author)
+    {
+        lock (lockObj)
+        {
+            var current = Load();
+            var now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+
+            current.Commands = MergeEntries(current.Commands, incoming.Commands, author, now);
+            current.Messages = MergeEntries(current.Messages, incoming.Messages, author, now);
+            Save(current);
+
+            return Copy(current);
+        }
+    }
+
+    /// <summary>
+    /// Union of both lists keyed by text - on a conflict the newer timestamp wins
+    /// </summary>
+    private static List<RconHistoryEntry> MergeEntries(List<RconHistoryEntry> existing, List<RconHistoryEntry>? incoming, string author, long now)
+    {
+        var merged = new Dictionary<string, RconHistoryEntry>();
+
+        foreach (var entry in existing)
+        {
+            if (!string.IsNullOrEmpty(entry?.Text))
+                merged[entry.Text] = entry;
+        }
+
+        foreach (var entry in incoming ?? new List<RconHistoryEntry>())
+        {
+            var text = entry?.Text?.Trim();
+            if (string.IsNullOrEmpty(text))
+                continue;
+
+            var timestamp = Math.Min(entry!.Timestamp, now);
+            if (merged.TryGetValue(text, out var known) && known.Timestamp >= timestamp)
+                continue;
+
+            merged[text] = new RconHistoryEntry { Text = text, Author = author, Timestamp = timestamp };
+        }
+
+        return merged.Values
+            .OrderByDescending(entry => entry.Timestamp)
+            .Take(MaxEntries)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Load history.json once (an unreadable file starts an empty history)
+    /// </summary>
+    private static RconHistoryDocument Load()
+    {
+        if (document != null)
+            return document;
+
+        try
+        {
+            if (File.Exists(FilePath))
+            {
+                document = JsonSerializer.Deserialize<RconHistoryDocument>(File.ReadAllText(FilePath), jsonOptions);
+            }
+        }
+        catch (Exception ex)
+        {
+            ModManager.Log($"[RCON] WARNING: Failed to read shared history, starting empty: {ex.Message}", ModManager.LogLevel.Warn);
+        }
+
+        document ??= new RconHistoryDocument();
+        document.Commands ??= new List<RconHistoryEntry>();
+        document.Messages ??= new List<RconHistoryEntry>();
+        return document;
+    }
+
+    private static void Save(RconHistoryDocument history)
+    {
+        try
+        {
+            // Write a temp file first so a crash mid-write can't leave a truncated history.json
+            var tempPath = FilePath + ".tmp";
+            File.WriteAllText(tempPath, JsonSerializer.Serialize(history, jsonOptions));
+            File.Move(tempPath, FilePath, true);
+        }
+        catch (Exception ex)
+        {
+            ModManager.Log($"[RCON] ERROR saving shared history: {ex.Message}", ModManager.LogLevel.Error);
+        }
+    }
+
+    private static RconHistoryDocument Copy(RconHistoryDocument history)
+    {
+        return new RconHistoryDocument
+        {
+            Commands = history.Commands.Select(entry => new RconHistoryEntry { Text = entry.Text, Author = entry.Author, Timestamp = entry.Timestamp }).ToList(),
+            Messages = history.Messages.Select(entry => new RconHistoryEntry { Text = entry.Text, Author = entry.Author, Timestamp = entry.Timestamp }).ToList()
+        };
+    }
+}
@@ -34,6 +34,9 @@ public class RconHttpServer
     private readonly ConcurrentDictionary<int, WebSocketEntry> activeWebSockets;
     private int webSocketIdCounter = 0;
 
+    private const int MaxHeaderBytes = 16 * 1024;
+    private const int MaxBodyBytes = 256 * 1024;
+
     public RconHttpServer(Settings settings)
     {
         this.settings = settings;
@@ -173,13 +176,26 @@ public class RconHttpServer
     /// </summary>
     private async Task<HttpRequest?> ReadHttpRequestAsync(NetworkStream stream, CancellationToken cancellationToken)
     {
+        // Read until the end of the headers (a POST body may follow in the same packets)
+        var received = new MemoryStream();
         var buffer = new byte[1024];
-        var bytesRead = await stream.ReadAsync(buffer, 0, buffer.Length, cancellationToken);
+        int headerEnd = -1;
 
-        if (bytesRead == 0)
-            return null;
+        while (headerEnd < 0)
+        {
+            var bytesRead = await stream.ReadAsync(buffer, 0, buffer.Length, cancellationToken);
+            if (bytesRead == 0)
+                return null;
+
+            received.Write(buffer, 0, bytesRead);
+            headerEnd = FindHeaderEnd(received.GetBuffer(), (int)received.Length);
 
-        var requestText = Encoding.UTF8.GetString(buffer, 0, bytesRead);
+            if (headerEnd < 0 && received.Length > MaxHeaderBytes)
+                return null;
+        }
+
+        var data = received.GetBuffer();
+        var requestText = Encoding.UTF8.GetString(data, 0, headerEnd);
         var lines = requestText.Split("\r\n");
 
         if (lines.Length == 0)
@@ -213,6 +229,31 @@ public class RconHttpServer
 
         request.Headers = headers;
 
+        // Read the body (history uploads) - the part already received plus the rest of Content-Length
+        if (headers.TryGetValue("Content-Length", out var lengthHeader) && int.TryParse(lengthHeader, out var contentLength) && contentLength > 0)
+        {
+            if (contentLength > MaxBodyBytes)
+            {
+                request.BodyTooLarge = true;
+                return request;
+            }
+
+            var body = new byte[contentLength];
+            var bodyStart = headerEnd + 4;
+            var alreadyRead = Math.Min((int)received.Length - bodyStart, contentLength);
+            Array.Copy(data, bodyStart, body, 0, alreadyRead);
+
+            while (alreadyRead < contentLength)
+            {
+                var bytesRead = await stream.ReadAsync(body, alreadyRead, contentLength - alreadyRead, cancellationToken);
+                if (bytesRead == 0)
+                    return null;
+                alreadyRead += bytesRead;
+            }
+
+            request.Body = Encoding.UTF8.GetString(body);
+        }
+
         // Check for WebSocket upgrade
         request.IsWebSocketUpgrade = headers.ContainsKey("Upgrade") &&
             headers["Upgrade"].Equals("websocket", StringComparison.OrdinalIgnoreCase) &&
@@ -222,6 +263,19 @@ public class RconHttpServer
         return request;
     }
 
+    /// <summary>
+    /// Index of the blank line ending the HTTP headers, or -1 if not received yet
+    /// </summary>
+    private static int FindHeaderEnd(byte[] data, int length)
+    {
+        for (int i = 0; i + 3 < length; i++)
+        {
+            if (data[i] == '\r' && data[i + 1] == '\n' && data[i + 2] == '\r' && data[i + 3] == '\n')
+                return i;
+        }
+        return -1;
+    }
+
     /// <summary>
     /// Handle WebSocket upgrade request
     /// </summary>
@@ -505,6 +559,20 @@ public class RconHttpServer
         {
             var path = request.Path;
 
+            // Shared history API (authenticated)
+            if (path == "/api/history")
+            {
+                await HandleHistoryRequestAsync(stream, request);
+                return;
+            }
+
+            // Scheduled commands API (authenticated)
+            if (path == "/api/schedule")
+            {
+                await HandleScheduleRequestAsync(stream, request);
+                return;
+            }
+
             // Default path to index.html
             if (path == "/" || string.IsNullOrEmpty(path))
                 path = "/index.html";
@@ -545,6 +613,224 @@ public class RconHttpServer
         }
     }
 
+    /// <summary>
+    /// GET returns the shared command/message history; POST merges the client's new lines into it
+    /// Both need the same credentials as the WebSocket login, as HTTP Basic auth
+    /// </summary>
+    private async Task HandleHistoryRequestAsync(NetworkStream stream, HttpRequest request)
+    {
+        // CORS preflight - the web client may be served by another shard
+        if (request.Method == "OPTIONS")
+        {
+            await SendJsonResponseAsync(stream, 204, null);
+            return;
+        }
+
+        if (request.Method != "GET" && request.Method != "POST")
+        {
+            await SendJsonResponseAsync(stream, 405, new { Status = "error", Message = "Method not allowed" });
+            return;
+        }
+
+        var author = AuthenticateHttpRequest(request);
+        if (author == null)
+        {
+            await SendJsonResponseAsync(stream, 401, new { Status = "error", Message = "Authentication required" });
+            return;
+        }
+
+        if (request.Method == "GET")
+        {
+            await SendJsonResponseAsync(stream, 200, RconHistoryStore.Get());
+            return;
+        }
+
+        if (request.BodyTooLarge)
+        {
+            await SendJsonResponseAsync(stream, 413, new { Status = "error", Message = "History upload too large" });
+            return;
+        }
+
+        RconHistoryDocument? incoming;
+        try
+        {
+            incoming = JsonSerializer.Deserialize<RconHistoryDocument>(request.Body ?? "", new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+        }
+        catch (JsonException)
+        {
+            incoming = null;
+        }
+
+        if (incoming == null)
+        {
+            await SendJsonResponseAsync(stream, 400, new { Status = "error", Message = "Invalid JSON" });
+            return;
+        }
+
+        var merged = RconHistoryStore.Merge(incoming, author);
+
+        if (settings.EnableLogging)
+            ModManager.Log($"[RCON] Shared history updated by {author} (Commands: {merged.Commands.Count}, Messages: {merged.Messages.Count})");
+
+        await SendJsonResponseAsync(stream, 200, merged);
+    }
+
+    /// <summary>
+    /// GET returns the scheduled tasks and their version; POST replaces them if the posted Version is current
+    /// A stale Version gets 409 with the current document, so the caller can re-apply its change; more than MaxTasks gets 413
+    /// </summary>
+    private async Task HandleScheduleRequestAsync(NetworkStream stream, HttpRequest request)
+    {
+        if (request.Method == "OPTIONS")
+        {
+            await SendJsonResponseAsync(stream, 204, null);
+            return;
+        }
+
+        if (request.Method != "GET" && request.Method != "POST")
+        {
+            await SendJsonResponseAsync(stream, 405, new { Status = "error", Message = "Method not allowed" });
+            return;
+        }
+
+        var author = AuthenticateHttpRequest(request);
+        if (author == null)
+        {
+            await SendJsonResponseAsync(stream, 401, new { Status = "error", Message = "Authentication required" });
+            return;
+        }
+
+        if (request.Method == "GET")
+        {
+            await SendJsonResponseAsync(stream, 200, RconScheduleStore.Get());
+            return;
+        }
+
+        if (request.BodyTooLarge)
+        {
+            await SendJsonResponseAsync(stream, 413, new { Status = "error", Message = "Schedule too large" });
+            return;
+        }
+
+        RconScheduleDocument? incoming;
+        try
+        {
+            incoming = JsonSerializer.Deserialize<RconScheduleDocument>(request.Body ?? "", new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+        }
+        catch (JsonException)
+        {
+            incoming = null;
+        }
+
+        if (incoming == null)
+        {
+            await SendJsonResponseAsync(stream, 400, new { Status = "error", Message = "Invalid JSON" });
+            return;
+        }
+
+        if (incoming.Tasks != null && incoming.Tasks.Count > RconScheduleStore.MaxTasks)
+        {
+            await SendJsonResponseAsync(stream, 413, new { Status = "error", Message = $"Too many scheduled tasks (max {RconScheduleStore.MaxTasks})" });
+            return;
+        }
+
+        var saved = RconScheduleStore.Save(incoming, out var current);
+        if (saved == null)
+        {
+            await SendJsonResponseAsync(stream, 409, current);
+            return;
+        }
+
+        if (settings.EnableLogging)
+            ModManager.Log($"[RCON] Schedule updated by {author} (Version: {saved.Version}, Tasks: {saved.Tasks.Count})");
+
+        await SendJsonResponseAsync(stream, 200, saved);
+    }
+
+    /// <summary>
+    /// Check HTTP Basic credentials against the configured auth mode
+    /// ACE auth: an admin account name and password; Rust-style: the RCON password (user name is just a label)
+    /// </summary>
+    /// <returns>Name to credit history lines to, or null when not authenticated</returns>
+    private string? AuthenticateHttpRequest(HttpRequest request)
+    {
+        if (!request.Headers.TryGetValue("Authorization", out var header) ||
+            !header.StartsWith("Basic ", StringComparison.OrdinalIgnoreCase))
+        {
+            return null;
+        }
+
+        string credentials;
+        try
+        {
+            credentials = Encoding.UTF8.GetString(Convert.FromBase64String(header.Substring(6).Trim()));
+        }
+        catch (FormatException)
+        {
+            return null;
+        }
+
+        var separator = credentials.IndexOf(':');
+        if (separator < 0)
+            return null;
+
+        var name = credentials.Substring(0, separator);
+        var password = credentials.Substring(separator + 1);
+
+        if (settings.UseAceAuthentication)
+        {
+            return RconAuthenticator.AuthenticateAceAccount(name, password) ? name : null;
+        }
+
+        return RconAuthenticator.Authenticate(password) ? (string.IsNullOrWhiteSpace(name) ? "rcon" : name) : null;
+    }
+
+    /// <summary>
+    /// Send a JSON body (or no body when payload is null)
+    /// </summary>
+    private async Task SendJsonResponseAsync(NetworkStream stream, int statusCode, object? payload)
+    {
+        try
+        {
+            var body = payload == null ? Array.Empty<byte>() : JsonSerializer.SerializeToUtf8Bytes(payload);
+
+            var response = $"HTTP/1.1 {statusCode} {GetStatusText(statusCode)}\r\n" +
+                "Content-Type: application/json\r\n" +
+                $"Content-Length: {body.Length}\r\n" +
+                "Cache-Control: no-store\r\n" +
+                "Access-Control-Allow-Origin: *\r\n" +
+                "Access-Control-Allow-Methods: GET, POST, OPTIONS\r\n" +
+                "Access-Control-Allow-Headers: Authorization, Content-Type\r\n" +
+                "Connection: close\r\n" +
+                "\r\n";
+
+            var headerBytes = Encoding.UTF8.GetBytes(response);
+            await stream.WriteAsync(headerBytes, 0, headerBytes.Length);
+            await stream.WriteAsync(body, 0, body.Length);
+            await stream.FlushAsync();
+        }
+        catch (Exception ex)
+        {
+            ModManager.Log($"[RCON] ERROR sending HTTP response: {ex.Message}", ModManager.LogLevel.Error);
+        }
+    }
+
+    private static string GetStatusText(int statusCode)
+    {
+        return statusCode switch
+        {
+            204 => "No Content",
+            400 => "Bad Request",
+            401 => "Unauthorized",
+            404 => "Not Found",
+            405 => "Method Not Allowed",
+            409 => "Conflict",
+            413 => "Payload Too Large",
+            500 => "Internal Server Error",
+            _ => "OK"
+        };
+    }
+
     /// <summary>
     /// Send HTTP response
     /// </summary>
@@ -552,15 +838,7 @@ public class RconHttpServer
     {
         try
         {
-            var statusText = statusCode switch
-            {
-                400 => "Bad Request",
-                404 => "Not Found",
-                500 => "Internal Server Error",
-                _ => "OK"
-            };
-
-            var response = $"HTTP/1.1 {statusCode} {statusText}\r\n" +
+            var response = $"HTTP/1.1 {statusCode} {GetStatusText(statusCode)}\r\n" +
                 "Content-Type: text/plain\r\n" +
                 $"Content-Length: {message.Length}\r\n" +
                 "Connection: close\r\n" +
@@ -718,6 +996,8 @@ public class HttpRequest
     public string Version { get; set; } = "";
     public Dictionary<string, string> Headers { get; set; } = new();
     public bool IsWebSocketUpgrade { get; set; }
+    public string? Body { get; set; }
+    public bool BodyTooLarge { get; set; }
 }
 
 /// <summary>
@@ -31,7 +31,13 @@ public class RconLogAppender : log4net.Appender.AppenderSkeleton
             // Broadcast the log message to RCON clients
             try
             {
-                RconLogBroadcaster.Instance.BroadcastLogMessage($"[{loggingEvent.LoggerName}] {message}", ConvertLevel(loggingEvent.Level));
+                // Message keeps the [Logger] prefix for older clients; Data has the fields on their own
+                var logData = new Dictionary<string, object>
+                {
+                    ["Logger"] = loggingEvent.LoggerName ?? "",
+                    ["Timestamp"] = loggingEvent.TimeStampUtc.ToString("o")
+                };
+                RconLogBroadcaster.Instance.BroadcastLogMessage($"[{loggingEvent.LoggerName}] {message}", ConvertLevel(loggingEvent.Level), logData);
             }
             catch
             {
@@ -53,8 +53,9 @@ public class RconLogBroadcaster
     /// <summary>
     /// Broadcast a console log message to all AUTHENTICATED RCON clients only
     /// Unauthenticated connections will NOT receive logs (security)
+    /// logData carries the structured fields of the line (Logger, Timestamp) for clients to filter on
     /// </summary>
-    public void BroadcastLogMessage(string message, ModManager.LogLevel logLevel = ModManager.LogLevel.Info)
+    public void BroadcastLogMessage(string message, ModManager.LogLevel logLevel = ModManager.LogLevel.Info, Dictionary<string, object>? logData = null)
     {
         if (!isInitialized || rconServer == null)
             return;
@@ -74,7 +75,8 @@ public class RconLogBroadcaster
                     _ => "log_info"
                 },
                 Message = message,
-                Command = "log" // Indicate this is a log event
+                Command = "log", // Indicate this is a log event
+                Data = logData
             };
 
             // Broadcast ONLY to authenticated TCP connections (RconServer does auth check)
@@ -0,0 +1,116 @@
+namespace RCON;
+
+/// <summary>
+/// Scheduled tasks document served by /api/schedule
+/// Tasks are kept as the web client wrote them - the server stores the schedule, it doesn't run it
+/// </summary>
+public class RconScheduleDocument
+{
+    public long Version { get; set; }
+    public List<JsonElement> Tasks { get; set; } = new();
+}
+
+/// <summary>
+/// Scheduled commands shared by the web client and the headless runner, saved as schedule.json next to the mod
+/// Every save must name the version it was based on, so two runners can't both claim the same run
+/// </summary>
+public static class RconScheduleStore
+{
+    public const int MaxTasks = 500;
+
+    private static readonly object lockObj = new object();
+    private static RconScheduleDocument? document;
+
+    private static readonly JsonSerializerOptions jsonOptions = new JsonSerializerOptions
+    {
+        PropertyNameCaseInsensitive = true,
+        WriteIndented = true
+    };
+
+    private static string FilePath =>
+        Path.Combine(Path.GetDirectoryName(Assembly.GetExecutingAssembly().Location) ?? ".", "schedule.json");
+
+    /// <summary>
+    /// Current schedule and its version
+    /// </summary>
+    public static RconScheduleDocument Get()
+    {
+        lock (lockObj)
+        {
+            return Copy(Load());
+        }
+    }
+
+    /// <summary>
+    /// Replace the tasks if the caller saw the current version
+    /// </summary>
+    /// <returns>The saved document (new version), or null with the current document in <paramref name="current"/> on a conflict</returns>
+    public static RconScheduleDocument? Save(RconScheduleDocument incoming, out RconScheduleDocument current)
+    {
+        lock (lockObj)
+        {
+            var existing = Load();
+            if (incoming.Version != existing.Version)
+            {
+                current = Copy(existing);
+                return null;
+            }
+
+            existing.Version++;
+            existing.Tasks = (incoming.Tasks ?? new List<JsonElement>()).Select(task => task.Clone()).ToList();
+            Write(existing);
+
+            current = Copy(existing);
+            return current;
+        }
+    }
+
+    /// <summary>
+    /// Load schedule.json once (an unreadable file starts an empty schedule)
+    /// </summary>
+    private static RconScheduleDocument Load()
+    {
+        if (document != null)
+            return document;
+
+        try
+        {
+            if (File.Exists(FilePath))
+            {
+                document = JsonSerializer.Deserialize<RconScheduleDocument>(File.ReadAllText(FilePath), jsonOptions);
+            }
+        }
+        catch (Exception ex)
+        {
+            ModManager.Log($"[RCON] WARNING: Failed to read schedule, starting empty: {ex.Message}", ModManager.LogLevel.Warn);
+        }
+
+        document ??= new RconScheduleDocument();
+        document.Tasks ??= new List<JsonElement>();
+        return document;
+    }
+
+    private static void Write(RconScheduleDocument schedule)
+    {
+        try
+        {
+            // Write a temp file first so a crash mid-write can't leave a truncated schedule.json
+            var tempPath = FilePath + ".tmp";
+            File.WriteAllText(tempPath, JsonSerializer.Serialize(schedule, jsonOptions));
+            File.Move(tempPath, FilePath, true);
+        }
+        catch (Exception ex)
+        {
+            ModManager.Log($"[RCON] ERROR saving schedule: {ex.Message}", ModManager.LogLevel.Error);
+        }
+    }
+
+    private static RconScheduleDocument Copy(RconScheduleDocument schedule)
+    {
+        return new RconScheduleDocument
+        {
+            Version = schedule.Version,
+            Tasks = schedule.Tasks.Select(task => task.Clone()).ToList()
+        };
+    }
+}
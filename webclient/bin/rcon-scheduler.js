@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * ACE RCON headless scheduler
+ * Runs the tasks scheduled in the web client's Schedule tab without a browser open, using the
+ * same RconClient and RconScheduler code. Runners share the schedule on the server and claim
+ * each run before making it, so this can run next to open web clients without doubling runs.
+ *
+ * Usage:
+ *   rcon-scheduler [options]          Keep running due tasks until stopped (Ctrl+C)
+ *   rcon-scheduler [options] --once   Run the tasks due now and exit (for a system cron job)
+ *
+ * Exit codes: 0 = success, 1 = login failed, connection lost or (--once) a task failed, 2 = usage error
+ */
+
+const os = require('os');
+const { login } = require('../lib/node-client.js');
+const RconScheduler = require('../public/rcon-scheduler.js');
+
+const USAGE = `Usage: rcon-scheduler [options]
+
+Options:
+  --host <host>        Server host (env RCON_HOST, default 127.0.0.1)
+  --port <port>        WebSocket port (env RCON_PORT, default 9005)
+  --password <pass>    RCON or account password (env RCON_PASSWORD)
+  --account <name>     ACE account name for ACE-style auth (env RCON_ACCOUNT)
+  --interval <sec>     How often to reload the schedule (default 60)
+  --once               Run the tasks that are due now, then exit
+  --verbose            Print RconClient diagnostics to stderr
+  -h, --help           Show this help
+
+Examples:
+  rcon-scheduler --password secret
+  RCON_ACCOUNT=admin RCON_PASSWORD=secret rcon-scheduler --once`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        host: process.env.RCON_HOST || '127.0.0.1',
+        port: parseInt(process.env.RCON_PORT, 10) || 9005,
+        password: process.env.RCON_PASSWORD || null,
+        account: process.env.RCON_ACCOUNT || null,
+        intervalSeconds: 60,
+        once: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--host': options.host = next(); break;
+            case '--port': options.port = parseInt(next(), 10); break;
+            case '--password': options.password = next(); break;
+            case '--account': options.account = next(); break;
+            case '--interval': options.intervalSeconds = Number(next()); break;
+            case '--once': options.once = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        throw new Error('Invalid port');
+    }
+    if (!Number.isFinite(options.intervalSeconds) || options.intervalSeconds < 5) {
+        throw new Error('Invalid interval (at least 5 seconds)');
+    }
+
+    return options;
+}
+
+/**
+ * One line per run, e.g. "2026-01-01T03:45:00.000Z Nightly warning: success (2 commands)"
+ */
+function formatRun(run) {
+    const failed = run.results.find(result => result.status !== 'success');
+    const detail = failed && failed.status !== 'skipped' ? ` - ${failed.command}: ${failed.message}` : '';
+    return `${new Date(run.slot).toISOString()} ${run.name}: ${run.status} (${run.results.length} command${run.results.length === 1 ? '' : 's'})${detail}`;
+}
+
+/**
+ * Run until SIGINT/SIGTERM or until the client gives up reconnecting
+ * @returns {Promise<number>} Exit code
+ */
+function runForever(client, scheduler) {
+    return new Promise((resolve) => {
+        const finish = (code) => {
+            scheduler.stop();
+            process.removeListener('SIGINT', onSignal);
+            process.removeListener('SIGTERM', onSignal);
+            resolve(code);
+        };
+        const onSignal = () => finish(0);
+
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+
+        client.on('reconnecting', (info) => {
+            process.stderr.write(`Connection lost, reconnecting in ${Math.ceil(info.delayMs / 1000)}s (attempt ${info.attempt}/${info.maxAttempts})...\n`);
+        });
+        client.on('reconnected', () => {
+            process.stderr.write('Reconnected.\n');
+        });
+        client.on('gave-up', (info) => {
+            process.stderr.write(`Disconnected from server: ${info.reason}\n`);
+            finish(1);
+        });
+
+        scheduler.start();
+    });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!options.password) {
+        process.stderr.write(`A password is required (--password or RCON_PASSWORD)\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const logger = options.verbose
+        ? { log: (...args) => console.error(...args), warn: (...args) => console.error(...args), error: (...args) => console.error(...args) }
+        : null;
+
+    let session;
+    try {
+        // The schedule is read over HTTP on the WebSocket port, so this runner doesn't offer TCP
+        session = await login({
+            host: options.host,
+            port: options.port,
+            transport: 'ws',
+            password: options.password,
+            account: options.account,
+            logger
+        });
+    } catch (error) {
+        process.stderr.write(`Login failed: ${error.message}\n`);
+        return 1;
+    }
+
+    const { client } = session;
+    const runs = [];
+    const scheduler = new RconScheduler({
+        store: RconScheduler.createHttpStore(client.getHttpAuth()),
+        getClient: () => client,
+        runner: `headless@${os.hostname()}`,
+        pollMs: options.intervalSeconds * 1000,
+        logger,
+        onRun: (run) => {
+            runs.push(run);
+            process.stdout.write(formatRun(run) + '\n');
+        }
+    });
+
+    try {
+        if (options.once) {
+            await scheduler.load();
+            await scheduler.runDue();
+            return runs.every(run => run.status === 'success') ? 0 : 1;
+        }
+
+        const tasks = await scheduler.load();
+        process.stderr.write(`Scheduler running as ${scheduler.runner} with ${tasks.length} task${tasks.length === 1 ? '' : 's'} (Ctrl+C to stop)\n`);
+        return await runForever(client, scheduler);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    } finally {
+        if (client.isConnected) {
+            client.disconnect();
+        }
+    }
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseArgs, formatRun, main };
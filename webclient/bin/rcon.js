@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * ACE RCON command-line shell
+ * Interactive REPL or one-shot command execution built on RconClient
+ *
+ * Usage:
+ *   rcon [options]                  Start an interactive shell
+ *   rcon [options] exec <command>   Run a single command and exit
+ *
+ * Exit codes: 0 = success, 1 = command returned Status "error" or failed, 2 = usage error
+ */
+
+const readline = require('readline');
+const { DEFAULT_PORTS, login } = require('../lib/node-client.js');
+const RconCommandParser = require('../public/command-parser.js');
+
+const USAGE = `Usage: rcon [options] [exec <command...>]
+
+Options:
+  --host <host>        Server host (env RCON_HOST, default 127.0.0.1)
+  --port <port>        Server port (env RCON_PORT, default 9005 for ws, 9004 for tcp)
+  --transport <ws|tcp> WebSocket or TCP RCON protocol (env RCON_TRANSPORT, default ws)
+  --password <pass>    RCON or account password (env RCON_PASSWORD)
+  --account <name>     ACE account name for ACE-style auth (env RCON_ACCOUNT)
+  --json               Print raw JSON responses instead of the Message text
+  --verbose            Print RconClient diagnostics to stderr
+  -h, --help           Show this help
+
+Examples:
+  rcon --password secret exec status
+  rcon --account admin --password secret exec "world open"
+  rcon --password secret exec ban "Some Account" 7 0 0 "griefing in town"
+  RCON_PASSWORD=secret rcon --json exec players
+  rcon --transport tcp --password secret exec status`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        host: process.env.RCON_HOST || '127.0.0.1',
+        port: parseInt(process.env.RCON_PORT, 10) || null,
+        transport: process.env.RCON_TRANSPORT || 'ws',
+        password: process.env.RCON_PASSWORD || null,
+        account: process.env.RCON_ACCOUNT || null,
+        json: false,
+        verbose: false,
+        help: false,
+        exec: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--host': options.host = next(); break;
+            case '--port': options.port = parseInt(next(), 10); break;
+            case '--transport': options.transport = next(); break;
+            case '--password': options.password = next(); break;
+            case '--account': options.account = next(); break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            case 'exec': {
+                // Everything after 'exec' is the command line - a single word is parsed like a typed
+                // line ("world open"), several words were already split by the shell so keep them whole
+                const words = argv.slice(i + 1);
+                options.exec = words.length === 1 ? words[0] : RconCommandParser.join(words);
+                i = argv.length;
+                break;
+            }
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!DEFAULT_PORTS[options.transport]) {
+        throw new Error(`Invalid transport: ${options.transport} (expected ws or tcp)`);
+    }
+
+    options.port = options.port === null ? DEFAULT_PORTS[options.transport] : options.port;
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        throw new Error('Invalid port');
+    }
+
+    return options;
+}
+
+/**
+ * Split a command line into command and args (same rules as the web console: quotes,
+ * backslash escapes and --, see public/command-parser.js)
+ * @throws {Error} code PARSE_ERROR for an unterminated quote or a trailing backslash
+ */
+function parseCommandLine(line) {
+    return RconCommandParser.parse(line);
+}
+
+/**
+ * Print a response - Message text by default, raw JSON with --json
+ */
+function printResponse(response, options) {
+    if (options.json) {
+        console.log(JSON.stringify(response, null, 2));
+        return;
+    }
+
+    if (response && response.Message) {
+        const text = response.Message.replace(/\\r\\n/g, '\n').replace(/\\n/g, '\n');
+        const stream = response.Status === 'error' ? process.stderr : process.stdout;
+        stream.write(text + '\n');
+    }
+}
+
+/**
+ * Send one command line and print the result
+ * @returns {Promise<boolean>} True if the command succeeded
+ */
+async function runCommand(client, line, options) {
+    let command, args;
+    try {
+        ({ command, args } = parseCommandLine(line));
+        args = RconCommandParser.quoteForAce(args);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return false;
+    }
+
+    try {
+        const response = await client.send(command, args);
+        printResponse(response, options);
+        return true;
+    } catch (error) {
+        if (error.response) {
+            // Server answered with Status "error"
+            printResponse(error.response, options);
+        } else {
+            process.stderr.write(`Error: ${error.message}\n`);
+        }
+        return false;
+    }
+}
+
+/**
+ * Interactive shell - resolves when the user exits or reconnecting gives up
+ */
+function runRepl(client, options) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: 'rcon> '
+        });
+        let busy = Promise.resolve();
+        let closed = false;
+
+        // Dropped sessions are reopened and re-authenticated by RconClient;
+        // only end the shell once it stops trying
+        client.on('disconnected', () => {
+            if (closed) return;  // Our own disconnect after the user exited
+            process.stderr.write('Connection lost.\n');
+        });
+
+        client.on('reconnecting', (info) => {
+            process.stderr.write(`Reconnecting in ${Math.ceil(info.delayMs / 1000)}s (attempt ${info.attempt}/${info.maxAttempts})...\n`);
+        });
+
+        client.on('reconnected', () => {
+            process.stderr.write('Reconnected.\n');
+            rl.prompt();
+        });
+
+        client.on('gave-up', (info) => {
+            process.stderr.write(`Disconnected from server: ${info.reason}\n`);
+            rl.close();
+        });
+
+        rl.on('line', (line) => {
+            const trimmed = line.trim();
+            if (trimmed === 'exit' || trimmed === 'quit') {
+                rl.close();
+                return;
+            }
+            if (!trimmed) {
+                rl.prompt();
+                return;
+            }
+
+            // Keep commands in order even if the user types ahead
+            busy = busy.then(() => runCommand(client, trimmed, options)).then(() => rl.prompt());
+        });
+
+        rl.on('close', () => {
+            closed = true;
+            busy.then(resolve);
+        });
+
+        rl.prompt();
+    });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!options.password) {
+        process.stderr.write(`A password is required (--password or RCON_PASSWORD)\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.exec !== null && !options.exec.trim()) {
+        process.stderr.write(`exec requires a command\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const logger = options.verbose
+        ? { log: (...args) => console.error(...args), warn: (...args) => console.error(...args), error: (...args) => console.error(...args) }
+        : null;
+
+    let session;
+    try {
+        session = await login({
+            host: options.host,
+            port: options.port,
+            transport: options.transport,
+            password: options.password,
+            account: options.account,
+            logger
+        });
+    } catch (error) {
+        process.stderr.write(`Login failed: ${error.message}\n`);
+        return 1;
+    }
+
+    const { client } = session;
+
+    try {
+        if (options.exec !== null) {
+            return (await runCommand(client, options.exec, options)) ? 0 : 1;
+        }
+
+        await runRepl(client, options);
+        return 0;
+    } finally {
+        if (client.isConnected) {
+            client.disconnect();
+        }
+    }
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { parseArgs, parseCommandLine, main };
@@ -0,0 +1,123 @@
+/**
+ * Node.js helpers for RconClient
+ * Creates headless clients and runs the same config/auth handshake as the web client login page
+ *
+ * Usage:
+ * const { login } = require('./node-client.js');
+ * const { client } = await login({ host: '127.0.0.1', port: 9005, password: 'pw', account: 'admin' });
+ * const response = await client.send('status');
+ */
+
+const RconClient = require('../public/rcon-client.js');
+const { createTcpTransport } = require('./tcp-transport.js');
+
+// Default ports per transport (RconPort / WebRconPort in Settings.json)
+const DEFAULT_PORTS = {
+    ws: 9005,
+    tcp: 9004
+};
+
+/**
+ * Find a WebSocket implementation (global in Node 22+, otherwise the optional 'ws' package)
+ */
+function resolveWebSocket() {
+    if (typeof WebSocket !== 'undefined') {
+        return WebSocket;
+    }
+
+    try {
+        return require('ws');
+    } catch (error) {
+        throw new Error('No WebSocket implementation available - use Node 22+ or install the "ws" package');
+    }
+}
+
+/**
+ * Create an RconClient for Node
+ * @param {Object} options - host, port, transport ('ws' or 'tcp'), logger, queue (offline queue options)
+ * @returns {RconClient}
+ */
+function createClient(options = {}) {
+    const transport = options.transport || 'ws';
+    if (!DEFAULT_PORTS[transport]) {
+        throw new Error(`Unknown transport: ${transport} (expected 'ws' or 'tcp')`);
+    }
+
+    const clientOptions = {
+        logger: options.logger === undefined ? null : options.logger,
+        queue: options.queue
+    };
+    if (transport === 'tcp') {
+        clientOptions.transport = createTcpTransport();
+    } else {
+        clientOptions.WebSocket = resolveWebSocket();
+    }
+
+    return new RconClient(options.host || '127.0.0.1', options.port || DEFAULT_PORTS[transport], clientOptions);
+}
+
+/**
+ * Fetch server configuration over a throwaway connection (no auth required)
+ * Mirrors fetchServerConfig() in ui.js
+ * @returns {Promise<Object|null>} Config data, or null if the server could not be reached
+ */
+async function fetchServerConfig(options = {}) {
+    const probe = createClient(options);
+    probe.disableReconnect = true;  // Throwaway connection - never worth reopening
+
+    try {
+        await probe.connect();
+        return await probe.getConfig();
+    } catch (error) {
+        return null;
+    } finally {
+        if (probe.ws) {
+            probe.disconnect();
+        }
+    }
+}
+
+/**
+ * Connect and authenticate, picking Rust-style URL auth or ACE account auth the same way
+ * handleLogin() does in ui.js (server config decides, account name presence is the fallback)
+ * Over TCP the config probe is skipped - in Rust-style mode the server would take the
+ * probe's first line as a password - so the account name alone picks the auth mode.
+ * @param {Object} options - host, port, transport, password, account, logger
+ * @returns {Promise<{client: RconClient, config: Object|null, authResponse: Object}>}
+ */
+async function login(options = {}) {
+    if (!options.password) {
+        throw new Error('Password is required');
+    }
+
+    const config = options.transport === 'tcp' ? null : await fetchServerConfig(options);
+    const useAceAuthentication = config ? !!config.UseAceAuthentication : !!options.account;
+
+    if (useAceAuthentication && !options.account) {
+        throw new Error('Server uses ACE authentication - an account name is required');
+    }
+
+    const client = createClient(options);
+
+    let authResponse;
+    if (useAceAuthentication) {
+        // ACE-style: connect to /rcon and send the auth command
+        await client.connect();
+        authResponse = await client.authenticate(options.password, options.account);
+    } else {
+        // Rust-style: password in URL path (first line over TCP), validated by sending HELLO
+        client.setPassword(options.password);
+        await client.connect();
+        authResponse = await client.send('hello', []);
+    }
+
+    return { client, config, authResponse };
+}
+
+module.exports = {
+    DEFAULT_PORTS,
+    resolveWebSocket,
+    createClient,
+    fetchServerConfig,
+    login
+};
@@ -0,0 +1,184 @@
+/**
+ * TCP transport for RconClient (Node.js only)
+ * Speaks the TCP RCON protocol served by RconServer.cs (port 9004 by default):
+ * - Messages are newline-delimited JSON, one object per line
+ * - Rust-style auth: the plain-text password is sent as the first line
+ * - ACE-style auth: no password line, the client sends the JSON auth command instead
+ *
+ * The socket mimics the WebSocket interface RconClient expects (send/close and the
+ * onopen/onmessage/onerror/onclose handlers), so request correlation by Identifier
+ * works exactly as it does over WebSocket.
+ *
+ * Usage:
+ * const client = new RconClient('127.0.0.1', 9004, { transport: createTcpTransport() });
+ * client.setPassword('your_password');  // Omit for ACE-style auth
+ * await client.connect();
+ */
+
+const net = require('net');
+
+// WebSocket-compatible ready states
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * WebSocket-like wrapper around a TCP RCON connection
+ */
+class TcpRconSocket {
+    /**
+     * @param {string} host - Server host
+     * @param {number} port - TCP RCON port
+     * @param {string|null} password - Rust-style password sent as the first line (null for ACE-style auth)
+     * @param {Object} options - handshakeTimeoutMs
+     */
+    constructor(host, port, password = null, options = {}) {
+        this.readyState = CONNECTING;
+        this.password = password;
+        this.handshakeTimeoutMs = options.handshakeTimeoutMs || 10000;
+        this.handshakeTimer = null;
+        this.authFailure = null;  // Server's error message if the password was rejected
+        this.closeEvent = null;  // Close code/reason requested locally
+        this.buffer = '';
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+
+        this.socket = net.createConnection({ host, port });
+        this.socket.setEncoding('utf8');
+        this.socket.setNoDelay(true);
+
+        this.socket.on('connect', () => this.handleConnect());
+        this.socket.on('data', (chunk) => this.handleData(chunk));
+        this.socket.on('error', (error) => {
+            if (this.onerror) this.onerror(error);
+        });
+        this.socket.on('close', () => this.handleClose());
+    }
+
+    /**
+     * TCP connection established - send the password line or open immediately
+     */
+    handleConnect() {
+        if (!this.password) {
+            // ACE-style auth happens through the JSON auth command after open
+            this.markOpen();
+            return;
+        }
+
+        // Rust-style: first line is the plain-text password, wait for the server's verdict
+        this.socket.write(`${this.password}\n`);
+        this.handshakeTimer = setTimeout(() => {
+            this.authFailure = 'Authentication timeout';
+            this.socket.destroy();
+        }, this.handshakeTimeoutMs);
+    }
+
+    /**
+     * Split incoming data into lines and dispatch JSON frames
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+
+        let newlineIndex;
+        while ((newlineIndex = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.substring(0, newlineIndex).trim();
+            this.buffer = this.buffer.substring(newlineIndex + 1);
+
+            // Skip blank lines and the plain-text welcome banner
+            if (!line.startsWith('{')) continue;
+
+            this.handleFrame(line);
+        }
+    }
+
+    /**
+     * Handle one JSON line
+     */
+    handleFrame(line) {
+        if (this.readyState === CONNECTING) {
+            // Password handshake response (Identifier 0) - consumed here, not forwarded
+            let frame = null;
+            try {
+                frame = JSON.parse(line);
+            } catch (error) {
+                return;
+            }
+
+            if (frame.Status === 'authenticated') {
+                this.markOpen();
+            } else if (frame.Status === 'error') {
+                // Server closes the connection right after rejecting the password
+                this.authFailure = frame.Message || 'Invalid password';
+            }
+            return;
+        }
+
+        if (this.readyState === OPEN && this.onmessage) {
+            this.onmessage({ data: line });
+        }
+    }
+
+    markOpen() {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.readyState = OPEN;
+        if (this.onopen) this.onopen({});
+    }
+
+    handleClose() {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+
+        // Rejected passwords map to 1008 (PolicyViolation) like the WebSocket server does
+        let event;
+        if (this.authFailure) {
+            event = { code: 1008, reason: this.authFailure };
+        } else if (this.closeEvent) {
+            event = this.closeEvent;
+        } else {
+            event = { code: 1006, reason: 'Connection closed' };
+        }
+
+        if (this.onclose) this.onclose(event);
+    }
+
+    /**
+     * Send one message (a newline is appended as the frame delimiter)
+     */
+    send(data) {
+        if (this.readyState !== OPEN) {
+            throw new Error('TCP socket is not open');
+        }
+        this.socket.write(`${data}\n`);
+    }
+
+    /**
+     * Close the connection
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+        this.readyState = CLOSING;
+        this.closeEvent = { code, reason };
+        this.socket.end();
+    }
+}
+
+/**
+ * Create a transport factory for RconClient's `transport` option
+ * @param {Object} options - handshakeTimeoutMs
+ * @returns {Function} (url, client) => TcpRconSocket
+ */
+function createTcpTransport(options = {}) {
+    return (url, client) => new TcpRconSocket(client.host, client.port, client.password, options);
+}
+
+module.exports = {
+    TcpRconSocket,
+    createTcpTransport
+};
@@ -0,0 +1,1037 @@
+#!/usr/bin/env node
+/**
+ * Mock ACE RCON server for local development and automated tests
+ * Speaks the WebSocket protocol served by RconHttpServer.cs without an ACE server:
+ * - /rcon (ACE-style auth via the auth command) or /<password> (Rust-style URL auth)
+ * - Close code 1008 on bad auth, exactly like the real server
+ * - config, auth, hello, status, players, banlist, baninfo and unban from RconProtocol.cs
+ * - Other commands answer like ACE console passthrough, with text from fixtures/commands.json
+ * - Scripted log_*, player_event and status_update broadcasts from fixtures/broadcasts.json
+ * - Shared command/message history on /api/history and scheduled tasks on /api/schedule
+ *   (Basic auth, kept in memory)
+ * - Serves webclient/public over HTTP, so the web client runs against it offline
+ *
+ * No dependencies - the WebSocket framing is implemented on top of Node's http module.
+ *
+ * Usage:
+ *   node webclient/mock/mock-server.js --password secret
+ *   node webclient/mock/mock-server.js --ace --port 9105
+ *
+ * From tests:
+ * const { createMockServer } = require('../mock/mock-server.js');
+ * const server = createMockServer({ port: 0, broadcasts: false, logger: null });
+ * const { port } = await server.listen();
+ * ...
+ * await server.close();
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HistoryManager = require('../public/history-manager.js');
+const RconScheduler = require('../public/rcon-scheduler.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// WebSocket opcodes (RFC 6455)
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// Close codes used by RconHttpServer.cs
+const CLOSE_NORMAL = 1000;
+const CLOSE_POLICY_VIOLATION = 1008;
+
+// Same content types as RconHttpServer.GetContentType()
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+// RconHistoryStore.MaxEntries, RconScheduleStore.MaxTasks and RconHttpServer.MaxBodyBytes
+const MAX_HISTORY_ENTRIES = 200;
+const MAX_SCHEDULE_TASKS = 500;
+const MAX_HTTP_BODY_BYTES = 256 * 1024;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Read one fixture file, or return the fallback when it doesn't exist
+ */
+function readFixture(dir, name, fallback) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load every fixture file from a directory
+ * Missing files fall back to empty data, so a test can ship only the fixtures it needs
+ * @param {string} dir - Fixture directory (default webclient/mock/fixtures)
+ * @returns {{server: Object, players: Array, bans: Array, commands: Object, broadcasts: Object}}
+ */
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+    return {
+        server: readFixture(dir, 'server.json', {}),
+        players: readFixture(dir, 'players.json', []),
+        bans: readFixture(dir, 'bans.json', []),
+        commands: readFixture(dir, 'commands.json', {}),
+        broadcasts: readFixture(dir, 'broadcasts.json', { loop: false, events: [] })
+    };
+}
+
+/**
+ * Format a date like ACE's BanExpireTime ("MMM dd yyyy h:mmtt")
+ */
+function formatBanExpireTime(date) {
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const hours = date.getUTCHours();
+    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return `${MONTHS[date.getUTCMonth()]} ${day} ${date.getUTCFullYear()} ${hour12}:${minutes}${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Encode one unmasked server-to-client frame
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode;  // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Answer an /api request with JSON (no body for 204), with the same headers as RconHttpServer.SendJsonResponseAsync
+ */
+function sendApiResponse(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body - answers 413 or 400 itself, otherwise calls onBody with the parsed value
+ */
+function readApiBody(request, response, tooLargeMessage, onBody) {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+        size += chunk.length;
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        if (size > MAX_HTTP_BODY_BYTES) {
+            sendApiResponse(response, 413, { Status: 'error', Message: tooLargeMessage });
+            return;
+        }
+
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (e) {
+            sendApiResponse(response, 400, { Status: 'error', Message: 'Invalid JSON' });
+            return;
+        }
+        onBody(body);
+    });
+}
+
+/**
+ * One client WebSocket connection - frame parsing and RCON connection state
+ */
+class MockWebSocketConnection {
+    /**
+     * @param {net.Socket} socket - Upgraded socket
+     * @param {string} path - Request path (/rcon or /<password>)
+     */
+    constructor(socket, path) {
+        this.socket = socket;
+        this.path = path;
+        this.isAuthenticated = false;
+        this.accountName = null;
+        this.closed = false;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.onmessage = null;  // (text) => void
+        this.onclose = null;  // () => void
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.closed = true;
+            if (this.onclose) this.onclose();
+        });
+    }
+
+    /**
+     * Split buffered data into frames
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+
+            this.buffer = this.buffer.subarray(offset + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    /**
+     * Handle one decoded frame (reassembling fragmented messages)
+     */
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_BINARY:
+            case OPCODE_CONTINUATION:
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    if (this.onmessage) this.onmessage(message);
+                }
+                break;
+
+            case OPCODE_PING:
+                this.write(encodeFrame(OPCODE_PONG, payload));
+                break;
+
+            case OPCODE_CLOSE: {
+                // Echo the client's close code, then hang up
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_NORMAL;
+                this.close(code, 'Connection closed');
+                break;
+            }
+
+            case OPCODE_PONG:
+            default:
+                break;
+        }
+    }
+
+    write(data) {
+        if (!this.closed && this.socket.writable) {
+            this.socket.write(data);
+        }
+    }
+
+    /**
+     * Send one RCON frame as a text message
+     */
+    send(frame) {
+        this.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(frame), 'utf8')));
+    }
+
+    /**
+     * Send a close frame and end the TCP connection
+     */
+    close(code = CLOSE_NORMAL, reason = '') {
+        if (this.closed) return;
+
+        const reasonBytes = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this.write(encodeFrame(OPCODE_CLOSE, payload));
+        this.closed = true;
+        this.socket.end();
+    }
+}
+
+/**
+ * Mock RCON server
+ */
+class MockRconServer {
+    /**
+     * @param {Object} options
+     * - host: Bind address (default 127.0.0.1)
+     * - port: Port to listen on (default 9005, 0 picks a free port)
+     * - fixturesDir: Fixture directory (default webclient/mock/fixtures)
+     * - fixtures: Fixture objects to use instead of reading fixturesDir
+     * - password: Rust-style RCON password (overrides server.json RconPassword)
+     * - aceAuth: true for ACE-style auth (overrides Settings.UseAceAuthentication)
+     * - broadcasts: false to disable the scripted broadcasts (default true)
+     * - serveStatic: false to stop serving webclient/public (default true)
+     * - logger: console-like object, or null for silence (default console)
+     */
+    constructor(options = {}) {
+        const fixtures = options.fixtures || loadFixtures(options.fixturesDir);
+        const server = fixtures.server || {};
+
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port === undefined ? 9005 : options.port;
+        this.logger = options.logger === undefined ? console : options.logger;
+        this.serveStatic = options.serveStatic !== false;
+        this.scriptEnabled = options.broadcasts !== false;
+
+        this.info = {
+            ServerName: server.ServerName || 'Mock ACE Server',
+            MaxPlayers: server.MaxPlayers || 128,
+            AceServerVersion: server.AceServerVersion || '1.0.0.0',
+            AceServerBuild: server.AceServerBuild || '0',
+            AceDatabaseBaseVersion: server.AceDatabaseBaseVersion !== undefined ? server.AceDatabaseBaseVersion : 'Unknown',
+            AceDatabasePatchVersion: server.AceDatabasePatchVersion !== undefined ? server.AceDatabasePatchVersion : 'Unknown'
+        };
+        this.settings = Object.assign({}, server.Settings);
+        if (options.aceAuth !== undefined) {
+            this.settings.UseAceAuthentication = !!options.aceAuth;
+        }
+        this.password = options.password || server.RconPassword || 'secret';
+        this.accounts = (server.Accounts || []).slice();
+
+        // Mutable world state (copies, so fixtures can be reused between tests)
+        this.players = (fixtures.players || []).map(player => Object.assign({}, player));
+        this.bans = (fixtures.bans || []).map(ban => Object.assign({}, ban));
+        this.commandOutputs = fixtures.commands || {};
+        this.script = fixtures.broadcasts || { loop: false, events: [] };
+        this.history = { Commands: [], Messages: [] };
+        this.schedule = RconScheduler.createMemoryStore();
+
+        this.startedAt = Date.now();
+        this.connections = new Set();
+        this.scriptTimer = null;
+        this.scriptIndex = 0;
+
+        this.httpServer = http.createServer((request, response) => this.handleHttpRequest(request, response));
+        this.httpServer.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    get useAceAuth() {
+        return !!this.settings.UseAceAuthentication;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<{host: string, port: number}>}
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                this.port = this.httpServer.address().port;
+                this.log(`[MockServer] Listening on http://${this.host}:${this.port} (${this.useAceAuth ? 'ACE auth, connect to /rcon' : 'Rust-style auth, connect to /<password>'})`);
+                if (this.scriptEnabled) {
+                    this.startScript();
+                }
+                resolve({ host: this.host, port: this.port });
+            });
+        });
+    }
+
+    /**
+     * Stop the broadcast script, close every connection and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.stopScript();
+        this.connections.forEach(connection => connection.close(1001, 'Server shutting down'));
+        this.connections.clear();
+
+        return new Promise(resolve => {
+            this.httpServer.close(() => resolve());
+            if (this.httpServer.closeAllConnections) {
+                this.httpServer.closeAllConnections();
+            }
+        });
+    }
+
+    log(message) {
+        if (this.logger) this.logger.log(message);
+    }
+
+    /**
+     * Serve webclient/public like RconHttpServer.HandleHttpRequestAsync
+     */
+    handleHttpRequest(request, response) {
+        let requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        if (requestPath === '/api/history') {
+            this.handleHistoryRequest(request, response);
+            return;
+        }
+        if (requestPath === '/api/schedule') {
+            this.handleScheduleRequest(request, response);
+            return;
+        }
+        if (requestPath === '/') {
+            requestPath = '/index.html';
+        }
+
+        const file = path.join(PUBLIC_DIR, path.normalize(requestPath));
+        if (!this.serveStatic || !file.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not Found');
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'text/plain',
+            'Cache-Control': 'no-cache',
+            'Access-Control-Allow-Origin': '*'
+        });
+        fs.createReadStream(file).pipe(response);
+    }
+
+    /**
+     * Checks shared by the /api endpoints: CORS preflight, method, then Basic auth
+     * @returns {string|null} Author when the request should be handled, null once it was answered
+     */
+    beginApiRequest(request, response) {
+        if (request.method === 'OPTIONS') {
+            sendApiResponse(response, 204);
+            return null;
+        }
+        if (request.method !== 'GET' && request.method !== 'POST') {
+            sendApiResponse(response, 405, { Status: 'error', Message: 'Method not allowed' });
+            return null;
+        }
+
+        const author = this.authenticateHttpRequest(request);
+        if (author === null) {
+            sendApiResponse(response, 401, { Status: 'error', Message: 'Authentication required' });
+        }
+        return author;
+    }
+
+    /**
+     * Shared history like RconHttpServer.HandleHistoryRequestAsync - GET returns it, POST merges
+     * new lines (credited to the authenticated account) and returns the result
+     */
+    handleHistoryRequest(request, response) {
+        const author = this.beginApiRequest(request, response);
+        if (author === null) return;
+        if (request.method === 'GET') {
+            sendApiResponse(response, 200, this.history);
+            return;
+        }
+
+        readApiBody(request, response, 'History upload too large', incoming => {
+            const now = Date.now();
+            const credit = entries => (Array.isArray(entries) ? entries : [])
+                .filter(entry => entry && typeof entry.Text === 'string' && entry.Text.trim())
+                .map(entry => ({ Text: entry.Text.trim(), Author: author, Timestamp: Math.min(Number(entry.Timestamp) || 0, now) }));
+
+            // Existing lines come first, so on equal timestamps the server's copy is kept
+            this.history = {
+                Commands: HistoryManager.mergeEntries(this.history.Commands, credit(incoming && incoming.Commands), MAX_HISTORY_ENTRIES),
+                Messages: HistoryManager.mergeEntries(this.history.Messages, credit(incoming && incoming.Messages), MAX_HISTORY_ENTRIES)
+            };
+            sendApiResponse(response, 200, this.history);
+        });
+    }
+
+    /**
+     * Scheduled tasks like RconHttpServer.HandleScheduleRequestAsync - GET returns them, POST replaces
+     * them when the posted Version is current and answers 409 with the current document otherwise
+     */
+    handleScheduleRequest(request, response) {
+        if (this.beginApiRequest(request, response) === null) return;
+        if (request.method === 'GET') {
+            this.schedule.load().then(document => sendApiResponse(response, 200, document));
+            return;
+        }
+
+        readApiBody(request, response, 'Schedule too large', incoming => {
+            const tasks = Array.isArray(incoming && incoming.Tasks) ? incoming.Tasks : [];
+            if (tasks.length > MAX_SCHEDULE_TASKS) {
+                sendApiResponse(response, 413, { Status: 'error', Message: `Too many scheduled tasks (max ${MAX_SCHEDULE_TASKS})` });
+                return;
+            }
+            this.schedule.save({ Version: Number(incoming && incoming.Version) || 0, Tasks: tasks })
+                .then(document => sendApiResponse(response, 200, document))
+                .catch(error => sendApiResponse(response, 409, error.current));
+        });
+    }
+
+    /**
+     * Check an HTTP Basic header like RconHttpServer.AuthenticateHttpRequest
+     * @returns {string|null} Author to credit (account name, or "rcon" for the shared password), null when rejected
+     */
+    authenticateHttpRequest(request) {
+        const match = /^Basic\s+(.+)$/i.exec(request.headers.authorization || '');
+        if (!match) return null;
+
+        const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+        const separator = credentials.indexOf(':');
+        if (separator < 0) return null;
+        const name = credentials.substring(0, separator);
+        const password = credentials.substring(separator + 1);
+
+        if (this.useAceAuth) {
+            const account = this.accounts.find(entry =>
+                entry.AccountName.toLowerCase() === name.toLowerCase() && entry.Password === password);
+            return account ? account.AccountName : null;
+        }
+        return password === this.password ? (name.trim() ? name : 'rcon') : null;
+    }
+
+    /**
+     * WebSocket handshake, then the same path checks as RconHttpServer.HandleWebSocketAsync
+     */
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || request.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\nBad Request');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n` +
+            '\r\n');
+
+        const requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        const connection = new MockWebSocketConnection(socket, requestPath);
+
+        if (this.useAceAuth) {
+            if (requestPath !== '/rcon') {
+                this.log(`[MockServer] ACE auth: invalid path '${requestPath}', expected '/rcon'`);
+                connection.send(this.response(0, 'error', 'Invalid connection path for ACE authentication. Connect to /rcon'));
+                connection.close(CLOSE_POLICY_VIOLATION, 'Invalid connection path');
+                return;
+            }
+        } else {
+            const password = requestPath.length > 1 && requestPath !== '/rcon' ? requestPath.substring(1) : null;
+            if (!password || password !== this.password) {
+                this.log('[MockServer] Rust-style auth failed: sending error and closing');
+                connection.send(this.response(0, 'error', 'Invalid password'));
+                connection.close(CLOSE_POLICY_VIOLATION, 'Invalid password');
+                return;
+            }
+            connection.isAuthenticated = true;
+        }
+
+        this.connections.add(connection);
+        this.log(`[MockServer] WebSocket connected (${this.connections.size} open)`);
+
+        connection.onmessage = (text) => this.handleMessage(connection, text);
+        connection.onclose = () => {
+            this.connections.delete(connection);
+            this.log(`[MockServer] WebSocket closed (${this.connections.size} open)`);
+        };
+    }
+
+    /**
+     * Parse one request and send the response
+     */
+    handleMessage(connection, text) {
+        let request = null;
+        try {
+            request = JSON.parse(text);
+        } catch (error) {
+            request = null;
+        }
+
+        if (!request || typeof request !== 'object') {
+            connection.send(this.response(-1, 'error', 'Invalid JSON'));
+            return;
+        }
+
+        const response = this.handleCommand(connection, request);
+        connection.send(response);
+
+        // Failed auth attempts close the connection (security measure in RconHttpServer.cs)
+        if (request.Command === 'auth' && response.Status === 'error') {
+            this.log('[MockServer] Authentication failed, closing WebSocket connection');
+            connection.close(CLOSE_POLICY_VIOLATION, 'Authentication failed');
+        }
+    }
+
+    /**
+     * Dispatch one request - same order of checks as RconProtocol.HandleCommandAsync
+     * @returns {Object} Response frame
+     */
+    handleCommand(connection, request) {
+        const id = Number(request.Identifier) || 0;
+        const command = request.Command || request.Message || '';
+        const args = Array.isArray(request.Args) ? request.Args.map(String) : [];
+
+        if (command === 'config') {
+            return this.response(id, 'success', 'Client configuration', Object.assign({}, this.settings));
+        }
+
+        if (connection.isAuthenticated) {
+            switch (command) {
+                case 'hello': return this.handleHello(id);
+                case 'status': return this.handleStatus(id);
+                case 'players': return this.handlePlayers(id);
+                case 'banlist': return this.handleBanlist(id);
+                case 'baninfo': return this.handleBaninfo(id, args);
+                case 'unban': return this.handleUnban(id, args);
+            }
+        }
+
+        if (this.useAceAuth && !connection.isAuthenticated) {
+            if (command !== 'auth') {
+                return this.response(id, 'error', "Authentication required. Send 'auth' command with password first.");
+            }
+            return this.handleAuth(connection, id, request);
+        }
+
+        if (!connection.isAuthenticated) {
+            return this.response(id, 'error', 'Authentication required. Connection must include password in URL.');
+        }
+
+        return this.handlePassthrough(id, command, args);
+    }
+
+    /**
+     * Full response envelope, serialized like RconResponse
+     */
+    response(id, status, message, data = null, type = 'Generic') {
+        return {
+            Identifier: id,
+            Status: status,
+            Message: message,
+            Data: data,
+            Error: null,
+            Debug: !!this.settings.DebugMode,
+            Command: null,
+            Type: type,
+            Stacktrace: ''
+        };
+    }
+
+    /**
+     * Broadcast envelope (Identifier 0)
+     */
+    broadcastFrame(status, message, command, data = null) {
+        const frame = this.response(0, status, message, data);
+        frame.Command = command;
+        return frame;
+    }
+
+    /**
+     * GetServerStatus() equivalent
+     */
+    getServerStatus() {
+        const uptime = Math.floor((Date.now() - this.startedAt) / 1000);
+        return {
+            ServerName: this.info.ServerName,
+            Status: 'Online',
+            CurrentPlayers: this.players.length,
+            MaxPlayers: this.info.MaxPlayers,
+            Uptime: `${Math.floor(uptime / 86400)}d ${Math.floor(uptime / 3600) % 24}h ${Math.floor(uptime / 60) % 60}m ${uptime % 60}s`,
+            WorldTime: new Date().toISOString()
+        };
+    }
+
+    getVersionInfo() {
+        return {
+            AceServerVersion: this.info.AceServerVersion,
+            AceServerBuild: this.info.AceServerBuild,
+            AceDatabaseBaseVersion: this.info.AceDatabaseBaseVersion,
+            AceDatabasePatchVersion: this.info.AceDatabasePatchVersion
+        };
+    }
+
+    findBan(accountName) {
+        return this.bans.find(ban => ban.AccountName.toLowerCase() === accountName.toLowerCase()) || null;
+    }
+
+    /**
+     * Accounts the mock knows about: admin accounts, online players' accounts and banned accounts
+     */
+    accountExists(accountName) {
+        const name = accountName.toLowerCase();
+        return this.accounts.some(account => account.AccountName.toLowerCase() === name) ||
+            this.players.some(player => String(player.AccountName).toLowerCase() === name) ||
+            this.findBan(accountName) !== null;
+    }
+
+    handleAuth(connection, id, request) {
+        if (!request.Name || !request.Password) {
+            return this.response(id, 'error', 'Both account name and password required for ACE authentication');
+        }
+
+        const account = this.accounts.find(entry =>
+            entry.AccountName.toLowerCase() === String(request.Name).toLowerCase() && entry.Password === request.Password);
+        if (!account) {
+            return this.response(id, 'error', 'Invalid account name or password, or account is not an admin');
+        }
+
+        connection.isAuthenticated = true;
+        connection.accountName = account.AccountName;
+        this.log(`[MockServer] ACE auth succeeded for ${account.AccountName}`);
+        return this.response(id, 'authenticated', 'ACE authentication successful', this.getServerStatus());
+    }
+
+    handleHello(id) {
+        const data = Object.assign(this.getServerStatus(), this.getVersionInfo());
+        data.OnlinePlayers = this.players.map(player => Object.assign({}, player));
+        return this.response(id, 'success', 'Server hello', data);
+    }
+
+    handleStatus(id) {
+        const data = Object.assign(this.getServerStatus(), this.getVersionInfo());
+        delete data.ServerName;  // STATUS skips ServerName since it doesn't change
+        return this.response(id, 'success', 'Server status', data);
+    }
+
+    handlePlayers(id) {
+        return this.response(id, 'success', 'Player list', {
+            CurrentPlayers: this.players.length,
+            MaxPlayers: this.info.MaxPlayers,
+            OnlinePlayers: this.players.map(player => Object.assign({}, player))
+        });
+    }
+
+    handleBanlist(id) {
+        const bannedAccounts = this.bans.map(ban => ({
+            AccountName: ban.AccountName,
+            BanExpireTime: ban.BanExpireTime,
+            BanReason: ban.BanReason || 'No reason specified'
+        }));
+        return this.response(id, 'success', 'Banned accounts list', { BannedAccounts: bannedAccounts, Count: bannedAccounts.length });
+    }
+
+    handleBaninfo(id, args) {
+        if (args.length === 0) {
+            return this.response(id, 'error', 'Account name required. Usage: baninfo <accountname>');
+        }
+
+        if (!this.accountExists(args[0])) {
+            return this.response(id, 'error', `Account '${args[0]}' not found`);
+        }
+
+        const ban = this.findBan(args[0]);
+        if (!ban) {
+            return this.response(id, 'error', `Account '${args[0]}' is not banned`);
+        }
+
+        return this.response(id, 'success', 'Ban details', {
+            AccountName: ban.AccountName,
+            BanExpireTime: ban.BanExpireTime,
+            BanReason: ban.BanReason || 'No reason specified',
+            Characters: (ban.Characters || []).map(character => Object.assign({}, character))
+        });
+    }
+
+    handleUnban(id, args) {
+        if (args.length === 0) {
+            return this.response(id, 'error', 'Account name required. Usage: unban <accountname>');
+        }
+
+        if (!this.accountExists(args[0])) {
+            return this.response(id, 'error', `Account '${args[0]}' not found`);
+        }
+
+        const ban = this.findBan(args[0]);
+        if (!ban) {
+            return this.response(id, 'error', `Account '${args[0]}' is not banned`);
+        }
+
+        this.bans.splice(this.bans.indexOf(ban), 1);
+        this.log(`[MockServer] Account '${args[0]}' has been unbanned`);
+        return this.response(id, 'success', `Account '${args[0]}' has been unbanned`);
+    }
+
+    /**
+     * ACE console passthrough - ban and boot change the mock state, everything else
+     * answers with its text from commands.json ({count}, {names} and {args} are filled in)
+     */
+    handlePassthrough(id, command, args) {
+        if (!command) {
+            return this.response(id, 'error', 'No command specified');
+        }
+
+        if (command === 'ban' && args.length >= 4) {
+            const [accountName, days, hours, minutes] = args;
+            const expires = new Date(Date.now() + ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60000);
+            const existing = this.findBan(accountName);
+            if (existing) {
+                this.bans.splice(this.bans.indexOf(existing), 1);
+            }
+            this.bans.push({
+                AccountName: accountName,
+                BanExpireTime: formatBanExpireTime(expires),
+                BanReason: args.slice(4).join(' ') || null,
+                Characters: this.players.filter(player => player.AccountName === accountName)
+                    .map(player => ({ CharacterName: player.Name, Level: player.Level, Race: player.Race, Class: 'Adventurer' }))
+            });
+            return this.response(id, 'success', `Banned account ${accountName} for ${days} days, ${hours} hours and ${minutes} minutes.`);
+        }
+
+        if (command === 'boot' && args.length >= 2) {
+            const name = args.slice(1).join(' ');
+            const player = this.players.find(entry => entry.Name.toLowerCase() === name.toLowerCase());
+            if (!player) {
+                return this.response(id, 'success', `Unable to find character ${name}`);
+            }
+            this.runEvent({ type: 'logoff', player: player.Name });
+            return this.response(id, 'success', `Booted character ${player.Name}`);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(this.commandOutputs, command)) {
+            return this.response(id, 'error', 'Command failed: InvalidCommand', null, 'Error');
+        }
+
+        const output = String(this.commandOutputs[command])
+            .replace(/\{count\}/g, String(this.players.length))
+            .replace(/\{names\}/g, this.players.map(player => player.Name).join('\n'))
+            .replace(/\{args\}/g, args.join(' '));
+        return this.response(id, 'success', output);
+    }
+
+    /**
+     * Send a frame to every authenticated connection
+     */
+    broadcast(frame) {
+        this.connections.forEach(connection => {
+            if (connection.isAuthenticated) {
+                connection.send(frame);
+            }
+        });
+    }
+
+    /**
+     * Run one scripted event (also useful from tests to trigger broadcasts on demand)
+     * - { type: 'log', level: 'info'|'warn'|'error'|'debug', logger, message }
+     * - { type: 'login', player: {Name, Guid, Level, Race, Location, AccountName} }
+     * - { type: 'logoff', player: 'Name' }
+     * - { type: 'status_update' }
+     */
+    runEvent(event) {
+        switch (event.type) {
+            case 'log': {
+                // Same frame as RconLogAppender: [Logger] prefix in Message, fields in Data
+                const logger = event.logger || '';
+                const message = logger ? `[${logger}] ${event.message || ''}` : event.message || '';
+                this.broadcast(this.broadcastFrame(`log_${event.level || 'info'}`, message, 'log', {
+                    Logger: logger,
+                    Timestamp: new Date().toISOString()
+                }));
+                break;
+            }
+
+            case 'login': {
+                const player = Object.assign({}, event.player);
+                this.players = this.players.filter(entry => entry.Name !== player.Name);
+                this.players.push(player);
+                this.broadcastPlayerEvent('login', player);
+                break;
+            }
+
+            case 'logoff': {
+                const name = typeof event.player === 'string' ? event.player : (event.player || {}).Name;
+                const player = this.players.find(entry => entry.Name === name);
+                if (!player) break;
+                this.players = this.players.filter(entry => entry !== player);
+                this.broadcastPlayerEvent('logoff', player);
+                break;
+            }
+
+            case 'status_update':
+                this.broadcast(this.broadcastFrame('status_update', 'Server status updated', 'status_update', this.getServerStatus()));
+                break;
+
+            default:
+                this.log(`[MockServer] Unknown scripted event type: ${event.type}`);
+        }
+    }
+
+    /**
+     * player_event broadcast - Data uses the camelCase keys PatchClass.cs sends
+     */
+    broadcastPlayerEvent(eventType, player) {
+        this.broadcast(this.broadcastFrame('player_event', `Player ${eventType}`, eventType, {
+            playerName: player.Name,
+            playerGuid: player.Guid,
+            level: player.Level,
+            location: player.Location,
+            count: this.players.length,
+            WorldTime: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Play broadcasts.json - each event's delayMs counts from the previous event
+     */
+    startScript() {
+        const events = this.script.events || [];
+        if (events.length === 0) return;
+
+        const scheduleNext = () => {
+            if (this.scriptIndex >= events.length) {
+                if (!this.script.loop) return;
+                this.scriptIndex = 0;
+            }
+
+            const event = events[this.scriptIndex++];
+            this.scriptTimer = setTimeout(() => {
+                this.runEvent(event);
+                scheduleNext();
+            }, event.delayMs || 0);
+        };
+
+        scheduleNext();
+    }
+
+    stopScript() {
+        if (this.scriptTimer) {
+            clearTimeout(this.scriptTimer);
+            this.scriptTimer = null;
+        }
+    }
+}
+
+/**
+ * Create a mock server (call listen() to start it)
+ * @param {Object} options - See MockRconServer
+ * @returns {MockRconServer}
+ */
+function createMockServer(options = {}) {
+    return new MockRconServer(options);
+}
+
+const USAGE = `Usage: mock-server [options]
+
+Options:
+  --host <host>        Bind address (default 127.0.0.1)
+  --port <port>        Port (default 9005)
+  --password <pass>    Rust-style RCON password (default from fixtures, "secret")
+  --ace                ACE-style auth via the auth command (accounts from fixtures)
+  --fixtures <dir>     Fixture directory (default webclient/mock/fixtures)
+  --no-broadcasts      Don't play the scripted broadcasts
+  --quiet              Don't log connections
+  -h, --help           Show this help`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--host': options.host = next(); break;
+            case '--port': options.port = parseInt(next(), 10); break;
+            case '--password': options.password = next(); break;
+            case '--ace': options.aceAuth = true; break;
+            case '--fixtures': options.fixturesDir = path.resolve(next()); break;
+            case '--no-broadcasts': options.broadcasts = false; break;
+            case '--quiet': options.logger = null; break;
+            case '-h':
+            case '--help': options.help = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.port !== undefined && (!Number.isInteger(options.port) || options.port < 0)) {
+        throw new Error('Invalid port');
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const server = createMockServer(options);
+    await server.listen();
+
+    const shutdown = () => {
+        server.close().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MockRconServer,
+    createMockServer,
+    loadFixtures,
+    formatBanExpireTime
+};
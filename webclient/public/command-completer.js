@@ -0,0 +1,368 @@
+/**
+ * ACE RCON Command Completer
+ * Tab-completion and argument hints for the console input, built from the server's own help:
+ * - `acecommands` gives the command list (name, description, and the usage/access level when shown)
+ * - `acehelp <command>` fills in the usage of a command the list didn't describe, on first use
+ * - Online character names (from the latest players data) complete command arguments
+ *
+ * Catalogs are cached in localStorage per server and AceServerVersion, so a server is only asked
+ * again after it is upgraded.
+ *
+ * Usage:
+ * const completer = new RconCommandCompleter();
+ * await completer.use(client, 'shard.example.com:9005', '1.2.3');
+ * completer.setPlayers(['Asheron', 'Sir Name']);
+ * const completion = completer.complete('boot char Si', 12);
+ * // { start: 10, end: 12, items: [{ value: 'Sir Name', kind: 'player', ... }], hint: { name: 'boot', ... } }
+ * const { line, cursor } = completer.apply('boot char Si', completion, completion.items[0]);
+ */
+
+const RCON_COMPLETER_PARSER = typeof RconCommandParser !== 'undefined' ? RconCommandParser : require('./command-parser.js');
+
+const RCON_COMMAND_CATALOG_PREFIX = 'rconCommandCatalog:';
+
+// ACE access levels, lowest first
+const RCON_ACCESS_LEVELS = ['Player', 'Advocate', 'Sentinel', 'Envoy', 'Developer', 'Admin'];
+
+// "@ban <acct> <days> - Bans the account." / "ban - Bans the account." (usage before the dash is optional)
+const RCON_COMMAND_LINE_PATTERN = /^\s*[@/]?([A-Za-z][\w-]*)((?:\s+[<[(][^>\])]*[>\])])*)\s+-\s+(.*)$/;
+
+// "[Admin]", "Admin:", "Admin commands:", "-- Admin --"
+const RCON_ACCESS_HEADER_PATTERN = new RegExp(`^\\s*[\\[-]*\\s*(${RCON_ACCESS_LEVELS.join('|')})(?:\\s+commands)?\\s*[\\]-]*\\s*:?\\s*$`, 'i');
+
+/**
+ * Turn escaped line breaks (\n as two characters) into real ones, like onResponse() does
+ */
+function splitRconHelpLines(text) {
+    return String(text || '').replace(/\\r\\n/g, '\n').replace(/\\n/g, '\n').split(/\r?\n/);
+}
+
+/**
+ * Canonical access level name, or null
+ */
+function normalizeRconAccessLevel(level) {
+    const match = RCON_ACCESS_LEVELS.find(entry => entry.toLowerCase() === String(level || '').toLowerCase());
+    return match || null;
+}
+
+class RconCommandCompleter {
+    /**
+     * @param {Object} options
+     * - storage: Web Storage for cached catalogs (default localStorage, null disables the cache)
+     * - listCommand: command that lists commands (default 'acecommands')
+     * - helpCommand: command that describes one command (default 'acehelp')
+     * - maxItems: suggestions returned by complete() (default 20)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.listCommand = options.listCommand || 'acecommands';
+        this.helpCommand = options.helpCommand || 'acehelp';
+        this.maxItems = options.maxItems || 20;
+
+        this.cacheKey = null;  // Storage key of the catalog in use
+        this.commands = new Map();  // lowercase name -> { name, description, usage, accessLevel, helpFetched }
+        this.players = [];
+        this.helpRequests = new Map();  // lowercase name -> pending acehelp promise
+        this.loading = null;  // Pending acecommands request for cacheKey
+    }
+
+    /** ==================== Parsing ==================== */
+
+    /**
+     * Parse an acecommands response
+     * @returns {Array<{name, description, usage, accessLevel}>}
+     */
+    static parseCommandList(text) {
+        const commands = [];
+        let accessLevel = null;
+
+        splitRconHelpLines(text).forEach(line => {
+            const header = line.match(RCON_ACCESS_HEADER_PATTERN);
+            if (header) {
+                accessLevel = normalizeRconAccessLevel(header[1]);
+                return;
+            }
+
+            const match = line.match(RCON_COMMAND_LINE_PATTERN);
+            if (!match) return;
+
+            commands.push({
+                name: match[1],
+                description: match[3].trim(),
+                usage: match[2].trim(),
+                accessLevel
+            });
+        });
+
+        return commands;
+    }
+
+    /**
+     * Parse an acehelp response for one command
+     * @returns {{description, usage, accessLevel}} Fields that weren't found are empty/null
+     */
+    static parseCommandHelp(text, name) {
+        const help = { description: '', usage: '', accessLevel: null };
+        const lowerName = String(name).toLowerCase();
+
+        splitRconHelpLines(text).forEach(line => {
+            const usage = line.match(/^\s*Usage:\s*[@/]?(\S+)\s*(.*)$/i);
+            if (usage && usage[1].toLowerCase() === lowerName) {
+                help.usage = usage[2].trim();
+                return;
+            }
+
+            const access = line.match(/access\s*level:?\s*(\w+)/i);
+            if (access && normalizeRconAccessLevel(access[1])) {
+                help.accessLevel = normalizeRconAccessLevel(access[1]);
+                return;
+            }
+
+            const entry = line.match(RCON_COMMAND_LINE_PATTERN);
+            if (entry && entry[1].toLowerCase() === lowerName) {
+                help.description = entry[3].trim();
+                if (entry[2].trim() && !help.usage) {
+                    help.usage = entry[2].trim();
+                }
+            }
+        });
+
+        return help;
+    }
+
+    /** ==================== Catalog ==================== */
+
+    /**
+     * Switch to a server's catalog - from the cache, or by asking the server
+     * @param {RconClient} client - Authenticated client for the server
+     * @param {string} serverKey - Identifies the server (host:port)
+     * @param {string} version - AceServerVersion ('' if unknown)
+     * @returns {Promise<number>} Number of commands known
+     */
+    async use(client, serverKey, version) {
+        const key = `${RCON_COMMAND_CATALOG_PREFIX}${serverKey}@${version || 'unknown'}`;
+        if (key === this.cacheKey) {
+            return this.loading || this.commands.size;
+        }
+
+        this.cacheKey = key;
+        this.commands = new Map();
+        this.helpRequests = new Map();
+        this.loading = null;
+
+        if (this.loadCache()) {
+            return this.commands.size;
+        }
+
+        const request = client.send(this.listCommand, [], { quiet: true, queue: false })
+            .then(response => {
+                if (this.cacheKey !== key) {
+                    return 0;  // Switched to another server meanwhile
+                }
+                RconCommandCompleter.parseCommandList(response.Message).forEach(command => {
+                    this.commands.set(command.name.toLowerCase(), Object.assign(command, { helpFetched: false }));
+                });
+                this.saveCache();
+                return this.commands.size;
+            })
+            .catch(error => {
+                if (this.cacheKey === key) {
+                    this.cacheKey = null;  // Ask again on the next use()
+                }
+                throw error;
+            })
+            .finally(() => {
+                if (this.loading === request) {
+                    this.loading = null;
+                }
+            });
+        this.loading = request;
+        return request;
+    }
+
+    loadCache() {
+        if (!this.storage) return false;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.cacheKey) || 'null');
+            if (!saved || !Array.isArray(saved.commands) || saved.commands.length === 0) {
+                return false;
+            }
+            saved.commands.forEach(command => this.commands.set(String(command.name).toLowerCase(), command));
+            return true;
+        } catch (error) {
+            console.warn('[RconCommandCompleter] Ignoring corrupt command cache:', error);
+            return false;
+        }
+    }
+
+    saveCache() {
+        if (!this.storage || this.commands.size === 0) return;
+
+        try {
+            this.storage.setItem(this.cacheKey, JSON.stringify({
+                savedAt: new Date().toISOString(),
+                commands: Array.from(this.commands.values())
+            }));
+        } catch (error) {
+            console.warn('[RconCommandCompleter] Failed to cache commands:', error);
+        }
+    }
+
+    /**
+     * Forget every cached catalog (next use() asks the server again)
+     */
+    clearCache() {
+        this.cacheKey = null;
+        this.commands = new Map();
+        if (!this.storage) return;
+
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(RCON_COMMAND_CATALOG_PREFIX)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => this.storage.removeItem(key));
+    }
+
+    /**
+     * Look up a command
+     * @returns {Object|null} { name, description, usage, accessLevel, helpFetched }
+     */
+    getCommand(name) {
+        return this.commands.get(String(name || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Fill in a command's usage from acehelp, once per command
+     * @returns {Promise<Object|null>} The updated command
+     */
+    async describe(client, name) {
+        const command = this.getCommand(name);
+        if (!command || command.helpFetched || command.usage) {
+            return command;
+        }
+
+        const lowerName = command.name.toLowerCase();
+        if (!this.helpRequests.has(lowerName)) {
+            const key = this.cacheKey;
+            const request = client.send(this.helpCommand, [command.name], { quiet: true, queue: false })
+                .then(response => {
+                    if (this.cacheKey !== key) return;
+                    const help = RconCommandCompleter.parseCommandHelp(response.Message, command.name);
+                    command.usage = help.usage || command.usage;
+                    command.accessLevel = help.accessLevel || command.accessLevel;
+                    command.description = command.description || help.description;
+                    command.helpFetched = true;
+                    this.saveCache();
+                })
+                .catch(error => {
+                    // No help for this command (or no acehelp at all) - don't ask again
+                    command.helpFetched = true;
+                    console.warn(`[RconCommandCompleter] No help for ${command.name}:`, error.message);
+                })
+                .finally(() => this.helpRequests.delete(lowerName));
+            this.helpRequests.set(lowerName, request);
+        }
+
+        await this.helpRequests.get(lowerName);
+        return command;
+    }
+
+    /**
+     * Online character names offered for command arguments
+     */
+    setPlayers(names) {
+        this.players = (names || []).filter(name => typeof name === 'string' && name.length > 0);
+    }
+
+    /** ==================== Completion ==================== */
+
+    /**
+     * Suggestions for the token under the cursor
+     * @param {string} line - Console input
+     * @param {number} cursor - Caret position (default end of line)
+     * @returns {{start, end, argIndex, items: Array<{value, label, detail, kind}>, hint: Object|null}}
+     *          start/end is the raw text the chosen item replaces; hint is the command being typed
+     */
+    complete(line, cursor = line.length) {
+        const prefix = line.slice(0, cursor);
+        let tokens;
+        let partial = '';
+        let start = cursor;
+
+        try {
+            tokens = RCON_COMPLETER_PARSER.scan(prefix);
+            const last = tokens[tokens.length - 1];
+            if (last && last.end === prefix.length) {
+                tokens.pop();
+                partial = last.value;
+                start = last.start;
+            }
+        } catch (error) {
+            if (error.code !== 'PARSE_ERROR' || !/quote/.test(error.message)) {
+                return { start: cursor, end: cursor, argIndex: 0, items: [], hint: null };
+            }
+            // Inside an open quote - complete what has been typed after it
+            tokens = RCON_COMPLETER_PARSER.scan(prefix.slice(0, error.position));
+            partial = prefix.slice(error.position + 1);
+            start = error.position;
+            const glued = tokens[tokens.length - 1];
+            if (glued && glued.end === error.position) {
+                tokens.pop();  // pre"fix - the quote continues the word before it
+                partial = glued.value + partial;
+                start = glued.start;
+            }
+        }
+
+        const argIndex = tokens.length;  // 0 = the command itself
+        const hint = argIndex > 0 ? this.getCommand(tokens[0].value) : null;
+        const lowerPartial = partial.toLowerCase();
+        let items;
+
+        if (argIndex === 0) {
+            items = Array.from(this.commands.values())
+                .filter(command => command.name.toLowerCase().startsWith(lowerPartial))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(command => ({
+                    value: command.name,
+                    label: command.usage ? `${command.name} ${command.usage}` : command.name,
+                    detail: command.description,
+                    accessLevel: command.accessLevel,
+                    kind: 'command'
+                }));
+        } else {
+            items = this.players
+                .filter(name => name.toLowerCase().startsWith(lowerPartial))
+                .sort((a, b) => a.localeCompare(b))
+                .map(name => ({ value: name, label: name, detail: 'Online character', kind: 'player' }));
+        }
+
+        return { start, end: cursor, argIndex, items: items.slice(0, this.maxItems), hint };
+    }
+
+    /**
+     * Put a suggestion into the line, quoted when it needs to be
+     * @returns {{line: string, cursor: number}}
+     */
+    apply(line, completion, item) {
+        const text = `${RCON_COMPLETER_PARSER.quote(item.value)} `;
+        const rest = line.slice(completion.end).replace(/^\S*/, '');  // Drop the rest of the word being replaced
+        return {
+            line: line.slice(0, completion.start) + text + rest.replace(/^\s+/, ''),
+            cursor: completion.start + text.length
+        };
+    }
+
+}
+
+RconCommandCompleter.ACCESS_LEVELS = RCON_ACCESS_LEVELS;
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconCommandCompleter;
+}
@@ -0,0 +1,213 @@
+/**
+ * ACE RCON Command History Store
+ * Every command sent from the console, kept in IndexedDB across reloads:
+ * - Thousands of entries (maxEntries, oldest dropped first)
+ * - Timestamp, the server it was sent to (host:port) and how it went (success/error + message)
+ * - Reverse incremental search for Ctrl+R, newest match first
+ *
+ * Entries are also held in memory, so lookups are synchronous once open() has resolved.
+ * Without IndexedDB (Node, private windows that block it) the history lasts for the page only.
+ *
+ * Usage:
+ * const store = new CommandHistoryStore();
+ * await store.open();
+ * await store.add({ command: 'world close', serverKey: 'shard:9005', status: 'success' });
+ * store.search('wor', { serverKey: 'shard:9005' });  // [{ id, command: 'world close', ... }]
+ */
+
+const COMMAND_HISTORY_STORE_NAME = 'commands';
+
+/**
+ * Promise for an IndexedDB request or transaction
+ */
+function promisifyIdbRequest(request) {
+    return new Promise((resolve, reject) => {
+        if ('onsuccess' in request) {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        } else {
+            request.oncomplete = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onabort = () => reject(request.error);
+        }
+    });
+}
+
+class CommandHistoryStore {
+    /**
+     * @param {Object} options
+     * - indexedDB: IDBFactory (default window.indexedDB, null keeps history in memory)
+     * - dbName: database name (default 'rconCommandHistory')
+     * - maxEntries: entries kept across all servers (default 5000)
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbName = options.dbName || 'rconCommandHistory';
+        this.maxEntries = options.maxEntries || 5000;
+
+        this.db = null;
+        this.entries = [];  // Oldest first
+        this.nextId = 1;
+    }
+
+    /**
+     * Open the database and load the saved history
+     * @returns {Promise<number>} Number of entries loaded (0 when IndexedDB is unavailable)
+     */
+    async open() {
+        if (!this.indexedDB || this.db) {
+            return this.entries.length;
+        }
+
+        try {
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(COMMAND_HISTORY_STORE_NAME, { keyPath: 'id' });
+            };
+            const db = await promisifyIdbRequest(request);
+
+            const saved = await promisifyIdbRequest(
+                db.transaction(COMMAND_HISTORY_STORE_NAME, 'readonly').objectStore(COMMAND_HISTORY_STORE_NAME).getAll());
+
+            // Anything added while loading (kept in memory only so far) comes after the saved entries
+            this.db = db;
+            const pending = this.entries;
+            this.entries = saved.sort((a, b) => a.id - b.id);
+            this.nextId = this.entries.length > 0 ? this.entries[this.entries.length - 1].id + 1 : 1;
+            pending.forEach(entry => {
+                entry.id = this.nextId++;
+                this.entries.push(entry);
+            });
+            if (pending.length > 0) {
+                await this.write(pending, this.prune());
+            }
+
+            console.log(`[CommandHistoryStore] Loaded ${this.entries.length} commands`);
+        } catch (error) {
+            console.warn('[CommandHistoryStore] IndexedDB unavailable - history will not survive a reload:', error);
+            this.db = null;
+            this.indexedDB = null;
+        }
+        return this.entries.length;
+    }
+
+    /**
+     * Record a command
+     * @param {Object} fields
+     * - command: the line as typed
+     * - serverKey: server it was sent to (host:port)
+     * - status: 'success' or 'error'
+     * - message: error text (or a short response) to show next to it
+     * - timestamp: when it was sent (default now)
+     * @returns {Promise<Object|null>} The stored entry, null for a blank command
+     */
+    async add(fields) {
+        const command = String(fields.command || '').trim();
+        if (!command) return null;
+
+        const entry = {
+            id: this.nextId++,
+            command,
+            serverKey: fields.serverKey || '',
+            status: fields.status === 'error' ? 'error' : 'success',
+            message: fields.message ? String(fields.message).slice(0, 200) : '',
+            timestamp: fields.timestamp || Date.now()
+        };
+        this.entries.push(entry);
+
+        try {
+            await this.write([entry], this.prune());
+        } catch (error) {
+            console.warn('[CommandHistoryStore] Failed to save command:', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Drop the oldest entries past maxEntries
+     * @returns {Array<Object>} Removed entries
+     */
+    prune() {
+        const overflow = this.entries.length - this.maxEntries;
+        return overflow > 0 ? this.entries.splice(0, overflow) : [];
+    }
+
+    /**
+     * Save and delete entries in one transaction
+     */
+    async write(added, removed = []) {
+        if (!this.db) return;
+
+        const transaction = this.db.transaction(COMMAND_HISTORY_STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(COMMAND_HISTORY_STORE_NAME);
+        added.forEach(entry => store.put(entry));
+        removed.forEach(entry => store.delete(entry.id));
+        await promisifyIdbRequest(transaction);
+    }
+
+    /**
+     * Entries for a server (every server when serverKey is omitted), newest first
+     */
+    list(serverKey) {
+        const entries = serverKey ? this.entries.filter(entry => entry.serverKey === serverKey) : this.entries.slice();
+        return entries.reverse();
+    }
+
+    /**
+     * Command lines for Up/Down navigation, oldest first, without repeats in a row
+     */
+    commands(serverKey) {
+        const lines = [];
+        this.list(serverKey).reverse().forEach(entry => {
+            if (lines[lines.length - 1] !== entry.command) {
+                lines.push(entry.command);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Reverse incremental search - entries whose command contains the query (case-insensitive),
+     * newest first, one per distinct command line
+     * @param {string} query - Text to find ('' matches everything)
+     * @param {Object} options
+     * - serverKey: only this server's commands
+     * - limit: most matches returned (default 100)
+     */
+    search(query, options = {}) {
+        const needle = String(query || '').toLowerCase();
+        const limit = options.limit || 100;
+        const seen = new Set();
+        const matches = [];
+
+        for (let i = this.entries.length - 1; i >= 0 && matches.length < limit; i--) {
+            const entry = this.entries[i];
+            if (options.serverKey && entry.serverKey !== options.serverKey) continue;
+            if (seen.has(entry.command) || !entry.command.toLowerCase().includes(needle)) continue;
+            seen.add(entry.command);
+            matches.push(entry);
+        }
+        return matches;
+    }
+
+    /**
+     * Forget a server's history, or everything when serverKey is omitted
+     */
+    async clear(serverKey) {
+        const removed = serverKey ? this.entries.filter(entry => entry.serverKey === serverKey) : this.entries;
+        this.entries = serverKey ? this.entries.filter(entry => entry.serverKey !== serverKey) : [];
+
+        try {
+            await this.write([], removed);
+        } catch (error) {
+            console.warn('[CommandHistoryStore] Failed to clear history:', error);
+        }
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandHistoryStore;
+}
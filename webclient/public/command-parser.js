@@ -0,0 +1,184 @@
+/**
+ * ACE RCON Command Line Parser
+ * Splits a console line into the command and its args, shell style:
+ * - Whitespace separates arguments
+ * - "double quotes" group words; \" and \\ are escapes inside them
+ * - 'single quotes' group words with no escapes at all
+ * - Outside quotes a backslash makes the next character literal (Some\ Account)
+ * - A bare -- ends quote and escape handling: the rest of the line is split on whitespace only
+ *
+ * Lines without quotes, backslashes or -- split exactly like the old /\s+/ split.
+ * quoteForAce() quotes args that contain spaces again before they are sent, since the server
+ * joins args with spaces into the line ACE parses.
+ *
+ * Usage:
+ * const { command, args } = RconCommandParser.parse('ban "Some Account" 7 0 0 "griefing in town"');
+ * // command = 'ban', args = ['Some Account', '7', '0', '0', 'griefing in town']
+ * RconCommandParser.join(['boot', 'char', 'Some Name']);  // 'boot char "Some Name"'
+ */
+
+/**
+ * Error for a line that can't be tokenized - position is the index of the offending character
+ * (null for an arg that can't be sent)
+ */
+function createCommandParseError(message, position) {
+    const error = new Error(message);
+    error.code = 'PARSE_ERROR';
+    error.position = position;
+    return error;
+}
+
+const RconCommandParser = {
+    /**
+     * Split a line into tokens
+     * @param {string} line - Console input
+     * @returns {Array<string>} Tokens, command first
+     * @throws {Error} code PARSE_ERROR for an unterminated quote or a trailing backslash
+     */
+    tokenize(line) {
+        return this.scan(line).map(token => token.value);
+    },
+
+    /**
+     * Split a line into tokens, keeping where each one was typed
+     * @returns {Array<{value: string, start: number, end: number}>} start/end index the raw text,
+     *          quotes and escapes included (end is exclusive)
+     * @throws {Error} code PARSE_ERROR for an unterminated quote or a trailing backslash
+     */
+    scan(line) {
+        const text = String(line || '');
+        const tokens = [];
+        let current = '';
+        let start = -1;  // Raw start of the current token, -1 between tokens (a quoted "" is an empty token)
+        let literal = false;  // Current token used quotes or escapes, so it can't be the -- terminator
+        let quote = null;
+        let quoteStart = -1;
+
+        const endToken = (end) => {
+            tokens.push({ value: current, start, end });
+            current = '';
+            start = -1;
+            literal = false;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quote === "'") {
+                if (ch === "'") {
+                    quote = null;
+                } else {
+                    current += ch;
+                }
+                continue;
+            }
+
+            if (quote === '"') {
+                if (ch === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+                    current += text[++i];
+                } else if (ch === '"') {
+                    quote = null;
+                } else {
+                    current += ch;
+                }
+                continue;
+            }
+
+            if (ch === '\\') {
+                if (i + 1 >= text.length) {
+                    throw createCommandParseError('Trailing backslash - nothing to escape', i);
+                }
+                if (start === -1) start = i;
+                current += text[++i];
+                literal = true;
+                continue;
+            }
+
+            if (ch === '"' || ch === "'") {
+                if (start === -1) start = i;
+                quote = ch;
+                quoteStart = i;
+                literal = true;
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                if (start !== -1) {
+                    if (current === '--' && !literal) {
+                        // The rest of the line is split on whitespace only
+                        const rest = /\S+/g;
+                        rest.lastIndex = i;
+                        let match;
+                        while ((match = rest.exec(text)) !== null) {
+                            tokens.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+                        }
+                        return tokens;
+                    }
+                    endToken(i);
+                }
+                continue;
+            }
+
+            if (start === -1) start = i;
+            current += ch;
+        }
+
+        if (quote) {
+            throw createCommandParseError(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`, quoteStart);
+        }
+        if (start !== -1 && !(current === '--' && !literal)) {
+            endToken(text.length);
+        }
+        return tokens;
+    },
+
+    /**
+     * Split a line into the command and its args
+     * @returns {{command: string, args: Array<string>}} command is '' for a blank line
+     */
+    parse(line) {
+        const tokens = this.tokenize(line);
+        return { command: tokens.length > 0 ? tokens[0] : '', args: tokens.slice(1) };
+    },
+
+    /**
+     * Quote one token so tokenize() gives it back unchanged
+     */
+    quote(token) {
+        const text = String(token);
+        if (text !== '' && text !== '--' && !/[\s"'\\]/.test(text)) {
+            return text;
+        }
+        return `"${text.replace(/(["\\])/g, '\\$1')}"`;
+    },
+
+    /**
+     * Build a line from tokens (the reverse of tokenize)
+     */
+    join(tokens) {
+        return tokens.map(token => this.quote(token)).join(' ');
+    },
+
+    /**
+     * Args ready to send: the server joins them with spaces for ACE's own parser, which keeps
+     * "double quoted" words together and has no escapes
+     * @returns {Array<string>} args with whitespace wrapped in double quotes
+     * @throws {Error} code PARSE_ERROR for an arg with both whitespace and a double quote
+     */
+    quoteForAce(args) {
+        return args.map((arg) => {
+            if (!/\s/.test(arg)) {
+                return arg;
+            }
+            if (arg.includes('"')) {
+                throw createCommandParseError(`ACE can't keep an arg with spaces and double quotes whole: ${arg}`, null);
+            }
+            return `"${arg}"`;
+        });
+    }
+};
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconCommandParser;
+}
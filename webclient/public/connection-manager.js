@@ -0,0 +1,308 @@
+/**
+ * ACE RCON Connection Manager
+ * Holds named server profiles and one live RconClient session per connected server, so the
+ * web client can stay logged in to several shards and switch between them.
+ *
+ * - Profiles ({ id, name, host, port, authMode }) are saved to localStorage. Passwords never are.
+ * - Each open session keeps its own RconClient (and its own reconnect loop).
+ * - Broadcasts for sessions other than the active one are counted as unread and kept in a
+ *   bounded backlog, which select() hands back so the UI can replay them.
+ *
+ * Usage:
+ * const manager = new ConnectionManager({ defaultProfile: { name: 'This server', host: 'localhost', port: 9005 } });
+ * const profile = manager.addProfile({ name: 'Test shard', host: 'test.example.com', port: 9005, authMode: 'ace' });
+ * const session = manager.open(profile.id);
+ * await session.client.connect();
+ * manager.select(profile.id);
+ *
+ * Events (on/off): profiles-changed, session-opened, session-closed, active-changed, unread
+ */
+
+const RCON_PROFILES_STORAGE_KEY = 'rconServerProfiles';
+
+// auto = detect from the server's config (UseAceAuthentication), ace = account + password,
+// url = Rust-style password in the URL
+const RCON_AUTH_MODES = ['auto', 'ace', 'url'];
+
+class ConnectionManager {
+    /**
+     * @param {Object} options
+     * - defaultProfile: built-in profile (id 'default') for the server hosting the page, never saved
+     * - storage: Web Storage for profiles (default localStorage, null keeps them in memory)
+     * - createClient: (profile) => RconClient, for custom client options
+     * - backlogSize: broadcasts kept per inactive session (default 500)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.createClient = options.createClient || ((profile) => new RconClient(profile.host, profile.port));
+        this.backlogSize = options.backlogSize || 500;
+        this.defaultProfile = options.defaultProfile
+            ? Object.assign(this.normalizeProfile(options.defaultProfile), { id: 'default' })
+            : null;
+
+        this.profiles = [];
+        this.sessions = new Map();  // profile id -> session
+        this.activeId = null;
+        this.listeners = new Map();
+
+        this.loadProfiles();
+    }
+
+    /** ==================== Profiles ==================== */
+
+    /**
+     * Validate a profile and fill in defaults
+     * @returns {Object} { name, host, port, authMode }
+     */
+    normalizeProfile(profile = {}) {
+        const host = typeof profile.host === 'string' ? profile.host.trim() : '';
+        if (!host) {
+            throw new Error('Server host is required');
+        }
+
+        const port = profile.port === undefined || profile.port === null || profile.port === '' ? 9005 : Number(profile.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error('Server port must be a number from 1 to 65535');
+        }
+
+        const authMode = profile.authMode || 'auto';
+        if (!RCON_AUTH_MODES.includes(authMode)) {
+            throw new Error(`Unknown auth mode: ${authMode} (expected ${RCON_AUTH_MODES.join(', ')})`);
+        }
+
+        const name = typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : `${host}:${port}`;
+        return { name, host, port, authMode };
+    }
+
+    /**
+     * Load saved profiles (a corrupt entry starts from an empty list)
+     */
+    loadProfiles() {
+        this.profiles = [];
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(RCON_PROFILES_STORAGE_KEY) || '[]');
+            if (Array.isArray(saved)) {
+                saved.forEach((profile) => {
+                    try {
+                        this.profiles.push(Object.assign(this.normalizeProfile(profile), { id: String(profile.id) }));
+                    } catch (error) {
+                        console.warn('[ConnectionManager] Skipping invalid saved profile:', error.message);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('[ConnectionManager] Failed to parse saved profiles:', error);
+        }
+    }
+
+    saveProfiles() {
+        if (!this.storage) return;
+        this.storage.setItem(RCON_PROFILES_STORAGE_KEY, JSON.stringify(this.profiles));
+    }
+
+    /**
+     * All profiles, the built-in default first
+     */
+    getProfiles() {
+        return this.defaultProfile ? [this.defaultProfile].concat(this.profiles) : this.profiles.slice();
+    }
+
+    getProfile(id) {
+        return this.getProfiles().find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Save a new profile
+     * @returns {Object} The stored profile, with its generated id
+     */
+    addProfile(profile) {
+        const stored = Object.assign(this.normalizeProfile(profile), {
+            id: `server-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`
+        });
+        this.profiles.push(stored);
+        this.saveProfiles();
+        this.emit('profiles-changed', this.getProfiles());
+        return stored;
+    }
+
+    /**
+     * Change a saved profile - an open session keeps its connection until it is reopened
+     */
+    updateProfile(id, changes) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            throw new Error(id === 'default' ? 'The default server profile cannot be changed' : `Unknown server profile: ${id}`);
+        }
+
+        const updated = Object.assign(this.normalizeProfile(Object.assign({}, this.profiles[index], changes)), { id });
+        this.profiles[index] = updated;
+        this.saveProfiles();
+        this.emit('profiles-changed', this.getProfiles());
+        return updated;
+    }
+
+    /**
+     * Delete a saved profile, closing its session
+     */
+    removeProfile(id) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            throw new Error(id === 'default' ? 'The default server profile cannot be removed' : `Unknown server profile: ${id}`);
+        }
+
+        this.close(id);
+        this.profiles.splice(index, 1);
+        this.saveProfiles();
+        this.emit('profiles-changed', this.getProfiles());
+    }
+
+    /** ==================== Sessions ==================== */
+
+    /**
+     * Create the session for a profile (or return the existing one)
+     * The client is not connected - the caller runs the login flow
+     * @returns {Object} Session { id, profile, client, unread, backlog }
+     */
+    open(id) {
+        if (this.sessions.has(id)) {
+            return this.sessions.get(id);
+        }
+
+        const profile = this.getProfile(id);
+        if (!profile) {
+            throw new Error(`Unknown server profile: ${id}`);
+        }
+
+        const session = {
+            id,
+            profile,
+            client: this.createClient(profile),
+            unread: 0,
+            backlog: []
+        };
+
+        // Broadcasts for background servers are held for replay when they are selected
+        session.onResponse = (response) => {
+            if (id === this.activeId || !response || response.Identifier !== 0) return;
+
+            session.backlog.push(response);
+            if (session.backlog.length > this.backlogSize) {
+                session.backlog.shift();
+            }
+            session.unread++;
+            this.emit('unread', { id, count: session.unread });
+        };
+        session.client.on('response', session.onResponse);
+
+        this.sessions.set(id, session);
+        this.emit('session-opened', session);
+        return session;
+    }
+
+    /**
+     * Disconnect and forget a session
+     * If it was active, the next open session (if any) becomes active
+     */
+    close(id) {
+        const session = this.sessions.get(id);
+        if (!session) return;
+
+        session.client.off('response', session.onResponse);
+        session.client.disconnect();
+        this.sessions.delete(id);
+        this.emit('session-closed', session);
+
+        if (this.activeId === id) {
+            const next = this.sessions.keys().next();
+            this.activeId = null;
+            if (!next.done) {
+                this.select(next.value);
+            } else {
+                this.emit('active-changed', { id: null, session: null, backlog: [] });
+            }
+        }
+    }
+
+    closeAll() {
+        Array.from(this.sessions.keys()).forEach(id => this.close(id));
+    }
+
+    /**
+     * Make a session the active one and clear its unread count
+     * @returns {Array} Broadcasts received while it was in the background, oldest first
+     */
+    select(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            throw new Error(`No open session for server profile: ${id}`);
+        }
+
+        const backlog = session.backlog;
+        session.backlog = [];
+        session.unread = 0;
+        this.activeId = id;
+        this.emit('active-changed', { id, session, backlog });
+        return backlog;
+    }
+
+    getSession(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    getActive() {
+        return this.activeId !== null ? this.getSession(this.activeId) : null;
+    }
+
+    /**
+     * Summary of every open session, for the server switcher
+     * @returns {Array<{id, name, active, unread, isConnected, isAuthenticated}>}
+     */
+    getSessions() {
+        return Array.from(this.sessions.values()).map(session => ({
+            id: session.id,
+            name: session.profile.name,
+            active: session.id === this.activeId,
+            unread: session.unread,
+            isConnected: session.client.isConnected,
+            isAuthenticated: session.client.isAuthenticated
+        }));
+    }
+
+    /** ==================== Events ==================== */
+
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.listeners.has(event)) return;
+        const listeners = this.listeners.get(event);
+        const index = listeners.indexOf(callback);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(event, data) {
+        if (!this.listeners.has(event)) return;
+        this.listeners.get(event).forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`[ConnectionManager] Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConnectionManager;
+}
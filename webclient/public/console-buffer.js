@@ -0,0 +1,511 @@
+/**
+ * ACE RCON Console Buffer
+ * Keeps the console responsive during log floods:
+ * - ConsoleBuffer holds at most `limit` lines in a ring buffer - the oldest are dropped and counted
+ * - ConsoleView draws only the rows in view (plus a few around them), at most once per animation
+ *   frame however many lines arrive, with a "N lines dropped" marker on top
+ *
+ * Rows have a fixed height; a line with \n in it (formatted JSON) takes one row per text line and
+ * long lines scroll sideways instead of wrapping.
+ *
+ * A filter (view.setFilter(line => ...)) hides lines without removing them from the buffer, so
+ * changing it re-shows or hides lines already received.
+ *
+ * Usage:
+ * const view = new ConsoleView(document.getElementById('output'), { buffer: new ConsoleBuffer({ limit: 5000 }) });
+ * view.append('> status', 'command-message');
+ * view.setBuffer(otherServerBuffer);  // Swap consoles without touching the DOM of each line
+ * view.setFilter(line => line.className !== 'log_debug-output');  // null shows every line again
+ * view.setHighlight(line => [{ start: 0, end: 5, current: false }]);  // Marks text, e.g. search matches
+ */
+
+const CONSOLE_DEFAULT_LIMIT = 5000;
+
+class ConsoleBuffer {
+    /**
+     * @param {Object} options - limit: lines kept (default 5000)
+     */
+    constructor(options = {}) {
+        this.limit = ConsoleBuffer.normalizeLimit(options.limit);
+        this.nextId = 1;        // Not reset by clear(), so a line id is never reused
+        this.clear();
+    }
+
+    /**
+     * Line limit as a whole number of at least 1 (default 5000)
+     */
+    static normalizeLimit(limit) {
+        const value = Math.floor(Number(limit));
+        return Number.isFinite(value) && value >= 1 ? value : CONSOLE_DEFAULT_LIMIT;
+    }
+
+    /**
+     * Number of rows a line takes
+     */
+    static countRows(text) {
+        return String(text).split('\n').length;
+    }
+
+    /**
+     * Drop every line, and the dropped count
+     */
+    clear() {
+        this.items = new Array(this.limit);
+        this.start = 0;         // Index in items of the oldest line
+        this.size = 0;
+        this.dropped = 0;       // Lines dropped since the last clear()
+        this.rowsAdded = 0;     // Rows ever added - each line's `top` counts from here
+    }
+
+    /**
+     * Add a line, dropping the oldest one when full
+     * @param {Object} record - Parsed log record the line was drawn from (see log-parser.js), if any
+     * @returns {Object} The stored line { id, text, className, record, rows, top }
+     */
+    push(text, className = '', record = null) {
+        const line = {
+            id: this.nextId++,
+            text: String(text),
+            className,
+            record,
+            rows: ConsoleBuffer.countRows(text),
+            top: this.rowsAdded
+        };
+        this.rowsAdded += line.rows;
+
+        if (this.size === this.limit) {
+            this.items[this.start] = line;
+            this.start = (this.start + 1) % this.limit;
+            this.dropped++;
+        } else {
+            this.items[(this.start + this.size) % this.limit] = line;
+            this.size++;
+        }
+        return line;
+    }
+
+    /**
+     * Line by position, 0 = oldest kept
+     */
+    get(index) {
+        if (index < 0 || index >= this.size) return null;
+        return this.items[(this.start + index) % this.limit];
+    }
+
+    /**
+     * Rows taken by the lines kept
+     */
+    get rowCount() {
+        return this.size === 0 ? 0 : this.rowsAdded - this.get(0).top;
+    }
+
+    /**
+     * First row of a line, counted from the oldest line kept
+     */
+    rowOf(line) {
+        return line.top - this.get(0).top;
+    }
+
+    /**
+     * First row of the line at a position
+     */
+    rowAt(index) {
+        return this.get(index).top - this.get(0).top;
+    }
+
+    /**
+     * Position of a line, -1 when it was dropped (ids go up by one per line)
+     */
+    indexOf(line) {
+        if (this.size === 0) return -1;
+        const index = line.id - this.get(0).id;
+        return index >= 0 && index < this.size && this.get(index) === line ? index : -1;
+    }
+
+    /**
+     * Position of the line shown on a row (clamped to the lines kept)
+     */
+    indexAtRow(row) {
+        if (this.size === 0) return 0;
+
+        const base = this.get(0).top;
+        let low = 0;
+        let high = this.size - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.get(middle).top - base <= row) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Change the limit, dropping the oldest lines that no longer fit
+     */
+    setLimit(limit) {
+        const lines = this.toArray();
+        const dropped = this.dropped;
+        this.limit = ConsoleBuffer.normalizeLimit(limit);
+
+        const kept = lines.slice(Math.max(0, lines.length - this.limit));
+        this.items = new Array(this.limit);
+        kept.forEach((line, index) => {
+            this.items[index] = line;
+        });
+        this.start = 0;
+        this.size = kept.length;
+        this.dropped = dropped + lines.length - kept.length;
+    }
+
+    /**
+     * Lines kept, oldest first
+     */
+    toArray() {
+        const lines = [];
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.get(i));
+        }
+        return lines;
+    }
+}
+
+/**
+ * The lines of a ConsoleBuffer a filter lets through, with the same row lookups as the buffer
+ * Kept up to date by sync(): lines the buffer dropped are dropped here too, new ones are tested once.
+ */
+class ConsoleFilteredLines {
+    /**
+     * @param {ConsoleBuffer} buffer
+     * @param {Function} filter - (line) => whether to show it
+     */
+    constructor(buffer, filter) {
+        this.buffer = buffer;
+        this.filter = filter;
+        this.rebuild();
+    }
+
+    rebuild() {
+        this.entries = [];      // { line, top } - top counts the rows of shown lines only
+        this.start = 0;         // Index in entries of the oldest line still in the buffer
+        this.rowsAdded = 0;
+        this.lastId = 0;        // Newest line tested
+        this.buffer.toArray().forEach(line => this.add(line));
+    }
+
+    add(line) {
+        this.lastId = line.id;
+        if (!this.filter(line)) return;
+        this.entries.push({ line, top: this.rowsAdded });
+        this.rowsAdded += line.rows;
+    }
+
+    /**
+     * Catch up with lines pushed to or dropped from the buffer since the last call
+     */
+    sync() {
+        const buffer = this.buffer;
+        const newestId = buffer.size > 0 ? buffer.get(buffer.size - 1).id : 0;
+        if (newestId < this.lastId) {
+            this.rebuild();     // The buffer was cleared
+            return;
+        }
+
+        const oldestId = buffer.size > 0 ? buffer.get(0).id : Infinity;
+        while (this.start < this.entries.length && this.entries[this.start].line.id < oldestId) {
+            this.start++;
+        }
+        if (this.start > 1000 && this.start * 2 > this.entries.length) {
+            this.entries = this.entries.slice(this.start);
+            this.start = 0;
+        }
+
+        let first = buffer.size;
+        while (first > 0 && buffer.get(first - 1).id > this.lastId) {
+            first--;
+        }
+        for (let i = first; i < buffer.size; i++) {
+            this.add(buffer.get(i));
+        }
+    }
+
+    get size() {
+        return this.entries.length - this.start;
+    }
+
+    get(index) {
+        if (index < 0 || index >= this.size) return null;
+        return this.entries[this.start + index].line;
+    }
+
+    get rowCount() {
+        return this.size === 0 ? 0 : this.rowsAdded - this.entries[this.start].top;
+    }
+
+    rowAt(index) {
+        return this.entries[this.start + index].top - this.entries[this.start].top;
+    }
+
+    indexOf(line) {
+        let low = 0;
+        let high = this.size - 1;
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2);
+            const id = this.get(middle).id;
+            if (id === line.id) return this.get(middle) === line ? middle : -1;
+            if (id < line.id) {
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return -1;
+    }
+
+    indexAtRow(row) {
+        if (this.size === 0) return 0;
+
+        let low = 0;
+        let high = this.size - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.rowAt(middle) <= row) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
+    }
+
+    toArray() {
+        return this.entries.slice(this.start).map(entry => entry.line);
+    }
+}
+
+class ConsoleView {
+    /**
+     * @param {HTMLElement} container - Scrolling element the rows are drawn in (its content is replaced)
+     * @param {Object} options
+     * - buffer: ConsoleBuffer to show (default a new one)
+     * - rowHeight: px per row (default measured from the container's line height)
+     * - overscan: rows drawn above and below the visible ones (default 10)
+     * - onRender: () => void, called after each draw, scrolling included (e.g. to catch search matches up)
+     * - document, requestFrame: for tests (default the page's document and requestAnimationFrame)
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.buffer = options.buffer || new ConsoleBuffer();
+        this.overscan = options.overscan !== undefined ? options.overscan : 10;
+        this.document = options.document || document;
+        this.requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+        this.frame = null;
+        this.stickToBottom = true;  // Follow new lines until the user scrolls up
+        this.filter = null;         // Line filter, see setFilter()
+        this.filtered = null;       // ConsoleFilteredLines while a filter is set
+        this.highlight = null;      // (line) => ranges to mark, see setHighlight()
+        this.onRender = options.onRender || null;
+
+        // The spacer has the height of every row, so the scrollbar behaves as if they were all there
+        this.spacer = this.document.createElement('div');
+        this.spacer.className = 'console-spacer';
+        this.rows = this.document.createElement('div');
+        this.rows.className = 'console-rows';
+        this.spacer.appendChild(this.rows);
+        this.container.replaceChildren(this.spacer);
+
+        this.rowHeight = options.rowHeight || this.measureRowHeight();
+
+        this.container.addEventListener('scroll', () => {
+            this.stickToBottom = this.isAtBottom();
+            this.schedule();
+        });
+
+        // Redraw when the window is resized or the console tab is shown again (hidden, it has no height)
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.schedule()).observe(this.container);
+        }
+    }
+
+    /**
+     * Height of one row from the container's CSS line height (19.5px for 13px at 1.5)
+     */
+    measureRowHeight() {
+        if (typeof getComputedStyle !== 'function') return 20;
+
+        const style = getComputedStyle(this.container);
+        const lineHeight = parseFloat(style.lineHeight);
+        return Number.isFinite(lineHeight) && lineHeight > 0 ? lineHeight : (parseFloat(style.fontSize) || 13) * 1.5;
+    }
+
+    isAtBottom() {
+        return this.container.scrollHeight - this.container.scrollTop - this.container.clientHeight <= this.rowHeight;
+    }
+
+    /**
+     * Add a line - drawn on the next frame together with the other lines added before it
+     */
+    append(text, className = '', record = null) {
+        const line = this.buffer.push(text, className, record);
+        this.schedule();
+        return line;
+    }
+
+    /**
+     * Show another buffer (e.g. another server's console), scrolled to its newest line
+     */
+    setBuffer(buffer) {
+        this.buffer = buffer;
+        this.filtered = this.filter ? new ConsoleFilteredLines(buffer, this.filter) : null;
+        this.stickToBottom = true;
+        this.render();
+    }
+
+    /**
+     * Show only the lines a filter lets through, the ones already received included
+     * @param {Function|null} filter - (line) => boolean, or null to show every line
+     */
+    setFilter(filter) {
+        this.filter = filter || null;
+        this.filtered = this.filter ? new ConsoleFilteredLines(this.buffer, this.filter) : null;
+        this.stickToBottom = true;
+        this.render();
+    }
+
+    /**
+     * Lines shown, caught up with the buffer - the buffer itself, or the lines the filter lets through.
+     * The same object until setBuffer() or setFilter(), so a caller can keep up with it incrementally.
+     * @returns {ConsoleBuffer|ConsoleFilteredLines} size, get(index), indexOf(line), rowAt(index)
+     */
+    getShownLines() {
+        if (this.filtered) this.filtered.sync();
+        return this.filtered || this.buffer;
+    }
+
+    /**
+     * Lines shown, oldest first
+     */
+    getLines() {
+        return this.getShownLines().toArray();
+    }
+
+    /**
+     * Mark parts of the lines drawn
+     * @param {Function|null} highlight - (line) => [{ start, end, current }], or null for no marks
+     */
+    setHighlight(highlight) {
+        this.highlight = highlight || null;
+        this.render();
+    }
+
+    /**
+     * Scroll a line into the middle of the view (it stops following new lines)
+     * @returns {boolean} Whether the line is shown
+     */
+    scrollToLine(line) {
+        const lines = this.getShownLines();
+        const index = lines.indexOf(line);
+        if (index < 0) return false;
+
+        this.stickToBottom = false;
+        this.render();  // Sizes the spacer first, or the scroll position could be cut short
+        const row = (this.buffer.dropped > 0 ? 1 : 0) + lines.rowAt(index);
+        this.container.scrollTop = Math.max(0, row * this.rowHeight - (this.container.clientHeight - line.rows * this.rowHeight) / 2);
+        this.render();
+        return true;
+    }
+
+    clear() {
+        this.buffer.clear();
+        this.stickToBottom = true;
+        this.render();
+    }
+
+    /**
+     * Draw on the next animation frame (once, however often this is called before it)
+     */
+    schedule() {
+        if (this.frame !== null) return;
+        this.frame = this.requestFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Size the spacer to every row, then draw only the rows in view
+     */
+    render() {
+        const buffer = this.buffer;
+        const lines = this.getShownLines();
+
+        const markerRows = buffer.dropped > 0 ? 1 : 0;
+        this.spacer.style.height = `${(markerRows + lines.rowCount) * this.rowHeight}px`;
+
+        if (this.stickToBottom) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+
+        const scrolled = Math.max(0, this.container.scrollTop - (this.spacer.offsetTop || 0));
+        const firstRow = Math.max(0, Math.floor(scrolled / this.rowHeight) - this.overscan);
+        const lastRow = Math.ceil((scrolled + this.container.clientHeight) / this.rowHeight) + this.overscan;
+
+        const fragment = this.document.createDocumentFragment();
+        if (markerRows && firstRow === 0) {
+            fragment.appendChild(this.createRow(`--- ${buffer.dropped} line${buffer.dropped === 1 ? '' : 's'} dropped (limit ${buffer.limit}) ---`, 'console-dropped', 0, 1));
+        }
+
+        if (lines.size > 0 && lastRow >= markerRows) {
+            const first = lines.indexAtRow(Math.max(0, firstRow - markerRows));
+            const last = lines.indexAtRow(lastRow - markerRows);
+            for (let i = first; i <= last; i++) {
+                const line = lines.get(i);
+                const row = this.createRow(line.text, line.className, markerRows + lines.rowAt(i), line.rows);
+                if (this.highlight) this.markRanges(row, line.text, this.highlight(line));
+                fragment.appendChild(row);
+            }
+        }
+
+        this.rows.replaceChildren(fragment);
+        if (this.onRender) this.onRender();
+    }
+
+    createRow(text, className, row, rows) {
+        const element = this.document.createElement('div');
+        element.className = className ? `console-row ${className}` : 'console-row';
+        element.style.top = `${row * this.rowHeight}px`;
+        element.style.height = `${rows * this.rowHeight}px`;
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Redraw a row's text with <mark> around each range (class console-match, plus current)
+     */
+    markRanges(element, text, ranges) {
+        if (!ranges || ranges.length === 0) return;
+
+        element.textContent = '';
+        let position = 0;
+        ranges.forEach(range => {
+            if (range.start > position) {
+                element.appendChild(this.document.createTextNode(text.substring(position, range.start)));
+            }
+            const mark = this.document.createElement('mark');
+            mark.className = range.current ? 'console-match current' : 'console-match';
+            mark.textContent = text.substring(range.start, range.end);
+            element.appendChild(mark);
+            position = range.end;
+        });
+        if (position < text.length) {
+            element.appendChild(this.document.createTextNode(text.substring(position)));
+        }
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsoleBuffer, ConsoleView, ConsoleFilteredLines };
+}
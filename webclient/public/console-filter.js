@@ -0,0 +1,365 @@
+/**
+ * ACE RCON Console Filter
+ * User-defined rules deciding which server log lines the console shows. A rule matches a parsed log
+ * record (see log-parser.js) by:
+ * - logger: namespace prefix - 'ACE.Server.Managers' matches 'ACE.Server.Managers.PlayerManager'
+ * - level: debug, info, warn or error
+ * - tag: a [TAG] after the logger, e.g. AUDIT (case-insensitive)
+ * - regex: pattern tested against the whole line as broadcast
+ *
+ * Include rules pick the lines to show, exclude rules hide lines. Mode 'or' shows a line that matches
+ * any include rule (or there are none) and no exclude rule. Mode 'and' needs every include rule, and
+ * hides only lines that match every exclude rule - e.g. exclude logger ACE.Server.Managers AND level
+ * debug hides just the managers' debug lines. Disabled rules are ignored.
+ *
+ * The rules in use and named presets are saved to localStorage, per ACE account once setAccount() names
+ * one (logins with the shared RCON password share one set). An account's first login starts from that
+ * shared set; on first use ever the old Console Filters checkboxes are turned into exclude rules.
+ *
+ * Usage:
+ * const filter = new ConsoleFilter();
+ * filter.setAccount('admin');                   // After login - loads admin's rules and presets
+ * filter.addRule({ type: 'logger', value: 'ACE.Server.Network', action: 'exclude' });
+ * filter.accepts(RconLogParser.parse(frame));  // false for ACE.Server.Network.* lines
+ * filter.savePreset('Quiet');
+ */
+
+const RCON_CONSOLE_FILTER_LOG_PARSER = typeof RconLogParser !== 'undefined' ? RconLogParser : require('./log-parser.js');
+
+const RCON_CONSOLE_FILTER_STORAGE_KEY = 'consoleFilterRules';
+const RCON_CONSOLE_FILTER_RULE_TYPES = ['logger', 'level', 'tag', 'regex'];
+const RCON_CONSOLE_FILTER_ACTIONS = ['include', 'exclude'];
+const RCON_CONSOLE_FILTER_MODES = ['or', 'and'];
+const RCON_CONSOLE_FILTER_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Namespaces hidden by the checkboxes Console Filters had before rules (saved as 'consoleFilters')
+const RCON_CONSOLE_LEGACY_FILTERS = {
+    aceprogram: 'ACE.Server.Program',
+    database: 'ACE.Database',
+    datmanager: 'ACE.DatLoader.DatManager',
+    entity: 'ACE.Server.Entity',
+    eventmanager: 'ACE.Server.Managers.EventManager',
+    guidmanager: 'ACE.Server.Managers.GuidManager',
+    landblockmanager: 'ACE.Server.Managers.LandblockManager',
+    managers: 'ACE.Server.Managers',
+    modmanager: 'ACE.Server.Mods',
+    network: 'ACE.Server.Network',
+    playermanager: 'ACE.Server.Managers.PlayerManager',
+    propertymanager: 'ACE.Server.Managers.PropertyManager'
+};
+
+class ConsoleFilter {
+    /**
+     * @param {Object} options
+     * - storage: Web Storage for rules and presets (default localStorage, null keeps them in memory)
+     * - account: ACE account whose rules to load (default none - the shared set)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.account = options.account ? String(options.account).toLowerCase() : null;
+
+        this.mode = 'or';
+        this.rules = [];
+        this.presets = [];
+        this.load();
+    }
+
+    /** ==================== Rules ==================== */
+
+    /**
+     * Validate a rule and fill in defaults
+     * @returns {Object} { id, type, value, action, enabled }
+     */
+    static normalizeRule(rule = {}) {
+        const type = rule.type;
+        if (!RCON_CONSOLE_FILTER_RULE_TYPES.includes(type)) {
+            throw new Error(`Unknown rule type "${type}" (expected ${RCON_CONSOLE_FILTER_RULE_TYPES.join(', ')})`);
+        }
+
+        const action = rule.action === undefined ? 'exclude' : rule.action;
+        if (!RCON_CONSOLE_FILTER_ACTIONS.includes(action)) {
+            throw new Error(`Unknown rule action "${action}" (expected include or exclude)`);
+        }
+
+        let value = typeof rule.value === 'string' ? rule.value.trim() : '';
+        if (type === 'logger') value = value.replace(/\.+$/, '');
+        if (type === 'level') value = value.toLowerCase();
+        if (type === 'tag') value = value.replace(/^\[|\]$/g, '');
+        if (!value) {
+            throw new Error(`A ${type} rule needs a value`);
+        }
+
+        if (type === 'level' && !RCON_CONSOLE_FILTER_LEVELS.includes(value)) {
+            throw new Error(`Unknown level "${value}" (expected ${RCON_CONSOLE_FILTER_LEVELS.join(', ')})`);
+        }
+        if (type === 'regex') {
+            try {
+                new RegExp(value);
+            } catch (error) {
+                throw new Error(`Invalid regex: ${error.message}`);
+            }
+        }
+
+        return {
+            id: rule.id ? String(rule.id) : `rule-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`,
+            type,
+            value,
+            action,
+            enabled: rule.enabled !== false
+        };
+    }
+
+    static normalizeMode(mode) {
+        if (!RCON_CONSOLE_FILTER_MODES.includes(mode)) {
+            throw new Error(`Unknown mode "${mode}" (expected and, or)`);
+        }
+        return mode;
+    }
+
+    /**
+     * Whether a rule matches a log record (the action is not applied here)
+     */
+    static matchRule(rule, record, pattern) {
+        switch (rule.type) {
+            case 'logger':
+                return RCON_CONSOLE_FILTER_LOG_PARSER.matchesLogger(record.logger, rule.value);
+            case 'level':
+                return record.level === rule.value;
+            case 'tag':
+                return RCON_CONSOLE_FILTER_LOG_PARSER.hasTag(record, rule.value);
+            case 'regex':
+                return (pattern || new RegExp(rule.value)).test(record.text);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Predicate for a mode and rules
+     * @returns {Function} (record) => whether the line is shown
+     */
+    static compile(mode, rules) {
+        const enabled = rules
+            .filter(rule => rule.enabled)
+            .map(rule => ({ rule, pattern: rule.type === 'regex' ? new RegExp(rule.value) : null }));
+        const includes = enabled.filter(entry => entry.rule.action === 'include');
+        const excludes = enabled.filter(entry => entry.rule.action === 'exclude');
+        const matches = record => entry => ConsoleFilter.matchRule(entry.rule, record, entry.pattern);
+
+        if (mode === 'and') {
+            return record => includes.every(matches(record))
+                && !(excludes.length > 0 && excludes.every(matches(record)));
+        }
+        return record => (includes.length === 0 || includes.some(matches(record)))
+            && !excludes.some(matches(record));
+    }
+
+    /**
+     * Exclude rules for the old checkboxes that were ticked
+     */
+    static fromLegacy(filters) {
+        return Object.keys(RCON_CONSOLE_LEGACY_FILTERS)
+            .filter(key => filters && filters[key] === true)
+            .map(key => ConsoleFilter.normalizeRule({ type: 'logger', value: RCON_CONSOLE_LEGACY_FILTERS[key], action: 'exclude' }));
+    }
+
+    /**
+     * Whether any rule is enabled - with none, every line is shown
+     */
+    get active() {
+        return this.rules.some(rule => rule.enabled);
+    }
+
+    /**
+     * Whether a log record is shown by the rules in use
+     */
+    accepts(record) {
+        return this.predicate(record);
+    }
+
+    getRules() {
+        return this.rules.slice();
+    }
+
+    setMode(mode) {
+        this.mode = ConsoleFilter.normalizeMode(mode);
+        this.changed();
+    }
+
+    /**
+     * Add a rule
+     * @returns {Object} The stored rule, with its generated id
+     */
+    addRule(rule) {
+        const stored = ConsoleFilter.normalizeRule(Object.assign({}, rule, { id: undefined }));
+        this.rules.push(stored);
+        this.changed();
+        return stored;
+    }
+
+    /**
+     * Change a rule's fields, e.g. { enabled: false } to switch it off
+     */
+    updateRule(id, changes) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown rule: ${id}`);
+        }
+
+        this.rules[index] = ConsoleFilter.normalizeRule(Object.assign({}, this.rules[index], changes, { id }));
+        this.changed();
+        return this.rules[index];
+    }
+
+    removeRule(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown rule: ${id}`);
+        }
+        this.rules.splice(index, 1);
+        this.changed();
+    }
+
+    /** ==================== Presets ==================== */
+
+    getPresets() {
+        return this.presets.slice();
+    }
+
+    /**
+     * Save the mode and rules in use under a name (replacing a preset of the same name)
+     */
+    savePreset(name) {
+        const presetName = typeof name === 'string' ? name.trim() : '';
+        if (!presetName) {
+            throw new Error('Preset name is required');
+        }
+
+        const preset = { name: presetName, mode: this.mode, rules: this.rules.map(rule => Object.assign({}, rule)) };
+        const index = this.presets.findIndex(entry => entry.name === presetName);
+        if (index < 0) {
+            this.presets.push(preset);
+        } else {
+            this.presets[index] = preset;
+        }
+        this.save();
+        return preset;
+    }
+
+    /**
+     * Replace the rules in use with a preset's
+     */
+    loadPreset(name) {
+        const preset = this.presets.find(entry => entry.name === name);
+        if (!preset) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+
+        this.mode = preset.mode;
+        this.rules = preset.rules.map(rule => Object.assign({}, rule));
+        this.changed();
+    }
+
+    removePreset(name) {
+        const index = this.presets.findIndex(entry => entry.name === name);
+        if (index < 0) {
+            throw new Error(`Unknown preset: ${name}`);
+        }
+        this.presets.splice(index, 1);
+        this.save();
+    }
+
+    /** ==================== Storage ==================== */
+
+    /**
+     * Switch to an account's rules and presets (null for the shared set)
+     * @returns {boolean} Whether the account changed (and its rules were loaded)
+     */
+    setAccount(account) {
+        const normalized = account ? String(account).toLowerCase() : null;
+        if (normalized === this.account) return false;
+
+        this.account = normalized;
+        this.load();
+        return true;
+    }
+
+    get storageKey() {
+        return this.account ? `${RCON_CONSOLE_FILTER_STORAGE_KEY}:${this.account}` : RCON_CONSOLE_FILTER_STORAGE_KEY;
+    }
+
+    /**
+     * Load the saved rules and presets (invalid entries are skipped)
+     */
+    load() {
+        this.mode = 'or';
+        this.rules = [];
+        this.presets = [];
+
+        let saved = this.storage ? this.readJson(this.storageKey) : null;
+        if (!saved && this.account && this.storage) {
+            saved = this.readJson(RCON_CONSOLE_FILTER_STORAGE_KEY);  // First login - start from the shared set
+        }
+        if (saved && typeof saved === 'object') {
+            this.mode = RCON_CONSOLE_FILTER_MODES.includes(saved.mode) ? saved.mode : 'or';
+            this.rules = this.normalizeSaved(saved.rules);
+            this.presets = (Array.isArray(saved.presets) ? saved.presets : [])
+                .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+                .map(preset => ({
+                    name: preset.name.trim(),
+                    mode: RCON_CONSOLE_FILTER_MODES.includes(preset.mode) ? preset.mode : 'or',
+                    rules: this.normalizeSaved(preset.rules)
+                }));
+        } else if (this.storage) {
+            this.rules = ConsoleFilter.fromLegacy(this.readJson('consoleFilters'));
+            if (this.rules.length > 0) this.save();
+        }
+
+        this.predicate = ConsoleFilter.compile(this.mode, this.rules);
+    }
+
+    normalizeSaved(rules) {
+        const normalized = [];
+        (Array.isArray(rules) ? rules : []).forEach((rule) => {
+            try {
+                normalized.push(ConsoleFilter.normalizeRule(rule));
+            } catch (error) {
+                console.warn('[ConsoleFilter] Skipping invalid saved rule:', error.message);
+            }
+        });
+        return normalized;
+    }
+
+    readJson(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key) || 'null');
+        } catch (error) {
+            console.error(`[ConsoleFilter] Failed to parse ${key}:`, error);
+            return null;
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        this.storage.setItem(this.storageKey, JSON.stringify({
+            mode: this.mode,
+            rules: this.rules,
+            presets: this.presets
+        }));
+    }
+
+    /**
+     * Recompile the predicate after the rules in use changed, and save them
+     */
+    changed() {
+        this.predicate = ConsoleFilter.compile(this.mode, this.rules);
+        this.save();
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsoleFilter;
+}
@@ -0,0 +1,181 @@
+/**
+ * ACE RCON Console Search
+ * Finds text in the console lines: plain text or a regex, case-sensitive or not. Keeps the list of
+ * matches for the count and next/previous, and gives ConsoleView the ranges to highlight.
+ *
+ * The matches are kept up to date like ConsoleFilteredLines keeps its lines: each sync() searches
+ * only the lines added since the last one and forgets matches on lines that were dropped. All the
+ * lines are searched again only for a new query or another list of lines (filter or console changed).
+ *
+ * Usage:
+ * const search = new ConsoleSearch();
+ * search.setQuery('landblock 0x[0-9a-f]+', { regex: true });
+ * search.sync(view.getShownLines());          // After each draw - cheap when nothing was added
+ * const match = search.next();                // { line, start, end } - scroll to match.line
+ * view.setHighlight(line => search.rangesFor(line));
+ * view.setFilter(line => search.test(line));  // Show only matching lines
+ */
+
+class ConsoleSearch {
+    constructor() {
+        this.query = '';
+        this.caseSensitive = false;
+        this.regex = false;
+        this.pattern = null;    // Global RegExp for the query, null when there is none
+        this.matches = [];      // { line, start, end } in line order
+        this.current = -1;      // Index in matches of the match navigated to, -1 before next()/previous()
+        this.lines = null;      // Lines searched (see sync()), null to search from scratch
+        this.lastId = 0;        // Newest line searched
+    }
+
+    /**
+     * RegExp for a query (null for an empty one)
+     * @throws {Error} For an invalid regex
+     */
+    static compile(query, options = {}) {
+        if (!query) return null;
+
+        const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            throw new Error(`Invalid regex: ${error.message}`);
+        }
+    }
+
+    /**
+     * Match ranges in a text - empty matches (a regex like x* finds them anywhere) are skipped
+     */
+    static findRanges(text, pattern) {
+        const ranges = [];
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+        return ranges;
+    }
+
+    /**
+     * Search for something else - the matches are found by the next sync()
+     * @param {string} query
+     * @param {Object} options - caseSensitive, regex (both default false)
+     * @throws {Error} For an invalid regex (the search is cleared)
+     */
+    setQuery(query, options = {}) {
+        this.query = query || '';
+        this.caseSensitive = !!options.caseSensitive;
+        this.regex = !!options.regex;
+        this.matches = [];
+        this.current = -1;
+        this.lines = null;
+        this.pattern = null;    // Cleared first, so an invalid regex leaves no search behind
+        this.pattern = ConsoleSearch.compile(this.query, this);
+    }
+
+    /**
+     * Whether a line has a match (every line does while there is no query)
+     */
+    test(line) {
+        if (!this.pattern) return true;
+        return ConsoleSearch.findRanges(line.text, this.pattern).length > 0;
+    }
+
+    /**
+     * Catch up with the lines shown, staying on the current match if it is still there
+     * @param {ConsoleBuffer|ConsoleFilteredLines} lines - Lines oldest first, by size and get(index)
+     */
+    sync(lines) {
+        if (lines !== this.lines) {
+            // Another filter or console - search every line, keeping the current match if shown
+            const previous = this.currentMatch;
+            this.lines = lines;
+            this.matches = [];
+            this.lastId = 0;
+            this.searchNew(lines);
+            this.current = previous
+                ? this.matches.findIndex(match => match.line === previous.line && match.start === previous.start)
+                : -1;
+            return;
+        }
+
+        // Line ids only go up, so matches on dropped lines are the ones at the front
+        const oldestId = lines.size > 0 ? lines.get(0).id : Infinity;
+        let dropped = 0;
+        while (dropped < this.matches.length && this.matches[dropped].line.id < oldestId) {
+            dropped++;
+        }
+        if (dropped > 0) {
+            this.matches.splice(0, dropped);
+            this.current = this.current >= dropped ? this.current - dropped : -1;
+        }
+
+        this.searchNew(lines);
+    }
+
+    /**
+     * Search the lines newer than the last one searched
+     */
+    searchNew(lines) {
+        let first = lines.size;
+        while (first > 0 && lines.get(first - 1).id > this.lastId) {
+            first--;
+        }
+
+        for (let i = first; i < lines.size; i++) {
+            const line = lines.get(i);
+            this.lastId = line.id;
+            if (!this.pattern) continue;
+            ConsoleSearch.findRanges(line.text, this.pattern).forEach(range => {
+                this.matches.push({ line, start: range.start, end: range.end });
+            });
+        }
+    }
+
+    get count() {
+        return this.matches.length;
+    }
+
+    get currentMatch() {
+        return this.current >= 0 ? this.matches[this.current] || null : null;
+    }
+
+    /**
+     * Go to the next match, after the last one back to the first
+     */
+    next() {
+        if (this.matches.length === 0) return null;
+        this.current = (this.current + 1) % this.matches.length;
+        return this.matches[this.current];
+    }
+
+    /**
+     * Go to the previous match - before any next(), the newest one
+     */
+    previous() {
+        if (this.matches.length === 0) return null;
+        this.current = this.current <= 0 ? this.matches.length - 1 : this.current - 1;
+        return this.matches[this.current];
+    }
+
+    /**
+     * Ranges to highlight in a line, the current match flagged
+     * @returns {Array<{start, end, current}>}
+     */
+    rangesFor(line) {
+        if (!this.pattern) return [];
+        const current = this.currentMatch;
+        return ConsoleSearch.findRanges(line.text, this.pattern).map(range => Object.assign(range, {
+            current: !!current && current.line === line && current.start === range.start
+        }));
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsoleSearch;
+}
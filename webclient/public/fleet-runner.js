@@ -0,0 +1,175 @@
+/**
+ * ACE RCON Fleet Runner
+ * Sends one command to several servers at once and collects a result per server.
+ *
+ * Targets are { id, name, client } for servers that are already logged in (the client is left
+ * connected), or { id, name, ... } plus a connect(target) option that opens and authenticates
+ * a client for the run (disconnected again when the run ends).
+ *
+ * Usage:
+ * const runner = new FleetRunner();
+ * const run = await runner.run(targets, 'world', ['close'], { stopOnFailure: true });
+ * run.results.forEach(result => console.log(result.name, result.status, result.message));
+ *
+ * Result status: success, error (server answered Status "error" or the login failed), timeout,
+ * aborted (in flight when the run stopped - the server may still have run it) or skipped (never sent)
+ */
+
+class FleetRunner {
+    /**
+     * @param {Object} options
+     * - connect: async (target) => authenticated RconClient, for targets without a client
+     * - timeoutMs: default time to wait for each server's response (default 30s)
+     */
+    constructor(options = {}) {
+        this.connect = options.connect || null;
+        this.timeoutMs = options.timeoutMs || 30000;
+    }
+
+    /**
+     * Run a command on every target
+     * @param {Array} targets - { id, name, client } (client optional when connect is set)
+     * @param {string} command - Command name
+     * @param {Array} args - Command arguments
+     * @param {Object} options
+     * - stopOnFailure: abort the remaining targets after the first error or timeout
+     * - concurrency: targets in flight at once (default all)
+     * - timeoutMs: per-target response timeout
+     * - signal: AbortSignal that stops the whole run
+     * - onResult: (result) => void, called as each target finishes
+     * @returns {Promise<{results: Array, stopped: boolean, succeeded: number, failed: number}>}
+     *          Results are in target order: { id, name, status, message, response, durationMs }
+     */
+    async run(targets, command, args = [], options = {}) {
+        if (!Array.isArray(targets) || targets.length === 0) {
+            throw new Error('No target servers selected');
+        }
+        if (!command || typeof command !== 'string') {
+            throw new Error('Command is required');
+        }
+
+        const concurrency = options.concurrency || targets.length;
+        const timeoutMs = options.timeoutMs || this.timeoutMs;
+        const controller = new AbortController();
+        const results = new Array(targets.length);
+        let stopped = false;
+        let nextIndex = 0;
+
+        const stop = () => {
+            if (stopped) return;
+            stopped = true;
+            controller.abort();
+        };
+
+        const onAbort = () => stop();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                stop();
+            } else {
+                options.signal.addEventListener('abort', onAbort);
+            }
+        }
+
+        const finish = (index, result) => {
+            results[index] = result;
+            if (options.onResult) {
+                try {
+                    options.onResult(result);
+                } catch (error) {
+                    console.error('[FleetRunner] Error in onResult callback:', error);
+                }
+            }
+            if (options.stopOnFailure && (result.status === 'error' || result.status === 'timeout')) {
+                stop();
+            }
+        };
+
+        // Each worker takes the next unstarted target until none are left or the run stops
+        const worker = async () => {
+            while (nextIndex < targets.length) {
+                const index = nextIndex++;
+                const target = targets[index];
+                if (stopped) {
+                    finish(index, this.createResult(target, 'skipped', 'Not sent - run stopped', null, 0));
+                    continue;
+                }
+                finish(index, await this.runTarget(target, command, args, timeoutMs, controller.signal));
+            }
+        };
+
+        try {
+            const workers = [];
+            for (let i = 0; i < Math.min(concurrency, targets.length); i++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+        } finally {
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+        return { results, stopped, succeeded, failed: results.length - succeeded };
+    }
+
+    /**
+     * Send the command to one target, never throwing
+     * @returns {Promise<Object>} Result for the target
+     */
+    async runTarget(target, command, args, timeoutMs, signal) {
+        const startedAt = Date.now();
+        let client = target.client || null;
+        let opened = false;
+
+        try {
+            if (!client) {
+                if (!this.connect) {
+                    throw new Error('Not logged in');
+                }
+                client = await this.connect(target);
+                opened = true;
+            }
+
+            if (!client.isAuthenticated) {
+                throw new Error('Not logged in');
+            }
+
+            // The run stopped while this target was logging in
+            if (signal.aborted) {
+                return this.createResult(target, 'skipped', 'Not sent - run stopped', null, Date.now() - startedAt);
+            }
+
+            const response = await client.send(command, args, { timeoutMs, signal, queue: false });
+            return this.createResult(target, 'success', response.Message || '', response, Date.now() - startedAt);
+        } catch (error) {
+            let status = 'error';
+            if (error.code === 'TIMEOUT') {
+                status = 'timeout';
+            } else if (error.code === 'ABORTED' || signal.aborted) {
+                status = 'aborted';
+            }
+            return this.createResult(target, status, error.message || 'Command failed', error.response || null, Date.now() - startedAt);
+        } finally {
+            if (opened && client) {
+                client.disconnect();
+            }
+        }
+    }
+
+    createResult(target, status, message, response, durationMs) {
+        return {
+            id: target.id,
+            name: target.name || target.id,
+            status,
+            message,
+            response,
+            durationMs
+        };
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FleetRunner;
+}
@@ -1,6 +1,13 @@
 /**
  * History Manager for RCON Commands and World Messages
- * Manages persistent storage of command/message history in browser and JSON files
+ * Manages persistent storage of command/message history in the browser, merged with the team's
+ * shared history from the server's /api/history endpoint once logged in:
+ * - Each line carries a timestamp and, once the server has it, the admin who sent it
+ * - The same line on both sides is kept once - the newer timestamp (and its author) wins
+ * - Lines sent here are uploaded after each change; the server answers with the merged history
+ *
+ * Favorites - starred commands and world messages with tags, in the order the admin arranged them -
+ * are kept alongside in localStorage ('rconFavorites') and are never capped or shared.
  */
 
 class HistoryManager {
@@ -8,6 +15,49 @@ class HistoryManager {
         this.commandHistory = [];
         this.messageHistory = [];
         this.maxHistorySize = 10;
+        this.maxSharedHistorySize = 200;  // Lines per list while sharing, as many as the server keeps
+        // text -> { timestamp, author } per list; author stays '' until the server has the line
+        this.commandMeta = {};
+        this.messageMeta = {};
+        this.sharedServer = null;  // { baseUrl, authorization } of the server whose history is shared
+        this.onUpdate = null;  // Called after shared history changed the lists
+        this.favorites = [];  // { id, kind: 'command'|'message', text, tags }, in display order
+        this.nextFavoriteId = 1;
+    }
+
+    /**
+     * Normalize tags from an array or a comma-separated string - trimmed, lowercase, no repeats
+     * @returns {Array<string>}
+     */
+    static parseTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))];
+    }
+
+    /**
+     * Merge two history lists - one entry per text, the newer timestamp winning (on a tie, the
+     * entry the server has already credited)
+     * @param {Array<{Text, Author, Timestamp}>} local
+     * @param {Array<{Text, Author, Timestamp}>} shared
+     * @param {number} limit - Entries kept, newest first
+     * @returns {Array<{Text, Author, Timestamp}>}
+     */
+    static mergeEntries(local, shared, limit) {
+        const merged = new Map();
+        local.concat(shared).forEach(entry => {
+            if (!entry || typeof entry.Text !== 'string' || !entry.Text.trim()) return;
+
+            const candidate = { Text: entry.Text, Author: entry.Author || '', Timestamp: Number(entry.Timestamp) || 0 };
+            const known = merged.get(candidate.Text);
+            if (!known || candidate.Timestamp > known.Timestamp ||
+                (candidate.Timestamp === known.Timestamp && !known.Author && candidate.Author)) {
+                merged.set(candidate.Text, candidate);
+            }
+        });
+
+        return Array.from(merged.values())
+            .sort((a, b) => b.Timestamp - a.Timestamp)
+            .slice(0, limit);
     }
 
     /**
@@ -46,34 +96,136 @@ class HistoryManager {
             }
         }
 
-        // Sync with server-side JSON files if available (fire and forget - don't block initialization)
-        this.syncWithServer().catch(err =>
-            console.log('[HistoryManager] Server sync failed (continuing):', err)
-        );
+        // Timestamps and authors (history saved before shared history has none - those lines sort last)
+        try {
+            const savedMeta = JSON.parse(localStorage.getItem('rconHistoryMeta') || '{}');
+            this.commandMeta = savedMeta.commands || {};
+            this.messageMeta = savedMeta.messages || {};
+        } catch (e) {
+            console.error('[HistoryManager] Failed to parse history timestamps:', e);
+        }
+
+        try {
+            const savedFavorites = JSON.parse(localStorage.getItem('rconFavorites') || '[]');
+            this.favorites = savedFavorites
+                .filter(favorite => favorite && (favorite.kind === 'command' || favorite.kind === 'message') && typeof favorite.text === 'string')
+                .map((favorite, index) => ({ id: index + 1, kind: favorite.kind, text: favorite.text, tags: HistoryManager.parseTags(favorite.tags) }));
+            this.nextFavoriteId = this.favorites.length + 1;
+            console.log('[HistoryManager] Loaded favorites:', this.favorites.length);
+        } catch (e) {
+            console.error('[HistoryManager] Failed to parse favorites:', e);
+            this.favorites = [];
+        }
+
+        // Merge the shared history if a server was set before init (fire and forget - don't block initialization)
+        if (this.sharedServer) {
+            this.syncWithServer().catch(() => {});  // Sharing is optional - the lists stay local
+        }
     }
 
     /**
-     * Sync history with server JSON files
+     * Share history with a server (from RconClient.getHttpAuth()), or stop sharing with null
+     * @returns {Promise<boolean>} Whether the shared history was merged in
+     */
+    setSharedServer(server) {
+        this.sharedServer = server && server.baseUrl ? server : null;
+        return this.sharedServer ? this.syncWithServer() : Promise.resolve(false);
+    }
+
+    /**
+     * Fetch the shared history, merge it in and upload lines the server doesn't have yet
+     * @returns {Promise<boolean>} Whether the shared history was merged in
      */
     async syncWithServer() {
+        const server = this.sharedServer;
+        if (!server) return false;
+
         try {
-            // Try to fetch existing history from server
-            const response = await fetch('/config/history.json');
-            if (response.ok) {
-                const data = await response.json();
-                if (data.commands && Array.isArray(data.commands)) {
-                    this.commandHistory = data.commands.slice(-this.maxHistorySize);
-                }
-                if (data.messages && Array.isArray(data.messages)) {
-                    this.messageHistory = data.messages.slice(-this.maxHistorySize);
-                }
-                console.log('[HistoryManager] Synced history from server');
-            }
+            const response = await fetch(`${server.baseUrl}/api/history`, {
+                headers: { Authorization: server.authorization }
+            });
+            if (!response.ok) return false;
+            if (server !== this.sharedServer) return false;  // Switched servers meanwhile
+
+            this.applySharedHistory(await response.json());
         } catch (e) {
-            console.log('[HistoryManager] Server history not available yet (will be created on first use)');
+            return false;  // Shared history not available - the lists stay local
+        }
+
+        await this.syncToServer();
+        return true;
+    }
+
+    /**
+     * Merge a shared history document ({ Commands, Messages }) into the local lists
+     */
+    applySharedHistory(data) {
+        const commands = HistoryManager.mergeEntries(this.getEntries('command'), (data && data.Commands) || [], this.maxSharedHistorySize);
+        const messages = HistoryManager.mergeEntries(this.getEntries('message'), (data && data.Messages) || [], this.maxSharedHistorySize);
+
+        this.setEntries('command', commands);
+        this.setEntries('message', messages);
+        this.saveHistory(false);
+
+        if (this.onUpdate) {
+            try {
+                this.onUpdate();
+            } catch (e) {
+                console.error('[HistoryManager] Error in onUpdate callback:', e);
+            }
         }
     }
 
+    /**
+     * A list as { Text, Author, Timestamp } entries, newest first
+     * @param {string} kind - 'command' or 'message'
+     */
+    getEntries(kind) {
+        const lines = kind === 'command' ? this.commandHistory : this.messageHistory;
+        const meta = kind === 'command' ? this.commandMeta : this.messageMeta;
+        return lines.map(text => ({
+            Text: text,
+            Author: (meta[text] && meta[text].author) || '',
+            Timestamp: (meta[text] && meta[text].timestamp) || 0
+        }));
+    }
+
+    setEntries(kind, entries) {
+        const meta = {};
+        entries.forEach(entry => {
+            meta[entry.Text] = { timestamp: entry.Timestamp, author: entry.Author };
+        });
+
+        if (kind === 'command') {
+            this.commandHistory = entries.map(entry => entry.Text);
+            this.commandMeta = meta;
+        } else {
+            this.messageHistory = entries.map(entry => entry.Text);
+            this.messageMeta = meta;
+        }
+    }
+
+    /**
+     * Lines kept per list - the shared history's size while sharing, maxHistorySize otherwise
+     */
+    historyLimit() {
+        return this.sharedServer ? this.maxSharedHistorySize : this.maxHistorySize;
+    }
+
+    /**
+     * Record when a line was added here (not shared yet)
+     */
+    touch(kind, text) {
+        const meta = kind === 'command' ? this.commandMeta : this.messageMeta;
+        meta[text] = { timestamp: Date.now(), author: '' };
+
+        // Forget lines that dropped off the list
+        const lines = kind === 'command' ? this.commandHistory : this.messageHistory;
+        Object.keys(meta).forEach(key => {
+            if (!lines.includes(key)) delete meta[key];
+        });
+    }
+
     /**
      * Add command to history and save
      */
@@ -86,8 +238,9 @@ class HistoryManager {
         // Add to front
         this.commandHistory.unshift(command);
 
-        // Keep only last 10
-        this.commandHistory = this.commandHistory.slice(0, this.maxHistorySize);
+        // Keep only the newest lines
+        this.commandHistory = this.commandHistory.slice(0, this.historyLimit());
+        this.touch('command', command);
 
         this.saveHistory();
         console.log('[HistoryManager] Command added:', command, 'Total:', this.commandHistory.length);
@@ -106,8 +259,9 @@ class HistoryManager {
         // Add to front
         this.messageHistory.unshift(message);
 
-        // Keep only last 10
-        this.messageHistory = this.messageHistory.slice(0, this.maxHistorySize);
+        // Keep only the newest lines
+        this.messageHistory = this.messageHistory.slice(0, this.historyLimit());
+        this.touch('message', message);
 
         this.saveHistory();
         console.log('[HistoryManager] Message added:', message, 'Total:', this.messageHistory.length);
@@ -115,50 +269,61 @@ class HistoryManager {
     }
 
     /**
-     * Save history to localStorage and trigger server save
+     * Save history to localStorage and upload new lines to the shared history
+     * @param {boolean} share - Upload to the shared server, if one is set (default true)
      */
-    saveHistory() {
+    saveHistory(share = true) {
         try {
             // Save to localStorage
             const cmdJson = JSON.stringify(this.commandHistory);
             const msgJson = JSON.stringify(this.messageHistory);
             localStorage.setItem('rconCommandHistory', cmdJson);
             localStorage.setItem('rconMessageHistory', msgJson);
-            console.log('[HistoryManager] SAVED to localStorage - Commands:', this.commandHistory.length, 'Messages:', this.messageHistory.length);
-            console.log('[HistoryManager] Command history:', this.commandHistory);
-            console.log('[HistoryManager] Message history:', this.messageHistory);
+            localStorage.setItem('rconHistoryMeta', JSON.stringify({ commands: this.commandMeta, messages: this.messageMeta }));
         } catch (e) {
             console.error('[HistoryManager] FAILED to save to localStorage:', e);
         }
 
-        // Server sync disabled - localStorage is sufficient for now
-        // this.syncToServer().catch(err =>
-        //     console.log('[HistoryManager] Server sync failed (continuing):', err)
-        // );
+        if (share && this.sharedServer) {
+            this.syncToServer().catch(() => {});
+        }
     }
 
     /**
-     * Send history to server for persistent JSON storage
+     * Upload lines the shared history doesn't have yet; the server answers with the merged history
+     * @returns {Promise<boolean>} Whether the upload was accepted
      */
     async syncToServer() {
+        const server = this.sharedServer;
+        if (!server) return false;
+
+        const unshared = entries => entries.filter(entry => !entry.Author && entry.Timestamp > 0);
+        const commands = unshared(this.getEntries('command'));
+        const messages = unshared(this.getEntries('message'));
+        if (commands.length === 0 && messages.length === 0) return true;
+
         try {
-            const response = await fetch('/api/save-history', {
+            const response = await fetch(`${server.baseUrl}/api/history`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    Authorization: server.authorization
                 },
-                body: JSON.stringify({
-                    commands: this.commandHistory,
-                    messages: this.messageHistory
-                })
+                body: JSON.stringify({ Commands: commands, Messages: messages })
             });
 
             if (!response.ok) {
                 console.log('[HistoryManager] Server sync response:', response.status);
+                return false;
+            }
+            if (server === this.sharedServer) {
+                this.applySharedHistory(await response.json());
             }
+            return true;
         } catch (e) {
             // Server sync is optional - continue without it
             console.log('[HistoryManager] Server sync not available');
+            return false;
         }
     }
 
@@ -177,19 +342,121 @@ class HistoryManager {
     }
 
     /**
-     * Clear all history
+     * Star a command or world message (returns the existing favorite if it's already starred)
+     * @param {string} kind - 'command' or 'message'
+     * @param {string} text - Line to run
+     * @param {Array<string>|string} tags - Tags, e.g. ['events'] or 'events, maintenance'
+     * @returns {Object|null} The favorite, null for a blank line
+     */
+    addFavorite(kind, text, tags = []) {
+        const line = String(text || '').trim();
+        if (!line) return null;
+
+        const existing = this.findFavorite(kind, line);
+        if (existing) return existing;
+
+        const favorite = { id: this.nextFavoriteId++, kind, text: line, tags: HistoryManager.parseTags(tags) };
+        this.favorites.push(favorite);
+        this.saveFavorites();
+        return favorite;
+    }
+
+    removeFavorite(id) {
+        const before = this.favorites.length;
+        this.favorites = this.favorites.filter(favorite => favorite.id !== id);
+        if (this.favorites.length !== before) {
+            this.saveFavorites();
+        }
+    }
+
+    findFavorite(kind, text) {
+        const line = String(text || '').trim();
+        return this.favorites.find(favorite => favorite.kind === kind && favorite.text === line) || null;
+    }
+
+    /**
+     * Star or unstar a line
+     * @returns {boolean} Whether the line is starred now
+     */
+    toggleFavorite(kind, text) {
+        const existing = this.findFavorite(kind, text);
+        if (existing) {
+            this.removeFavorite(existing.id);
+            return false;
+        }
+        return this.addFavorite(kind, text) !== null;
+    }
+
+    setFavoriteTags(id, tags) {
+        const favorite = this.favorites.find(entry => entry.id === id);
+        if (!favorite) return null;
+
+        favorite.tags = HistoryManager.parseTags(tags);
+        this.saveFavorites();
+        return favorite;
+    }
+
+    /**
+     * Move a favorite in front of another one (drag and drop), or to the end when beforeId is null
+     */
+    moveFavorite(id, beforeId = null) {
+        const from = this.favorites.findIndex(favorite => favorite.id === id);
+        if (from < 0 || id === beforeId) return;
+
+        const [favorite] = this.favorites.splice(from, 1);
+        const to = beforeId === null ? -1 : this.favorites.findIndex(entry => entry.id === beforeId);
+        this.favorites.splice(to < 0 ? this.favorites.length : to, 0, favorite);
+        this.saveFavorites();
+    }
+
+    /**
+     * Favorites in display order, optionally only those with a tag
+     */
+    getFavorites(tag = '') {
+        return tag ? this.favorites.filter(favorite => favorite.tags.includes(tag)) : this.favorites.slice();
+    }
+
+    /**
+     * Every tag in use, sorted
+     */
+    getFavoriteTags() {
+        return [...new Set(this.favorites.flatMap(favorite => favorite.tags))].sort();
+    }
+
+    saveFavorites() {
+        try {
+            const saved = this.favorites.map(favorite => ({ kind: favorite.kind, text: favorite.text, tags: favorite.tags }));
+            localStorage.setItem('rconFavorites', JSON.stringify(saved));
+        } catch (e) {
+            console.error('[HistoryManager] FAILED to save favorites:', e);
+        }
+    }
+
+    /**
+     * Clear all history (favorites are kept)
      */
     clearHistory() {
         this.commandHistory = [];
         this.messageHistory = [];
+        this.commandMeta = {};
+        this.messageMeta = {};
         localStorage.removeItem('rconCommandHistory');
         localStorage.removeItem('rconMessageHistory');
+        localStorage.removeItem('rconHistoryMeta');
     }
 }
 
 // Create global instance and ensure it's on window object
 const historyManager = new HistoryManager();
-window.historyManager = historyManager;
 
-console.log('[history-manager.js] HistoryManager loaded');
-console.log('[history-manager.js] historyManager assigned to window:', typeof window.historyManager !== 'undefined');
+if (typeof window !== 'undefined') {
+    window.historyManager = historyManager;
+
+    console.log('[history-manager.js] HistoryManager loaded');
+    console.log('[history-manager.js] historyManager assigned to window:', typeof window.historyManager !== 'undefined');
+}
+
+// Export for tests under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
@@ -0,0 +1,143 @@
+/**
+ * ACE RCON Log Parser
+ * Turns a log_* broadcast into a record the console filters, colours and exports by field:
+ * { level, logger, tags, timestamp, message, text }
+ * - level: from Status (log_warn -> 'warn')
+ * - logger: log4net logger name, e.g. 'ACE.Server.Managers.PlayerManager' - from Data.Logger, or the
+ *   leading [...] of the line on servers that don't send Data
+ * - tags: the [...] words right after the logger, e.g. ['AUDIT'] or ['CHAT', 'General']
+ * - timestamp: when the server logged the line (Data.Timestamp), else when it was received (ms)
+ * - message: the rest of the line
+ * - text: the line as broadcast
+ *
+ * Usage:
+ * const record = RconLogParser.parse(frame);
+ * if (!RconLogParser.matchesLogger(record.logger, 'ACE.Server.Managers')) {
+ *     view.append(RconLogParser.format(record), RconLogParser.className(record), record);
+ * }
+ */
+
+// Tags that colour a line instead of its level - the first one found wins
+const RCON_LOG_TAG_CLASSES = [
+    ['AUDIT', 'log-audit'],
+    ['SYSTEM', 'log-system'],
+    ['WARNING', 'log-warn-output'],
+    ['WARN', 'log-warn-output'],
+    ['ERROR', 'log-error-output'],
+    ['DEBUG', 'log-debug-output'],
+    ['INFO', 'log-info-output']
+];
+
+const RconLogParser = {
+    /**
+     * Parse a log broadcast
+     * @param {Object} frame - { Status: 'log_info', Message, Data: { Logger, Timestamp } }
+     * @param {number} receivedAt - Fallback timestamp (ms), default now
+     * @returns {Object} { level, logger, tags, timestamp, message, text }
+     */
+    parse(frame, receivedAt = Date.now()) {
+        const text = typeof frame.Message === 'string' ? frame.Message : '';
+        const data = frame.Data && typeof frame.Data === 'object' ? frame.Data : {};
+        const status = typeof frame.Status === 'string' ? frame.Status : '';
+
+        let logger = typeof data.Logger === 'string' ? data.Logger : '';
+        let rest = text;
+        if (logger && rest.startsWith(`[${logger}]`)) {
+            rest = rest.substring(logger.length + 2);
+        } else if (!logger) {
+            // Older servers only send the line - its first [...] is the logger unless it's a TAG
+            const match = /^\[([^\[\]\s]+)\]/.exec(rest);
+            if (match && !/^[A-Z]+$/.test(match[1])) {
+                logger = match[1];
+                rest = rest.substring(match[0].length);
+            }
+        }
+
+        const tags = [];
+        let tag;
+        while ((tag = /^\s*\[([^\[\]\s]+)\]/.exec(rest))) {
+            tags.push(tag[1]);
+            rest = rest.substring(tag[0].length);
+        }
+
+        const timestamp = Date.parse(data.Timestamp);
+        return {
+            level: status.startsWith('log_') ? status.substring(4) : 'info',
+            logger,
+            tags,
+            timestamp: Number.isFinite(timestamp) ? timestamp : receivedAt,
+            message: rest.trim(),
+            text
+        };
+    },
+
+    /**
+     * Whether a logger is a namespace or inside it ('ACE.Server.Managers' matches
+     * 'ACE.Server.Managers.PlayerManager' but not 'ACE.Server.ManagersExtra')
+     */
+    matchesLogger(logger, namespace) {
+        const prefix = String(namespace).replace(/\.+$/, '');
+        return !!prefix && (logger === prefix || String(logger).startsWith(`${prefix}.`));
+    },
+
+    /**
+     * Whether a record carries a tag (case-insensitive)
+     */
+    hasTag(record, tag) {
+        const wanted = String(tag).toUpperCase();
+        return record.tags.some(value => value.toUpperCase() === wanted);
+    },
+
+    /**
+     * CSS class for a record: its first colouring tag, else its level (log_warn-output)
+     */
+    className(record) {
+        const entry = RCON_LOG_TAG_CLASSES.find(([tag]) => this.hasTag(record, tag));
+        return entry ? entry[1] : `log_${record.level}-output`;
+    },
+
+    /**
+     * Console line for a record
+     * @param {Object} record - From parse()
+     * @param {Object} options - timestamp: prefix [HH:mm:ss] (default true), logger: keep [logger] (default true)
+     */
+    format(record, options = {}) {
+        const parts = [];
+        if (options.timestamp !== false) {
+            parts.push(`[${new Date(record.timestamp).toLocaleTimeString('en-US', {
+                hour12: false,
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            })}]`);
+        }
+        if (options.logger !== false && record.logger) {
+            parts.push(`[${record.logger}]`);
+        }
+        if (record.tags.length > 0) {
+            parts.push(record.tags.map(tag => `[${tag}]`).join(''));
+        }
+        if (record.message) {
+            parts.push(record.message);
+        }
+        return parts.join(' ');
+    },
+
+    /**
+     * Record as plain JSON for export, with an ISO timestamp
+     */
+    toJSON(record) {
+        return {
+            time: new Date(record.timestamp).toISOString(),
+            level: record.level,
+            logger: record.logger,
+            tags: record.tags.slice(),
+            message: record.message
+        };
+    }
+};
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconLogParser;
+}
@@ -0,0 +1,438 @@
+/**
+ * ACE RCON Macro Runner
+ * Saved multi-step scripts - e.g. warn players, wait, close the world, stop the server - run one
+ * step at a time on a logged-in RconClient, stopping at the first step that fails.
+ *
+ * A macro is { id, name, description, params, steps }:
+ * - params: [{ name, label, default }] asked for before each run, used as ${name} in any step
+ * - steps:
+ *   { type: 'command', command: 'boot char ${player}' }  - console line, split like the console input
+ *   { type: 'message', text: 'Restart in ${minutes} minutes' } - world broadcast (gamecast)
+ *   { type: 'delay', seconds: 60 }                        - wait (may be '${seconds}')
+ *   { type: 'confirm', text: 'Close the world now?' }     - ask before going on; no stops the run
+ *
+ * Command lines are split into args before ${} is filled in, so a value with spaces stays one arg.
+ * Macros are saved to localStorage and move between browsers as JSON (exportMacros/importMacros).
+ *
+ * Usage:
+ * const runner = new MacroRunner({ confirm: async text => window.confirm(text) });
+ * const macro = runner.addMacro({ name: 'Restart', params: [{ name: 'minutes', default: '5' }], steps: [...] });
+ * const run = await runner.run(client, macro, { minutes: '10' }, { onStep: step => console.log(step) });
+ * // run.status: success, error, timeout, cancelled (a confirmation was declined) or aborted
+ *
+ * Step status: running, success, error, timeout, cancelled, aborted or skipped (never reached)
+ */
+
+const RCON_MACRO_PARSER = typeof RconCommandParser !== 'undefined' ? RconCommandParser : require('./command-parser.js');
+
+const RCON_MACROS_STORAGE_KEY = 'rconMacros';
+const RCON_MACRO_STEP_TYPES = ['command', 'message', 'delay', 'confirm'];
+const RCON_MACRO_PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][\w-]*)\}/g;
+const RCON_MACRO_EXPORT_VERSION = 1;
+
+class MacroRunner {
+    /**
+     * @param {Object} options
+     * - storage: Web Storage for macros (default localStorage, null keeps them in memory)
+     * - confirm: async (text, macro) => boolean, for confirm steps (default: always go on)
+     * - timeoutMs: time to wait for each command's response (default 30s)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.confirm = options.confirm || (async () => true);
+        this.timeoutMs = options.timeoutMs || 30000;
+
+        this.macros = [];
+        this.loadMacros();
+    }
+
+    /** ==================== Macros ==================== */
+
+    /**
+     * Validate a macro and fill in defaults
+     * @returns {Object} { name, description, params, steps }
+     */
+    normalizeMacro(macro = {}) {
+        const name = typeof macro.name === 'string' ? macro.name.trim() : '';
+        if (!name) {
+            throw new Error('Macro name is required');
+        }
+
+        const params = (Array.isArray(macro.params) ? macro.params : []).map((param) => {
+            const paramName = String((param && param.name) || '').trim();
+            if (!/^[A-Za-z_][\w-]*$/.test(paramName)) {
+                throw new Error(`Invalid parameter name: "${paramName}" (letters, digits, _ and -)`);
+            }
+            return {
+                name: paramName,
+                label: param.label ? String(param.label) : paramName,
+                default: param.default === undefined || param.default === null ? '' : String(param.default)
+            };
+        });
+
+        if (!Array.isArray(macro.steps) || macro.steps.length === 0) {
+            throw new Error('A macro needs at least one step');
+        }
+        const steps = macro.steps.map((step, index) => this.normalizeStep(step, index));
+
+        return {
+            name,
+            description: typeof macro.description === 'string' ? macro.description : '',
+            params,
+            steps
+        };
+    }
+
+    normalizeStep(step, index) {
+        const type = step && step.type;
+        if (!RCON_MACRO_STEP_TYPES.includes(type)) {
+            throw new Error(`Step ${index + 1}: unknown type "${type}" (expected ${RCON_MACRO_STEP_TYPES.join(', ')})`);
+        }
+
+        if (type === 'delay') {
+            const seconds = typeof step.seconds === 'string' ? step.seconds.trim() : step.seconds;
+            const placeholder = typeof seconds === 'string' && /^\$\{[A-Za-z_][\w-]*\}$/.test(seconds);
+            if (!placeholder && !(Number(seconds) >= 0)) {
+                throw new Error(`Step ${index + 1}: delay needs a number of seconds`);
+            }
+            return { type, seconds: placeholder ? seconds : Number(seconds) };
+        }
+
+        const field = type === 'command' ? 'command' : 'text';
+        const value = typeof step[field] === 'string' ? step[field].trim() : '';
+        if (!value) {
+            throw new Error(`Step ${index + 1}: ${type} ${field} is required`);
+        }
+        if (type === 'command') {
+            // Reject unbalanced quotes when saving, not mid-run
+            try {
+                RCON_MACRO_PARSER.tokenize(value);
+            } catch (error) {
+                throw new Error(`Step ${index + 1}: ${error.message}`);
+            }
+        }
+        return { type, [field]: value };
+    }
+
+    /**
+     * Load saved macros (invalid entries are skipped)
+     */
+    loadMacros() {
+        this.macros = [];
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(RCON_MACROS_STORAGE_KEY) || '[]');
+            if (Array.isArray(saved)) {
+                saved.forEach((macro) => {
+                    try {
+                        this.macros.push(Object.assign(this.normalizeMacro(macro), { id: String(macro.id) }));
+                    } catch (error) {
+                        console.warn('[MacroRunner] Skipping invalid saved macro:', error.message);
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('[MacroRunner] Failed to parse saved macros:', error);
+        }
+    }
+
+    saveMacros() {
+        if (!this.storage) return;
+        this.storage.setItem(RCON_MACROS_STORAGE_KEY, JSON.stringify(this.macros));
+    }
+
+    getMacros() {
+        return this.macros.slice();
+    }
+
+    getMacro(id) {
+        return this.macros.find(macro => macro.id === id) || null;
+    }
+
+    /**
+     * Save a new macro
+     * @returns {Object} The stored macro, with its generated id
+     */
+    addMacro(macro) {
+        const stored = Object.assign(this.normalizeMacro(macro), {
+            id: `macro-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`
+        });
+        this.macros.push(stored);
+        this.saveMacros();
+        return stored;
+    }
+
+    updateMacro(id, changes) {
+        const index = this.macros.findIndex(macro => macro.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown macro: ${id}`);
+        }
+
+        this.macros[index] = Object.assign(this.normalizeMacro(Object.assign({}, this.macros[index], changes)), { id });
+        this.saveMacros();
+        return this.macros[index];
+    }
+
+    removeMacro(id) {
+        const index = this.macros.findIndex(macro => macro.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown macro: ${id}`);
+        }
+        this.macros.splice(index, 1);
+        this.saveMacros();
+    }
+
+    /**
+     * Macros as a JSON document for sharing (every macro when ids is omitted)
+     */
+    exportMacros(ids) {
+        const macros = ids ? this.macros.filter(macro => ids.includes(macro.id)) : this.macros;
+        return JSON.stringify({
+            version: RCON_MACRO_EXPORT_VERSION,
+            macros: macros.map(({ name, description, params, steps }) => ({ name, description, params, steps }))
+        }, null, 2);
+    }
+
+    /**
+     * Add the macros from an exported document (or a bare array, or a single macro)
+     * Every macro is validated before any is saved, so a bad file adds nothing
+     * @returns {Array<Object>} The stored macros
+     */
+    importMacros(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.macros) ? data.macros : [data]);
+        const normalized = list.map((macro, index) => {
+            try {
+                return this.normalizeMacro(macro);
+            } catch (error) {
+                throw new Error(`Macro ${index + 1}: ${error.message}`);
+            }
+        });
+
+        return normalized.map(macro => this.addMacro(macro));
+    }
+
+    /** ==================== Running ==================== */
+
+    /**
+     * Parameter names used by a macro: the declared ones first, then any other ${name} in its steps
+     */
+    static getParameters(macro) {
+        const names = (macro.params || []).map(param => param.name);
+        (macro.steps || []).forEach((step) => {
+            [step.command, step.text, step.seconds].forEach((value) => {
+                if (typeof value !== 'string') return;
+                for (const match of value.matchAll(RCON_MACRO_PLACEHOLDER_PATTERN)) {
+                    if (!names.includes(match[1])) names.push(match[1]);
+                }
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Fill in ${name} placeholders
+     * @throws {Error} When a placeholder has no value
+     */
+    static substitute(text, values) {
+        return String(text).replace(RCON_MACRO_PLACEHOLDER_PATTERN, (placeholder, name) => {
+            if (!values || values[name] === undefined || values[name] === null) {
+                throw new Error(`No value for \${${name}}`);
+            }
+            return String(values[name]);
+        });
+    }
+
+    /**
+     * Run a macro's steps in order
+     * @param {RconClient} client - Logged-in client
+     * @param {Object} macro - Stored or normalized macro
+     * @param {Object} values - Parameter values by name (missing ones use the param's default)
+     * @param {Object} options
+     * - signal: AbortSignal that stops the run (a command in flight is reported as aborted)
+     * - onStep: (step) => void, called when a step starts and again when it finishes
+     * - timeoutMs: per-command response timeout
+     * @returns {Promise<{status: string, steps: Array}>} Steps: { index, type, label, status, message, durationMs }
+     */
+    async run(client, macro, values = {}, options = {}) {
+        if (!client || !client.isAuthenticated) {
+            throw new Error('Not logged in');
+        }
+
+        const filled = {};
+        (macro.params || []).forEach((param) => {
+            filled[param.name] = param.default;
+        });
+        Object.keys(values || {}).forEach((name) => {
+            if (values[name] !== undefined && values[name] !== null) filled[name] = String(values[name]);
+        });
+
+        // Check every placeholder up front - a missing value shouldn't surface halfway through
+        const missing = MacroRunner.getParameters(macro).filter(name => filled[name] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`No value for ${missing.map(name => `\${${name}}`).join(', ')}`);
+        }
+
+        const timeoutMs = options.timeoutMs || this.timeoutMs;
+        const signal = options.signal || null;
+        const steps = macro.steps.map((step, index) => ({
+            index,
+            type: step.type,
+            label: this.describeStep(step, filled),
+            status: 'skipped',
+            message: '',
+            durationMs: 0
+        }));
+
+        const report = (result) => {
+            if (!options.onStep) return;
+            try {
+                options.onStep(Object.assign({}, result));
+            } catch (error) {
+                console.error('[MacroRunner] Error in onStep callback:', error);
+            }
+        };
+
+        let status = 'success';
+        for (let index = 0; index < steps.length; index++) {
+            const result = steps[index];
+            if (signal && signal.aborted) {
+                status = 'aborted';
+                break;
+            }
+
+            const startedAt = Date.now();
+            result.status = 'running';
+            report(result);
+
+            try {
+                result.message = await this.runStep(client, macro, macro.steps[index], filled, timeoutMs, signal);
+                result.status = 'success';
+            } catch (error) {
+                if (error.code === 'CANCELLED') {
+                    result.status = 'cancelled';
+                } else if (error.code === 'TIMEOUT') {
+                    result.status = 'timeout';
+                } else if (error.code === 'ABORTED' || (signal && signal.aborted)) {
+                    result.status = 'aborted';
+                } else {
+                    result.status = 'error';
+                }
+                result.message = error.message || 'Step failed';
+            }
+
+            result.durationMs = Date.now() - startedAt;
+            report(result);
+
+            if (result.status !== 'success') {
+                status = result.status;
+                break;
+            }
+        }
+
+        return { status, steps };
+    }
+
+    /**
+     * Run one step
+     * @returns {Promise<string>} Message to show for the step
+     */
+    async runStep(client, macro, step, values, timeoutMs, signal) {
+        switch (step.type) {
+            case 'command': {
+                // Split first, then fill in, so each value stays inside the arg it was written in
+                const [command, ...args] = RCON_MACRO_PARSER.tokenize(step.command)
+                    .map(token => MacroRunner.substitute(token, values));
+                const response = await client.send(command, RCON_MACRO_PARSER.quoteForAce(args), { timeoutMs, signal, queue: false });
+                return response.Message || '';
+            }
+            case 'message': {
+                // Words as separate args, like the console's Broadcast button
+                const text = MacroRunner.substitute(step.text, values);
+                const response = await client.send('gamecast', text.split(/\s+/), { timeoutMs, signal, queue: false });
+                return response.Message || '';
+            }
+            case 'delay': {
+                const seconds = Number(MacroRunner.substitute(step.seconds, values));
+                if (!(seconds >= 0)) {
+                    throw new Error(`Delay needs a number of seconds, got "${MacroRunner.substitute(step.seconds, values)}"`);
+                }
+                await this.wait(seconds * 1000, signal);
+                return `Waited ${seconds}s`;
+            }
+            case 'confirm': {
+                const text = MacroRunner.substitute(step.text, values);
+                if (!(await this.confirm(text, macro))) {
+                    const error = new Error('Declined - macro stopped');
+                    error.code = 'CANCELLED';
+                    throw error;
+                }
+                return 'Confirmed';
+            }
+            default:
+                throw new Error(`Unknown step type: ${step.type}`);
+        }
+    }
+
+    /**
+     * Sleep that ends early (rejecting with code ABORTED) when the signal fires
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const aborted = () => {
+                const error = new Error('Macro stopped');
+                error.code = 'ABORTED';
+                return error;
+            };
+            if (signal && signal.aborted) {
+                reject(aborted());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(aborted());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * One-line summary of a step for progress output, with values filled in where known
+     */
+    describeStep(step, values = {}) {
+        const fill = (text) => {
+            try {
+                return MacroRunner.substitute(text, values);
+            } catch (error) {
+                return String(text);
+            }
+        };
+
+        switch (step.type) {
+            case 'command': return `> ${fill(step.command)}`;
+            case 'message': return `Broadcast: ${fill(step.text)}`;
+            case 'delay': return `Wait ${fill(step.seconds)}s`;
+            case 'confirm': return `Confirm: ${fill(step.text)}`;
+            default: return step.type;
+        }
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MacroRunner;
+}
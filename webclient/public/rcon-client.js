@@ -2,40 +2,148 @@
  * ACE RCON WebSocket Client Library
  * Communicates with RCON server via WebSocket
  *
- * Usage:
- * const client = new RconClient('localhost', 2948);
+ * Usage (browser):
+ * const client = new RconClient('localhost', 9005);
  * await client.connect();
  * await client.authenticate('your_password');
  * const response = await client.send('status');
+ * const { OnlinePlayers } = await client.players();  // Typed helpers from rcon-commands.js
  * client.on('response', (data) => { console.log(data); });
+ *
+ * Usage (Node.js - Node 22+ has a global WebSocket, older versions can inject the 'ws' package):
+ * const RconClient = require('./rcon-client.js');
+ * const client = new RconClient('127.0.0.1', 9005, { WebSocket: require('ws'), logger: null });
+ *
+ * Options:
+ * - WebSocket: WebSocket constructor to use instead of the global one
+ * - transport: factory (url, client) => socket, for non-WebSocket transports. The returned
+ *   socket must expose send(), close() and the onopen/onmessage/onerror/onclose handlers
+ * - secure: use wss:// instead of ws:// (defaults to true when the page is served over https)
+ * - logger: object with log/warn/error methods (defaults to console, null silences output)
+ * - reconnect: ReconnectPolicy instance or its options (initialDelayMs, maxDelayMs, multiplier, jitter, maxAttempts)
+ * - queue: offline command queue options (enabled, ttlMs, maxSize, idempotentOnly) - see send()
+ * - schema: response schema used to validate and normalize incoming frames (defaults to
+ *   RconSchema from rcon-schema.js, null disables validation)
+ *
+ * Reconnect events (a dropped session is reopened and re-authenticated automatically):
+ * - reconnecting: { attempt, maxAttempts, delayMs, nextAttemptAt } - before each scheduled attempt
+ * - reconnected: { attempts } - socket reopened and saved credentials accepted again
+ * - gave-up: { attempts, reason } - no further attempts will be made
+ * - session-ended: { reason } - disconnect() was called or reconnecting gave up
+ *
+ * Broadcast streams from rcon-streams.js (client.logs(), playerEvents(), statusUpdates())
+ * end on session-ended.
+ */
+
+/**
+ * Logger used when options.logger is null - swallows all client output
+ */
+const SILENT_RCON_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Response schema used when options.schema is not given (null when rcon-schema.js is not loaded)
+ */
+const RCON_CLIENT_SCHEMA = typeof RconSchema !== 'undefined'
+    ? RconSchema
+    : (typeof require === 'function' ? require('./rcon-schema.js') : null);
+
+/**
+ * Error codes set on rejected requests (error.code)
+ * TIMEOUT, CONNECTION_LOST and NOT_CONNECTED are transient and retried by send({ retries })
+ */
+const RETRYABLE_ERROR_CODES = ['TIMEOUT', 'CONNECTION_LOST', 'NOT_CONNECTED'];
+
+/**
+ * Create an Error with a machine-readable code
+ */
+function createRconError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Exponential backoff with jitter for reconnect attempts
+ * Delay for attempt n is initialDelayMs * multiplier^(n-1), capped at maxDelayMs,
+ * then randomized by +/- jitter so many clients don't reconnect in lockstep
  */
+class ReconnectPolicy {
+    constructor(options = {}) {
+        this.initialDelayMs = options.initialDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 15000;  // Server's ReconnectDelayMs caps the backoff
+        this.multiplier = options.multiplier || 2;
+        this.jitter = options.jitter !== undefined ? options.jitter : 0.2;  // Fraction of the delay (0-1)
+        this.maxAttempts = options.maxAttempts || 42;
+    }
+
+    /**
+     * Delay before the given attempt
+     * @param {number} attempt - Attempt number, starting at 1
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt) {
+        const exponential = this.initialDelayMs * Math.pow(this.multiplier, Math.max(0, attempt - 1));
+        const capped = Math.min(exponential, this.maxDelayMs);
+        const spread = capped * this.jitter;
+        const delay = capped - spread + Math.random() * spread * 2;
+        return Math.round(Math.max(0, Math.min(delay, this.maxDelayMs)));
+    }
+
+    /**
+     * Whether another attempt is allowed
+     * @param {number} attempt - Attempt number about to be made, starting at 1
+     */
+    canRetry(attempt) {
+        return attempt <= this.maxAttempts;
+    }
+}
 
 class RconClient {
-    constructor(host = null, port = null) {
-        // Use current window location if not specified
-        this.host = host || window.location.hostname;
+    constructor(host = null, port = null, options = {}) {
+        const hasWindow = typeof window !== 'undefined' && window.location;
+
+        // Use current window location if not specified (localhost when running headless)
+        this.host = host || (hasWindow ? window.location.hostname : '127.0.0.1');
         this.port = port || 9005;  // Default to RCON WebSocket port
+        this.secure = options.secure !== undefined ? options.secure : (hasWindow && window.location.protocol === 'https:');
+        this.WebSocketImpl = options.WebSocket || null;  // Falls back to the global WebSocket at connect time
+        this.transport = options.transport || null;  // Custom socket factory (overrides WebSocketImpl)
+        this.logger = options.logger === null ? SILENT_RCON_LOGGER : (options.logger || console);
+        this.schema = options.schema !== undefined ? options.schema : RCON_CLIENT_SCHEMA;  // null skips validation
         this.ws = null;
         this.isConnected = false;
         this.isAuthenticated = false;
         this.requestId = 0;
         this.pendingRequests = new Map();
         this.listeners = new Map();
-        this.reconnectDelay = 15000;  // Will be updated from server config
+        this.reconnectPolicy = options.reconnect instanceof ReconnectPolicy
+            ? options.reconnect
+            : new ReconnectPolicy(options.reconnect || {});  // Limits updated from server config
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 42;  // Will be updated from server config
         this.password = null;  // For Rust-style URL auth
-        this.disableReconnect = false;  // Flag to disable auto-reconnect after successful auth
+        this.session = null;  // Saved auth flow, replayed after a reconnect
+        this.disableReconnect = false;  // Flag to turn off auto-reconnect entirely
         this.reconnectTimer = null;  // Timer ID for scheduled reconnection
+        this.queueOptions = Object.assign({
+            enabled: false,  // Buffer send() calls made while a dropped session is being restored
+            ttlMs: 60000,  // Default time a queued command may wait before it is rejected
+            maxSize: 100,
+            idempotentOnly: false  // Only queue commands sent with { idempotent: true }
+        }, options.queue || {});
+        this.outboundQueue = [];  // Commands waiting for the session to be restored, in send order
+        this.flushingQueue = false;
+        this.restoringSession = false;  // True while restoreSession() replays the auth flow
     }
 
     /**
      * Set reconnect configuration from server
+     * @param {number} maxAttempts - Attempts before giving up
+     * @param {number} delayMs - Upper bound for the backoff delay
      */
     setReconnectConfig(maxAttempts, delayMs) {
-        this.maxReconnectAttempts = maxAttempts || 42;
-        this.reconnectDelay = delayMs || 15000;
-        console.log(`[RconClient] Reconnect config updated: ${this.maxReconnectAttempts} attempts, ${this.reconnectDelay}ms delay`);
+        this.reconnectPolicy.maxAttempts = maxAttempts || 42;
+        this.reconnectPolicy.maxDelayMs = delayMs || 15000;
+        this.logger.log(`[RconClient] Reconnect config updated: ${this.reconnectPolicy.maxAttempts} attempts, ${this.reconnectPolicy.maxDelayMs}ms max delay`);
     }
 
     /**
@@ -43,293 +151,668 @@ class RconClient {
      */
     setPassword(password) {
         this.password = password;
-        console.log('[RconClient] Password set for URL authentication');
+        this.logger.log('[RconClient] Password set for URL authentication');
     }
 
     /**
      * Fetch server configuration (no auth required)
+     * @param {Object} options - timeoutMs (default 10s), signal
      * @returns {Promise} Resolves with config data
      */
-    async getConfig() {
+    async getConfig(options = {}) {
+        this.logger.log('[RconClient] Fetching server config...');
+
+        const response = await this.request({ Command: 'config' }, {
+            timeoutMs: options.timeoutMs || 10000,
+            timeoutMessage: 'Config request timeout',
+            signal: options.signal
+        });
+
+        if (response.Status !== 'success') {
+            const error = new Error(response.Message || 'Failed to get config');
+            error.response = response;
+            throw error;
+        }
+
+        this.emit('server-config', response.Data);
+        return response.Data;
+    }
+
+    /**
+     * Send one request frame and wait for the response with the same Identifier
+     * @param {Object} message - Frame without Identifier (assigned here)
+     * @param {Object} options - timeoutMs, timeoutMessage, signal (AbortSignal), logMessage (log the frame),
+     *                          quiet (no 'response' event for the reply)
+     * @returns {Promise} Resolves with the raw response frame, whatever its Status
+     */
+    request(message, options = {}) {
         return new Promise((resolve, reject) => {
-            if (!this.isConnected) {
-                reject(new Error('Not connected to server'));
+            if (!this.isConnected || !this.ws) {
+                reject(createRconError('Not connected to server', 'NOT_CONNECTED'));
+                return;
+            }
+
+            const signal = options.signal;
+            if (signal && signal.aborted) {
+                reject(createRconError('Request aborted', 'ABORTED'));
                 return;
             }
 
             const requestId = ++this.requestId;
-            const message = {
-                Command: 'config',
-                Identifier: requestId
+            message.Identifier = requestId;
+            const timeoutMs = options.timeoutMs || 30000;
+
+            if (options.logMessage) {
+                this.logger.log('[RconClient] Sending:', message);
+            }
+
+            let timeout = null;
+            const onAbort = () => {
+                cleanup();
+                reject(createRconError('Request aborted', 'ABORTED'));
+            };
+            const cleanup = () => {
+                clearTimeout(timeout);
+                this.pendingRequests.delete(requestId);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
             };
 
-            console.log('[RconClient] Fetching server config...');
+            timeout = setTimeout(() => {
+                cleanup();
+                reject(createRconError(options.timeoutMessage || 'Command timeout', 'TIMEOUT'));
+            }, timeoutMs);
+
+            this.pendingRequests.set(requestId, {
+                command: message.Command,
+                quiet: !!options.quiet,
+                resolve: (response) => {
+                    cleanup();
+                    resolve(response);
+                },
+                reject: (error) => {
+                    cleanup();
+                    reject(error);
+                },
+                timeout
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
 
             try {
-                const timeout = setTimeout(() => {
-                    this.pendingRequests.delete(requestId);
-                    reject(new Error('Config request timeout'));
-                }, 10000);
-
-                this.pendingRequests.set(requestId, {
-                    resolve: (response) => {
-                        if (response.Status === 'success') {
-                            this.emit('server-config', response.Data);
-                            resolve(response.Data);
-                        } else {
-                            reject(new Error(response.Message || 'Failed to get config'));
-                        }
-                    },
-                    reject,
-                    timeout
-                });
-
                 this.ws.send(JSON.stringify(message));
             } catch (error) {
-                this.pendingRequests.delete(requestId);
+                cleanup();
                 reject(error);
             }
         });
     }
 
+    /**
+     * Reject every pending request (their responses will never be delivered)
+     * @param {string} reason - Error message for the rejected promises
+     * @param {string} code - Error code (default CANCELLED)
+     * @returns {number} Number of requests cancelled
+     */
+    cancelAll(reason = 'Request cancelled', code = 'CANCELLED') {
+        const requests = Array.from(this.pendingRequests.values());
+        this.pendingRequests.clear();
+        requests.forEach((request) => {
+            clearTimeout(request.timeout);
+            request.reject(createRconError(reason, code));
+        });
+
+        if (requests.length > 0) {
+            this.logger.log(`[RconClient] Cancelled ${requests.length} pending request(s): ${reason}`);
+        }
+        return requests.length;
+    }
+
+    /**
+     * Create the underlying socket for a connection attempt
+     * @param {string} url - WebSocket URL (custom transports may ignore it and use host/port/password)
+     * @returns {Object} WebSocket-compatible socket
+     */
+    createSocket(url) {
+        if (this.transport) {
+            return this.transport(url, this);
+        }
+
+        const WebSocketImpl = this.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!WebSocketImpl) {
+            throw new Error('No WebSocket implementation available - pass options.WebSocket or options.transport');
+        }
+        return new WebSocketImpl(url);
+    }
+
     /**
      * Connect to RCON server
+     * An initial connection failure rejects; once connected, a dropped connection is
+     * retried according to the reconnect policy
      * @returns {Promise} Resolves when connected
      */
     connect() {
+        this.cancelReconnect();
+        this.reconnectAttempts = 0;
+        return this.openSocket(false);
+    }
+
+    /**
+     * Open a socket and wire up its handlers
+     * @param {boolean} isReconnect - True for attempts scheduled by scheduleReconnect()
+     * @returns {Promise} Resolves when the socket opens
+     */
+    openSocket(isReconnect) {
         return new Promise((resolve, reject) => {
             try {
                 // For Rust-style auth, include password in URL path
-                let wsUrl = `ws://${this.host}:${this.port}`;
+                let wsUrl = `${this.secure ? 'wss' : 'ws'}://${this.host}:${this.port}`;
                 if (this.password) {
                     wsUrl += `/${this.password}`;
                 } else {
                     wsUrl += `/rcon`;  // Default path for ACE auth mode
                 }
-                console.log(`[RconClient] Connecting to ${wsUrl.replace(this.password || '', '***')}`);
+                this.logger.log(`[RconClient] Connecting to ${this.password ? wsUrl.replace(this.password, '***') : wsUrl}`);
 
-                this.ws = new WebSocket(wsUrl);
+                const socket = this.createSocket(wsUrl);
+                this.ws = socket;
+                let opened = false;
+                let closeHandled = false;
 
                 this.ws.onopen = () => {
-                    console.log('[RconClient] Connected');
+                    opened = true;
+                    this.logger.log('[RconClient] Connected');
                     this.isConnected = true;
-                    this.reconnectAttempts = 0;
                     this.emit('connected');
                     resolve();
                 };
 
                 this.ws.onmessage = (event) => {
                     try {
-                        const response = JSON.parse(event.data);
-                        console.log('[RconClient] Received:', response);
+                        const parsed = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+                        const response = this.validateFrame(parsed);
+                        if (!response) return;
+                        this.logger.log('[RconClient] Received:', response);
 
                         // Check if this matches a pending request
                         const requestId = response.Identifier;
+                        let quiet = false;
                         if (this.pendingRequests.has(requestId)) {
                             const resolver = this.pendingRequests.get(requestId);
                             this.pendingRequests.delete(requestId);
                             clearTimeout(resolver.timeout);
+                            quiet = resolver.quiet;
                             resolver.resolve(response);
                         }
 
-                        // Also emit general response event
-                        this.emit('response', response);
+                        // Also emit general response event (unless the request asked to stay quiet)
+                        if (!quiet) {
+                            this.emit('response', response);
+                        }
                     } catch (error) {
-                        console.error('[RconClient] Error parsing message:', error);
+                        this.logger.error('[RconClient] Error parsing message:', error);
                     }
                 };
 
                 this.ws.onerror = (event) => {
-                    console.error('[RconClient] WebSocket error:', event);
+                    this.logger.error('[RconClient] WebSocket error:', event);
                     this.emit('error', event);
+
+                    // Some WebSocket implementations (e.g. Node's built-in one) never fire close
+                    // when the handshake fails, so treat an error before open as an abnormal close
+                    if (!opened) {
+                        handleClose({ code: 1006, reason: 'Connection failed' });
+                    }
                 };
 
-                this.ws.onclose = (event) => {
-                    console.log('[RconClient] Disconnected', event);
+                const handleClose = (event) => {
+                    // Only handle the first close for this socket (see onerror above)
+                    if (closeHandled) return;
+                    closeHandled = true;
+
+                    this.logger.log('[RconClient] Disconnected', event);
                     this.isConnected = false;
                     this.isAuthenticated = false;
-                    this.emit('disconnected');
+                    // Failed reconnect attempts never connected - don't report a disconnect for each one
+                    if (opened || !isReconnect) {
+                        this.emit('disconnected');
+                    }
 
                     // Check if connection was rejected due to auth failure (PolicyViolation close code = 1008)
                     const isAuthFailure = event.code === 1008; // WebSocketCloseStatus.PolicyViolation
 
-                    // Reject any pending requests if auth failed
+                    const closeError = new Error(isAuthFailure ? 'Connection rejected - Invalid credentials' : 'Connection failed');
+
+                    // disconnect() already detached this socket (and cancelled its requests) - the close
+                    // was requested, don't reconnect
+                    if (this.ws !== socket) {
+                        reject(closeError);
+                        return;
+                    }
+
+                    // Responses for in-flight requests will never arrive on this socket
                     if (isAuthFailure) {
-                        const pendingError = new Error('Connection rejected - Invalid credentials');
-                        this.pendingRequests.forEach((request) => {
-                            request.reject(pendingError);
-                        });
-                        this.pendingRequests.clear();
+                        this.cancelAll('Connection rejected - Invalid credentials', 'AUTH_FAILED');
+                    } else {
+                        this.cancelAll('Connection lost', 'CONNECTION_LOST');
                     }
 
-                    // Don't auto-reconnect if reconnect is disabled (after successful auth)
+                    // Don't auto-reconnect if reconnect is disabled
                     if (this.disableReconnect) {
-                        console.log('[RconClient] Auto-reconnect is disabled - not reconnecting');
-                        if (this.reconnectTimer) {
-                            clearTimeout(this.reconnectTimer);
-                            this.reconnectTimer = null;
-                        }
+                        this.logger.log('[RconClient] Auto-reconnect is disabled - not reconnecting');
+                        this.cancelReconnect();
+                        // No-op if already connected, otherwise report the failed connection attempt
+                        reject(closeError);
                         return;
                     }
 
-                    // Try to reconnect (but not for auth failures on initial connection from connect() call)
-                    // Auth failures are detected by the caller
-                    if (this.reconnectAttempts < this.maxReconnectAttempts && !isAuthFailure) {
-                        this.reconnectAttempts++;
-                        console.log(`[RconClient] Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-                        this.reconnectTimer = setTimeout(() => {
-                            this.reconnectTimer = null;
-                            this.connect().catch(err => console.error('[RconClient] Reconnect failed:', err));
-                        }, this.reconnectDelay);
-                    } else if (isAuthFailure) {
-                        console.log('[RconClient] Connection rejected due to auth failure');
-                        reject(new Error('Connection rejected - Invalid credentials'));
-                    } else {
-                        console.log('[RconClient] Max reconnect attempts reached');
-                        reject(new Error('Connection failed'));
+                    // Only established sessions and reconnect attempts are retried - a failed
+                    // initial connect() is reported to the caller. Auth failures are never retried.
+                    if (opened || isReconnect) {
+                        if (isAuthFailure) {
+                            this.logger.log('[RconClient] Connection rejected due to auth failure');
+                            this.giveUp(closeError.message);
+                        } else {
+                            this.scheduleReconnect();
+                        }
                     }
+                    reject(closeError);
                 };
+                this.ws.onclose = handleClose;
             } catch (error) {
-                console.error('[RconClient] Connection error:', error);
+                this.logger.error('[RconClient] Connection error:', error);
                 reject(error);
             }
         });
     }
 
     /**
-     * Authenticate with RCON server
-     * @param {string} password - RCON password
-     * @returns {Promise} Resolves when authenticated
+     * Run an incoming frame through the response schema
+     * Normalizes key casing and emits protocol-warning for unknown or malformed payloads
+     * @param {any} raw - Parsed JSON frame
+     * @returns {Object|null} Normalized frame, or null if it should be dropped
      */
-    authenticate(password, accountName = null) {
-        return new Promise((resolve, reject) => {
-            if (!this.isConnected) {
-                reject(new Error('Not connected to server'));
-                return;
-            }
+    validateFrame(raw) {
+        if (!this.schema) {
+            return raw;
+        }
 
-            const requestId = ++this.requestId;
-            const message = {
-                Command: 'auth',
-                Password: password,
-                Identifier: requestId
-            };
+        const { frame, warnings } = this.schema.check(raw, (identifier) => {
+            const pending = this.pendingRequests.get(identifier);
+            return pending ? pending.command : null;
+        });
+
+        warnings.forEach((warning) => {
+            this.logger.warn(`[RconClient] Protocol warning at ${warning.path || 'frame'}: ${warning.message}`);
+            this.emit('protocol-warning', Object.assign({ frame: raw }, warning));
+        });
+
+        return frame;
+    }
+
+    /**
+     * Schedule the next reconnect attempt, or give up when the policy is exhausted
+     */
+    scheduleReconnect() {
+        const attempt = this.reconnectAttempts + 1;
+        if (!this.reconnectPolicy.canRetry(attempt)) {
+            this.logger.log('[RconClient] Max reconnect attempts reached');
+            this.giveUp('Max reconnect attempts reached');
+            return;
+        }
+
+        this.reconnectAttempts = attempt;
+        const delayMs = this.reconnectPolicy.getDelay(attempt);
+        this.logger.log(`[RconClient] Attempting to reconnect in ${delayMs}ms (${attempt}/${this.reconnectPolicy.maxAttempts})...`);
+        this.emit('reconnecting', {
+            attempt,
+            maxAttempts: this.reconnectPolicy.maxAttempts,
+            delayMs,
+            nextAttemptAt: Date.now() + delayMs
+        });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.reconnect();
+        }, delayMs);
+    }
 
-            // For ACE-style auth, send account name as Name field
-            if (accountName) {
-                message.Name = accountName;
+    /**
+     * Run one reconnect attempt: reopen the socket and replay the saved auth flow
+     * Failures are handled by the socket's close handler, which schedules the next attempt
+     */
+    async reconnect() {
+        try {
+            await this.openSocket(true);
+        } catch (error) {
+            this.logger.log('[RconClient] Reconnect attempt failed:', error.message);
+            return;
+        }
+
+        const socket = this.ws;
+        try {
+            await this.restoreSession();
+        } catch (error) {
+            if (this.ws !== socket) return;  // Disconnected while restoring
+
+            if (error.response) {
+                // Server rejected the saved credentials - retrying won't help
+                this.logger.error('[RconClient] Re-authentication rejected:', error.message);
+                // Detach before closing so the close handler doesn't retry; giveUp() ends the session
+                this.ws = null;
+                this.cancelAll('Re-authentication rejected', 'AUTH_FAILED');
+                socket.close();
+                this.isConnected = false;
+                this.isAuthenticated = false;
+                this.giveUp(error.message);
+            } else {
+                // Timeout or dropped connection - close and let the close handler retry
+                this.logger.error('[RconClient] Re-authentication failed:', error.message);
+                socket.close();
             }
+            return;
+        }
 
-            console.log('[RconClient] Authenticating...');
+        const attempts = this.reconnectAttempts;
+        this.reconnectAttempts = 0;
+        this.logger.log(`[RconClient] Reconnected after ${attempts} attempt(s)`);
+        this.emit('reconnected', { attempts });
 
-            try {
-                const timeout = setTimeout(() => {
-                    this.pendingRequests.delete(requestId);
-                    reject(new Error('Authentication timeout'));
-                }, 30000);
-
-                this.pendingRequests.set(requestId, {
-                    resolve: (response) => {
-                        if (response.Status === 'authenticated' || response.Status === 'success') {
-                            this.isAuthenticated = true;
-                            // Disable auto-reconnect after successful authentication
-                            this.disableReconnect = true;
-                            this.reconnectAttempts = 0;
-                            // Clear any pending reconnection timer since we're authenticated now
-                            if (this.reconnectTimer) {
-                                clearTimeout(this.reconnectTimer);
-                                this.reconnectTimer = null;
-                            }
-                            this.emit('authenticated', response);
-                            resolve(response);
-                        } else {
-                            reject(new Error(response.Message || 'Authentication failed'));
-                        }
-                    },
-                    reject,
-                    timeout
-                });
+        this.flushQueue();
+    }
 
-                this.ws.send(JSON.stringify(message));
-            } catch (error) {
-                this.pendingRequests.delete(requestId);
-                reject(error);
+    /**
+     * Replay the auth flow that established the previous session
+     */
+    async restoreSession() {
+        if (!this.session) return;
+
+        this.restoringSession = true;
+        try {
+            if (this.session.mode === 'ace') {
+                await this.authenticate(this.session.password, this.session.accountName);
+            } else {
+                // Rust-style: password is already in the URL, HELLO confirms the session
+                await this.send('hello', []);
             }
+        } finally {
+            this.restoringSession = false;
+        }
+    }
+
+    /**
+     * Stop reconnecting and notify listeners
+     * @param {string} reason - Why no further attempts will be made
+     */
+    giveUp(reason) {
+        const attempts = this.reconnectAttempts;
+        this.cancelReconnect();
+        this.reconnectAttempts = 0;
+        this.session = null;  // Nothing left to restore - queued commands can never run
+        this.rejectQueue(createRconError(`Reconnect gave up: ${reason}`, 'CANCELLED'));
+        this.emit('gave-up', { attempts, reason });
+        this.emit('session-ended', { reason });
+    }
+
+    /**
+     * Clear any scheduled reconnect attempt
+     */
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * Authenticate with RCON server
+     * @param {string} password - RCON password
+     * @param {string|null} accountName - ACE account name (ACE-style auth)
+     * @param {Object} options - timeoutMs (default 30s), signal
+     * @returns {Promise} Resolves when authenticated
+     */
+    async authenticate(password, accountName = null, options = {}) {
+        const message = {
+            Command: 'auth',
+            Password: password
+        };
+
+        // For ACE-style auth, send account name as Name field
+        if (accountName) {
+            message.Name = accountName;
+        }
+
+        this.logger.log('[RconClient] Authenticating...');
+
+        const response = await this.request(message, {
+            timeoutMs: options.timeoutMs || 30000,
+            timeoutMessage: 'Authentication timeout',
+            signal: options.signal
         });
+
+        if (response.Status !== 'authenticated' && response.Status !== 'success') {
+            const error = new Error(response.Message || 'Authentication failed');
+            error.response = response;
+            throw error;
+        }
+
+        this.isAuthenticated = true;
+        // Remember the credentials so a dropped session can be restored
+        this.session = { mode: 'ace', password, accountName };
+        this.emit('authenticated', response);
+        return response;
     }
 
     /**
      * Send RCON command
+     * With the offline queue enabled, commands sent while a dropped session is being restored
+     * are held and replayed in order after re-authentication, resolving the original promise.
      * @param {string} command - Command name
      * @param {Array} args - Command arguments
-     * @returns {Promise} Resolves with response, rejects if command fails
+     * @param {Object} options
+     *   - timeoutMs: time to wait for the response (default 30s)
+     *   - signal: AbortSignal - aborting rejects with code ABORTED and drops the pending request
+     *   - retries: extra attempts after a timeout or lost connection (never after a server error)
+     *   - queue: false to never queue; ttlMs: max time queued
+     *   - idempotent: safe to replay - required when queue.idempotentOnly is set
+     *   - quiet: don't emit 'response' for the reply (background lookups the console shouldn't print)
+     * @returns {Promise} Resolves with response, rejects if command fails (error.response holds the error
+     *                    frame, error.code is TIMEOUT, CONNECTION_LOST, NOT_CONNECTED, ABORTED or CANCELLED)
+     */
+    async send(command, args = [], options = {}) {
+        const retries = options.retries || 0;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                if (this.shouldQueue(options)) {
+                    return await this.enqueue(command, args, options);
+                }
+                return await this.sendImmediate(command, args, options);
+            } catch (error) {
+                if (attempt > retries || !RETRYABLE_ERROR_CODES.includes(error.code)) {
+                    throw error;
+                }
+
+                // Back off like reconnects do, giving a dropped connection time to come back
+                const delayMs = this.reconnectPolicy.getDelay(attempt);
+                this.logger.warn(`[RconClient] '${command}' failed (${error.message}) - retry ${attempt}/${retries} in ${delayMs}ms`);
+                await this.wait(delayMs, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Resolve after a delay, rejecting early if the signal aborts
      */
-    send(command, args = []) {
+    wait(delayMs, signal = null) {
         return new Promise((resolve, reject) => {
-            if (!this.isConnected) {
-                reject(new Error('Not connected to server'));
+            if (signal && signal.aborted) {
+                reject(createRconError('Request aborted', 'ABORTED'));
                 return;
             }
 
-            const requestId = ++this.requestId;
-            const message = {
-                Command: command,
-                Args: args,
-                Identifier: requestId
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createRconError('Request aborted', 'ABORTED'));
             };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delayMs);
 
-            console.log('[RconClient] Sending:', message);
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+        });
+    }
 
-            try {
-                // Set up timeout
-                const timeout = setTimeout(() => {
-                    this.pendingRequests.delete(requestId);
-                    reject(new Error('Command timeout'));
-                }, 30000);
-
-                // Store pending request with status-checking resolver
-                this.pendingRequests.set(requestId, {
-                    resolve: (response) => {
-                        // Reject if server returned an error status
-                        if (response.Status === 'error') {
-                            reject(new Error(response.Message || 'Command failed'));
-                        } else {
-                            // Check if this is an authentication response
-                            if (response.Status === 'authenticated' || response.Status === 'success') {
-                                // Check if we just authenticated (not already authenticated)
-                                if (!this.isAuthenticated && (command === 'hello' || command === 'auth')) {
-                                    this.isAuthenticated = true;
-                                    // Disable auto-reconnect after successful authentication
-                                    this.disableReconnect = true;
-                                    this.reconnectAttempts = 0;
-                                    // Clear any pending reconnection timer since we're authenticated now
-                                    if (this.reconnectTimer) {
-                                        clearTimeout(this.reconnectTimer);
-                                        this.reconnectTimer = null;
-                                    }
-                                    this.emit('authenticated', response);
-                                }
-                            }
-                            // Resolve for success, authenticated, or other non-error statuses
-                            resolve(response);
-                        }
-                    },
-                    reject,
-                    timeout
+    /**
+     * Whether a send() call should go to the offline queue instead of the socket
+     */
+    shouldQueue(options) {
+        if (!this.queueOptions.enabled || options.queue === false || this.restoringSession) {
+            return false;
+        }
+        if (this.queueOptions.idempotentOnly && !options.idempotent) {
+            return false;
+        }
+
+        // Stay behind commands that are already waiting so replay order matches send order
+        if (this.outboundQueue.length > 0 || this.flushingQueue) {
+            return true;
+        }
+
+        // Only queue while a session exists to restore - otherwise nothing would ever replay it
+        return this.session !== null && !this.isAuthenticated;
+    }
+
+    /**
+     * Add a command to the offline queue
+     * @returns {Promise} Settles when the command is replayed, expires or the session ends
+     */
+    enqueue(command, args, options) {
+        return new Promise((resolve, reject) => {
+            if (this.outboundQueue.length >= this.queueOptions.maxSize) {
+                reject(createRconError('Command queue is full', 'QUEUE_FULL'));
+                return;
+            }
+
+            const signal = options.signal;
+            if (signal && signal.aborted) {
+                reject(createRconError('Request aborted', 'ABORTED'));
+                return;
+            }
+
+            const ttlMs = options.ttlMs || this.queueOptions.ttlMs;
+            const entry = { command, args, options, resolve, reject, timer: null };
+            const remove = () => {
+                clearTimeout(entry.timer);
+                const index = this.outboundQueue.indexOf(entry);
+                if (index > -1) {
+                    this.outboundQueue.splice(index, 1);
+                }
+            };
+            entry.timer = setTimeout(() => {
+                remove();
+                reject(createRconError(`Queued command expired after ${ttlMs}ms`, 'EXPIRED'));
+            }, ttlMs);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (!this.outboundQueue.includes(entry)) return;  // Already replayed
+                    remove();
+                    reject(createRconError('Request aborted', 'ABORTED'));
                 });
+            }
 
-                // Send message
-                this.ws.send(JSON.stringify(message));
-            } catch (error) {
-                this.pendingRequests.delete(requestId);
-                reject(error);
+            this.outboundQueue.push(entry);
+            this.logger.log(`[RconClient] Queued '${command}' until reconnected (${this.outboundQueue.length} waiting)`);
+            this.emit('queued', { command, args, size: this.outboundQueue.length });
+        });
+    }
+
+    /**
+     * Replay queued commands one at a time, in the order they were sent
+     * Stops early (leaving the rest queued) if the session drops again
+     */
+    async flushQueue() {
+        if (this.flushingQueue) return;
+        this.flushingQueue = true;
+
+        try {
+            while (this.outboundQueue.length > 0 && this.isAuthenticated) {
+                const entry = this.outboundQueue.shift();
+                clearTimeout(entry.timer);
+                this.logger.log(`[RconClient] Replaying queued '${entry.command}'`);
+
+                try {
+                    entry.resolve(await this.sendImmediate(entry.command, entry.args, entry.options));
+                } catch (error) {
+                    entry.reject(error);
+                }
             }
+        } finally {
+            this.flushingQueue = false;
+        }
+    }
+
+    /**
+     * Reject and clear every queued command
+     * @param {Error} error - Rejection reason
+     */
+    rejectQueue(error) {
+        const entries = this.outboundQueue;
+        this.outboundQueue = [];
+        entries.forEach((entry) => {
+            clearTimeout(entry.timer);
+            entry.reject(error);
         });
     }
 
+    /**
+     * Send RCON command on the current socket without queueing or retrying
+     * @param {string} command - Command name
+     * @param {Array} args - Command arguments
+     * @param {Object} options - timeoutMs, signal
+     * @returns {Promise} Resolves with response, rejects if command fails (error.response holds the error frame)
+     */
+    async sendImmediate(command, args = [], options = {}) {
+        const response = await this.request({ Command: command, Args: args }, {
+            timeoutMs: options.timeoutMs,
+            signal: options.signal,
+            logMessage: true,
+            quiet: options.quiet
+        });
+
+        // Reject if server returned an error status
+        if (response.Status === 'error') {
+            const error = new Error(response.Message || 'Command failed');
+            error.response = response;
+            throw error;
+        }
+
+        // Check if we just authenticated (not already authenticated)
+        if ((response.Status === 'authenticated' || response.Status === 'success') &&
+            !this.isAuthenticated && (command === 'hello' || command === 'auth')) {
+            this.isAuthenticated = true;
+            // Remember the auth flow so a dropped session can be restored
+            if (command === 'hello') {
+                this.session = { mode: 'url' };
+            }
+            this.emit('authenticated', response);
+        }
+
+        // Resolve for success, authenticated, or other non-error statuses
+        return response;
+    }
+
     /**
      * Register event listener
-     * @param {string} event - Event name (connected, authenticated, response, error, disconnected)
+     * @param {string} event - Event name (connected, authenticated, response, error, disconnected,
+     *                         reconnecting, reconnected, gave-up, session-ended, queued, protocol-warning)
      * @param {Function} callback - Callback function
      */
     on(event, callback) {
@@ -337,7 +820,7 @@ class RconClient {
             this.listeners.set(event, []);
         }
         this.listeners.get(event).push(callback);
-        console.log(`[RconClient] Event listener registered: ${event}`);
+        this.logger.log(`[RconClient] Event listener registered: ${event}`);
     }
 
     /**
@@ -366,7 +849,7 @@ class RconClient {
             try {
                 callback(data);
             } catch (error) {
-                console.error(`[RconClient] Error in ${event} listener:`, error);
+                this.logger.error(`[RconClient] Error in ${event} listener:`, error);
             }
         });
     }
@@ -375,19 +858,43 @@ class RconClient {
      * Disconnect from server
      */
     disconnect() {
-        console.log('[RconClient] Disconnecting...');
+        this.logger.log('[RconClient] Disconnecting...');
         // Clear any pending reconnection timer
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
-        }
+        this.cancelReconnect();
+        this.reconnectAttempts = 0;
+        this.session = null;  // A manual disconnect ends the session - nothing to restore
+        this.rejectQueue(createRconError('Disconnected', 'CANCELLED'));
+        this.cancelAll('Disconnected');
         if (this.ws) {
             this.ws.close();
             this.ws = null;
         }
         this.isConnected = false;
         this.isAuthenticated = false;
-        this.disableReconnect = false;  // Reset reconnect flag on disconnect
+        this.emit('session-ended', { reason: 'Disconnected' });
+    }
+
+    /**
+     * Address and HTTP Basic credentials for the server's /api routes (shared history), built from
+     * the credentials this client logged in with
+     * @returns {{baseUrl: string, authorization: string}|null} null until authenticated
+     */
+    getHttpAuth() {
+        if (!this.isAuthenticated) return null;
+
+        let credentials = null;
+        if (this.session && this.session.mode === 'ace') {
+            credentials = `${this.session.accountName || ''}:${this.session.password}`;
+        } else if (this.password) {
+            credentials = `:${this.password}`;  // Rust-style - the server only checks the password
+        }
+        if (credentials === null) return null;
+
+        const bytes = new TextEncoder().encode(credentials);
+        return {
+            baseUrl: `${this.secure ? 'https' : 'http'}://${this.host}:${this.port}`,
+            authorization: `Basic ${btoa(String.fromCharCode(...bytes))}`
+        };
     }
 
     /**
@@ -399,7 +906,10 @@ class RconClient {
             isConnected: this.isConnected,
             isAuthenticated: this.isAuthenticated,
             pendingRequests: this.pendingRequests.size,
-            requestId: this.requestId
+            requestId: this.requestId,
+            reconnectAttempts: this.reconnectAttempts,
+            queuedCommands: this.outboundQueue.length,
+            isReconnecting: this.reconnectTimer !== null
         };
     }
 }
@@ -407,6 +917,12 @@ class RconClient {
 // Export for use in HTML
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RconClient;
+    module.exports.ReconnectPolicy = ReconnectPolicy;
+    // Browsers load rcon-commands.js and rcon-streams.js as their own scripts, which install themselves
+    require('./rcon-commands.js').install(RconClient);
+    require('./rcon-streams.js').install(RconClient);
 }
 
-console.log('[rcon-client.js] RconClient library loaded');
+if (typeof window !== 'undefined') {
+    console.log('[rcon-client.js] RconClient library loaded');
+}
@@ -0,0 +1,234 @@
+/**
+ * ACE RCON Typed Command Helpers
+ * One method per built-in RCON command, installed on RconClient.prototype.
+ * Each helper builds the Args array for its command and returns normalized Data
+ * using the field names documented in docs/PROTOCOL.md.
+ *
+ * Usage:
+ * const { OnlinePlayers } = await client.players();
+ * await client.ban('accountname', { days: 7, reason: 'Spamming' });
+ * await client.boot('CharacterName');
+ *
+ * Every helper takes send() options (timeoutMs, signal, retries) as its last argument.
+ * Server errors reject exactly as send() does (error.response holds the error frame).
+ */
+
+/**
+ * Normalizers - fill in defaults so every documented field is present
+ * (key casing is already normalized by rcon-schema.js when frames arrive)
+ */
+const RconNormalizers = {
+    /**
+     * Player object from players/hello OnlinePlayers
+     */
+    player(raw = {}) {
+        return {
+            Name: String(raw.Name || 'Unknown'),
+            Guid: raw.Guid !== undefined && raw.Guid !== null ? String(raw.Guid) : '',
+            Level: Number(raw.Level) || 0,
+            Race: String(raw.Race || ''),
+            Location: String(raw.Location || ''),
+            AccountName: String(raw.AccountName || '')
+        };
+    },
+
+    /**
+     * players command Data
+     */
+    players(data = {}) {
+        const onlinePlayers = Array.isArray(data.OnlinePlayers) ? data.OnlinePlayers.map(RconNormalizers.player) : [];
+        return {
+            CurrentPlayers: Number(data.CurrentPlayers) || onlinePlayers.length,
+            MaxPlayers: Number(data.MaxPlayers) || 0,
+            OnlinePlayers: onlinePlayers
+        };
+    },
+
+    /**
+     * status command Data
+     */
+    status(data = {}) {
+        return {
+            Status: String(data.Status || 'Unknown'),
+            CurrentPlayers: Number(data.CurrentPlayers) || 0,
+            MaxPlayers: Number(data.MaxPlayers) || 0,
+            Uptime: String(data.Uptime || ''),
+            WorldTime: data.WorldTime || null,
+            AceServerVersion: data.AceServerVersion !== undefined ? String(data.AceServerVersion) : '',
+            AceServerBuild: data.AceServerBuild !== undefined ? data.AceServerBuild : null,
+            AceDatabaseBaseVersion: data.AceDatabaseBaseVersion !== undefined ? data.AceDatabaseBaseVersion : null,
+            AceDatabasePatchVersion: data.AceDatabasePatchVersion !== undefined ? data.AceDatabasePatchVersion : null
+        };
+    },
+
+    /**
+     * Ban entry from banlist BannedAccounts, or baninfo Data
+     */
+    ban(raw = {}) {
+        return {
+            AccountName: String(raw.AccountName || 'Unknown'),
+            BanExpireTime: raw.BanExpireTime || null,  // null for permanent bans
+            BanReason: String(raw.BanReason || 'No reason specified')
+        };
+    },
+
+    /**
+     * banlist command Data
+     */
+    banlist(data = {}) {
+        const bannedAccounts = Array.isArray(data.BannedAccounts) ? data.BannedAccounts.map(RconNormalizers.ban) : [];
+        return {
+            BannedAccounts: bannedAccounts,
+            Count: Number(data.Count) || bannedAccounts.length
+        };
+    },
+
+    /**
+     * baninfo command Data (ban fields plus the account's characters)
+     */
+    baninfo(data = {}) {
+        const info = RconNormalizers.ban(data);
+        info.Characters = Array.isArray(data.Characters) ? data.Characters.map(character => ({
+            CharacterName: String(character.CharacterName || 'Unknown'),
+            Level: Number(character.Level) || 0,
+            Race: String(character.Race || ''),
+            Class: String(character.Class || '')
+        })) : [];
+        return info;
+    }
+};
+
+/**
+ * Require a non-empty name argument
+ */
+function requireRconName(value, label) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name) {
+        throw new Error(`${label} is required`);
+    }
+    return name;
+}
+
+/**
+ * Require a whole number >= 0 for a ban duration field
+ */
+function requireRconDuration(value, label) {
+    const number = value === undefined || value === null ? 0 : Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${label} must be a whole number of 0 or more`);
+    }
+    return number;
+}
+
+/**
+ * Methods installed on RconClient.prototype (`this` is the client)
+ */
+const RconCommandMethods = {
+    /**
+     * Online players - players command
+     * @returns {Promise<{CurrentPlayers, MaxPlayers, OnlinePlayers}>}
+     */
+    async players(options = {}) {
+        const response = await this.send('players', [], Object.assign({ idempotent: true }, options));
+        return RconNormalizers.players(response.Data);
+    },
+
+    /**
+     * Server status - status command
+     * @returns {Promise<Object>} Status, CurrentPlayers, MaxPlayers, Uptime, WorldTime and ACE versions
+     */
+    async status(options = {}) {
+        const response = await this.send('status', [], Object.assign({ idempotent: true }, options));
+        return RconNormalizers.status(response.Data);
+    },
+
+    /**
+     * Banned accounts - banlist command
+     * @returns {Promise<{BannedAccounts, Count}>}
+     */
+    async banlist(options = {}) {
+        const response = await this.send('banlist', [], Object.assign({ idempotent: true }, options));
+        return RconNormalizers.banlist(response.Data);
+    },
+
+    /**
+     * Ban details for one account - baninfo command
+     * @param {string} accountName - Banned account
+     * @returns {Promise<{AccountName, BanExpireTime, BanReason, Characters}>}
+     */
+    async baninfo(accountName, options = {}) {
+        const account = requireRconName(accountName, 'Account name');
+        const response = await this.send('baninfo', [account], Object.assign({ idempotent: true }, options));
+        return RconNormalizers.baninfo(response.Data);
+    },
+
+    /**
+     * Ban an account - ACE's `ban <account> <days> <hours> <minutes> [reason]`
+     * @param {string} accountName - Account to ban
+     * @param {Object} duration - days, hours, minutes (at least one must be non-zero), reason
+     * @returns {Promise<{AccountName, Days, Hours, Minutes, Reason, Message}>}
+     */
+    async ban(accountName, duration = {}, options = {}) {
+        const account = requireRconName(accountName, 'Account name');
+        const days = requireRconDuration(duration.days, 'days');
+        const hours = requireRconDuration(duration.hours, 'hours');
+        const minutes = requireRconDuration(duration.minutes, 'minutes');
+        if (days + hours + minutes === 0) {
+            throw new Error('Ban duration must be longer than 0 minutes');
+        }
+
+        const reason = typeof duration.reason === 'string' ? duration.reason.trim() : '';
+        const args = [account, String(days), String(hours), String(minutes)];
+        if (reason) {
+            args.push(reason);
+        }
+
+        const response = await this.send('ban', args, options);
+        return { AccountName: account, Days: days, Hours: hours, Minutes: minutes, Reason: reason, Message: response.Message || '' };
+    },
+
+    /**
+     * Disconnect a character - ACE's `boot char <name>`
+     * @param {string} characterName - Character to boot
+     * @returns {Promise<{CharacterName, Message}>}
+     */
+    async boot(characterName, options = {}) {
+        const name = requireRconName(characterName, 'Character name');
+        const response = await this.send('boot', ['char', name], options);
+        return { CharacterName: name, Message: response.Message || '' };
+    },
+
+    /**
+     * Lift an account ban - unban command
+     * @param {string} accountName - Banned account
+     * @returns {Promise<{AccountName, Message}>}
+     */
+    async unban(accountName, options = {}) {
+        const account = requireRconName(accountName, 'Account name');
+        const response = await this.send('unban', [account], options);
+        return { AccountName: account, Message: response.Message || '' };
+    }
+};
+
+const RconCommands = {
+    methods: RconCommandMethods,
+    normalize: RconNormalizers,
+
+    /**
+     * Add the helpers to a client class
+     * @param {Function} ClientClass - RconClient
+     */
+    install(ClientClass) {
+        Object.assign(ClientClass.prototype, RconCommandMethods);
+    }
+};
+
+// Export for use in HTML (rcon-client.js installs the helpers itself under Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconCommands;
+}
+
+if (typeof window !== 'undefined' && typeof RconClient !== 'undefined') {
+    RconCommands.install(RconClient);
+    console.log('[rcon-commands.js] Command helpers installed on RconClient');
+}
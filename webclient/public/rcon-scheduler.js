@@ -0,0 +1,688 @@
+/**
+ * ACE RCON Scheduler
+ * Commands that run at a set time or on a cron-like recurrence, e.g. a restart warning every day
+ * at 03:45. The same code runs in the web client (while it is open) and in the headless runner
+ * (webclient/bin/rcon-scheduler.js), so a schedule keeps running with the browser closed.
+ *
+ * The schedule is kept on the server (/api/schedule, saved as schedule.json next to the mod).
+ * Every save names the version it was based on, and a runner claims a run by saving it as
+ * "running" first - when two runners are due at once, only one claim is accepted.
+ *
+ * A task is { id, name, commands, schedule, timeZone, group, paused, createdAt, lastRun }:
+ * - commands: console lines run in order, stopping at the first one that fails
+ * - schedule: { type: 'once', at: <ms> } or { type: 'cron', cron: '45 3 * * *' }
+ *   (minute hour day-of-month month day-of-week, with *, lists, ranges and steps, or @hourly,
+ *   @daily, @weekly, @monthly)
+ * - timeZone: IANA zone the cron times are in (default: the zone of the browser that created it)
+ * - group: id shared by tasks added together, e.g. the warnings and the stop of one restart
+ * - lastRun: { slot, status, runner, startedAt, finishedAt, results: [{ command, status, message }] }
+ *
+ * Runs due more than graceMs ago (the runner was offline) are recorded as missed, not run late.
+ *
+ * Usage:
+ * const scheduler = new RconScheduler({ store: RconScheduler.createHttpStore(client.getHttpAuth()), getClient: () => client });
+ * await scheduler.load();
+ * await scheduler.addTask({ name: 'Nightly warning', commands: ['gamecast Restart in 15 minutes'], schedule: { type: 'cron', cron: '45 3 * * *' } });
+ * scheduler.start();  // Checks for due tasks until stop()
+ *
+ * Run status: running, success, error, timeout or missed
+ */
+
+const RCON_SCHEDULE_PARSER = typeof RconCommandParser !== 'undefined' ? RconCommandParser : require('./command-parser.js');
+
+const RCON_CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }  // 0 and 7 are Sunday
+];
+
+const RCON_CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const RCON_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Logger used when options.logger is null - swallows all scheduler output
+ */
+const SILENT_SCHEDULER_LOGGER = { log() {}, warn() {}, error() {} };
+
+// Intl formatters per time zone - creating one is far slower than using it
+const rconZoneFormatters = new Map();
+
+/**
+ * Wall-clock fields of a moment, in a time zone (or the local zone when none is given)
+ * @returns {{year, month, day, hour, minute, weekday}} month 1-12, weekday 0 (Sunday) - 6
+ */
+function getZonedParts(ms, timeZone) {
+    if (!timeZone) {
+        const date = new Date(ms);
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            weekday: date.getDay()
+        };
+    }
+
+    let formatter = rconZoneFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        rconZoneFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(new Date(ms)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: RCON_WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+function createScheduleConflictError(current) {
+    const error = new Error('Schedule was changed by another runner');
+    error.code = 'CONFLICT';
+    error.current = current;
+    return error;
+}
+
+function cloneScheduleData(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+class RconScheduler {
+    /**
+     * @param {Object} options
+     * - store: { load(), save(document) } - see createHttpStore() and createMemoryStore()
+     * - getClient: () => logged-in RconClient (or null while there is none)
+     * - runner: name recorded with each run (default 'web')
+     * - timeoutMs: time to wait for each command's response (default 30s)
+     * - graceMs: how late a run may still start (default 5 minutes)
+     * - pollMs: how often start() reloads the schedule (default 60s)
+     * - now: () => ms, for tests
+     * - onChange: (tasks) => void, called whenever the schedule was loaded or saved
+     * - onRun: (run) => void, called after each run this scheduler made
+     * - logger: object with log/warn/error methods (defaults to console, null silences output)
+     */
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('A schedule store is required');
+        }
+        this.store = options.store;
+        this.getClient = options.getClient || (() => null);
+        this.runner = options.runner || 'web';
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.graceMs = options.graceMs !== undefined ? options.graceMs : 5 * 60000;
+        this.pollMs = options.pollMs || 60000;
+        this.now = options.now || (() => Date.now());
+        this.onChange = options.onChange || null;
+        this.onRun = options.onRun || null;
+        this.logger = options.logger === null ? SILENT_SCHEDULER_LOGGER : (options.logger || console);
+
+        this.version = 0;
+        this.tasks = [];
+        this.unknownTasks = [];  // Saved by a newer client - kept as they are
+        this.timer = null;
+        this.active = false;
+    }
+
+    /** ==================== Cron ==================== */
+
+    /**
+     * Parse a 5-field cron expression (or @hourly, @daily, @weekly, @monthly)
+     * @returns {{minutes, hours, days, months, weekdays, anyDay, anyWeekday}} Sets of allowed values
+     * @throws {Error} For an invalid expression
+     */
+    static parseCron(expression) {
+        const text = String(expression || '').trim();
+        const fields = (RCON_CRON_SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Cron needs 5 fields (minute hour day month weekday), got "${text}"`);
+        }
+
+        const sets = fields.map((field, index) => {
+            const { name, min, max } = RCON_CRON_FIELDS[index];
+            const values = new Set();
+
+            field.split(',').forEach(part => {
+                const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+                if (!match) {
+                    throw new Error(`Invalid cron ${name}: "${part}"`);
+                }
+
+                const start = match[1] === '*' ? min : Number(match[2]);
+                const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+                const step = match[4] ? Number(match[4]) : 1;
+                if (start < min || end > max || start > end || step < 1) {
+                    throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+                }
+
+                for (let value = start; value <= end; value += step) {
+                    values.add(index === 4 && value === 7 ? 0 : value);
+                }
+            });
+            return values;
+        });
+
+        return {
+            minutes: sets[0],
+            hours: sets[1],
+            days: sets[2],
+            months: sets[3],
+            weekdays: sets[4],
+            anyDay: fields[2] === '*',
+            anyWeekday: fields[4] === '*'
+        };
+    }
+
+    /**
+     * First minute strictly after a moment that matches a cron expression
+     * @param {string|Object} cron - Expression or parseCron() result
+     * @param {number} after - ms
+     * @param {string} timeZone - IANA zone of the cron times (default local)
+     * @returns {number|null} ms, or null if nothing matches within a few years (e.g. "0 0 31 2 *")
+     */
+    static nextCronTime(cron, after, timeZone) {
+        const parsed = typeof cron === 'string' ? RconScheduler.parseCron(cron) : cron;
+        let time = Math.floor(after / 60000) * 60000 + 60000;
+
+        // Skip whole days, then whole hours, then minutes - a few hundred steps even for yearly crons
+        for (let step = 0; step < 20000; step++) {
+            const parts = getZonedParts(time, timeZone);
+            // As in cron, a restricted day of month and day of week match if either one does
+            const dayMatches = parsed.anyDay || parsed.anyWeekday
+                ? parsed.days.has(parts.day) && parsed.weekdays.has(parts.weekday)
+                : parsed.days.has(parts.day) || parsed.weekdays.has(parts.weekday);
+
+            if (!parsed.months.has(parts.month) || !dayMatches) {
+                time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000;
+            } else if (!parsed.hours.has(parts.hour)) {
+                time += (60 - parts.minute) * 60000;
+            } else if (!parsed.minutes.has(parts.minute)) {
+                time += 60000;
+            } else {
+                return time;
+            }
+        }
+        return null;
+    }
+
+    /** ==================== Tasks ==================== */
+
+    /**
+     * Validate a task and fill in defaults
+     * @returns {Object} { name, commands, schedule, timeZone, group, paused, createdAt, resumedAt, lastRun }
+     */
+    normalizeTask(task = {}) {
+        const name = typeof task.name === 'string' ? task.name.trim() : '';
+        if (!name) {
+            throw new Error('Task name is required');
+        }
+
+        const lines = Array.isArray(task.commands) ? task.commands : String(task.commands || '').split('\n');
+        const commands = lines.map(line => String(line).trim()).filter(line => line);
+        if (commands.length === 0) {
+            throw new Error('A task needs at least one command');
+        }
+        commands.forEach((line, index) => {
+            try {
+                RCON_SCHEDULE_PARSER.tokenize(line);
+            } catch (error) {
+                throw new Error(`Command ${index + 1}: ${error.message}`);
+            }
+        });
+
+        const timeZone = task.timeZone ? String(task.timeZone) : null;
+        if (timeZone) {
+            try {
+                getZonedParts(0, timeZone);
+            } catch (error) {
+                throw new Error(`Unknown time zone: ${timeZone}`);
+            }
+        }
+
+        const schedule = task.schedule || {};
+        let normalizedSchedule;
+        if (schedule.type === 'once') {
+            const at = Number(schedule.at);
+            if (!Number.isFinite(at) || at <= 0) {
+                throw new Error('A one-time task needs a date and time');
+            }
+            normalizedSchedule = { type: 'once', at };
+        } else if (schedule.type === 'cron') {
+            const cron = String(schedule.cron || '').trim();
+            if (RconScheduler.nextCronTime(cron, 0, timeZone) === null) {
+                throw new Error(`Cron "${cron}" never matches`);
+            }
+            normalizedSchedule = { type: 'cron', cron };
+        } else {
+            throw new Error(`Unknown schedule type: ${schedule.type} (expected once or cron)`);
+        }
+
+        return {
+            name,
+            commands,
+            schedule: normalizedSchedule,
+            timeZone,
+            group: task.group ? String(task.group) : null,
+            paused: !!task.paused,
+            createdAt: Number(task.createdAt) || this.now(),
+            resumedAt: Number(task.resumedAt) || null,
+            lastRun: task.lastRun || null
+        };
+    }
+
+    /**
+     * Load the schedule from the store
+     * @returns {Promise<Array>} Tasks (see getTasks())
+     */
+    async load() {
+        this.apply(await this.store.load());
+        return this.getTasks();
+    }
+
+    /**
+     * Take a stored document as the current schedule
+     */
+    apply(document) {
+        this.version = (document && document.Version) || 0;
+        this.tasks = [];
+        this.unknownTasks = [];
+
+        ((document && document.Tasks) || []).forEach(task => {
+            try {
+                this.tasks.push(Object.assign(this.normalizeTask(task), { id: String(task.id) }));
+            } catch (error) {
+                this.logger.warn('[RconScheduler] Keeping a task this version cannot run:', error.message);
+                this.unknownTasks.push(task);
+            }
+        });
+
+        if (this.onChange) {
+            try {
+                this.onChange(this.getTasks());
+            } catch (error) {
+                this.logger.error('[RconScheduler] Error in onChange callback:', error);
+            }
+        }
+    }
+
+    /**
+     * Change the tasks and save them - when another runner saved first, its schedule is loaded and
+     * the change is made again on top of it
+     * @param {Function} change - (tasks) => false to cancel, anything else to save; may throw
+     * @returns {Promise<boolean>} Whether the change was saved
+     */
+    async update(change) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const tasks = cloneScheduleData(this.tasks);
+            if (change(tasks) === false) {
+                return false;
+            }
+
+            try {
+                this.apply(await this.store.save({ Version: this.version, Tasks: tasks.concat(this.unknownTasks) }));
+                return true;
+            } catch (error) {
+                if (error.code !== 'CONFLICT') throw error;
+                this.apply(error.current);
+            }
+        }
+        throw new Error('The schedule keeps changing - try again');
+    }
+
+    /**
+     * Tasks with their next run time (nextRunAt, null when paused or finished)
+     */
+    getTasks() {
+        return this.tasks.map(task => Object.assign(cloneScheduleData(task), { nextRunAt: this.getNextRun(task) }));
+    }
+
+    getTask(id) {
+        return this.getTasks().find(task => task.id === id) || null;
+    }
+
+    /**
+     * Add a task
+     * @returns {Promise<Object>} The saved task, with its generated id
+     */
+    async addTask(fields) {
+        const [task] = await this.addTasks([fields]);
+        return task;
+    }
+
+    /**
+     * Add several tasks in one save - all of them or, when one doesn't validate, none
+     * @returns {Promise<Array>} The saved tasks, in order
+     */
+    async addTasks(list) {
+        const added = list.map(fields => Object.assign(this.normalizeTask(Object.assign({}, fields, { createdAt: this.now(), lastRun: null })), {
+            id: `task-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`
+        }));
+        await this.update(tasks => {
+            tasks.push(...added);
+        });
+        return added.map(task => this.getTask(task.id));
+    }
+
+    /**
+     * Change a task's name, commands, schedule or time zone (its run history is kept)
+     */
+    async updateTask(id, changes) {
+        await this.update(tasks => {
+            const index = tasks.findIndex(task => task.id === id);
+            if (index < 0) {
+                throw new Error(`Unknown task: ${id}`);
+            }
+            const { createdAt, resumedAt, lastRun, paused } = tasks[index];
+            tasks[index] = Object.assign(this.normalizeTask(Object.assign({}, tasks[index], changes)), { id, createdAt, resumedAt, lastRun, paused });
+        });
+        return this.getTask(id);
+    }
+
+    /**
+     * Pause or resume a task - runs that fell due while it was paused are not made up
+     */
+    async setPaused(id, paused) {
+        await this.update(tasks => {
+            const task = tasks.find(entry => entry.id === id);
+            if (!task) {
+                throw new Error(`Unknown task: ${id}`);
+            }
+            if (task.paused === !!paused) return false;
+
+            task.paused = !!paused;
+            if (!paused) task.resumedAt = this.now();
+        });
+        return this.getTask(id);
+    }
+
+    /**
+     * Cancel a task
+     */
+    async removeTask(id) {
+        await this.update(tasks => {
+            const index = tasks.findIndex(task => task.id === id);
+            if (index < 0) {
+                throw new Error(`Unknown task: ${id}`);
+            }
+            tasks.splice(index, 1);
+        });
+    }
+
+    /**
+     * Cancel every task of a group
+     * @returns {Promise<Array>} The removed tasks as they were (with nextRunAt), empty if the group had none
+     */
+    async removeGroup(group) {
+        let removed = [];
+        await this.update(tasks => {
+            removed = tasks.filter(task => task.group === group);
+            if (removed.length === 0) return false;
+
+            tasks.splice(0, tasks.length, ...tasks.filter(task => task.group !== group));
+        });
+        return removed.map(task => Object.assign(task, { nextRunAt: this.getNextRun(task) }));
+    }
+
+    /** ==================== Running ==================== */
+
+    /**
+     * Next time a task is due after a moment
+     */
+    nextSlot(task, after) {
+        if (task.schedule.type === 'once') {
+            return task.schedule.at > after ? task.schedule.at : null;
+        }
+        return RconScheduler.nextCronTime(task.schedule.cron, after, task.timeZone);
+    }
+
+    /**
+     * Next time a task is due (possibly in the past, when it hasn't run yet), null when paused or finished
+     */
+    getNextRun(task) {
+        if (task.paused) return null;
+
+        if (task.schedule.type === 'once') {
+            return task.lastRun ? null : task.schedule.at;
+        }
+
+        // Recurring tasks start from their creation or last resume - earlier slots were never owed
+        const after = Math.max(task.lastRun ? task.lastRun.slot : task.createdAt, task.resumedAt || 0);
+        return this.nextSlot(task, after);
+    }
+
+    /**
+     * The upcoming run times of a task
+     */
+    getUpcomingRuns(task, count = 3) {
+        const runs = [];
+        let next = this.getNextRun(task);
+        while (next !== null && runs.length < count) {
+            runs.push(next);
+            next = task.schedule.type === 'cron' ? this.nextSlot(task, next) : null;
+        }
+        return runs;
+    }
+
+    /**
+     * The run a task owes now, if any: the latest slot that has come, missed when it is older than graceMs
+     * @returns {{slot: number, missed: boolean}|null}
+     */
+    findDueRun(task, now) {
+        let slot = this.getNextRun(task);
+        if (slot === null || slot > now) return null;
+
+        // Several slots passed while no runner was up - only the latest one counts
+        for (let next = this.nextSlot(task, slot), steps = 0; next !== null && next <= now && steps < 10000; steps++) {
+            slot = next;
+            next = this.nextSlot(task, slot);
+        }
+        return { slot, missed: now - slot > this.graceMs };
+    }
+
+    /**
+     * Claim and run every due task
+     * @returns {Promise<Array>} Runs made: { id, name, slot, status, results }
+     */
+    async runDue() {
+        const client = this.getClient();
+        if (!client || !client.isAuthenticated) {
+            return [];
+        }
+
+        const runs = [];
+        for (const task of this.tasks.slice()) {
+            const now = this.now();
+            const due = this.findDueRun(task, now);
+            if (!due) continue;
+
+            // Claim the run - fails when another runner claimed it first
+            const claimed = await this.update(tasks => {
+                const current = tasks.find(entry => entry.id === task.id);
+                const still = current ? this.findDueRun(current, now) : null;
+                if (!still || still.slot !== due.slot) return false;
+
+                current.lastRun = {
+                    slot: due.slot,
+                    status: due.missed ? 'missed' : 'running',
+                    runner: this.runner,
+                    startedAt: now,
+                    finishedAt: due.missed ? now : null,
+                    results: []
+                };
+            });
+            if (!claimed || due.missed) continue;
+
+            this.logger.log(`[RconScheduler] Running ${task.name} (${this.runner})`);
+            const run = await this.execute(client, task);
+            const made = Object.assign({ id: task.id, name: task.name, slot: due.slot }, run);
+            runs.push(made);
+
+            try {
+                await this.update(tasks => {
+                    const current = tasks.find(entry => entry.id === task.id);
+                    if (!current || !current.lastRun || current.lastRun.slot !== due.slot || current.lastRun.runner !== this.runner) {
+                        return false;
+                    }
+                    Object.assign(current.lastRun, run);
+                });
+            } catch (error) {
+                this.logger.warn(`[RconScheduler] Failed to save the result of ${task.name}:`, error.message);
+            }
+
+            if (this.onRun) {
+                try {
+                    this.onRun(made);
+                } catch (error) {
+                    this.logger.error('[RconScheduler] Error in onRun callback:', error);
+                }
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Send a task's commands in order, stopping at the first failure (later ones are skipped)
+     * @returns {Promise<{status, finishedAt, results}>}
+     */
+    async execute(client, task) {
+        const results = [];
+        let status = 'success';
+
+        for (const line of task.commands) {
+            if (status !== 'success') {
+                results.push({ command: line, status: 'skipped', message: '' });
+                continue;
+            }
+
+            try {
+                const { command, args } = RCON_SCHEDULE_PARSER.parse(line);
+                const response = await client.send(command, RCON_SCHEDULE_PARSER.quoteForAce(args), { timeoutMs: this.timeoutMs, queue: false });
+                results.push({ command: line, status: 'success', message: (response.Message || '').substring(0, 500) });
+            } catch (error) {
+                status = error.code === 'TIMEOUT' ? 'timeout' : 'error';
+                results.push({ command: line, status, message: (error.message || 'Command failed').substring(0, 500) });
+            }
+        }
+
+        return { status, finishedAt: this.now(), results };
+    }
+
+    /**
+     * Reload the schedule and run due tasks now, then every pollMs (sooner when a task is due sooner)
+     */
+    start() {
+        if (this.active) return;
+        this.active = true;
+        this.tick();
+    }
+
+    stop() {
+        this.active = false;
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        this.timer = null;
+        let saved = false;  // A run or claim was saved - tasks still due get another go soon
+        try {
+            await this.load();
+            const loaded = this.version;
+            await this.runDue();
+            saved = this.version !== loaded;
+        } catch (error) {
+            this.logger.warn('[RconScheduler] Schedule check failed:', error.message);
+        }
+        if (!this.active) return;
+
+        // Tasks due that could not run (logged out, store down) wait for the next poll
+        const now = this.now();
+        const nextDue = this.tasks
+            .map(task => this.getNextRun(task))
+            .filter(time => time !== null && (saved || time > now))
+            .reduce((soonest, time) => Math.min(soonest, time), Infinity);
+        const delay = Math.max(1000, Math.min(this.pollMs, nextDue - now));
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    /** ==================== Stores ==================== */
+
+    /**
+     * Store for the server's /api/schedule endpoint
+     * @param {Object} server - { baseUrl, authorization } from RconClient.getHttpAuth()
+     * @param {Function} fetchImpl - fetch to use (default the global one)
+     */
+    static createHttpStore(server, fetchImpl) {
+        const url = `${server.baseUrl}/api/schedule`;
+
+        const request = async (options) => {
+            const response = await (fetchImpl || fetch)(url, Object.assign({
+                headers: { Authorization: server.authorization, 'Content-Type': 'application/json' }
+            }, options));
+
+            if (response.status === 409) {
+                throw createScheduleConflictError(await response.json());
+            }
+            if (!response.ok) {
+                const body = await response.json().catch(() => null);
+                const reason = body && body.Message ? ` - ${body.Message}` : '';
+                throw new Error(`Schedule request failed: HTTP ${response.status}${reason}`);
+            }
+            return response.json();
+        };
+
+        return {
+            load: () => request({ method: 'GET' }),
+            save: (document) => request({ method: 'POST', body: JSON.stringify(document) })
+        };
+    }
+
+    /**
+     * In-memory store with the same version checks as the server (tests and the mock server)
+     */
+    static createMemoryStore(initial = { Version: 0, Tasks: [] }) {
+        let document = cloneScheduleData(initial);
+
+        return {
+            load: async () => cloneScheduleData(document),
+            save: async (incoming) => {
+                if ((incoming.Version || 0) !== document.Version) {
+                    throw createScheduleConflictError(cloneScheduleData(document));
+                }
+                document = { Version: document.Version + 1, Tasks: cloneScheduleData(incoming.Tasks || []) };
+                return cloneScheduleData(document);
+            }
+        };
+    }
+}
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconScheduler;
+}
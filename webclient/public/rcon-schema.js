@@ -0,0 +1,283 @@
+/**
+ * ACE RCON Response Schemas
+ * Describes every frame shape in docs/PROTOCOL.md. RconClient runs each incoming frame
+ * through check(), which:
+ * - normalizes key casing to the documented PascalCase names (playerName -> PlayerName)
+ * - coerces numeric strings where a number is documented
+ * - reports unknown statuses and missing or mistyped fields as warnings
+ *
+ * Frames are still delivered when they produce warnings; only frames that are not JSON
+ * objects are dropped.
+ *
+ * Field types: 'string', 'number', 'boolean', 'object', 'any', or '[shape]' for an array
+ * of another shape. A trailing '?' marks the field optional.
+ */
+
+const RCON_STATUS_FIELDS = {
+    Status: 'string',
+    CurrentPlayers: 'number',
+    MaxPlayers: 'number',
+    Uptime: 'string',
+    WorldTime: 'string'
+};
+
+const RCON_VERSION_FIELDS = {
+    AceServerVersion: 'any',
+    AceServerBuild: 'any',
+    AceDatabaseBaseVersion: 'any',
+    AceDatabasePatchVersion: 'any'
+};
+
+const RconSchemaShapes = {
+    // Every frame
+    envelope: {
+        Identifier: 'number',
+        Status: 'string',
+        Message: 'string?',
+        Data: 'object?',
+        Command: 'string?',
+        Debug: 'boolean?'
+    },
+
+    player: {
+        Name: 'string',
+        Guid: 'any',
+        Level: 'number',
+        Race: 'string',
+        Location: 'string',
+        AccountName: 'string?'
+    },
+
+    ban: {
+        AccountName: 'string',
+        BanExpireTime: 'string?',  // null for permanent bans
+        BanReason: 'string?'
+    },
+
+    character: {
+        CharacterName: 'string',
+        Level: 'number?',
+        Race: 'string?',
+        Class: 'string?'
+    },
+
+    // Command responses (Data)
+    auth: Object.assign({ ServerName: 'string' }, RCON_STATUS_FIELDS),
+    hello: Object.assign({ ServerName: 'string' }, RCON_STATUS_FIELDS, RCON_VERSION_FIELDS, { OnlinePlayers: '[player]' }),
+    status: Object.assign({}, RCON_STATUS_FIELDS, RCON_VERSION_FIELDS),
+    players: {
+        CurrentPlayers: 'number',
+        MaxPlayers: 'number',
+        OnlinePlayers: '[player]'
+    },
+    banlist: {
+        BannedAccounts: '[ban]',
+        Count: 'number'
+    },
+    baninfo: {
+        AccountName: 'string',
+        BanExpireTime: 'string?',
+        BanReason: 'string?',
+        Characters: '[character]?'
+    },
+    config: {
+        Version: 'string',
+        RconEnabled: 'boolean',
+        WebRconEnabled: 'boolean',
+        MaxConnections: 'number',
+        ConnectionTimeoutSeconds: 'number',
+        EnableLogging: 'boolean',
+        DebugMode: 'boolean',
+        AutoRefreshPlayers: 'boolean',
+        MaxReconnectAttempts: 'number',
+        ReconnectDelayMs: 'number',
+        UseAceAuthentication: 'boolean'
+    },
+
+    // Broadcasts (Data)
+    log: {
+        Logger: 'string?',
+        Timestamp: 'string?'
+    },
+    player_event: {
+        PlayerName: 'string',
+        PlayerGuid: 'any',
+        Level: 'number',
+        Location: 'string',
+        Count: 'number',
+        WorldTime: 'string'
+    },
+    status_update: {
+        ServerName: 'string?',
+        Status: 'string?',
+        CurrentPlayers: 'number?',
+        MaxPlayers: 'number?',
+        Uptime: 'string?',
+        WorldTime: 'string?'
+    }
+};
+
+// Statuses that answer a request (Identifier > 0)
+const RCON_RESPONSE_STATUSES = ['success', 'error', 'authenticated'];
+
+// Statuses of unsolicited broadcasts (Identifier 0)
+const RCON_BROADCAST_STATUSES = ['player_event', 'status_update', 'log_info', 'log_warn', 'log_error', 'log_debug'];
+
+// Built-in commands whose successful responses carry structured Data
+const RCON_COMMAND_SHAPES = ['auth', 'hello', 'status', 'players', 'banlist', 'baninfo', 'config'];
+
+const RconSchema = {
+    shapes: RconSchemaShapes,
+
+    /**
+     * Validate and normalize one parsed frame
+     * @param {any} raw - Parsed JSON
+     * @param {Function} getCommand - (identifier) => command name of the pending request, or null
+     * @returns {{frame: Object|null, warnings: Array<{message: string, path: string}>}}
+     *          frame is null when the payload is not an object and should be dropped
+     */
+    check(raw, getCommand = () => null) {
+        const warnings = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            warnings.push({ message: 'Frame is not a JSON object', path: '' });
+            return { frame: null, warnings };
+        }
+
+        const frame = RconSchema.normalize(raw, RconSchemaShapes.envelope, '', warnings);
+        const status = frame.Status;
+
+        if (frame.Identifier === 0 && RCON_BROADCAST_STATUSES.includes(status)) {
+            RconSchema.checkBroadcast(frame, warnings);
+        } else if (RCON_RESPONSE_STATUSES.includes(status)) {
+            RconSchema.checkResponse(frame, getCommand(frame.Identifier), warnings);
+        } else if (typeof status === 'string') {
+            warnings.push({ message: `Unknown Status '${status}'`, path: 'Status' });
+        }
+
+        return { frame, warnings };
+    },
+
+    /**
+     * Broadcast frames - shape chosen by Status
+     */
+    checkBroadcast(frame, warnings) {
+        if (frame.Status.startsWith('log_')) {
+            if (typeof frame.Message !== 'string') {
+                warnings.push({ message: 'Log broadcast has no Message', path: 'Message' });
+            }
+            // Servers before structured logs send no Data at all
+            if (frame.Data) {
+                RconSchema.checkData(frame, 'log', warnings);
+            }
+            return;
+        }
+
+        if (frame.Status === 'player_event' && !['login', 'logoff', 'logout'].includes(frame.Command)) {
+            warnings.push({ message: `Unknown player event '${frame.Command}'`, path: 'Command' });
+        }
+
+        RconSchema.checkData(frame, frame.Status, warnings);
+    },
+
+    /**
+     * Command responses - shape chosen by the command of the pending request
+     */
+    checkResponse(frame, command, warnings) {
+        // Error frames and passthrough console commands only carry a Message
+        if (frame.Status === 'error' || !RCON_COMMAND_SHAPES.includes(command)) {
+            return;
+        }
+
+        RconSchema.checkData(frame, command, warnings);
+    },
+
+    /**
+     * Normalize frame.Data against a named shape
+     */
+    checkData(frame, shapeName, warnings) {
+        if (!frame.Data || typeof frame.Data !== 'object') {
+            warnings.push({ message: `Missing Data for '${shapeName}'`, path: 'Data' });
+            return;
+        }
+        frame.Data = RconSchema.normalize(frame.Data, RconSchemaShapes[shapeName], 'Data', warnings);
+    },
+
+    /**
+     * Normalize one object against a shape
+     * Unknown keys are kept untouched so newer servers can add fields
+     * @returns {Object} New object with canonical key casing
+     */
+    normalize(source, shape, path, warnings) {
+        const result = {};
+        const canonicalKeys = {};
+        Object.keys(shape).forEach(key => {
+            canonicalKeys[key.toLowerCase()] = key;
+        });
+
+        Object.keys(source).forEach(key => {
+            const canonical = canonicalKeys[key.toLowerCase()] || key;
+            // Prefer the documented casing if the server sent both spellings
+            if (canonical in result && key !== canonical) return;
+            result[canonical] = source[key];
+        });
+
+        Object.keys(shape).forEach(key => {
+            const spec = shape[key];
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
+            const fieldPath = path ? `${path}.${key}` : key;
+            const value = result[key];
+
+            if (value === undefined || value === null) {
+                if (!optional) {
+                    warnings.push({ message: `Missing field '${key}'`, path: fieldPath });
+                }
+                return;
+            }
+
+            result[key] = RconSchema.normalizeValue(value, type, fieldPath, warnings);
+        });
+
+        return result;
+    },
+
+    /**
+     * Check and coerce one value
+     */
+    normalizeValue(value, type, path, warnings) {
+        if (type === 'any') {
+            return value;
+        }
+
+        if (type.startsWith('[')) {
+            if (!Array.isArray(value)) {
+                warnings.push({ message: 'Expected an array', path });
+                return value;
+            }
+            const itemShape = RconSchemaShapes[type.slice(1, -1)];
+            return value.map((item, index) => {
+                if (!item || typeof item !== 'object') {
+                    warnings.push({ message: 'Expected an object', path: `${path}[${index}]` });
+                    return item;
+                }
+                return RconSchema.normalize(item, itemShape, `${path}[${index}]`, warnings);
+            });
+        }
+
+        if (type === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== type) {
+            warnings.push({ message: `Expected ${type}, got ${actual}`, path });
+        }
+        return value;
+    }
+};
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconSchema;
+}
@@ -0,0 +1,238 @@
+/**
+ * ACE RCON Broadcast Streams
+ * Async-iterable views of the unsolicited broadcasts (Identifier 0), installed on RconClient.prototype.
+ * Each stream routes frames by Status the way onResponse() in ui.js does, so consumers don't
+ * have to filter 'response' events themselves.
+ *
+ * Usage:
+ * for await (const entry of client.logs({ levels: ['warn', 'error'] })) {
+ *     console.log(entry.Level, entry.Message);
+ * }
+ * for await (const event of client.playerEvents()) { ... }  // { Event: 'login', PlayerName, Count, ... }
+ * for await (const status of client.statusUpdates()) { ... }
+ *
+ * The server can't be paused, so each stream buffers up to highWaterMark unread items and then
+ * applies its overflow policy instead of growing without bound. Streams end (after their
+ * buffered items are read) when the session ends: disconnect() or reconnect giving up.
+ * Breaking out of the loop, or aborting options.signal, stops the stream immediately.
+ */
+
+const RCON_LOG_LEVELS = ['info', 'warn', 'error', 'debug'];
+
+// What to do with a broadcast that arrives while the buffer is full
+const RCON_STREAM_OVERFLOW = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * Async iterator over the broadcasts selected from one client
+ */
+class RconBroadcastStream {
+    /**
+     * @param {RconClient} client - Client to read broadcasts from
+     * @param {Function} select - (frame) => item to yield, or undefined to skip the frame
+     * @param {Object} options
+     * - highWaterMark: unread items to buffer (default 1000)
+     * - overflow: 'drop-oldest' (default), 'drop-newest' or 'error' (end the stream with code OVERFLOW)
+     * - signal: AbortSignal that stops the stream
+     */
+    constructor(client, select, options = {}) {
+        this.client = client;
+        this.select = select;
+        this.highWaterMark = options.highWaterMark || 1000;
+        this.overflow = options.overflow || 'drop-oldest';
+        if (!RCON_STREAM_OVERFLOW.includes(this.overflow)) {
+            throw new Error(`Unknown overflow policy: ${this.overflow} (expected ${RCON_STREAM_OVERFLOW.join(', ')})`);
+        }
+
+        this.buffer = [];
+        this.waiting = [];  // next() calls waiting for an item
+        this.dropped = 0;  // Items discarded by the overflow policy
+        this.done = false;
+        this.error = null;  // Thrown by next() once the buffer is drained
+
+        this.onResponse = (frame) => this.push(frame);
+        this.onSessionEnded = () => this.end();
+        this.onAbort = () => this.close();
+        this.signal = options.signal || null;
+
+        if (this.signal && this.signal.aborted) {
+            this.done = true;
+            return;
+        }
+
+        client.on('response', this.onResponse);
+        client.on('session-ended', this.onSessionEnded);
+        if (this.signal) {
+            this.signal.addEventListener('abort', this.onAbort);
+        }
+    }
+
+    /**
+     * Offer one frame to the stream
+     */
+    push(frame) {
+        if (this.done || !frame || frame.Identifier !== 0) return;
+
+        const item = this.select(frame);
+        if (item === undefined) return;
+
+        // Hand straight to a waiting consumer
+        if (this.waiting.length > 0) {
+            this.waiting.shift().resolve({ value: item, done: false });
+            return;
+        }
+
+        if (this.buffer.length >= this.highWaterMark) {
+            this.dropped++;
+            if (this.overflow === 'drop-newest') return;
+            if (this.overflow === 'error') {
+                const error = new Error(`Stream buffer overflow - more than ${this.highWaterMark} unread broadcasts`);
+                error.code = 'OVERFLOW';
+                this.error = error;
+                this.end();
+                return;
+            }
+            this.buffer.shift();
+        }
+        this.buffer.push(item);
+    }
+
+    /**
+     * Next item - resolves immediately from the buffer, otherwise when the next broadcast arrives
+     * @returns {Promise<{value: any, done: boolean}>}
+     */
+    next() {
+        if (this.buffer.length > 0) {
+            return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+        if (this.error) {
+            const error = this.error;
+            this.error = null;
+            return Promise.reject(error);
+        }
+        if (this.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    /**
+     * Called by for-await when the loop exits early
+     */
+    return() {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Stop receiving broadcasts - buffered items can still be read
+     */
+    end() {
+        if (this.done) return;
+        this.done = true;
+
+        this.client.off('response', this.onResponse);
+        this.client.off('session-ended', this.onSessionEnded);
+        if (this.signal) {
+            this.signal.removeEventListener('abort', this.onAbort);
+        }
+
+        // Nothing is buffered while consumers are waiting, so they're all finished
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+    }
+
+    /**
+     * Stop immediately, discarding anything unread
+     */
+    close() {
+        this.buffer = [];
+        this.error = null;
+        this.end();
+    }
+}
+
+/**
+ * Methods installed on RconClient.prototype (`this` is the client)
+ */
+const RconStreamMethods = {
+    /**
+     * Server log broadcasts (log_info, log_warn, log_error, log_debug)
+     * @param {Object} options - levels (default all), plus the stream options
+     * @returns {RconBroadcastStream} Yields { Level, Message }
+     */
+    logs(options = {}) {
+        const levels = options.levels || RCON_LOG_LEVELS;
+        levels.forEach(level => {
+            if (!RCON_LOG_LEVELS.includes(level)) {
+                throw new Error(`Unknown log level: ${level} (expected ${RCON_LOG_LEVELS.join(', ')})`);
+            }
+        });
+
+        return new RconBroadcastStream(this, (frame) => {
+            if (typeof frame.Status !== 'string' || !frame.Status.startsWith('log_')) return undefined;
+            const level = frame.Status.substring(4);
+            if (!levels.includes(level)) return undefined;
+            return { Level: level, Message: frame.Message || '' };
+        }, options);
+    },
+
+    /**
+     * Player login/logoff broadcasts
+     * @returns {RconBroadcastStream} Yields { Event, PlayerName, PlayerGuid, Level, Location, Count, WorldTime }
+     */
+    playerEvents(options = {}) {
+        return new RconBroadcastStream(this, (frame) => {
+            if (frame.Status !== 'player_event') return undefined;
+            const data = frame.Data || {};
+            return {
+                Event: frame.Command || '',
+                PlayerName: String(data.PlayerName || 'Unknown'),
+                PlayerGuid: data.PlayerGuid !== undefined ? data.PlayerGuid : null,
+                Level: Number(data.Level) || 0,
+                Location: String(data.Location || ''),
+                Count: Number(data.Count) || 0,
+                WorldTime: data.WorldTime || null
+            };
+        }, options);
+    },
+
+    /**
+     * Server status broadcasts
+     * @returns {RconBroadcastStream} Yields the status_update Data
+     *          { ServerName, Status, CurrentPlayers, MaxPlayers, Uptime, WorldTime }
+     */
+    statusUpdates(options = {}) {
+        return new RconBroadcastStream(this, (frame) => {
+            if (frame.Status !== 'status_update' || !frame.Data) return undefined;
+            return Object.assign({}, frame.Data);
+        }, options);
+    }
+};
+
+const RconStreams = {
+    Stream: RconBroadcastStream,
+    methods: RconStreamMethods,
+
+    /**
+     * Add the stream methods to a client class
+     * @param {Function} ClientClass - RconClient
+     */
+    install(ClientClass) {
+        Object.assign(ClientClass.prototype, RconStreamMethods);
+    }
+};
+
+// Export for use in HTML (rcon-client.js installs the streams itself under Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconStreams;
+}
+
+if (typeof window !== 'undefined' && typeof RconClient !== 'undefined') {
+    RconStreams.install(RconClient);
+    console.log('[rcon-streams.js] Broadcast streams installed on RconClient');
+}
@@ -0,0 +1,159 @@
+/**
+ * ACE RCON Restart Planner
+ * Turns "restart at 04:00" into scheduled tasks (see rcon-scheduler.js): world broadcasts counting
+ * down (30, 10, 5 and 1 minutes before), world close at a chosen point, then stop-now. The tasks
+ * share a group id, so the whole restart is cancelled at once.
+ *
+ * Warning templates fill in ${time} ("10 minutes", "1 minute") and ${minutes} ("10").
+ *
+ * Usage:
+ * const restart = RconRestartPlanner.plan({ at: Date.parse('2026-01-01T04:00:00Z'), closeWorldMinutes: 1 });
+ * await scheduler.addTasks(restart.tasks);
+ * ...
+ * await RconRestartPlanner.cancel(scheduler, client, restart.group);  // Broadcasts "Server restart cancelled."
+ */
+
+const RCON_RESTART_PARSER = typeof RconCommandParser !== 'undefined' ? RconCommandParser : require('./command-parser.js');
+
+const RconRestartPlanner = {
+    GROUP_PREFIX: 'restart-',
+
+    DEFAULTS: {
+        template: 'Server restart in ${time}. Please find a safe place to log out.',
+        warnings: [30, 10, 5, 1],
+        closeWorldMinutes: 1,
+        cancelMessage: 'Server restart cancelled.'
+    },
+
+    /**
+     * Fill in a warning template
+     */
+    formatWarning(template, minutes) {
+        const time = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        return String(template).replace(/\$\{time\}/g, time).replace(/\$\{minutes\}/g, String(minutes));
+    },
+
+    /**
+     * Console line broadcasting a message, its words quoted where a scheduled line needs it
+     */
+    broadcastLine(message) {
+        return RCON_RESTART_PARSER.join(['gamecast', ...message.trim().split(/\s+/)]);
+    },
+
+    /**
+     * Plan a restart
+     * @param {Object} options
+     * - at: restart time (ms)
+     * - template: warning text (default DEFAULTS.template)
+     * - warnings: minutes before the restart to broadcast at; ones already past are left out
+     * - closeWorldMinutes: minutes before the restart to run world close (0 = just before stop-now,
+     *   null = leave the world open)
+     * - now: current time (ms), default Date.now()
+     * @returns {{group: string, at: number, tasks: Array}} Tasks for RconScheduler.addTasks(), in run order
+     */
+    plan(options = {}) {
+        const now = options.now !== undefined ? options.now : Date.now();
+        const at = Number(options.at);
+        if (!Number.isFinite(at) || at <= now) {
+            throw new Error('Pick a restart time in the future');
+        }
+
+        const template = options.template !== undefined ? String(options.template).trim() : this.DEFAULTS.template;
+        if (!template) {
+            throw new Error('A warning message is required');
+        }
+
+        const warnings = (options.warnings || this.DEFAULTS.warnings).map(Number);
+        if (warnings.some(minutes => !Number.isInteger(minutes) || minutes <= 0)) {
+            throw new Error('Warnings must be whole minutes, e.g. 30, 10, 5, 1');
+        }
+
+        const closeWorldMinutes = options.closeWorldMinutes === undefined ? this.DEFAULTS.closeWorldMinutes : options.closeWorldMinutes;
+        if (closeWorldMinutes !== null && (!Number.isInteger(closeWorldMinutes) || closeWorldMinutes < 0)) {
+            throw new Error('World close must be a whole number of minutes before the restart');
+        }
+
+        const group = `${this.GROUP_PREFIX}${at.toString(36)}-${Math.random().toString(36).substring(2, 6)}`;
+        const restartTime = new Date(at).toLocaleString();
+        const steps = [];
+
+        Array.from(new Set(warnings))
+            .filter(minutes => at - minutes * 60000 > now)
+            .sort((a, b) => b - a)
+            .forEach(minutes => steps.push({
+                name: `Restart warning (${this.formatWarning('${time}', minutes)})`,
+                commands: [this.broadcastLine(this.formatWarning(template, minutes))],
+                time: at - minutes * 60000
+            }));
+
+        if (closeWorldMinutes !== null && closeWorldMinutes > 0) {
+            // After a warning due at the same minute (the sort below keeps this order)
+            steps.push({ name: 'Restart: close world', commands: ['world close'], time: Math.max(at - closeWorldMinutes * 60000, now + 1) });
+        }
+
+        steps.push({
+            name: `Restart at ${restartTime}`,
+            commands: closeWorldMinutes === 0 ? ['world close', 'stop-now'] : ['stop-now'],
+            time: at
+        });
+
+        return {
+            group,
+            at,
+            tasks: steps
+                .sort((a, b) => a.time - b.time)
+                .map(step => ({ name: step.name, commands: step.commands, schedule: { type: 'once', at: step.time }, group }))
+        };
+    },
+
+    /**
+     * The restart still to come in a schedule, if any
+     * @param {Array} tasks - RconScheduler.getTasks()
+     * @returns {{group, at, next}|null} next = the task that runs next (with nextRunAt)
+     */
+    findPending(tasks) {
+        const pending = tasks
+            .filter(task => task.group && task.group.startsWith(this.GROUP_PREFIX) && task.nextRunAt !== null)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt);
+        if (pending.length === 0) return null;
+
+        const group = pending[0].group;
+        const inGroup = tasks.filter(task => task.group === group);
+        return {
+            group,
+            at: Math.max(...inGroup.map(task => task.schedule.at)),
+            next: pending[0]
+        };
+    },
+
+    /**
+     * Cancel a restart: remove its tasks and, when any were still to run, reopen the world if world
+     * close already ran successfully and broadcast the cancel message like a scheduled warning
+     * @returns {Promise<{reopened: boolean, broadcast: boolean}>} Whether world open and the broadcast were sent
+     */
+    async cancel(scheduler, client, group, message = this.DEFAULTS.cancelMessage) {
+        const removed = await scheduler.removeGroup(group);
+        const result = { reopened: false, broadcast: false };
+        if (!removed.some(task => task.nextRunAt !== null)) {
+            return result;
+        }
+
+        const closed = removed.some(task => task.commands.includes('world close') && task.lastRun && task.lastRun.status === 'success');
+        if (closed) {
+            await client.send('world', ['open']);
+            result.reopened = true;
+        }
+
+        if (message.trim()) {
+            const { command, args } = RCON_RESTART_PARSER.parse(this.broadcastLine(message));
+            await client.send(command, RCON_RESTART_PARSER.quoteForAce(args));
+            result.broadcast = true;
+        }
+        return result;
+    }
+};
+
+// Export for use in HTML
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RconRestartPlanner;
+}
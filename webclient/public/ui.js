@@ -10,22 +10,32 @@ let autoRefreshPlayers = true;
 let clientConfig = null;
 let useAceAuthentication = false; // Will be set from server config (auto-detected)
 let historyManagerReady = false; // Track when history manager is ready
+let reconnectCountdownTimer = null; // Interval updating the "Reconnecting in Ns" status text
+let connectionManager = null; // Server profiles and one RconClient session per logged-in server
+const serverConsoles = new Map(); // Session id -> ConsoleBuffer of a server while another one is shown
+let consoleView = null; // Draws the shown server's console lines into #output (only the rows in view)
+let displayedServerId = null; // Session whose console is currently in #output
+let serverConfigRequest = 0; // Ignores auth-mode probes answered after the login server changed
+let fleetRunController = null; // AbortController of the fleet command in progress
+const fleetExcludedServers = new Set(); // Session ids unticked in the Fleet tab
+let commandCompleter = null; // Command catalog from the server's help, for Tab completion
+let commandCompletion = null; // Suggestions shown under the console input ({ ..., selected })
+let commandHistoryStore = null; // Every console command with its server and result, kept in IndexedDB
+let historySearch = null; // Ctrl+R search in progress ({ query, matches, index, original, allServers })
+let favoritesTagFilter = ''; // Tag shown in the Favorites panel ('' = all)
+let draggedFavoriteId = null; // Favorite being dragged to a new position
+let macroRunner = null; // Saved macros and their step-by-step runs
+let editingMacroId = null; // Macro open in the Macros tab editor (null = new, unsaved)
+let macroEditorSteps = []; // Steps shown in the editor, saved by saveMacro()
+let macroRunController = null; // AbortController of the macro run in progress
+const serverSchedulers = new Map(); // Session id -> RconScheduler running that server's scheduled tasks
+let consoleFilter = null; // Console filter rules and presets (console-filter.js)
+let consoleSearch = null; // Console search bar state (console-search.js)
+let consoleSearchOnlyMatching = false; // Search bar "Only matching" - hide lines without a match
 // historyManager is created globally by history-manager.js - don't declare it here!
 
-// Console filters - track which message types are filtered
+// Console display options (which lines are shown is up to consoleFilter's rules)
 let consoleFilters = {
-    aceprogram: false,                // ACE Program messages - default unchecked (show all)
-    database: false,                  // Database messages - default unchecked (show all)
-    datmanager: false,                // DatManager messages - default unchecked (show all)
-    entity: false,                    // Entity messages - default unchecked (show all)
-    eventmanager: false,              // EventManager messages - default unchecked (show all)
-    guidmanager: false,               // GuidManager messages - default unchecked (show all)
-    landblockmanager: false,          // LandblockManager messages - default unchecked (show all)
-    managers: false,                  // Managers messages - default unchecked (show all)
-    modmanager: false,                // ModManager messages - default unchecked (show all)
-    network: false,                   // Network messages - default unchecked (show all)
-    playermanager: false,             // PlayerManager messages - default unchecked (show all)
-    propertymanager: false,           // PropertyManager messages - default unchecked (show all)
     timestamp: true,                  // Timestamp - default CHECKED (enabled)
     acemodule: false                  // ACE Module - default UNCHECKED (strip module names)
 };
@@ -35,17 +45,29 @@ let consoleFilters = {
  */
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('[UI] Initializing RCON Web Client');
+    addOutput('Welcome to ACE RCON Web Client', 'info-message');
+
+    commandCompleter = new RconCommandCompleter();
+    commandHistoryStore = new CommandHistoryStore();
+    macroRunner = new MacroRunner({ confirm: async text => confirm(text) });
+    renderMacroList();
+    newMacro();
+    resetRestartForm();
+
+    // Server profiles - the built-in one is the server hosting this page
+    connectionManager = new ConnectionManager({
+        defaultProfile: { name: 'This server', host: window.location.hostname || '127.0.0.1', port: 9005 }
+    });
+    connectionManager.on('profiles-changed', renderLoginServers);
+    connectionManager.on('session-opened', renderServerSwitcher);
+    connectionManager.on('session-closed', onServerSessionClosed);
+    connectionManager.on('unread', renderServerSwitcher);
+    connectionManager.on('active-changed', onActiveServerChanged);
 
-    // Create RCON client (use current window location)
-    client = new RconClient();
-
-    // Set up event listeners
-    client.on('server-config', onServerConfig);
-    client.on('connected', onConnected);
-    client.on('authenticated', onAuthenticated);
-    client.on('response', onResponse);
-    client.on('error', onError);
-    client.on('disconnected', onDisconnected);
+    // Create the RCON client for this server (uses current window location)
+    openServerSession('default');
+    connectionManager.select('default');
+    renderLoginServers();
 
     // Set up UI event listeners
     const commandInput = document.getElementById('command-input');
@@ -62,11 +84,29 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     if (commandInput) {
+        commandInput.addEventListener('input', updateCommandPreview);
+        commandInput.addEventListener('blur', function() {
+            // Let a click on a suggestion land first
+            setTimeout(hideCommandSuggestions, 150);
+        });
         commandInput.addEventListener('keypress', function(event) {
             if (event.key === 'Enter' && !event.shiftKey) {
                 event.preventDefault();
                 sendCommand();
-            } else if (event.key === 'ArrowUp') {
+            }
+        });
+        // Arrows, Tab and Ctrl+R don't fire keypress in every browser
+        commandInput.addEventListener('keydown', function(event) {
+            if (event.ctrlKey && !event.altKey && event.key.toLowerCase() === 'r') {
+                event.preventDefault();
+                openHistorySearch();
+                return;
+            }
+
+            handleCompletionKey(event);
+            if (event.defaultPrevented) return;
+
+            if (event.key === 'ArrowUp') {
                 event.preventDefault();
                 navigateHistory(-1);
             } else if (event.key === 'ArrowDown') {
@@ -77,6 +117,9 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
 
     if (worldMessageInput) {
+        worldMessageInput.addEventListener('input', function() {
+            updateFavoriteToggle('message');
+        });
         worldMessageInput.addEventListener('keypress', function(event) {
             if (event.key === 'Enter' && !event.shiftKey) {
                 event.preventDefault();
@@ -88,8 +131,42 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize history manager for command and message history (fire and forget - don't block UI)
     initializeHistory().catch(err => console.error('[UI] History init error (continuing):', err));
 
-    // Load console filters from localStorage
+    // Full command history for Up/Down and Ctrl+R
+    commandHistoryStore.open().then(loadCommandHistory);
+
+    const historySearchInput = document.getElementById('history-search-input');
+    if (historySearchInput) {
+        historySearchInput.addEventListener('input', function() {
+            updateHistorySearch(historySearchInput.value);
+        });
+        historySearchInput.addEventListener('keydown', handleHistorySearchKey);
+        historySearchInput.addEventListener('blur', function() {
+            // Clicking elsewhere leaves the line as it was (the scope checkbox keeps the search open)
+            setTimeout(() => {
+                const overlay = document.getElementById('history-search');
+                if (historySearch && overlay && !overlay.contains(document.activeElement)) {
+                    closeHistorySearch(false, false);
+                }
+            }, 150);
+        });
+    }
+
+    // Load console display options and filter rules from localStorage
     loadConsoleFilters();
+    consoleFilter = new ConsoleFilter();
+    consoleSearch = new ConsoleSearch();
+    applyConsoleFilter();
+
+    // Ctrl+F on the Console tab searches every line kept, not just the rows drawn
+    document.addEventListener('keydown', function(event) {
+        const consoleTab = document.getElementById('console-tab');
+        if (event.ctrlKey && !event.altKey && event.key.toLowerCase() === 'f' && consoleTab && consoleTab.classList.contains('active')) {
+            event.preventDefault();
+            const searchInput = document.getElementById('console-search-input');
+            searchInput.focus();
+            searchInput.select();
+        }
+    });
 
     // Initialize chat settings from localStorage
     initializeChatSettings();
@@ -117,27 +194,34 @@ document.addEventListener('DOMContentLoaded', async function() {
 
 /**
  * Fetch server configuration to detect auth mode
+ * Profiles with a fixed auth mode skip the probe; 'auto' asks the server over a throwaway connection
+ * so the login can establish a fresh one
  */
 async function fetchServerConfig() {
+    const profile = connectionManager.getProfile(getSelectedLoginServerId());
+    if (!profile) return;
+
+    if (profile.authMode !== 'auto') {
+        onServerConfig({ UseAceAuthentication: profile.authMode === 'ace' });
+        return;
+    }
+
+    const request = ++serverConfigRequest;
+    const probe = new RconClient(profile.host, profile.port);
     try {
-        console.log('[UI] Fetching server config on page load...');
-        await client.connect();
-        await client.getConfig();
-        // Config will trigger onServerConfig event which updates the UI
-        // Prevent auto-reconnect before disconnecting the temporary config connection
-        client.disableReconnect = true;
-        // Disconnect after getting config so login can establish fresh connection
-        client.disconnect();
-        // Re-enable reconnect for the actual login connection
-        client.disableReconnect = false;
+        console.log(`[UI] Fetching server config for ${profile.host}:${profile.port}...`);
+        await probe.connect();
+        const config = await probe.getConfig();
+        // The user may have picked another server while this one answered
+        if (request === serverConfigRequest) {
+            onServerConfig(config);
+        }
     } catch (error) {
-        console.log('[UI] Failed to fetch config on page load (will retry on login):', error);
+        console.log('[UI] Failed to fetch server config (will retry on login):', error);
         // Silently fail - will try again when user clicks login
-        if (client.isConnected) {
-            client.disableReconnect = true;
-            client.disconnect();
-            client.disableReconnect = false;
-        }
+    } finally {
+        // (a requested disconnect never triggers auto-reconnect)
+        probe.disconnect();
     }
 }
 
@@ -182,6 +266,23 @@ async function handleLogin(event) {
         return;
     }
 
+    // Already logged in to this server - just switch back to it
+    const profileId = getSelectedLoginServerId();
+    const existing = connectionManager.getSession(profileId);
+    if (existing && existing.client.isAuthenticated) {
+        connectionManager.select(profileId);
+        hideLoginPage();
+        loginBtn.disabled = false;
+        return;
+    }
+
+    // Log in on the selected server's own session; a session that never logged in is replaced
+    const previousId = connectionManager.activeId;
+    const previous = previousId !== profileId ? connectionManager.getSession(previousId) : null;
+    const replacePrevious = previous && !previous.client.isAuthenticated && !previous.client.getStatus().isReconnecting;
+    openServerSession(profileId);
+    connectionManager.select(profileId);
+
     try {
         console.log('[UI] Attempting login...');
 
@@ -218,11 +319,21 @@ async function handleLogin(event) {
             await client.send('hello', []);
             // Success - onConnected() will handle showing console
         }
+
+        if (replacePrevious) {
+            connectionManager.close(previousId);
+        }
     } catch (err) {
         console.error('[UI] Login failed:', err);
         loginError.textContent = err.message || 'Login failed. Check password/account name.';
         loginError.style.display = 'block';
         loginBtn.disabled = false;
+
+        // Stay on the server that was already open
+        if (previous) {
+            connectionManager.select(previousId);
+            connectionManager.close(profileId);
+        }
     }
 }
 
@@ -237,6 +348,13 @@ function showLoginPage() {
     if (loginPage) loginPage.style.display = 'flex';
     if (mainContainer) mainContainer.style.display = 'none';
 
+    // Offer the way back while another server is still logged in
+    const backBtn = document.getElementById('login-back-btn');
+    if (backBtn) {
+        const loggedIn = connectionManager && connectionManager.getSessions().some(session => session.isAuthenticated);
+        backBtn.style.display = loggedIn ? 'block' : 'none';
+    }
+
     // Focus password input
     setTimeout(() => {
         const passwordInput = document.getElementById('login-password');
@@ -310,6 +428,7 @@ async function connectToServer() {
  */
 function onConnected() {
     console.log('[UI] WebSocket connected');
+    clearReconnectCountdown();
     updateStatus('connected', 'Connected - Authenticating...');
 
     // Don't send HELLO here - let handleLogin control the auth flow
@@ -389,11 +508,14 @@ function handleAuthenticationComplete(authResponse) {
         updateCommandHistoryDropdown();
         updateMessageHistoryDropdown();
     }
+    syncSharedHistory();
+    syncConsoleFilterAccount();
+    startServerScheduler();
 
     // Update input placeholder
     const commandInput = document.getElementById('command-input');
     if (commandInput) {
-        commandInput.placeholder = 'Enter RCON command...';
+        commandInput.placeholder = 'Enter RCON command... (Tab completes, Ctrl+R searches history)';
         commandInput.value = '';
         commandInput.focus();
     }
@@ -523,6 +645,7 @@ function updateSidebarPanel(response) {
             if (aceServerVersionEl) {
                 aceServerVersionEl.textContent = data.AceServerVersion;
             }
+            loadCommandCatalog(data.AceServerVersion);
         }
         if (data.AceServerBuild) {
             const aceServerBuildEl = document.getElementById('ace-server-build');
@@ -544,10 +667,10 @@ function updateSidebarPanel(response) {
         }
 
         // Update from players command
-        if (data.players && data.count !== undefined) {
+        if (data.OnlinePlayers && data.CurrentPlayers !== undefined) {
             const playerEl = document.getElementById('player-count');
             if (playerEl) {
-                playerEl.textContent = data.count;
+                playerEl.textContent = data.CurrentPlayers;
             }
         }
     } catch (e) {
@@ -571,8 +694,13 @@ function onDisconnected() {
     updateStatus('disconnected', 'Disconnected');
     addOutput('Disconnected from server.', 'info-message');
     disableCommands();
+    clearServerInfo();
+}
 
-    // Clear all server info
+/**
+ * Clear the server info panels and players list
+ */
+function clearServerInfo() {
     const serverNameEl = document.getElementById('server-name');
     if (serverNameEl) {
         serverNameEl.textContent = '';
@@ -618,402 +746,953 @@ function onDisconnected() {
     if (playersList) {
         playersList.innerHTML = '<div class="info-message">Players will appear here after authentication</div>';
     }
+
+    commandCompleter.setPlayers([]);
 }
 
 /**
- * Send a command
+ * Called before each scheduled reconnect attempt - shows a countdown in the status bar
  */
-async function sendCommand() {
-    const commandInput = document.getElementById('command-input');
-    if (!commandInput) return;
+function onReconnecting(info) {
+    console.log('[UI] Reconnecting:', info);
+    clearReconnectCountdown();
+
+    const updateCountdown = () => {
+        const seconds = Math.max(0, Math.ceil((info.nextAttemptAt - Date.now()) / 1000));
+        const text = seconds > 0
+            ? `Reconnecting in ${seconds}s (attempt ${info.attempt}/${info.maxAttempts})`
+            : `Reconnecting... (attempt ${info.attempt}/${info.maxAttempts})`;
+        const statusText = document.getElementById('status-text');
+        if (statusText) {
+            statusText.textContent = text;
+        }
+    };
 
-    let command = commandInput.value.trim();
-    if (!command) return;
+    updateStatus('reconnecting', '');
+    updateCountdown();
+    reconnectCountdownTimer = setInterval(updateCountdown, 1000);
 
-    // Check if we're authenticating
-    if (!client.isAuthenticated && !client.isConnected) {
-        // Try to connect
-        await connectToServer();
-        return;
+    if (info.attempt === 1) {
+        addOutput('Connection lost - attempting to reconnect...', 'info-message');
     }
+}
 
-    if (!client.isAuthenticated && client.isConnected) {
-        // Try to authenticate with the password
-        try {
-            commandInput.disabled = true;
-            addOutput(`> auth ${command}`, 'command-message');
+/**
+ * Called when a dropped session has been reopened and re-authenticated
+ */
+function onReconnected(info) {
+    console.log('[UI] Reconnected:', info);
+    clearReconnectCountdown();
+    addOutput(`Reconnected to server after ${info.attempts} attempt(s).`, 'success-message');
+}
 
-            await client.authenticate(command);
+/**
+ * Called when the client stops trying to reconnect - back to the login page
+ */
+function onReconnectGaveUp(info) {
+    console.log('[UI] Reconnect gave up:', info);
+    clearReconnectCountdown();
+    updateStatus('disconnected', 'Disconnected');
+    addOutput(`Unable to reconnect: ${info.reason}`, 'error-message');
+    setLoginServer(connectionManager.activeId);
 
-            // Clear input on success
-            commandInput.value = '';
-        } catch (error) {
-            addOutput(`Authentication failed: ${error.message}`, 'error-message');
-            commandInput.value = '';
-        } finally {
-            commandInput.disabled = false;
-            commandInput.focus();
-        }
-        return;
+    const loginError = document.getElementById('login-error');
+    if (loginError) {
+        loginError.textContent = `Connection lost: ${info.reason}. Please log in again.`;
+        loginError.style.display = 'block';
     }
+    showLoginPage();
+}
 
-    // Send regular command
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
+/**
+ * Stop the reconnect countdown in the status bar
+ */
+function clearReconnectCountdown() {
+    if (reconnectCountdownTimer) {
+        clearInterval(reconnectCountdownTimer);
+        reconnectCountdownTimer = null;
     }
+}
 
-    // Parse command and args
-    const parts = command.split(/\s+/);
-    const cmd = parts[0];
-    const args = parts.slice(1);
-
-    try {
-        commandInput.disabled = true;
-        addOutput(`> ${command}`, 'command-message');
-
-        const response = await client.send(cmd, args);
-
-        // Response is handled by onResponse
-    } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
-    } finally {
-        commandInput.disabled = false;
-        commandInput.value = '';
-        commandInput.focus();
+/**
+ * ==================== SERVER SESSIONS ====================
+ */
 
-        // Add to history manager and update dropdown
-        console.log('[sendCommand] Attempting to add to history:', command);
-        console.log('[sendCommand] historyManagerReady:', historyManagerReady);
+/**
+ * Open (or reuse) the session for a server profile
+ */
+function openServerSession(profileId) {
+    const isNew = !connectionManager.getSession(profileId);
+    const session = connectionManager.open(profileId);
+    if (isNew) {
+        attachClientHandlers(session.client);
+    }
+    return session;
+}
 
-        // Try to get historyManager from window if local variable isn't set
-        let mgr = historyManager;
-        if (!mgr && typeof window.historyManager !== 'undefined') {
-            console.log('[sendCommand] Using window.historyManager (local not set)');
-            mgr = window.historyManager;
-        }
-        console.log('[sendCommand] mgr exists:', typeof mgr !== 'undefined');
+/**
+ * Wire a session's client to the UI handlers
+ * Only the selected server drives the page - background servers just update their switcher tab
+ * (their broadcasts are held by the connection manager until they are selected)
+ */
+function attachClientHandlers(rconClient) {
+    const handlers = {
+        'server-config': onServerConfig,
+        'connected': onConnected,
+        'authenticated': onAuthenticated,
+        'response': onResponse,
+        'error': onError,
+        'disconnected': onDisconnected,
+        'reconnecting': onReconnecting,
+        'reconnected': onReconnected,
+        'gave-up': onReconnectGaveUp
+    };
 
-        if (mgr && typeof mgr.addCommand === 'function') {
-            try {
-                mgr.addCommand(command);
-                console.log('[sendCommand] ✓ Command added to history');
-                console.log('[sendCommand] History now contains:', mgr.getCommands());
-                updateCommandHistoryDropdown();
-                console.log('[sendCommand] ✓ Dropdown updated');
-            } catch (e) {
-                console.error('[sendCommand] Error adding to history:', e);
+    Object.keys(handlers).forEach(event => {
+        rconClient.on(event, (data) => {
+            if (rconClient === client) {
+                handlers[event](data);
             }
-        } else {
-            console.warn('[sendCommand] History manager NOT available');
-            console.warn('  - historyManagerReady:', historyManagerReady);
-            console.warn('  - local historyManager:', typeof historyManager !== 'undefined');
-            console.warn('  - window.historyManager:', typeof window.historyManager !== 'undefined');
-        }
+        });
+    });
 
-        // Also maintain legacy command history for arrow key navigation
-        commandHistory.push(command);
-        historyIndex = commandHistory.length;
-    }
+    ['connected', 'authenticated', 'disconnected', 'reconnecting', 'reconnected', 'gave-up'].forEach(event => {
+        rconClient.on(event, renderServerSwitcher);
+    });
 }
 
 /**
- * Send acecommands command
+ * Show the selected server: its console, status, players and bans
  */
-async function aceCommands() {
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
+function onActiveServerChanged({ id, session, backlog }) {
+    console.log('[UI] Active server changed:', id);
+
+    // Swap console buffers, keeping the one being left unless its session was closed
+    const view = getConsoleView();
+    if (view && displayedServerId !== null && displayedServerId !== id) {
+        if (connectionManager.getSession(displayedServerId)) {
+            serverConsoles.set(displayedServerId, view.buffer);
+        }
+        view.setBuffer(serverConsoles.get(id) || new ConsoleBuffer({ limit: view.buffer.limit }));
+        serverConsoles.delete(id);
     }
+    displayedServerId = id;
 
-    try {
-        const aceCommandsBtn = document.getElementById('ace-commands-btn');
-        if (aceCommandsBtn) aceCommandsBtn.disabled = true;
+    if (!session) {
+        // Last server closed - start over on the login page
+        openServerSession('default');
+        connectionManager.select('default');
+        setLoginServer('default');
+        showLoginPage();
+        return;
+    }
 
-        addOutput('> acecommands', 'command-message');
+    client = session.client;
+    clearReconnectCountdown();
+    clearServerInfo();
+    loadCommandHistory();
+    resetBansPanel();
+    renderServerSwitcher();
 
-        const response = await client.send('acecommands', []);
+    syncSharedHistory();
+    syncConsoleFilterAccount();
+    startServerScheduler();
 
-        // Response is handled by onResponse
-    } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
-    } finally {
-        const aceCommandsBtn = document.getElementById('ace-commands-btn');
-        if (aceCommandsBtn) aceCommandsBtn.disabled = false;
+    if (client.isAuthenticated) {
+        updateStatus('authenticated', 'Authenticated');
+        enableCommands();
+    } else {
+        updateStatus(client.getStatus().isReconnecting ? 'reconnecting' : 'disconnected',
+            client.getStatus().isReconnecting ? 'Reconnecting...' : 'Disconnected');
+        disableCommands();
     }
-}
 
-/**
- * Send listplayers command
- */
-async function listPlayers() {
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
+    // Broadcasts that arrived while this server was in the background
+    if (backlog.length > 0) {
+        addOutput(`--- ${backlog.length} message(s) from ${session.profile.name} while in the background ---`, 'info-message');
+        backlog.forEach(response => onResponse(response));
     }
 
-    try {
-        const listPlayersBtn = document.getElementById('list-players-btn');
-        if (listPlayersBtn) listPlayersBtn.disabled = true;
+    if (client.isAuthenticated) {
+        // Refresh server info and players for this server
+        client.send('hello', []).then(response => {
+            if (response && response.Data && client === session.client) {
+                updateSidebarPanel(response);
+                if (response.Data.OnlinePlayers) {
+                    displayPlayers({ players: response.Data.OnlinePlayers });
+                }
+            }
+        }).catch(err => {
+            console.warn('[UI] HELLO after server switch failed (non-critical):', err);
+        });
+        fetchClientConfig();
 
-        addOutput('> listplayers', 'command-message');
+        const bansTab = document.getElementById('bans-tab');
+        if (bansTab && bansTab.classList.contains('active')) {
+            fetchBans();
+        }
+    }
+}
 
-        const response = await client.send('listplayers', []);
+/**
+ * Forget a closed session's saved console
+ */
+function onServerSessionClosed(session) {
+    serverConsoles.delete(session.id);
+    stopServerScheduler(session.id);
+    renderServerSwitcher();
+}
 
-        // Response is handled by onResponse
-    } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
-    } finally {
-        const listPlayersBtn = document.getElementById('list-players-btn');
-        if (listPlayersBtn) listPlayersBtn.disabled = false;
+/**
+ * Reset the Bans tab (the list belongs to the previously selected server)
+ */
+function resetBansPanel() {
+    const bansList = document.getElementById('bans-list');
+    if (bansList) {
+        bansList.innerHTML = '<div class="info-message">Click Fetch Bans to load banned accounts list</div>';
+    }
+    const charactersSection = document.getElementById('ban-characters-section');
+    if (charactersSection) {
+        charactersSection.style.display = 'none';
     }
+    updateBanActionsSidebar();
 }
 
 /**
- * Send population command
+ * Render the server switcher in the header
  */
-async function population() {
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
-    }
+function renderServerSwitcher() {
+    const switcher = document.getElementById('server-switcher');
+    if (!switcher || !connectionManager) return;
+
+    // Built with DOM nodes - profile names are user input
+    switcher.innerHTML = '';
+    connectionManager.getSessions().forEach(session => {
+        const state = session.isAuthenticated ? 'authenticated' : (session.isConnected ? 'connected' : 'disconnected');
+
+        const tab = document.createElement('div');
+        tab.className = session.active ? 'server-tab active' : 'server-tab';
+        tab.title = session.name;
+        tab.addEventListener('click', () => switchServer(session.id));
+
+        const dot = document.createElement('span');
+        dot.className = `server-tab-state ${state}`;
+        tab.appendChild(dot);
+
+        const name = document.createElement('span');
+        name.className = 'server-tab-name';
+        name.textContent = session.name;
+        tab.appendChild(name);
+
+        if (session.unread > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'unread-badge';
+            badge.textContent = session.unread > 99 ? '99+' : String(session.unread);
+            tab.appendChild(badge);
+        }
 
-    try {
-        const populationBtn = document.getElementById('population-btn');
-        if (populationBtn) populationBtn.disabled = true;
+        const closeBtn = document.createElement('span');
+        closeBtn.className = 'server-tab-close';
+        closeBtn.title = 'Disconnect';
+        closeBtn.textContent = '\u00d7';
+        closeBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            closeServer(session.id);
+        });
+        tab.appendChild(closeBtn);
 
-        addOutput('> pop', 'command-message');
+        switcher.appendChild(tab);
+    });
 
-        const response = await client.send('pop', []);
+    const addBtn = document.createElement('button');
+    addBtn.className = 'server-tab-add';
+    addBtn.title = 'Connect to another server';
+    addBtn.textContent = '+';
+    addBtn.addEventListener('click', showAddServerLogin);
+    switcher.appendChild(addBtn);
 
-        // Response is handled by onResponse
-    } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
-    } finally {
-        const populationBtn = document.getElementById('population-btn');
-        if (populationBtn) populationBtn.disabled = false;
-    }
+    // The Fleet tab targets the same sessions
+    renderFleetTargets();
 }
 
 /**
- * Send status command - returns detailed server status
+ * Switch the page to another open server
  */
-async function statusCommand() {
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
-    }
-
-    try {
-        const statusBtn = document.getElementById('status-btn');
-        if (statusBtn) statusBtn.disabled = true;
+function switchServer(id) {
+    if (id === connectionManager.activeId) return;
+    connectionManager.select(id);
 
-        addOutput('> status', 'command-message');
+    // A session that dropped for good needs a fresh login
+    if (!client.isAuthenticated && !client.getStatus().isReconnecting) {
+        setLoginServer(id);
+        showLoginPage();
+    }
+}
 
-        const response = await client.send('status', []);
+/**
+ * Disconnect from a server and close its tab
+ */
+function closeServer(id) {
+    const session = connectionManager.getSession(id);
+    if (!session) return;
+    if (session.client.isAuthenticated && !confirm(`Disconnect from ${session.profile.name}?`)) return;
+    connectionManager.close(id);
+}
 
-        // Response is handled by onResponse
-    } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
-    } finally {
-        const statusBtn = document.getElementById('status-btn');
-        if (statusBtn) statusBtn.disabled = false;
-    }
+/**
+ * Open the login page to connect another server, keeping the current sessions
+ */
+function showAddServerLogin() {
+    const loginError = document.getElementById('login-error');
+    if (loginError) loginError.style.display = 'none';
+    showLoginPage();
 }
 
 /**
- * Send HELLO command to get initial server state
+ * Return from the login page to the selected server's console
  */
-async function helloCommand() {
+function returnToConsole() {
     if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
+        const session = connectionManager.getSessions().find(entry => entry.isAuthenticated);
+        if (!session) return;
+        connectionManager.select(session.id);
     }
+    hideLoginPage();
+}
 
-    try {
-        const helloBtn = document.getElementById('hello-btn');
-        if (helloBtn) helloBtn.disabled = true;
+/**
+ * Fill the login page's server list
+ */
+function renderLoginServers() {
+    const select = document.getElementById('login-server');
+    if (!select || !connectionManager) return;
+
+    const selected = select.value;
+    select.innerHTML = '';
+    connectionManager.getProfiles().forEach(profile => {
+        select.appendChild(new Option(`${profile.name} (${profile.host}:${profile.port})`, profile.id));
+    });
+    select.value = connectionManager.getProfile(selected) ? selected : 'default';
 
-        addOutput('> hello', 'command-message');
+    const removeBtn = document.getElementById('login-server-remove-btn');
+    if (removeBtn) removeBtn.disabled = select.value === 'default';
+}
 
-        const response = await client.send('hello', []);
+/**
+ * Id of the server profile picked on the login page
+ */
+function getSelectedLoginServerId() {
+    const select = document.getElementById('login-server');
+    return select && select.value ? select.value : 'default';
+}
 
-        // Response is handled by onResponse
+/**
+ * Pick a server on the login page
+ */
+function setLoginServer(id) {
+    const select = document.getElementById('login-server');
+    if (!select || !connectionManager.getProfile(id) || select.value === id) return;
+    select.value = id;
+    onLoginServerChange();
+}
+
+/**
+ * Login server changed - detect its auth mode again
+ */
+function onLoginServerChange() {
+    const removeBtn = document.getElementById('login-server-remove-btn');
+    if (removeBtn) removeBtn.disabled = getSelectedLoginServerId() === 'default';
+    fetchServerConfig();
+}
+
+/**
+ * Show or hide the add server form
+ */
+function toggleServerProfileForm(show) {
+    const form = document.getElementById('server-profile-form');
+    if (!form) return;
+    form.style.display = show ? 'flex' : 'none';
+
+    if (show) {
+        document.getElementById('profile-name').value = '';
+        document.getElementById('profile-host').value = '';
+        document.getElementById('profile-port').value = '9005';
+        document.getElementById('profile-auth-mode').value = 'auto';
+        document.getElementById('profile-host').focus();
+    }
+}
+
+/**
+ * Save the add server form as a new profile and select it
+ */
+function saveServerProfile() {
+    const loginError = document.getElementById('login-error');
+    try {
+        const profile = connectionManager.addProfile({
+            name: document.getElementById('profile-name').value,
+            host: document.getElementById('profile-host').value,
+            port: document.getElementById('profile-port').value,
+            authMode: document.getElementById('profile-auth-mode').value
+        });
+        if (loginError) loginError.style.display = 'none';
+        toggleServerProfileForm(false);
+        setLoginServer(profile.id);
     } catch (error) {
-        addOutput(`Command error: ${error.message}`, 'error-message');
+        if (loginError) {
+            loginError.textContent = error.message;
+            loginError.style.display = 'block';
+        }
+    }
+}
+
+/**
+ * Delete the selected saved server profile
+ */
+function removeSelectedServerProfile() {
+    const id = getSelectedLoginServerId();
+    const profile = connectionManager.getProfile(id);
+    if (!profile || id === 'default') return;
+    if (!confirm(`Remove saved server ${profile.name}?`)) return;
+
+    connectionManager.removeProfile(id);
+    onLoginServerChange();
+}
+
+/**
+ * ==================== FLEET COMMANDS ====================
+ */
+
+/**
+ * List the logged-in servers as Fleet tab targets (all ticked unless the user unticked them)
+ */
+function renderFleetTargets() {
+    const container = document.getElementById('fleet-targets');
+    if (!container || !connectionManager) return;
+
+    const sessions = connectionManager.getSessions().filter(session => session.isAuthenticated);
+    container.innerHTML = '';
+    if (sessions.length === 0) {
+        container.innerHTML = '<div class="info-message">Log in to servers to run commands across them</div>';
+    }
+
+    sessions.forEach(session => {
+        const label = document.createElement('label');
+        label.className = 'fleet-target';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !fleetExcludedServers.has(session.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                fleetExcludedServers.delete(session.id);
+            } else {
+                fleetExcludedServers.add(session.id);
+            }
+        });
+        label.appendChild(checkbox);
+
+        const name = document.createElement('span');
+        name.textContent = session.name;
+        label.appendChild(name);
+
+        container.appendChild(label);
+    });
+
+    // Commands are only editable while a run isn't in progress
+    const running = fleetRunController !== null;
+    const input = document.getElementById('fleet-command-input');
+    const runBtn = document.getElementById('fleet-run-btn');
+    if (input) input.disabled = running || sessions.length === 0;
+    if (runBtn) runBtn.disabled = running || sessions.length === 0;
+}
+
+/**
+ * Fill the fleet command from a preset
+ */
+function applyFleetPreset(value) {
+    const input = document.getElementById('fleet-command-input');
+    const preset = document.getElementById('fleet-preset');
+    if (preset) preset.value = '';
+    if (!input || !value) return;
+
+    input.value = value;
+    input.focus();
+}
+
+/**
+ * Run the fleet command on every ticked server and fill the result grid as they answer
+ */
+async function runFleetCommand() {
+    const input = document.getElementById('fleet-command-input');
+    const command = input ? input.value.trim() : '';
+    if (!command) return;
+
+    // Parse command and args like sendCommand
+    let parsed;
+    try {
+        parsed = RconCommandParser.parse(command);
+        parsed.args = RconCommandParser.quoteForAce(parsed.args);
+    } catch (error) {
+        alert(`Command error: ${error.message}`);
+        return;
+    }
+
+    const targets = connectionManager.getSessions()
+        .filter(session => session.isAuthenticated && !fleetExcludedServers.has(session.id))
+        .map(session => ({ id: session.id, name: session.name, client: connectionManager.getSession(session.id).client }));
+
+    if (targets.length === 0) {
+        alert('Select at least one logged-in server');
+        return;
+    }
+    if (!confirm(`Run "${command}" on ${targets.length} server(s)?`)) return;
+
+    const stopOnFailure = document.getElementById('fleet-stop-on-failure')?.checked || false;
+
+    renderFleetResults(targets.map(target => ({ id: target.id, name: target.name, status: 'pending', message: 'Running...', durationMs: null })));
+    fleetRunController = new AbortController();
+    document.getElementById('fleet-stop-btn').disabled = false;
+    renderFleetTargets();
+
+    try {
+        const run = await new FleetRunner().run(targets, parsed.command, parsed.args, {
+            stopOnFailure,
+            signal: fleetRunController.signal,
+            onResult: updateFleetResult
+        });
+        addOutput(`[Fleet] ${command}: ${run.succeeded} succeeded, ${run.failed} failed${run.stopped ? ' (stopped)' : ''}`,
+            run.failed > 0 ? 'error-message' : 'success-message');
+    } catch (error) {
+        addOutput(`[Fleet] ${error.message}`, 'error-message');
     } finally {
-        const helloBtn = document.getElementById('hello-btn');
-        if (helloBtn) helloBtn.disabled = false;
+        fleetRunController = null;
+        document.getElementById('fleet-stop-btn').disabled = true;
+        renderFleetTargets();
     }
 }
 
 /**
- * Stop server immediately
+ * Stop the fleet command - servers that haven't answered yet are marked aborted
  */
-async function stopNow() {
+function stopFleetCommand() {
+    if (fleetRunController) {
+        fleetRunController.abort();
+    }
+}
+
+/**
+ * Draw the result grid rows
+ */
+function renderFleetResults(results) {
+    const container = document.getElementById('fleet-results');
+    if (!container) return;
+
+    const table = document.createElement('table');
+    table.className = 'fleet-results-table';
+    table.innerHTML = '<thead><tr><th>Server</th><th>Status</th><th>Message</th><th>Time</th></tr></thead><tbody></tbody>';
+    results.forEach(result => {
+        const row = document.createElement('tr');
+        row.dataset.serverId = result.id;
+        table.tBodies[0].appendChild(row);
+        fillFleetResultRow(row, result);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+}
+
+/**
+ * Update one server's row as its result arrives
+ */
+function updateFleetResult(result) {
+    const rows = document.querySelectorAll('.fleet-results-table tbody tr');
+    const row = Array.from(rows).find(entry => entry.dataset.serverId === result.id);
+    if (row) {
+        fillFleetResultRow(row, result);
+    }
+}
+
+function fillFleetResultRow(row, result) {
+    row.className = `fleet-result ${result.status}`;
+    row.innerHTML = '';
+    const cells = [
+        result.name,
+        result.status,
+        result.message.replace(/\\r\\n/g, '\n').replace(/\\n/g, '\n'),
+        result.durationMs !== null ? `${result.durationMs} ms` : ''
+    ];
+    cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    });
+}
+
+/**
+ * Send a command
+ */
+async function sendCommand() {
+    const commandInput = document.getElementById('command-input');
+    if (!commandInput) return;
+
+    let command = commandInput.value.trim();
+    if (!command) return;
+
+    // Check if we're authenticating
+    if (!client.isAuthenticated && !client.isConnected) {
+        // Try to connect
+        await connectToServer();
+        return;
+    }
+
+    if (!client.isAuthenticated && client.isConnected) {
+        // Try to authenticate with the password
+        try {
+            commandInput.disabled = true;
+            addOutput(`> auth ${command}`, 'command-message');
+
+            await client.authenticate(command);
+
+            // Clear input on success
+            commandInput.value = '';
+        } catch (error) {
+            addOutput(`Authentication failed: ${error.message}`, 'error-message');
+            commandInput.value = '';
+        } finally {
+            commandInput.disabled = false;
+            commandInput.focus();
+        }
+        return;
+    }
+
+    // Send regular command
     if (!client.isAuthenticated) {
         addOutput('Not authenticated', 'error-message');
         return;
     }
 
-    // Confirm before stopping
-    if (!confirm('Are you sure you want to stop the server immediately? This will disconnect all players!')) {
+    // Parse command and args (quotes, backslash escapes and -- as in command-parser.js)
+    let cmd, args;
+    try {
+        ({ command: cmd, args } = RconCommandParser.parse(command));
+        args = RconCommandParser.quoteForAce(args);
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
         return;
     }
 
-    try {
-        const stopBtn = document.getElementById('stop-now-btn');
-        if (stopBtn) stopBtn.disabled = true;
+    const serverKey = getActiveServerKey();
+    const sentAt = Date.now();
+    let status = 'success';
+    let statusMessage = '';
 
-        addOutput('> stop-now', 'command-message');
+    try {
+        commandInput.disabled = true;
+        addOutput(`> ${command}`, 'command-message');
 
-        const response = await client.send('stop-now', []);
+        const response = await client.send(cmd, args);
 
         // Response is handled by onResponse
     } catch (error) {
+        status = 'error';
+        statusMessage = error.message;
         addOutput(`Command error: ${error.message}`, 'error-message');
     } finally {
-        const stopBtn = document.getElementById('stop-now-btn');
-        if (stopBtn) stopBtn.disabled = false;
+        commandInput.disabled = false;
+        commandInput.value = '';
+        commandInput.focus();
+        updateCommandPreview();
+
+        // Add to history manager and update dropdown
+        console.log('[sendCommand] Attempting to add to history:', command);
+        console.log('[sendCommand] historyManagerReady:', historyManagerReady);
+
+        // Try to get historyManager from window if local variable isn't set
+        let mgr = historyManager;
+        if (!mgr && typeof window.historyManager !== 'undefined') {
+            console.log('[sendCommand] Using window.historyManager (local not set)');
+            mgr = window.historyManager;
+        }
+        console.log('[sendCommand] mgr exists:', typeof mgr !== 'undefined');
+
+        if (mgr && typeof mgr.addCommand === 'function') {
+            try {
+                mgr.addCommand(command);
+                console.log('[sendCommand] ✓ Command added to history');
+                console.log('[sendCommand] History now contains:', mgr.getCommands());
+                updateCommandHistoryDropdown();
+                console.log('[sendCommand] ✓ Dropdown updated');
+            } catch (e) {
+                console.error('[sendCommand] Error adding to history:', e);
+            }
+        } else {
+            console.warn('[sendCommand] History manager NOT available');
+            console.warn('  - historyManagerReady:', historyManagerReady);
+            console.warn('  - local historyManager:', typeof historyManager !== 'undefined');
+            console.warn('  - window.historyManager:', typeof window.historyManager !== 'undefined');
+        }
+
+        // Full history (Up/Down and Ctrl+R), with how the command went
+        commandHistoryStore.add({ command, serverKey, status, message: statusMessage, timestamp: sentAt });
+        if (serverKey === getActiveServerKey() && commandHistory[commandHistory.length - 1] !== command) {
+            commandHistory.push(command);
+        }
+        historyIndex = commandHistory.length;
     }
 }
 
 /**
- * Send world open command
+ * Send acecommands command
  */
-async function openWorld() {
+async function aceCommands() {
     if (!client.isAuthenticated) {
         addOutput('Not authenticated', 'error-message');
         return;
     }
 
     try {
-        const openBtn = document.getElementById('open-world-btn');
-        if (openBtn) openBtn.disabled = true;
+        const aceCommandsBtn = document.getElementById('ace-commands-btn');
+        if (aceCommandsBtn) aceCommandsBtn.disabled = true;
 
-        addOutput('> world open', 'command-message');
+        addOutput('> acecommands', 'command-message');
 
-        const response = await client.send('world', ['open']);
+        const response = await client.send('acecommands', []);
 
         // Response is handled by onResponse
     } catch (error) {
         addOutput(`Command error: ${error.message}`, 'error-message');
     } finally {
-        const openBtn = document.getElementById('open-world-btn');
-        if (openBtn) openBtn.disabled = false;
+        const aceCommandsBtn = document.getElementById('ace-commands-btn');
+        if (aceCommandsBtn) aceCommandsBtn.disabled = false;
     }
 }
 
 /**
- * Send world close command
+ * Send listplayers command
  */
-async function closeWorld() {
+async function listPlayers() {
     if (!client.isAuthenticated) {
         addOutput('Not authenticated', 'error-message');
         return;
     }
 
     try {
-        const closeBtn = document.getElementById('close-world-btn');
-        if (closeBtn) closeBtn.disabled = true;
+        const listPlayersBtn = document.getElementById('list-players-btn');
+        if (listPlayersBtn) listPlayersBtn.disabled = true;
 
-        addOutput('> world close', 'command-message');
+        addOutput('> listplayers', 'command-message');
 
-        const response = await client.send('world', ['close']);
+        const response = await client.send('listplayers', []);
 
         // Response is handled by onResponse
     } catch (error) {
         addOutput(`Command error: ${error.message}`, 'error-message');
     } finally {
-        const closeBtn = document.getElementById('close-world-btn');
-        if (closeBtn) closeBtn.disabled = false;
+        const listPlayersBtn = document.getElementById('list-players-btn');
+        if (listPlayersBtn) listPlayersBtn.disabled = false;
     }
 }
 
 /**
- * Toggle console filter on/off
+ * Send population command
  */
-function toggleConsoleFilter(filterName, isChecked) {
-    console.log('[UI] Toggling filter:', filterName, 'isChecked:', isChecked);
-    consoleFilters[filterName] = isChecked;
+async function population() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
 
-    // Save filter state to localStorage
-    localStorage.setItem('consoleFilters', JSON.stringify(consoleFilters));
-    console.log('[UI] Filter state saved:', consoleFilters);
+    try {
+        const populationBtn = document.getElementById('population-btn');
+        if (populationBtn) populationBtn.disabled = true;
+
+        addOutput('> pop', 'command-message');
+
+        const response = await client.send('pop', []);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const populationBtn = document.getElementById('population-btn');
+        if (populationBtn) populationBtn.disabled = false;
+    }
 }
 
 /**
- * Load console filters from localStorage
+ * Send status command - returns detailed server status
  */
-function loadConsoleFilters() {
-    const saved = localStorage.getItem('consoleFilters');
-    if (saved) {
-        try {
-            const filters = JSON.parse(saved);
-            consoleFilters = { ...consoleFilters, ...filters };
-            console.log('[UI] Loaded console filters:', consoleFilters);
-
-            // Update checkbox UI
-            const aceProgramCheckbox = document.getElementById('filter-ace-program');
-            if (aceProgramCheckbox) {
-                aceProgramCheckbox.checked = consoleFilters.aceprogram;
-            }
-            const databaseCheckbox = document.getElementById('filter-database');
-            if (databaseCheckbox) {
-                databaseCheckbox.checked = consoleFilters.database;
-            }
-            const datCheckbox = document.getElementById('filter-dat-manager');
-            if (datCheckbox) {
-                datCheckbox.checked = consoleFilters.datmanager;
-            }
-            const entityCheckbox = document.getElementById('filter-entity');
-            if (entityCheckbox) {
-                entityCheckbox.checked = consoleFilters.entity;
-            }
-            const eventManagerCheckbox = document.getElementById('filter-event-manager');
-            if (eventManagerCheckbox) {
-                eventManagerCheckbox.checked = consoleFilters.eventmanager;
-            }
-            const guidManagerCheckbox = document.getElementById('filter-guid-manager');
-            if (guidManagerCheckbox) {
-                guidManagerCheckbox.checked = consoleFilters.guidmanager;
-            }
-            const landblockManagerCheckbox = document.getElementById('filter-landblock-manager');
-            if (landblockManagerCheckbox) {
-                landblockManagerCheckbox.checked = consoleFilters.landblockmanager;
-            }
-            const managersCheckbox = document.getElementById('filter-managers');
-            if (managersCheckbox) {
-                managersCheckbox.checked = consoleFilters.managers;
-            }
-            const playerManagerCheckbox = document.getElementById('filter-player-manager');
-            if (playerManagerCheckbox) {
-                playerManagerCheckbox.checked = consoleFilters.playermanager;
-            }
-            const propertyManagerCheckbox = document.getElementById('filter-property-manager');
-            if (propertyManagerCheckbox) {
-                propertyManagerCheckbox.checked = consoleFilters.propertymanager;
-            }
-            const modCheckbox = document.getElementById('filter-mod-manager');
-            if (modCheckbox) {
-                modCheckbox.checked = consoleFilters.modmanager;
-            }
-            const networkCheckbox = document.getElementById('filter-network');
-            if (networkCheckbox) {
-                networkCheckbox.checked = consoleFilters.network;
-            }
-            const timestampCheckbox = document.getElementById('filter-timestamp');
-            if (timestampCheckbox) {
-                timestampCheckbox.checked = consoleFilters.timestamp;
-            }
-            const aceModuleCheckbox = document.getElementById('filter-ace-module');
-            if (aceModuleCheckbox) {
-                aceModuleCheckbox.checked = consoleFilters.acemodule;
-            }
+async function statusCommand() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    try {
+        const statusBtn = document.getElementById('status-btn');
+        if (statusBtn) statusBtn.disabled = true;
+
+        addOutput('> status', 'command-message');
+
+        await client.status();
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const statusBtn = document.getElementById('status-btn');
+        if (statusBtn) statusBtn.disabled = false;
+    }
+}
+
+/**
+ * Send HELLO command to get initial server state
+ */
+async function helloCommand() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    try {
+        const helloBtn = document.getElementById('hello-btn');
+        if (helloBtn) helloBtn.disabled = true;
+
+        addOutput('> hello', 'command-message');
+
+        const response = await client.send('hello', []);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const helloBtn = document.getElementById('hello-btn');
+        if (helloBtn) helloBtn.disabled = false;
+    }
+}
+
+/**
+ * Stop server immediately
+ */
+async function stopNow() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    // Confirm before stopping
+    if (!confirm('Are you sure you want to stop the server immediately? This will disconnect all players!')) {
+        return;
+    }
+
+    try {
+        const stopBtn = document.getElementById('stop-now-btn');
+        if (stopBtn) stopBtn.disabled = true;
+
+        addOutput('> stop-now', 'command-message');
+
+        const response = await client.send('stop-now', []);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const stopBtn = document.getElementById('stop-now-btn');
+        if (stopBtn) stopBtn.disabled = false;
+    }
+}
+
+/**
+ * Send world open command
+ */
+async function openWorld() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    try {
+        const openBtn = document.getElementById('open-world-btn');
+        if (openBtn) openBtn.disabled = true;
+
+        addOutput('> world open', 'command-message');
+
+        const response = await client.send('world', ['open']);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const openBtn = document.getElementById('open-world-btn');
+        if (openBtn) openBtn.disabled = false;
+    }
+}
+
+/**
+ * Send world close command
+ */
+async function closeWorld() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    try {
+        const closeBtn = document.getElementById('close-world-btn');
+        if (closeBtn) closeBtn.disabled = true;
+
+        addOutput('> world close', 'command-message');
+
+        const response = await client.send('world', ['close']);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Command error: ${error.message}`, 'error-message');
+    } finally {
+        const closeBtn = document.getElementById('close-world-btn');
+        if (closeBtn) closeBtn.disabled = false;
+    }
+}
+
+/**
+ * Toggle a console display option (timestamp, ACE module) on/off
+ */
+function toggleConsoleFilter(filterName, isChecked) {
+    console.log('[UI] Toggling filter:', filterName, 'isChecked:', isChecked);
+    consoleFilters[filterName] = isChecked;
+
+    // Save filter state to localStorage
+    localStorage.setItem('consoleFilters', JSON.stringify(consoleFilters));
+    console.log('[UI] Filter state saved:', consoleFilters);
+}
+
+/**
+ * Load console display options from localStorage
+ * (older versions saved logger checkboxes here too - ConsoleFilter turns those into rules)
+ */
+function loadConsoleFilters() {
+    const saved = localStorage.getItem('consoleFilters');
+    if (saved) {
+        try {
+            const filters = JSON.parse(saved);
+            Object.keys(consoleFilters).forEach(key => {
+                if (typeof filters[key] === 'boolean') consoleFilters[key] = filters[key];
+            });
+            console.log('[UI] Loaded console filters:', consoleFilters);
         } catch (e) {
             console.error('[UI] Failed to load console filters:', e);
         }
     }
+
+    // Update checkbox UI
+    const timestampCheckbox = document.getElementById('filter-timestamp');
+    if (timestampCheckbox) {
+        timestampCheckbox.checked = consoleFilters.timestamp;
+    }
+    const aceModuleCheckbox = document.getElementById('filter-ace-module');
+    if (aceModuleCheckbox) {
+        aceModuleCheckbox.checked = consoleFilters.acemodule;
+    }
 }
 
 /**
@@ -1042,127 +1721,557 @@ function navigateHistory(direction) {
 
     // Move cursor to end
     commandInput.setSelectionRange(commandInput.value.length, commandInput.value.length);
+    updateCommandPreview();
 }
 
 /**
- * Add message to output
+ * Show how the console line will be split into command and args before it is sent
  */
-function addOutput(message, className = '') {
-    const output = document.getElementById('output');
-    if (!output) return;
+function updateCommandPreview() {
+    const commandInput = document.getElementById('command-input');
+    const preview = document.getElementById('command-preview');
+    if (!commandInput || !preview) return;
 
-    // Check if this message should be filtered
-    if (consoleFilters.landblockmanager && message.includes('[ACE.Server.Managers.LandblockManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.managers && message.includes('[ACE.Server.Managers.')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.modmanager && message.includes('[ACE.Server.Mods.')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.datmanager && message.includes('[ACE.DatLoader.DatManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.entity && message.includes('[ACE.Server.Entity')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.eventmanager && message.includes('[ACE.Server.Managers.EventManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.guidmanager && message.includes('[ACE.Server.Managers.GuidManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.landblockmanager && message.includes('[ACE.Server.Managers.LandblockManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.playermanager && message.includes('[ACE.Server.Managers.PlayerManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.propertymanager && message.includes('[ACE.Server.Managers.PropertyManager]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.aceprogram && message.includes('[ACE.Server.Program]')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.database && message.includes('[ACE.Database.')) {
-        return; // Skip this message - filter is active
-    }
-    if (consoleFilters.network && message.includes('[ACE.Server.Network')) {
-        return; // Skip this message - filter is active
-    }
+    updateCommandSuggestions(false);
+    updateFavoriteToggle('command');
 
-    const line = document.createElement('div');
-    if (className) {
-        line.className = className;
+    const line = commandInput.value;
+    if (!line.trim()) {
+        preview.style.display = 'none';
+        return;
     }
 
-    // Strip ACE module name if disabled
-    let displayMessage = message;
-    if (!consoleFilters.acemodule) {
-        // Remove [ACE.xxx.yyy] pattern from the beginning of the message
-        displayMessage = displayMessage.replace(/^\[ACE\.[^\]]+\]\s*/, '');
+    preview.innerHTML = '';
+    preview.style.display = 'flex';
+
+    let tokens;
+    try {
+        tokens = RconCommandParser.tokenize(line);
+    } catch (error) {
+        const message = document.createElement('span');
+        message.className = 'command-preview-error';
+        message.textContent = `${error.message} (column ${error.position + 1})`;
+        preview.appendChild(message);
+        return;
     }
 
-    // Add timestamp if enabled
-    if (consoleFilters.timestamp) {
-        const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', {
-            hour12: false,
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-        displayMessage = `[${timeString}] ${displayMessage}`;
+    // One chip per token - the command first, then each arg exactly as it will be sent
+    tokens.forEach((token, index) => {
+        const chip = document.createElement('span');
+        chip.className = index === 0 ? 'command-token command' : 'command-token';
+        chip.textContent = token;
+        preview.appendChild(chip);
+    });
+}
+
+/**
+ * ==================== COMMAND COMPLETION ====================
+ */
+
+/**
+ * Load the active server's command list for Tab completion (cached per server and ACE version)
+ */
+function loadCommandCatalog(version) {
+    if (!client || !client.isAuthenticated) return;
+
+    commandCompleter.use(client, getActiveServerKey(), version).then(count => {
+        console.log(`[UI] ${count} commands available for completion`);
+        updateCommandSuggestions(false);
+    }).catch(err => {
+        console.warn('[UI] Failed to load commands for completion (non-critical):', err);
+    });
+}
+
+/**
+ * Tab opens (or accepts from) the suggestion list; arrows, Enter and Escape work while it is open
+ */
+function handleCompletionKey(event) {
+    const isOpen = commandCompletion !== null;
+
+    if (event.key === 'Tab' && !event.shiftKey && !event.ctrlKey && !event.altKey) {
+        if (isOpen) {
+            event.preventDefault();
+            applyCommandSuggestion(commandCompletion.items[commandCompletion.selected]);
+        } else if (event.target.value.trim() && updateCommandSuggestions(true)) {
+            event.preventDefault();
+        }
+    } else if (isOpen && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+        event.preventDefault();
+        const count = commandCompletion.items.length;
+        commandCompletion.selected = (commandCompletion.selected + (event.key === 'ArrowDown' ? 1 : -1) + count) % count;
+        renderCommandSuggestions();
+    } else if (isOpen && event.key === 'Enter') {
+        // Preventing keydown also stops the keypress that would send the line
+        event.preventDefault();
+        applyCommandSuggestion(commandCompletion.items[commandCompletion.selected]);
+    } else if (isOpen && event.key === 'Escape') {
+        event.preventDefault();
+        hideCommandSuggestions();
     }
+}
 
-    // Handle multi-line messages (like formatted JSON)
-    if (displayMessage.includes('\n')) {
-        const pre = document.createElement('pre');
-        pre.textContent = displayMessage;
-        line.appendChild(pre);
-    } else {
-        line.textContent = displayMessage;
+/**
+ * Refresh the signature hint, and the suggestion list if it is open (or explicit, from Tab)
+ * @returns {boolean} Whether there was anything to suggest
+ */
+function updateCommandSuggestions(explicit) {
+    const commandInput = document.getElementById('command-input');
+    if (!commandInput || !commandCompleter) return false;
+
+    const completion = commandCompleter.complete(commandInput.value, commandInput.selectionStart);
+    renderCommandHint(completion);
+
+    if (!explicit && commandCompletion === null) return false;
+
+    if (completion.items.length === 0) {
+        hideCommandSuggestions();
+        return false;
     }
 
-    output.appendChild(line);
+    // A single match is filled in straight away
+    if (explicit && completion.items.length === 1) {
+        commandCompletion = completion;
+        applyCommandSuggestion(completion.items[0]);
+        return true;
+    }
 
-    // Auto-scroll to bottom - scroll the output container, not the page
-    // Directly set scrollTop immediately without delay
-    output.scrollTop = output.scrollHeight;
+    commandCompletion = Object.assign(completion, { selected: 0 });
+    renderCommandSuggestions();
+    return true;
 }
 
 /**
- * Update connection status display
+ * Draw the suggestion list under the console input
  */
-function updateStatus(status, text) {
-    const statusDiv = document.getElementById('status');
-    const statusText = document.getElementById('status-text');
+function renderCommandSuggestions() {
+    const list = document.getElementById('command-suggestions');
+    if (!list || !commandCompletion) return;
+
+    list.innerHTML = '';
+    commandCompletion.items.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = index === commandCompletion.selected ? 'command-suggestion selected' : 'command-suggestion';
+
+        const label = document.createElement('span');
+        label.className = 'command-suggestion-label';
+        label.textContent = item.label;
+        row.appendChild(label);
+
+        if (item.accessLevel) {
+            const level = document.createElement('span');
+            level.className = 'command-access-level';
+            level.textContent = item.accessLevel;
+            row.appendChild(level);
+        }
 
-    if (statusDiv) {
-        statusDiv.className = `status ${status}`;
-    }
+        if (item.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'command-suggestion-detail';
+            detail.textContent = item.detail;
+            row.appendChild(detail);
+        }
 
-    if (statusText) {
-        statusText.textContent = text;
+        // mousedown so the input keeps focus
+        row.addEventListener('mousedown', function(event) {
+            event.preventDefault();
+            applyCommandSuggestion(item);
+        });
+        list.appendChild(row);
+    });
+
+    list.style.display = 'block';
+    const selected = list.querySelector('.command-suggestion.selected');
+    if (selected) {
+        selected.scrollIntoView({ block: 'nearest' });
     }
+}
 
-    console.log(`[UI] Status: ${status} - ${text}`);
+function hideCommandSuggestions() {
+    commandCompletion = null;
+    const list = document.getElementById('command-suggestions');
+    if (list) {
+        list.style.display = 'none';
+        list.innerHTML = '';
+    }
 }
 
 /**
- * Enable command input
+ * Put a suggestion into the console input
  */
-function enableCommands() {
+function applyCommandSuggestion(item) {
     const commandInput = document.getElementById('command-input');
-    const sendBtn = document.getElementById('send-btn');
-    const worldMessageInput = document.getElementById('world-message-input');
-    const sendMsgBtn = document.getElementById('send-msg-btn');
-    const commandHistoryDropdown = document.getElementById('command-history-dropdown');
-    const messageHistoryDropdown = document.getElementById('message-history-dropdown');
-    const quickButtons = document.querySelectorAll('.quick-commands button');
-    const refreshPlayersBtn = document.getElementById('refresh-players-btn');
-    const aceCommandsBtn = document.getElementById('ace-commands-btn');
+    if (!commandInput || !commandCompletion || !item) return;
+
+    const { line, cursor } = commandCompleter.apply(commandInput.value, commandCompletion, item);
+    hideCommandSuggestions();
+    commandInput.value = line;
+    commandInput.setSelectionRange(cursor, cursor);
+    commandInput.focus();
+    updateCommandPreview();
+}
+
+/**
+ * Show the usage of the command being typed, with the argument under the cursor highlighted
+ */
+function renderCommandHint(completion) {
+    const hint = document.getElementById('command-hint');
+    if (!hint) return;
+
+    const command = completion.hint;
+    if (!command) {
+        hint.style.display = 'none';
+        return;
+    }
+
+    // Usage wasn't in the command list - ask acehelp once, then redraw
+    if (!command.usage && !command.helpFetched && client && client.isAuthenticated) {
+        commandCompleter.describe(client, command.name).then(() => updateCommandSuggestions(false));
+    }
+
+    hint.innerHTML = '';
+    hint.style.display = 'flex';
+
+    const name = document.createElement('span');
+    name.className = 'command-hint-name';
+    name.textContent = command.name;
+    hint.appendChild(name);
+
+    const params = command.usage.match(/[<[(][^>\])]*[>\])]/g) || (command.usage ? [command.usage] : []);
+    params.forEach((param, index) => {
+        const el = document.createElement('span');
+        el.className = index === completion.argIndex - 1 ? 'command-hint-param current' : 'command-hint-param';
+        el.textContent = param;
+        hint.appendChild(el);
+    });
+
+    if (command.accessLevel) {
+        const level = document.createElement('span');
+        level.className = 'command-access-level';
+        level.textContent = command.accessLevel;
+        hint.appendChild(level);
+    }
+
+    if (command.description) {
+        const description = document.createElement('span');
+        description.className = 'command-hint-description';
+        description.textContent = command.description;
+        hint.appendChild(description);
+    }
+}
+
+/**
+ * ==================== COMMAND HISTORY SEARCH ====================
+ */
+
+/**
+ * host:port of the server being shown - scopes command history and the completion catalog
+ */
+function getActiveServerKey() {
+    const session = connectionManager.getActive();
+    return session ? `${session.profile.host}:${session.profile.port}` : '';
+}
+
+/**
+ * Load the active server's saved commands for Up/Down
+ */
+function loadCommandHistory() {
+    commandHistory = commandHistoryStore.commands(getActiveServerKey());
+    historyIndex = commandHistory.length;
+}
+
+/**
+ * Ctrl+R - search the saved commands, newest first, as the query is typed
+ */
+function openHistorySearch() {
+    const overlay = document.getElementById('history-search');
+    const input = document.getElementById('history-search-input');
+    const commandInput = document.getElementById('command-input');
+    if (!overlay || !input || !commandInput || commandInput.disabled) return;
+
+    hideCommandSuggestions();
+    historySearch = { query: '', matches: [], index: 0, original: commandInput.value, allServers: false };
+    const allServers = document.getElementById('history-search-all-servers');
+    if (allServers) allServers.checked = false;
+
+    overlay.style.display = 'flex';
+    input.value = '';
+    input.focus();
+    updateHistorySearch('');
+}
+
+/**
+ * Run the search again for a new query or scope, starting from the newest match
+ */
+function updateHistorySearch(query) {
+    if (!historySearch) return;
+
+    historySearch.query = query;
+    historySearch.matches = commandHistoryStore.search(query, {
+        serverKey: historySearch.allServers ? null : getActiveServerKey()
+    });
+    historySearch.index = 0;
+    renderHistorySearch();
+}
+
+function toggleHistorySearchScope(allServers) {
+    if (!historySearch) return;
+
+    historySearch.allServers = allServers;
+    updateHistorySearch(historySearch.query);
+    document.getElementById('history-search-input').focus();
+}
+
+/**
+ * Ctrl+R / Up go to an older match, Ctrl+S / Down a newer one; Enter or Tab takes the match,
+ * Escape puts the line back as it was
+ */
+function handleHistorySearchKey(event) {
+    if (!historySearch) return;
+
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey && key === 'r') || event.key === 'ArrowUp') {
+        event.preventDefault();
+        moveHistorySearch(1);
+    } else if ((event.ctrlKey && key === 's') || event.key === 'ArrowDown') {
+        event.preventDefault();
+        moveHistorySearch(-1);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+        event.preventDefault();
+        closeHistorySearch(true);
+    } else if (event.key === 'Escape' || (event.ctrlKey && key === 'g')) {
+        event.preventDefault();
+        closeHistorySearch(false);
+    }
+}
+
+function moveHistorySearch(step) {
+    const index = historySearch.index + step;
+    if (index < 0 || index >= historySearch.matches.length) return;
+
+    historySearch.index = index;
+    renderHistorySearch();
+}
+
+/**
+ * Show the matches, the current one previewed in the console input
+ */
+function renderHistorySearch() {
+    const list = document.getElementById('history-search-results');
+    const count = document.getElementById('history-search-count');
+    const commandInput = document.getElementById('command-input');
+    if (!list || !historySearch) return;
+
+    const { matches, index, query } = historySearch;
+    if (count) {
+        count.textContent = matches.length === 0 ? 'no match' : `${index + 1} of ${matches.length}`;
+    }
+    if (commandInput) {
+        commandInput.value = matches.length > 0 ? matches[index].command : historySearch.original;
+        updateCommandPreview();
+    }
+
+    list.innerHTML = '';
+    matches.forEach((entry, i) => {
+        const row = document.createElement('div');
+        row.className = i === index ? 'history-search-result selected' : 'history-search-result';
+
+        const status = document.createElement('span');
+        status.className = `history-search-status ${entry.status}`;
+        status.textContent = entry.status === 'error' ? '✗' : '✓';
+        status.title = entry.message || entry.status;
+        row.appendChild(status);
+
+        // Command with the query highlighted
+        const text = document.createElement('span');
+        text.className = 'history-search-command';
+        const at = query ? entry.command.toLowerCase().indexOf(query.toLowerCase()) : -1;
+        if (at >= 0) {
+            const mark = document.createElement('mark');
+            mark.textContent = entry.command.slice(at, at + query.length);
+            text.append(entry.command.slice(0, at), mark, entry.command.slice(at + query.length));
+        } else {
+            text.textContent = entry.command;
+        }
+        row.appendChild(text);
+
+        const meta = document.createElement('span');
+        meta.className = 'history-search-meta';
+        const sentAt = new Date(entry.timestamp).toLocaleString('en-US', { hour12: false });
+        meta.textContent = historySearch.allServers ? `${entry.serverKey} · ${sentAt}` : sentAt;
+        row.appendChild(meta);
+
+        // mousedown so the search input keeps focus until the match is taken
+        row.addEventListener('mousedown', function(event) {
+            event.preventDefault();
+            historySearch.index = i;
+            closeHistorySearch(true);
+        });
+        list.appendChild(row);
+    });
+
+    const selected = list.querySelector('.history-search-result.selected');
+    if (selected) {
+        selected.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Leave the search, keeping the match in the console input (accept) or restoring the line
+ */
+function closeHistorySearch(accept, focusInput = true) {
+    const overlay = document.getElementById('history-search');
+    const commandInput = document.getElementById('command-input');
+    if (!historySearch) return;
+
+    const match = historySearch.matches[historySearch.index];
+    const line = accept && match ? match.command : historySearch.original;
+    historySearch = null;
+
+    if (overlay) overlay.style.display = 'none';
+    if (commandInput) {
+        commandInput.value = line;
+        if (focusInput) {
+            commandInput.focus();
+            commandInput.setSelectionRange(line.length, line.length);
+        }
+        historyIndex = commandHistory.length;
+        updateCommandPreview();
+    }
+}
+
+/**
+ * Add message to output
+ */
+function addOutput(message, className = '') {
+    const view = getConsoleView();
+    if (!view) return;
+
+    // Strip ACE module name if disabled
+    let displayMessage = message;
+    if (!consoleFilters.acemodule) {
+        // Remove [ACE.xxx.yyy] pattern from the beginning of the message
+        displayMessage = displayMessage.replace(/^\[ACE\.[^\]]+\]\s*/, '');
+    }
+
+    // Add timestamp if enabled
+    if (consoleFilters.timestamp) {
+        const now = new Date();
+        const timeString = now.toLocaleTimeString('en-US', {
+            hour12: false,
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        displayMessage = `[${timeString}] ${displayMessage}`;
+    }
+
+    // Drawn on the next frame, scrolled to the bottom unless the user scrolled up
+    // Multi-line messages (like formatted JSON) take one row per line
+    view.append(displayMessage, className);
+}
+
+/**
+ * Add a parsed server log line to output
+ * Lines the filter rules hide are kept too, so changing the rules can show them again
+ */
+function addLogOutput(record) {
+    const view = getConsoleView();
+    if (!view) return;
+
+    // Without "Show ACE Module" only ACE's own logger names are left out
+    const text = RconLogParser.format(record, {
+        timestamp: consoleFilters.timestamp,
+        logger: consoleFilters.acemodule || !record.logger.startsWith('ACE.')
+    });
+    view.append(text, RconLogParser.className(record), record);
+}
+
+/**
+ * Download the active console as JSON - log lines with their parsed fields, other lines as text
+ */
+function exportConsole() {
+    const view = getConsoleView();
+    const lines = view ? view.buffer.toArray() : [];
+    if (lines.length === 0) {
+        alert('The console is empty');
+        return;
+    }
+
+    const json = JSON.stringify(lines.map(line => (line.record
+        ? RconLogParser.toJSON(line.record)
+        : { text: line.text })), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `rcon-console-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * The console view, created on first use with the saved line limit
+ */
+function getConsoleView() {
+    if (!consoleView) {
+        const output = document.getElementById('output');
+        if (!output) return null;
+
+        consoleView = new ConsoleView(output, {
+            buffer: new ConsoleBuffer({ limit: localStorage.getItem('consoleLineLimit') }),
+            onRender: refreshConsoleSearchCount
+        });
+        const limitInput = document.getElementById('console-line-limit');
+        if (limitInput) limitInput.value = consoleView.buffer.limit;
+    }
+    return consoleView;
+}
+
+/**
+ * Change how many lines each server's console keeps (the oldest are dropped first)
+ */
+function setConsoleLineLimit(value) {
+    const view = getConsoleView();
+    if (!view) return;
+
+    const limit = ConsoleBuffer.normalizeLimit(value);
+    view.buffer.setLimit(limit);
+    serverConsoles.forEach(buffer => buffer.setLimit(limit));
+    view.render();
+
+    localStorage.setItem('consoleLineLimit', String(limit));
+    document.getElementById('console-line-limit').value = limit;
+}
+
+/**
+ * Update connection status display
+ */
+function updateStatus(status, text) {
+    const statusDiv = document.getElementById('status');
+    const statusText = document.getElementById('status-text');
+
+    if (statusDiv) {
+        statusDiv.className = `status ${status}`;
+    }
+
+    if (statusText) {
+        statusText.textContent = text;
+    }
+
+    console.log(`[UI] Status: ${status} - ${text}`);
+}
+
+/**
+ * Enable command input
+ */
+function enableCommands() {
+    const commandInput = document.getElementById('command-input');
+    const sendBtn = document.getElementById('send-btn');
+    const worldMessageInput = document.getElementById('world-message-input');
+    const sendMsgBtn = document.getElementById('send-msg-btn');
+    const commandHistoryDropdown = document.getElementById('command-history-dropdown');
+    const messageHistoryDropdown = document.getElementById('message-history-dropdown');
+    const quickButtons = document.querySelectorAll('.quick-commands button');
+    const refreshPlayersBtn = document.getElementById('refresh-players-btn');
+    const aceCommandsBtn = document.getElementById('ace-commands-btn');
     const listPlayersBtn = document.getElementById('list-players-btn');
     const populationBtn = document.getElementById('population-btn');
     const statusBtn = document.getElementById('status-btn');
@@ -1239,752 +2348,1848 @@ function disableCommands() {
 }
 
 /**
- * Switch between tabs
+ * Switch between tabs
+ */
+function switchTab(tabId) {
+    // Hide all tabs
+    const tabContents = document.querySelectorAll('.tab-content');
+    tabContents.forEach(tab => tab.classList.remove('active'));
+
+    // Remove active class from all buttons
+    const tabButtons = document.querySelectorAll('.tab-button');
+    tabButtons.forEach(btn => btn.classList.remove('active'));
+
+    // Show selected tab
+    const selectedTab = document.getElementById(tabId);
+    if (selectedTab) {
+        selectedTab.classList.add('active');
+    }
+
+    // Mark button as active (found by its tab, so other buttons can switch tabs too)
+    const selectedButton = document.querySelector(`.tab-button[data-tab="${tabId}"]`);
+    if (selectedButton) {
+        selectedButton.classList.add('active');
+    }
+
+    // Show appropriate sidebar based on active tab
+    const mainSidebar = document.getElementById('sidebar');
+    const playersSidebar = document.getElementById('players-sidebar');
+    const configSidebar = document.getElementById('config-sidebar');
+
+    if (mainSidebar) {
+        mainSidebar.style.display = (tabId === 'console-tab') ? 'flex' : 'none';
+    }
+    if (playersSidebar) {
+        playersSidebar.style.display = (tabId === 'players-tab') ? 'flex' : 'none';
+        // Clear player selection when switching away from Players tab
+        if (tabId !== 'players-tab') {
+            document.querySelectorAll('.player-item.selected').forEach(item => {
+                item.classList.remove('selected');
+            });
+        }
+    }
+    if (configSidebar) {
+        configSidebar.style.display = (tabId === 'config-tab') ? 'flex' : 'none';
+    }
+}
+
+/**
+ * Refresh players list
+ */
+async function refreshPlayers() {
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    const refreshBtn = document.getElementById('refresh-players-btn');
+    refreshBtn.disabled = true;
+    refreshBtn.textContent = 'Loading...';
+
+    try {
+        await client.players();
+        // Response will be handled by onResponse()
+    } catch (error) {
+        addOutput(`Failed to refresh players: ${error.message}`, 'error-message');
+    } finally {
+        refreshBtn.disabled = false;
+        refreshBtn.textContent = 'Refresh Players';
+    }
+}
+
+/**
+ * Display players in the Players tab
+ */
+function displayPlayers(playersData) {
+    const playersList = document.getElementById('players-list');
+
+    if (!playersData || !playersData.players || playersData.players.length === 0) {
+        playersList.innerHTML = '<div class="info-message">No players online</div>';
+        commandCompleter.setPlayers([]);
+        return;
+    }
+
+    // Online character names complete command arguments
+    commandCompleter.setPlayers(playersData.players.map(player => player.Name));
+
+    let html = '';
+    playersData.players.forEach((player, index) => {
+        // Key casing is normalized by rcon-schema.js
+        let playerName = player.Name || 'Unknown';
+        let playerLevel = player.Level || 'N/A';
+        let playerRace = player.Race || '';
+        let accountName = player.AccountName || '';
+
+        let details = `Level: ${playerLevel}`;
+        if (playerRace) details += ` | Race: ${playerRace}`;
+        if (accountName) details += ` | Account: ${accountName}`;
+
+        html += `
+            <div class="player-item" onclick="togglePlayerSelect(this, '${playerName}', '${accountName}')">
+                <div class="player-info">
+                    <span class="player-name">${playerName}</span>
+                    <span class="player-details" style="font-size: 11px; color: #aaa;">${details}</span>
+                </div>
+            </div>
+        `;
+    });
+
+    playersList.innerHTML = html;
+}
+
+/**
+ * Toggle player selection (single-select only)
+ */
+function togglePlayerSelect(element, playerName, accountName) {
+    // Deselect all other players
+    document.querySelectorAll('.player-item.selected').forEach(item => {
+        item.classList.remove('selected');
+    });
+
+    // Select current player
+    element.classList.add('selected');
+    element.dataset.playerName = playerName;
+    element.dataset.accountName = accountName;
+
+    // Update sidebar
+    updatePlayerActionsSidebar();
+}
+
+/**
+ * Get selected players
+ */
+function getSelectedPlayers() {
+    const selected = [];
+    document.querySelectorAll('.player-item.selected').forEach(item => {
+        const name = item.querySelector('.player-name').textContent;
+        selected.push(name);
+    });
+    return selected;
+}
+
+/**
+ * Update player actions sidebar with selected player info
+ */
+function updatePlayerActionsSidebar() {
+    const selected = document.querySelector('.player-item.selected');
+    const infoDiv = document.getElementById('selected-player-info');
+    const bootBtn = document.getElementById('boot-player-btn');
+    const banBtn = document.getElementById('ban-player-btn');
+
+    if (selected) {
+        const playerName = selected.querySelector('.player-name').textContent;
+        const playerDetails = selected.querySelector('.player-details').textContent;
+
+        infoDiv.innerHTML = `
+            <p style="margin: 5px 0; font-weight: bold; color: #fff;">${playerName}</p>
+            <p style="margin: 3px 0; font-size: 11px;">${playerDetails}</p>
+        `;
+
+        bootBtn.disabled = false;
+        banBtn.disabled = false;
+    } else {
+        infoDiv.innerHTML = '<p style="margin: 0; text-align: center;">No player selected</p>';
+        bootBtn.disabled = true;
+        banBtn.disabled = true;
+    }
+}
+
+/**
+ * Boot selected player
+ */
+function bootSelectedPlayer() {
+    const selected = document.querySelector('.player-item.selected');
+    if (!selected) return;
+
+    const playerName = selected.querySelector('.player-name').textContent;
+    const confirmed = confirm(`Are you sure you want to boot ${playerName}?`);
+
+    if (confirmed) {
+        client.boot(playerName)
+            .then(() => {
+                addOutput(`Successfully booted player: ${playerName}`, 'success-output');
+                // Clear selection and refresh players
+                selected.classList.remove('selected');
+                updatePlayerActionsSidebar();
+                refreshPlayers();
+            })
+            .catch(err => {
+                addOutput(`Error booting player: ${err.message}`, 'error-output');
+            });
+    }
+}
+
+/**
+ * Ban selected player
+ */
+function banSelectedPlayer() {
+    const selected = document.querySelector('.player-item.selected');
+    if (!selected) return;
+
+    const playerName = selected.querySelector('.player-name').textContent;
+    const accountName = selected.dataset.accountName;
+
+    if (!accountName) {
+        addOutput(`Error: Account name not available for player ${playerName}`, 'error-output');
+        return;
+    }
+
+    const confirmed = confirm(`Are you sure you want to ban ${playerName} for 365 days? This action cannot be easily undone.`);
+
+    if (confirmed) {
+        addOutput(`Banning account: ${accountName} for 365 days...`, 'info-output');
+
+        client.ban(accountName, { days: 365 })
+            .then(() => {
+                addOutput(`Successfully banned player: ${playerName}`, 'success-output');
+                selected.classList.remove('selected');
+                updatePlayerActionsSidebar();
+                refreshPlayers();
+            })
+            .catch(err => {
+                addOutput(`Error banning player: ${err.message}`, 'error-output');
+            });
+    }
+}
+
+/**
+ * Handle incoming log messages
+ */
+function handleLogMessage(response) {
+    const record = RconLogParser.parse(response);
+
+    // Try to route chat messages to the chat tab instead of console
+    if (RconLogParser.hasTag(record, 'CHAT')) {
+        const chatType = extractChatType(record.text);
+        if (chatType) {
+            addChatMessage(record.text, chatType);
+            return; // Don't add to console
+        }
+    }
+
+    // Coloured by tag ([AUDIT], [SYSTEM], ...) or else by log level
+    addLogOutput(record);
+}
+
+/**
+ * Calculate uptime from a given world time (server startup time)
+ */
+function calculateUptime(worldTime) {
+    const now = new Date();
+    const uptimeTotalSeconds = Math.floor((now - worldTime) / 1000);
+
+    const days = Math.floor(uptimeTotalSeconds / 86400);
+    const hours = Math.floor((uptimeTotalSeconds % 86400) / 3600);
+    const minutes = Math.floor((uptimeTotalSeconds % 3600) / 60);
+    const seconds = uptimeTotalSeconds % 60;
+
+    return `${days}d ${hours}h ${minutes}m ${seconds}s`;
+}
+
+/**
+ * Handle player events (login/logoff)
+ */
+function handlePlayerEvent(response) {
+    // Display event message
+    addOutput(`[Player Event] ${response.Message}`, 'info-message');
+
+    // Auto-refresh players list if enabled
+    if (autoRefreshPlayers && client && client.isAuthenticated) {
+        console.log('[UI] Auto-refreshing players due to player event');
+        client.players().catch(err => console.error('[UI] Error auto-refreshing players:', err));
+    }
+
+    // Update player count and uptime if data is available (keys normalized by rcon-schema.js)
+    if (response.Data) {
+        if (response.Data.Count !== undefined) {
+            const playerEl = document.getElementById('player-count');
+            if (playerEl) {
+                playerEl.textContent = response.Data.Count;
+            }
+        }
+
+        // Update uptime from WorldTime if available
+        if (response.Data.WorldTime) {
+            const worldTime = new Date(response.Data.WorldTime);
+            const uptime = calculateUptime(worldTime);
+            const uptimeEl = document.getElementById('uptime');
+            if (uptimeEl) {
+                uptimeEl.textContent = uptime;
+            }
+        }
+    }
+}
+
+/**
+ * Toggle auto-refresh for players
+ */
+function toggleAutoRefresh(enabled) {
+    autoRefreshPlayers = enabled;
+    // Persist to localStorage
+    localStorage.setItem('autoRefreshPlayers', enabled.toString());
+    console.log('[UI] Auto-refresh players:', enabled ? 'enabled' : 'disabled');
+}
+
+/**
+ * Fetch client configuration from server
+ */
+async function fetchClientConfig() {
+    if (!client || !client.isAuthenticated) {
+        console.log('[UI] Not authenticated, skipping config fetch');
+        return;
+    }
+
+    try {
+        const response = await client.send('config', []);
+        if (response.Data) {
+            clientConfig = response.Data;
+            console.log('[UI] Client config received:', clientConfig);
+
+            // Update version in footer
+            if (clientConfig.Version) {
+                const versionElement = document.getElementById('version');
+                if (versionElement) {
+                    versionElement.textContent = clientConfig.Version;
+                    console.log('[UI] Version updated to:', clientConfig.Version);
+                }
+            }
+
+            // Update reconnect settings in client
+            if (clientConfig.MaxReconnectAttempts && clientConfig.ReconnectDelayMs) {
+                client.setReconnectConfig(clientConfig.MaxReconnectAttempts, clientConfig.ReconnectDelayMs);
+            }
+
+            // If server has AutoRefreshPlayers setting and we haven't overridden it locally, use server default
+            if (clientConfig.AutoRefreshPlayers !== undefined && localStorage.getItem('autoRefreshPlayers') === null) {
+                autoRefreshPlayers = clientConfig.AutoRefreshPlayers;
+                const checkbox = document.getElementById('auto-refresh-checkbox');
+                if (checkbox) {
+                    checkbox.checked = autoRefreshPlayers;
+                }
+                console.log('[UI] Auto-refresh set from server config:', autoRefreshPlayers);
+            }
+
+            // Populate settings in Configuration tab
+            populateSettingsPanel(clientConfig);
+        }
+    } catch (error) {
+        console.error('[UI] Error fetching client config:', error);
+    }
+}
+
+/**
+ * Update log message color
+ */
+function updateLogColor(messageType, colorValue) {
+    const className = `log-${messageType}`;
+    const style = document.getElementById(`log-color-style`) || createStyleElement();
+
+    // Update the color label
+    const labelSpan = document.getElementById(`color-${messageType}-label`);
+    if (labelSpan) {
+        labelSpan.textContent = colorValue.toUpperCase();
+    }
+
+    // Add CSS rule for the color
+    let colorRule = `.${className} { color: ${colorValue} !important; }`;
+
+    // Update existing style or create new one
+    if (style.textContent.includes(`.${className}`)) {
+        style.textContent = style.textContent.replace(
+            new RegExp(`.${className}\\s*{[^}]*}`, 'g'),
+            colorRule
+        );
+    } else {
+        style.textContent += colorRule;
+    }
+
+    // Save to localStorage
+    localStorage.setItem(`logColor_${messageType}`, colorValue);
+    console.log(`[UI] Updated ${messageType} color to ${colorValue}`);
+}
+
+/**
+ * Create dynamic style element for color overrides
+ */
+function createStyleElement() {
+    const style = document.createElement('style');
+    style.id = 'log-color-style';
+    document.head.appendChild(style);
+
+    // Restore saved colors
+    ['chat', 'audit', 'system', 'info', 'warn', 'error', 'debug'].forEach(type => {
+        const savedColor = localStorage.getItem(`logColor_${type}`);
+        if (savedColor) {
+            const picker = document.getElementById(`color-${type}`);
+            if (picker) {
+                picker.value = savedColor;
+            }
+            const rule = `.log-${type} { color: ${savedColor} !important; }`;
+            style.textContent += rule;
+        }
+    });
+
+    return style;
+}
+
+/**
+ * Reset colors to default
+ */
+function resetColorsToDefault() {
+    const defaults = {
+        'chat': '#00ff00',
+        'audit': '#ffff00',
+        'system': '#ff00ff',
+        'info': '#2196f3',
+        'warn': '#ff9800',
+        'error': '#f44336',
+        'debug': '#888888'
+    };
+
+    Object.entries(defaults).forEach(([type, color]) => {
+        const picker = document.getElementById(`color-${type}`);
+        if (picker) {
+            picker.value = color;
+            updateLogColor(type, color);
+        }
+    });
+
+    console.log('[UI] Colors reset to default');
+}
+
+/**
+ * Populate settings panel with current values
+ */
+function populateSettingsPanel(config) {
+    if (!config) return;
+
+    // RconEnabled (read-only)
+    if (config.RconEnabled !== undefined) {
+        const checkbox = document.getElementById('setting-rcon-enabled');
+        checkbox.checked = config.RconEnabled;
+        document.getElementById('setting-rcon-enabled-current').textContent = config.RconEnabled ? 'Currently: ON' : 'Currently: OFF';
+        document.getElementById('setting-rcon-enabled-current').style.color = config.RconEnabled ? '#4caf50' : '#ff9800';
+    }
+
+    // WebRconEnabled
+    if (config.WebRconEnabled !== undefined) {
+        const checkbox = document.getElementById('setting-web-rcon-enabled');
+        checkbox.checked = config.WebRconEnabled;
+        document.getElementById('setting-web-rcon-enabled-current').textContent = config.WebRconEnabled ? 'Currently: ON' : 'Currently: OFF';
+        document.getElementById('setting-web-rcon-enabled-current').style.color = config.WebRconEnabled ? '#4caf50' : '#ff9800';
+    }
+
+    // MaxConnections
+    if (config.MaxConnections !== undefined) {
+        document.getElementById('setting-max-connections-current').textContent = `Current: ${config.MaxConnections}`;
+    }
+
+    // ConnectionTimeoutSeconds
+    if (config.ConnectionTimeoutSeconds !== undefined) {
+        document.getElementById('setting-connection-timeout-current').textContent = `Current: ${config.ConnectionTimeoutSeconds}s`;
+    }
+
+    // EnableLogging
+    if (config.EnableLogging !== undefined) {
+        const checkbox = document.getElementById('setting-enable-logging');
+        checkbox.checked = config.EnableLogging;
+        document.getElementById('setting-enable-logging-current').textContent = config.EnableLogging ? 'Currently: ON' : 'Currently: OFF';
+        document.getElementById('setting-enable-logging-current').style.color = config.EnableLogging ? '#4caf50' : '#ff9800';
+    }
+
+    // DebugMode
+    if (config.DebugMode !== undefined) {
+        const checkbox = document.getElementById('setting-debug-mode');
+        checkbox.checked = config.DebugMode;
+        document.getElementById('setting-debug-mode-current').textContent = config.DebugMode ? 'Currently: ON' : 'Currently: OFF';
+        document.getElementById('setting-debug-mode-current').style.color = config.DebugMode ? '#4caf50' : '#ff9800';
+    }
+
+    // AutoRefreshPlayers
+    if (config.AutoRefreshPlayers !== undefined) {
+        const checkbox = document.getElementById('setting-auto-refresh');
+        checkbox.checked = config.AutoRefreshPlayers;
+        document.getElementById('setting-auto-refresh-current').textContent = config.AutoRefreshPlayers ? 'Currently: ON' : 'Currently: OFF';
+        document.getElementById('setting-auto-refresh-current').style.color = config.AutoRefreshPlayers ? '#4caf50' : '#ff9800';
+    }
+
+    // MaxReconnectAttempts
+    if (config.MaxReconnectAttempts !== undefined) {
+        document.getElementById('setting-max-reconnect-current').textContent = `Current: ${config.MaxReconnectAttempts}`;
+    }
+
+    // ReconnectDelayMs
+    if (config.ReconnectDelayMs !== undefined) {
+        document.getElementById('setting-reconnect-delay-current').textContent = `Current: ${config.ReconnectDelayMs}ms`;
+    }
+
+    console.log('[UI] Settings panel populated:', config);
+}
+
+/**
+ * Save settings (placeholder for future API integration)
+ */
+function saveSettings() {
+    const settings = {
+        WebRconEnabled: document.getElementById('setting-web-rcon-enabled').checked,
+        MaxConnections: document.getElementById('setting-max-connections').value,
+        ConnectionTimeoutSeconds: document.getElementById('setting-connection-timeout').value,
+        EnableLogging: document.getElementById('setting-enable-logging').checked,
+        DebugMode: document.getElementById('setting-debug-mode').checked,
+        AutoRefreshPlayers: document.getElementById('setting-auto-refresh').checked,
+        MaxReconnectAttempts: document.getElementById('setting-max-reconnect').value,
+        ReconnectDelayMs: document.getElementById('setting-reconnect-delay').value
+    };
+
+    console.log('[UI] Settings to save:', settings);
+    addOutput('Settings saved! ⚠️ Server restart required to apply changes.', 'success-message');
+
+    // TODO: Send settings to server API endpoint (when implemented)
+    // This would require a new server endpoint to update settings.json
+}
+
+/**
+ * Update command history dropdown
+ */
+function updateCommandHistoryDropdown() {
+    const dropdown = document.getElementById('command-history-dropdown');
+    if (!dropdown) {
+        console.error('[updateCommandHistoryDropdown] Dropdown element not found!');
+        return;
+    }
+
+    let mgr = historyManager;
+    if (!mgr && typeof window.historyManager !== 'undefined') {
+        mgr = window.historyManager;
+    }
+
+    if (!mgr || typeof mgr.getCommands !== 'function') {
+        console.warn('[updateCommandHistoryDropdown] History manager not available');
+        return;
+    }
+
+    const commands = mgr.getCommands();
+    console.log('[updateCommandHistoryDropdown] Retrieved commands:', commands);
+
+    // Clear existing options except the first one
+    while (dropdown.options.length > 1) {
+        dropdown.remove(1);
+    }
+
+    // Add commands to dropdown
+    commands.forEach(command => {
+        const option = document.createElement('option');
+        option.value = command;
+        // Truncate long commands for display
+        option.textContent = command.length > 40 ? command.substring(0, 37) + '...' : command;
+        dropdown.appendChild(option);
+        console.log('[updateCommandHistoryDropdown] Added option:', command);
+    });
+
+    console.log('[updateCommandHistoryDropdown] Dropdown now has', dropdown.options.length, 'options');
+}
+
+/**
+ * Select from command history dropdown
+ */
+function selectFromCommandHistory(value) {
+    if (value) {
+        const input = document.getElementById('command-input');
+        if (input) {
+            input.value = value;
+            input.focus();
+            updateCommandPreview();
+        }
+        // Reset dropdown to default
+        const dropdown = document.getElementById('command-history-dropdown');
+        if (dropdown) {
+            dropdown.selectedIndex = 0;
+        }
+    }
+}
+
+/**
+ * Send world message using gamecast command
+ */
+async function sendWorldMessage() {
+    const messageInput = document.getElementById('world-message-input');
+    if (!messageInput) return;
+
+    let message = messageInput.value.trim();
+    if (!message) return;
+
+    if (!client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
+
+    try {
+        messageInput.disabled = true;
+        addOutput(`[BROADCAST] ${message}`, 'broadcast-message');
+
+        // Parse message into words like sendCommand does
+        const parts = message.split(/\s+/);
+        const cmd = 'gamecast';
+        const args = parts; // Message words as separate args
+
+        console.log('[sendWorldMessage] Sending gamecast command');
+        console.log('[sendWorldMessage] Command:', cmd);
+        console.log('[sendWorldMessage] Args:', args);
+
+        const response = await client.send(cmd, args);
+
+        // Response is handled by onResponse
+    } catch (error) {
+        addOutput(`Broadcast error: ${error.message}`, 'error-message');
+    } finally {
+        messageInput.disabled = false;
+        messageInput.value = '';
+        messageInput.focus();
+
+        // Add to history manager and update dropdown
+        let mgr = historyManager;
+        if (!mgr && typeof window.historyManager !== 'undefined') {
+            mgr = window.historyManager;
+        }
+        if (mgr && typeof mgr.addMessage === 'function') {
+            mgr.addMessage(message);
+            updateMessageHistoryDropdown();
+        } else {
+            console.warn('[sendWorldMessage] History manager not available');
+        }
+    }
+}
+
+/**
+ * Update message history dropdown
  */
-function switchTab(tabId) {
-    // Hide all tabs
-    const tabContents = document.querySelectorAll('.tab-content');
-    tabContents.forEach(tab => tab.classList.remove('active'));
-
-    // Remove active class from all buttons
-    const tabButtons = document.querySelectorAll('.tab-button');
-    tabButtons.forEach(btn => btn.classList.remove('active'));
+function updateMessageHistoryDropdown() {
+    const dropdown = document.getElementById('message-history-dropdown');
+    if (!dropdown) return;
 
-    // Show selected tab
-    const selectedTab = document.getElementById(tabId);
-    if (selectedTab) {
-        selectedTab.classList.add('active');
+    let mgr = historyManager;
+    if (!mgr && typeof window.historyManager !== 'undefined') {
+        mgr = window.historyManager;
     }
 
-    // Mark button as active
-    event.target.classList.add('active');
+    if (!mgr || typeof mgr.getMessages !== 'function') {
+        console.warn('[updateMessageHistoryDropdown] History manager not available');
+        return;
+    }
 
-    // Show appropriate sidebar based on active tab
-    const mainSidebar = document.getElementById('sidebar');
-    const playersSidebar = document.getElementById('players-sidebar');
-    const configSidebar = document.getElementById('config-sidebar');
+    const messages = mgr.getMessages();
 
-    if (mainSidebar) {
-        mainSidebar.style.display = (tabId === 'console-tab') ? 'flex' : 'none';
+    // Clear existing options except the first one
+    while (dropdown.options.length > 1) {
+        dropdown.remove(1);
     }
-    if (playersSidebar) {
-        playersSidebar.style.display = (tabId === 'players-tab') ? 'flex' : 'none';
-        // Clear player selection when switching away from Players tab
-        if (tabId !== 'players-tab') {
-            document.querySelectorAll('.player-item.selected').forEach(item => {
-                item.classList.remove('selected');
-            });
+
+    // Add messages to dropdown
+    messages.forEach(message => {
+        const option = document.createElement('option');
+        option.value = message;
+        // Truncate long messages for display
+        option.textContent = message.length > 40 ? message.substring(0, 37) + '...' : message;
+        dropdown.appendChild(option);
+    });
+
+    console.log('[UI] Message history dropdown updated with', messages.length, 'items');
+}
+
+/**
+ * Select from message history dropdown
+ */
+function selectFromMessageHistory(value) {
+    if (value) {
+        const input = document.getElementById('world-message-input');
+        if (input) {
+            input.value = value;
+            input.focus();
+        }
+        // Reset dropdown to default
+        const dropdown = document.getElementById('message-history-dropdown');
+        if (dropdown) {
+            dropdown.selectedIndex = 0;
         }
-    }
-    if (configSidebar) {
-        configSidebar.style.display = (tabId === 'config-tab') ? 'flex' : 'none';
     }
 }
 
 /**
- * Refresh players list
+ * Initialize history manager
  */
-async function refreshPlayers() {
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
-    }
+async function initializeHistory() {
+    try {
+        console.log('[UI] Initializing history manager...');
 
-    const refreshBtn = document.getElementById('refresh-players-btn');
-    refreshBtn.disabled = true;
-    refreshBtn.textContent = 'Loading...';
+        // Ensure we have a reference to the global historyManager from history-manager.js
+        if (typeof window.historyManager !== 'undefined' && window.historyManager !== null) {
+            historyManager = window.historyManager;
+            console.log('[UI] Assigned global historyManager from window');
+        }
 
-    try {
-        const response = await client.send('players', []);
-        // Response will be handled by onResponse()
+        console.log('[UI] historyManager type:', typeof historyManager);
+        console.log('[UI] historyManager object:', historyManager);
+
+        // historyManager is created in history-manager.js as a global
+        if (!historyManager) {
+            console.warn('[UI] historyManager is null or undefined - history will not work but UI will continue');
+            return;  // Don't block UI initialization if history manager isn't available
+        }
+
+        console.log('[UI] Calling historyManager.init()...');
+        await historyManager.init();
+        console.log('[UI] historyManager.init() completed');
+
+        // Update dropdowns after history is loaded
+        try {
+            updateCommandHistoryDropdown();
+            updateMessageHistoryDropdown();
+            renderFavorites();
+        } catch (e) {
+            console.error('[UI] Error updating dropdowns:', e);
+        }
+
+        // Lines shared by other admins arrive after login - refresh the dropdowns with them
+        historyManager.onUpdate = () => {
+            updateCommandHistoryDropdown();
+            updateMessageHistoryDropdown();
+        };
+
+        historyManagerReady = true;
+        console.log('[UI] ✓ History manager fully initialized and ready');
     } catch (error) {
-        addOutput(`Failed to refresh players: ${error.message}`, 'error-message');
-    } finally {
-        refreshBtn.disabled = false;
-        refreshBtn.textContent = 'Refresh Players';
+        console.error('[UI] FAILED to initialize history manager:', error);
+        console.error('[UI] Error stack:', error.stack);
+        // Continue anyway - history is not critical to UI function
     }
 }
 
 /**
- * Display players in the Players tab
+ * Share the history dropdowns with the active server's other admins (/api/history),
+ * or keep them local while it isn't logged in
  */
-function displayPlayers(playersData) {
-    const playersList = document.getElementById('players-list');
-
-    if (!playersData || !playersData.players || playersData.players.length === 0) {
-        playersList.innerHTML = '<div class="info-message">No players online</div>';
-        return;
-    }
+function syncSharedHistory() {
+    if (!historyManager) return;
 
-    let html = '';
-    playersData.players.forEach((player, index) => {
-        // Handle both object and string representations
-        let playerName = player.Name || player.name || 'Unknown';
-        let playerLevel = player.Level || player.level || 'N/A';
-        let playerRace = player.Race || player.race || '';
-        let accountName = player.AccountName || player.accountName || '';
+    const server = client && client.isAuthenticated ? client.getHttpAuth() : null;
+    historyManager.setSharedServer(server).catch(err =>
+        console.log('[UI] Shared history sync failed (continuing):', err)
+    );
+}
 
-        let details = `Level: ${playerLevel}`;
-        if (playerRace) details += ` | Race: ${playerRace}`;
-        if (accountName) details += ` | Account: ${accountName}`;
+/**
+ * ==================== FAVORITES ====================
+ */
 
-        html += `
-            <div class="player-item" onclick="togglePlayerSelect(this, '${playerName}', '${accountName}')">
-                <div class="player-info">
-                    <span class="player-name">${playerName}</span>
-                    <span class="player-details" style="font-size: 11px; color: #aaa;">${details}</span>
-                </div>
-            </div>
-        `;
-    });
+/**
+ * Star or unstar what's in the command or message input
+ * @param {string} kind - 'command' or 'message'
+ */
+function toggleFavoriteInput(kind) {
+    const input = document.getElementById(kind === 'command' ? 'command-input' : 'world-message-input');
+    if (!historyManager || !input || !input.value.trim()) return;
 
-    playersList.innerHTML = html;
+    historyManager.toggleFavorite(kind, input.value);
+    renderFavorites();
+    input.focus();
 }
 
 /**
- * Toggle player selection (single-select only)
+ * Show ★ when the input's line is starred, ☆ otherwise
  */
-function togglePlayerSelect(element, playerName, accountName) {
-    // Deselect all other players
-    document.querySelectorAll('.player-item.selected').forEach(item => {
-        item.classList.remove('selected');
-    });
-
-    // Select current player
-    element.classList.add('selected');
-    element.dataset.playerName = playerName;
-    element.dataset.accountName = accountName;
+function updateFavoriteToggle(kind) {
+    const button = document.getElementById(kind === 'command' ? 'favorite-command-btn' : 'favorite-message-btn');
+    const input = document.getElementById(kind === 'command' ? 'command-input' : 'world-message-input');
+    if (!button || !input) return;
+
+    const starred = !!(historyManager && historyManager.findFavorite(kind, input.value));
+    button.textContent = starred ? '★' : '☆';
+    button.classList.toggle('starred', starred);
+    button.title = starred ? 'Remove from favorites' : `Add this ${kind} to favorites`;
+}
 
-    // Update sidebar
-    updatePlayerActionsSidebar();
+function setFavoritesTagFilter(tag) {
+    favoritesTagFilter = tag;
+    renderFavorites();
 }
 
 /**
- * Get selected players
+ * Render the Favorites panel: tag filter, then one row per favorite (drag to reorder)
  */
-function getSelectedPlayers() {
-    const selected = [];
-    document.querySelectorAll('.player-item.selected').forEach(item => {
-        const name = item.querySelector('.player-name').textContent;
-        selected.push(name);
+function renderFavorites() {
+    const list = document.getElementById('favorites-list');
+    const filter = document.getElementById('favorites-tag-filter');
+    if (!list || !historyManager) return;
+
+    const tags = historyManager.getFavoriteTags();
+    if (favoritesTagFilter && !tags.includes(favoritesTagFilter)) {
+        favoritesTagFilter = '';
+    }
+    if (filter) {
+        filter.innerHTML = '';
+        [''].concat(tags).forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = tag || 'All tags';
+            option.selected = tag === favoritesTagFilter;
+            filter.appendChild(option);
+        });
+    }
+
+    list.innerHTML = '';
+    const favorites = historyManager.getFavorites(favoritesTagFilter);
+    if (favorites.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'favorites-empty';
+        empty.textContent = favoritesTagFilter ? 'No favorites with this tag' : 'Star a command or message with ☆ to pin it here';
+        list.appendChild(empty);
+    }
+
+    favorites.forEach(favorite => {
+        const item = document.createElement('li');
+        item.className = `favorite-item ${favorite.kind}`;
+        item.draggable = true;
+        item.dataset.id = favorite.id;
+        item.title = favorite.kind === 'command' ? 'Command - drag to reorder' : 'World message - drag to reorder';
+
+        const run = document.createElement('button');
+        run.className = 'favorite-run';
+        run.textContent = favorite.kind === 'command' ? '>' : '!';
+        run.title = favorite.kind === 'command' ? 'Run command' : 'Broadcast message';
+        run.onclick = () => runFavorite(favorite.id);
+
+        const body = document.createElement('div');
+        body.className = 'favorite-body';
+        const text = document.createElement('span');
+        text.className = 'favorite-text';
+        text.textContent = favorite.text;
+        body.appendChild(text);
+        favorite.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'favorite-tag';
+            chip.textContent = tag;
+            chip.onclick = () => setFavoritesTagFilter(tag);
+            body.appendChild(chip);
+        });
+
+        const edit = document.createElement('button');
+        edit.className = 'favorite-action';
+        edit.textContent = '#';
+        edit.title = 'Edit tags';
+        edit.onclick = () => editFavoriteTags(favorite.id);
+
+        const remove = document.createElement('button');
+        remove.className = 'favorite-action';
+        remove.textContent = '×';
+        remove.title = 'Remove from favorites';
+        remove.onclick = () => {
+            historyManager.removeFavorite(favorite.id);
+            renderFavorites();
+        };
+
+        item.addEventListener('dragstart', event => {
+            draggedFavoriteId = favorite.id;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', favorite.text);
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => {
+            draggedFavoriteId = null;
+            item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', event => {
+            if (draggedFavoriteId === null) return;
+            event.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', event => {
+            event.preventDefault();
+            item.classList.remove('drag-over');
+            if (draggedFavoriteId === null) return;
+
+            // Dropping on the lower half puts it after this row
+            const rect = item.getBoundingClientRect();
+            const after = event.clientY > rect.top + rect.height / 2;
+            const index = favorites.indexOf(favorite);
+            const next = after ? favorites[index + 1] : favorite;
+            historyManager.moveFavorite(draggedFavoriteId, next ? next.id : null);
+            renderFavorites();
+        });
+
+        item.appendChild(run);
+        item.appendChild(body);
+        item.appendChild(edit);
+        item.appendChild(remove);
+        list.appendChild(item);
     });
-    return selected;
+
+    updateFavoriteToggle('command');
+    updateFavoriteToggle('message');
 }
 
 /**
- * Update player actions sidebar with selected player info
+ * Ask for a favorite's tags (comma-separated)
  */
-function updatePlayerActionsSidebar() {
-    const selected = document.querySelector('.player-item.selected');
-    const infoDiv = document.getElementById('selected-player-info');
-    const bootBtn = document.getElementById('boot-player-btn');
-    const banBtn = document.getElementById('ban-player-btn');
-
-    if (selected) {
-        const playerName = selected.querySelector('.player-name').textContent;
-        const playerDetails = selected.querySelector('.player-details').textContent;
+function editFavoriteTags(id) {
+    const favorite = historyManager.getFavorites().find(entry => entry.id === id);
+    if (!favorite) return;
 
-        infoDiv.innerHTML = `
-            <p style="margin: 5px 0; font-weight: bold; color: #fff;">${playerName}</p>
-            <p style="margin: 3px 0; font-size: 11px;">${playerDetails}</p>
-        `;
+    const tags = prompt(`Tags for "${favorite.text}" (comma-separated, e.g. events, maintenance):`, favorite.tags.join(', '));
+    if (tags === null) return;
 
-        bootBtn.disabled = false;
-        banBtn.disabled = false;
-    } else {
-        infoDiv.innerHTML = '<p style="margin: 0; text-align: center;">No player selected</p>';
-        bootBtn.disabled = true;
-        banBtn.disabled = true;
-    }
+    historyManager.setFavoriteTags(id, tags);
+    renderFavorites();
 }
 
 /**
- * Boot selected player
+ * Run a favorite on the active server - commands go through the console input like typed ones
  */
-function bootSelectedPlayer() {
-    const selected = document.querySelector('.player-item.selected');
-    if (!selected) return;
+function runFavorite(id) {
+    const favorite = historyManager.getFavorites().find(entry => entry.id === id);
+    if (!favorite) return;
 
-    const playerName = selected.querySelector('.player-name').textContent;
-    const confirmed = confirm(`Are you sure you want to boot ${playerName}?`);
+    if (!client || !client.isAuthenticated) {
+        addOutput('Not authenticated', 'error-message');
+        return;
+    }
 
-    if (confirmed) {
-        client.send('boot', ['char', playerName])
-            .then(response => {
-                if (response.Status === 'success') {
-                    addOutput(`Successfully booted player: ${playerName}`, 'success-output');
-                    // Clear selection and refresh players
-                    selected.classList.remove('selected');
-                    updatePlayerActionsSidebar();
-                    refreshPlayers();
-                } else {
-                    addOutput(`Error booting player: ${response.Message}`, 'error-output');
-                }
-            })
-            .catch(err => {
-                addOutput(`Error booting player: ${err.message}`, 'error-output');
-            });
+    if (favorite.kind === 'command') {
+        const commandInput = document.getElementById('command-input');
+        if (!commandInput) return;
+        commandInput.value = favorite.text;
+        sendCommand();
+    } else {
+        const messageInput = document.getElementById('world-message-input');
+        if (!messageInput) return;
+        messageInput.value = favorite.text;
+        sendWorldMessage();
     }
 }
 
 /**
- * Ban selected player
+ * ==================== MACROS ====================
  */
-function banSelectedPlayer() {
-    const selected = document.querySelector('.player-item.selected');
-    if (!selected) return;
 
-    const playerName = selected.querySelector('.player-name').textContent;
-    const accountName = selected.dataset.accountName;
+/**
+ * List saved macros in the Macros tab, the one being edited highlighted
+ */
+function renderMacroList() {
+    const list = document.getElementById('macro-list');
+    if (!list || !macroRunner) return;
 
-    if (!accountName) {
-        addOutput(`Error: Account name not available for player ${playerName}`, 'error-output');
-        return;
+    list.innerHTML = '';
+    const macros = macroRunner.getMacros();
+    if (macros.length === 0) {
+        list.innerHTML = '<li class="macro-list-empty">No macros yet - build one on the right or import a JSON file</li>';
     }
 
-    const confirmed = confirm(`Are you sure you want to ban ${playerName} for 365 days? This action cannot be easily undone.`);
+    macros.forEach(macro => {
+        const item = document.createElement('li');
+        item.className = macro.id === editingMacroId ? 'macro-list-item selected' : 'macro-list-item';
+        item.onclick = () => editMacro(macro.id);
 
-    if (confirmed) {
-        addOutput(`Banning account: ${accountName} for 365 days...`, 'info-output');
+        const name = document.createElement('span');
+        name.className = 'macro-list-name';
+        name.textContent = macro.name;
+        item.appendChild(name);
 
-        client.send('ban', [accountName, '365', '0', '0'])
-            .then(response => {
-                if (response.Status === 'success') {
-                    addOutput(`Successfully banned player: ${playerName}`, 'success-output');
-                    selected.classList.remove('selected');
-                    updatePlayerActionsSidebar();
-                    refreshPlayers();
-                } else {
-                    addOutput(`Error banning player: ${response.Message}`, 'error-output');
-                }
-            })
-            .catch(err => {
-                addOutput(`Error banning player: ${err.message}`, 'error-output');
-            });
-    }
+        const detail = document.createElement('span');
+        detail.className = 'macro-list-detail';
+        detail.textContent = `${macro.steps.length} step(s)${macro.description ? ` - ${macro.description}` : ''}`;
+        item.appendChild(detail);
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Start a new macro in the editor
+ */
+function newMacro() {
+    editingMacroId = null;
+    fillMacroEditor({ name: '', description: '', params: [], steps: [{ type: 'command', command: '' }] });
+}
+
+function editMacro(id) {
+    const macro = macroRunner.getMacro(id);
+    if (!macro) return;
+
+    editingMacroId = id;
+    fillMacroEditor(macro);
+}
+
+function fillMacroEditor(macro) {
+    document.getElementById('macro-name').value = macro.name;
+    document.getElementById('macro-description').value = macro.description;
+    document.getElementById('macro-params').value = macro.params
+        .map(param => (param.default ? `${param.name}=${param.default}` : param.name))
+        .join(', ');
+    macroEditorSteps = macro.steps.map(step => Object.assign({}, step));
+    renderMacroSteps();
+    renderMacroList();
 }
 
 /**
- * Handle incoming log messages
+ * Draw one editable row per step: type, its text (or seconds), move up/down and remove
  */
-function handleLogMessage(response) {
-    // Parse message tags and apply color based on tag content
-    const message = response.Message;
+function renderMacroSteps() {
+    const container = document.getElementById('macro-steps');
+    if (!container) return;
+
+    const placeholders = {
+        command: 'Console command, e.g. world close',
+        message: 'World broadcast, e.g. Server restarts in ${minutes} minutes',
+        delay: 'Seconds',
+        confirm: 'Question, e.g. Stop the server now?'
+    };
+    const fields = { command: 'command', message: 'text', delay: 'seconds', confirm: 'text' };
+
+    container.innerHTML = '';
+    macroEditorSteps.forEach((step, index) => {
+        const row = document.createElement('div');
+        row.className = 'macro-step';
+        row.dataset.index = index;
+
+        const number = document.createElement('span');
+        number.className = 'macro-step-number';
+        number.textContent = `${index + 1}.`;
+        row.appendChild(number);
+
+        const type = document.createElement('select');
+        ['command', 'message', 'delay', 'confirm'].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            option.selected = value === step.type;
+            type.appendChild(option);
+        });
+        type.onchange = () => {
+            const value = step[fields[step.type]];
+            macroEditorSteps[index] = { type: type.value, [fields[type.value]]: value === undefined ? '' : value };
+            renderMacroSteps();
+        };
+        row.appendChild(type);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholders[step.type];
+        input.value = step[fields[step.type]] === undefined ? '' : step[fields[step.type]];
+        input.oninput = () => {
+            step[fields[step.type]] = input.value;
+        };
+        row.appendChild(input);
+
+        [['↑', -1, 'Move up'], ['↓', 1, 'Move down']].forEach(([label, offset, title]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.disabled = index + offset < 0 || index + offset >= macroEditorSteps.length;
+            button.onclick = () => {
+                const [moved] = macroEditorSteps.splice(index, 1);
+                macroEditorSteps.splice(index + offset, 0, moved);
+                renderMacroSteps();
+            };
+            row.appendChild(button);
+        });
 
-    // Try to route chat messages to the chat tab instead of console
-    if (message.includes('[CHAT]')) {
-        const chatType = extractChatType(message);
-        if (chatType) {
-            addChatMessage(message, chatType);
-            return; // Don't add to console
-        }
-    }
+        const remove = document.createElement('button');
+        remove.textContent = '×';
+        remove.title = 'Remove step';
+        remove.onclick = () => {
+            macroEditorSteps.splice(index, 1);
+            renderMacroSteps();
+        };
+        row.appendChild(remove);
 
-    let className = `${response.Status}-output`; // Default to log level color
+        container.appendChild(row);
+    });
+}
 
-    // Check for message tags and override color if found
-    if (message.includes('[AUDIT]')) {
-        className = 'log-audit';
-    } else if (message.includes('[SYSTEM]')) {
-        className = 'log-system';
-    } else if (message.includes('[WARNING]') || message.includes('[WARN]')) {
-        className = 'log-warn-output';
-    } else if (message.includes('[ERROR]')) {
-        className = 'log-error-output';
-    } else if (message.includes('[DEBUG]')) {
-        className = 'log-debug-output';
-    } else if (message.includes('[INFO]')) {
-        className = 'log-info-output';
-    }
+function addMacroStep(type) {
+    const defaults = { command: { command: '' }, message: { text: '' }, delay: { seconds: '60' }, confirm: { text: '' } };
+    macroEditorSteps.push(Object.assign({ type }, defaults[type]));
+    renderMacroSteps();
 
-    addOutput(message, className);
+    const inputs = document.querySelectorAll('#macro-steps .macro-step input');
+    if (inputs.length > 0) inputs[inputs.length - 1].focus();
 }
 
 /**
- * Calculate uptime from a given world time (server startup time)
+ * The macro as typed in the editor ("minutes=5, reason" becomes two params)
  */
-function calculateUptime(worldTime) {
-    const now = new Date();
-    const uptimeTotalSeconds = Math.floor((now - worldTime) / 1000);
-
-    const days = Math.floor(uptimeTotalSeconds / 86400);
-    const hours = Math.floor((uptimeTotalSeconds % 86400) / 3600);
-    const minutes = Math.floor((uptimeTotalSeconds % 3600) / 60);
-    const seconds = uptimeTotalSeconds % 60;
+function readMacroEditor() {
+    const params = document.getElementById('macro-params').value.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry)
+        .map(entry => {
+            const separator = entry.indexOf('=');
+            return separator < 0
+                ? { name: entry }
+                : { name: entry.substring(0, separator).trim(), default: entry.substring(separator + 1).trim() };
+        });
 
-    return `${days}d ${hours}h ${minutes}m ${seconds}s`;
+    return {
+        name: document.getElementById('macro-name').value,
+        description: document.getElementById('macro-description').value.trim(),
+        params,
+        steps: macroEditorSteps.map(step => Object.assign({}, step))
+    };
 }
 
 /**
- * Handle player events (login/logoff)
+ * Save the editor's macro (new or changed)
+ * @returns {Object|null} The stored macro, null if it didn't validate
  */
-function handlePlayerEvent(response) {
-    // Display event message
-    addOutput(`[Player Event] ${response.Message}`, 'info-message');
+function saveMacro() {
+    try {
+        const macro = readMacroEditor();
+        const stored = editingMacroId ? macroRunner.updateMacro(editingMacroId, macro) : macroRunner.addMacro(macro);
+        editingMacroId = stored.id;
+        renderMacroList();
+        return stored;
+    } catch (error) {
+        alert(`Macro not saved: ${error.message}`);
+        return null;
+    }
+}
 
-    // Auto-refresh players list if enabled
-    if (autoRefreshPlayers && client && client.isAuthenticated) {
-        console.log('[UI] Auto-refreshing players due to player event');
-        client.send('players', []).catch(err => console.error('[UI] Error auto-refreshing players:', err));
+function deleteMacro() {
+    if (!editingMacroId) {
+        newMacro();
+        return;
     }
 
-    // Update player count and uptime if data is available
-    if (response.Data) {
-        if (response.Data.count !== undefined) {
-            const playerEl = document.getElementById('player-count');
-            if (playerEl) {
-                playerEl.textContent = response.Data.count;
-            }
-        }
+    const macro = macroRunner.getMacro(editingMacroId);
+    if (!macro || !confirm(`Delete macro ${macro.name}?`)) return;
 
-        // Update uptime from WorldTime if available
-        if (response.Data.WorldTime) {
-            const worldTime = new Date(response.Data.WorldTime);
-            const uptime = calculateUptime(worldTime);
-            const uptimeEl = document.getElementById('uptime');
-            if (uptimeEl) {
-                uptimeEl.textContent = uptime;
-            }
-        }
+    macroRunner.removeMacro(editingMacroId);
+    newMacro();
+}
+
+/**
+ * Download macros as JSON - one macro when an id is given, otherwise all of them
+ */
+function exportMacros(id) {
+    if (id === null) {
+        alert('Save the macro before exporting it');
+        return;
+    }
+
+    const macros = id ? [macroRunner.getMacro(id)].filter(macro => macro) : macroRunner.getMacros();
+    if (macros.length === 0) {
+        alert('No macros to export');
+        return;
     }
+
+    const json = macroRunner.exportMacros(macros.map(macro => macro.id));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = macros.length === 1
+        ? `${macros[0].name.replace(/[^\w-]+/g, '_')}.macro.json`
+        : 'rcon-macros.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 /**
- * Toggle auto-refresh for players
+ * Add the macros from a chosen JSON file
  */
-function toggleAutoRefresh(enabled) {
-    autoRefreshPlayers = enabled;
-    // Persist to localStorage
-    localStorage.setItem('autoRefreshPlayers', enabled.toString());
-    console.log('[UI] Auto-refresh players:', enabled ? 'enabled' : 'disabled');
+async function importMacroFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';  // Choosing the same file again should import it again
+    if (!file) return;
+
+    try {
+        const imported = macroRunner.importMacros(await file.text());
+        renderMacroList();
+        if (imported.length > 0) {
+            editMacro(imported[0].id);
+        }
+        addOutput(`[Macro] Imported ${imported.length} macro(s) from ${file.name}`, 'success-message');
+    } catch (error) {
+        alert(`Import failed: ${error.message}`);
+    }
 }
 
 /**
- * Fetch client configuration from server
+ * Save and run the editor's macro on the active server, asking for each parameter first
+ * Progress is written to the console, one line per step
  */
-async function fetchClientConfig() {
+async function runMacro() {
+    if (macroRunController) return;
     if (!client || !client.isAuthenticated) {
-        console.log('[UI] Not authenticated, skipping config fetch');
+        alert('Log in to a server first');
         return;
     }
 
-    try {
-        const response = await client.send('config', []);
-        if (response.Data) {
-            clientConfig = response.Data;
-            console.log('[UI] Client config received:', clientConfig);
+    const macro = saveMacro();
+    if (!macro) return;
 
-            // Update version in footer
-            if (clientConfig.Version) {
-                const versionElement = document.getElementById('version');
-                if (versionElement) {
-                    versionElement.textContent = clientConfig.Version;
-                    console.log('[UI] Version updated to:', clientConfig.Version);
-                }
-            }
+    const values = {};
+    for (const name of MacroRunner.getParameters(macro)) {
+        const param = macro.params.find(entry => entry.name === name) || { label: name, default: '' };
+        const value = prompt(`${macro.name}: ${param.label}`, param.default);
+        if (value === null) return;
+        values[name] = value;
+    }
 
-            // Update reconnect settings in client
-            if (clientConfig.MaxReconnectAttempts && clientConfig.ReconnectDelayMs) {
-                client.setReconnectConfig(clientConfig.MaxReconnectAttempts, clientConfig.ReconnectDelayMs);
-            }
+    macroRunController = new AbortController();
+    document.getElementById('macro-run-btn').disabled = true;
+    document.getElementById('macro-stop-btn').disabled = false;
 
-            // If server has AutoRefreshPlayers setting and we haven't overridden it locally, use server default
-            if (clientConfig.AutoRefreshPlayers !== undefined && localStorage.getItem('autoRefreshPlayers') === null) {
-                autoRefreshPlayers = clientConfig.AutoRefreshPlayers;
-                const checkbox = document.getElementById('auto-refresh-checkbox');
-                if (checkbox) {
-                    checkbox.checked = autoRefreshPlayers;
+    const total = macro.steps.length;
+    addOutput(`[Macro] ${macro.name}: running ${total} step(s)`, 'info-message');
+    try {
+        const run = await macroRunner.run(client, macro, values, {
+            signal: macroRunController.signal,
+            onStep: step => {
+                if (step.status === 'running') {
+                    addOutput(`[Macro] ${step.index + 1}/${total} ${step.label}`, 'command-message');
+                } else if (step.status !== 'success' || step.message) {
+                    addOutput(`[Macro] ${step.index + 1}/${total} ${step.status}${step.message ? `: ${step.message}` : ''}`,
+                        step.status === 'success' ? 'success-message' : 'error-message');
                 }
-                console.log('[UI] Auto-refresh set from server config:', autoRefreshPlayers);
             }
-
-            // Populate settings in Configuration tab
-            populateSettingsPanel(clientConfig);
-        }
+        });
+        addOutput(`[Macro] ${macro.name}: ${run.status === 'success' ? 'finished' : `stopped (${run.status})`}`,
+            run.status === 'success' ? 'success-message' : 'error-message');
     } catch (error) {
-        console.error('[UI] Error fetching client config:', error);
+        addOutput(`[Macro] ${macro.name}: ${error.message}`, 'error-message');
+    } finally {
+        macroRunController = null;
+        document.getElementById('macro-run-btn').disabled = false;
+        document.getElementById('macro-stop-btn').disabled = true;
     }
 }
 
 /**
- * Update log message color
+ * Stop the macro - a delay ends at once, a command in flight is reported as aborted
  */
-function updateLogColor(messageType, colorValue) {
-    const className = `log-${messageType}`;
-    const style = document.getElementById(`log-color-style`) || createStyleElement();
+function stopMacro() {
+    if (macroRunController) {
+        macroRunController.abort();
+    }
+}
 
-    // Update the color label
-    const labelSpan = document.getElementById(`color-${messageType}-label`);
-    if (labelSpan) {
-        labelSpan.textContent = colorValue.toUpperCase();
+/**
+ * ==================== SCHEDULED TASKS ====================
+ */
+
+/**
+ * Run the active server's scheduled tasks from this browser (one scheduler per logged-in server)
+ * The schedule itself is kept on the server, so other admins and the headless runner share it
+ */
+function startServerScheduler() {
+    const session = connectionManager ? connectionManager.getActive() : null;
+    if (!session || !session.client.isAuthenticated || serverSchedulers.has(session.id)) {
+        renderSchedule();
+        return;
     }
 
-    // Add CSS rule for the color
-    let colorRule = `.${className} { color: ${colorValue} !important; }`;
+    const server = session.client.getHttpAuth();
+    if (!server) return;
+
+    const account = session.client.session && session.client.session.accountName;
+    const scheduler = new RconScheduler({
+        store: RconScheduler.createHttpStore(server),
+        getClient: () => session.client,
+        runner: account ? `web:${account}` : 'web',
+        onChange: () => {
+            if (connectionManager.activeId === session.id) renderSchedule();
+        },
+        onRun: run => {
+            if (connectionManager.activeId !== session.id) return;
+            addOutput(`[Schedule] ${run.name}: ${run.status}`, run.status === 'success' ? 'success-message' : 'error-message');
+            run.results.filter(result => result.status !== 'skipped').forEach(result => {
+                addOutput(`[Schedule] > ${result.command}${result.message ? `: ${result.message}` : ''}`,
+                    result.status === 'success' ? 'command-message' : 'error-message');
+            });
+        }
+    });
+    serverSchedulers.set(session.id, scheduler);
+    scheduler.start();
+}
 
-    // Update existing style or create new one
-    if (style.textContent.includes(`.${className}`)) {
-        style.textContent = style.textContent.replace(
-            new RegExp(`.${className}\\s*{[^}]*}`, 'g'),
-            colorRule
-        );
-    } else {
-        style.textContent += colorRule;
+function stopServerScheduler(sessionId) {
+    const scheduler = serverSchedulers.get(sessionId);
+    if (scheduler) {
+        scheduler.stop();
+        serverSchedulers.delete(sessionId);
     }
+}
 
-    // Save to localStorage
-    localStorage.setItem(`logColor_${messageType}`, colorValue);
-    console.log(`[UI] Updated ${messageType} color to ${colorValue}`);
+function getActiveScheduler() {
+    return connectionManager ? serverSchedulers.get(connectionManager.activeId) || null : null;
 }
 
 /**
- * Create dynamic style element for color overrides
+ * Show the cron or the date input for the chosen schedule type
  */
-function createStyleElement() {
-    const style = document.createElement('style');
-    style.id = 'log-color-style';
-    document.head.appendChild(style);
-
-    // Restore saved colors
-    ['chat', 'audit', 'system', 'info', 'warn', 'error', 'debug'].forEach(type => {
-        const savedColor = localStorage.getItem(`logColor_${type}`);
-        if (savedColor) {
-            const picker = document.getElementById(`color-${type}`);
-            if (picker) {
-                picker.value = savedColor;
-            }
-            const rule = `.log-${type} { color: ${savedColor} !important; }`;
-            style.textContent += rule;
-        }
-    });
-
-    return style;
+function updateScheduleForm() {
+    const once = document.getElementById('schedule-type').value === 'once';
+    document.getElementById('schedule-cron').style.display = once ? 'none' : '';
+    document.getElementById('schedule-at').style.display = once ? '' : 'none';
 }
 
 /**
- * Reset colors to default
+ * How a task is scheduled, e.g. "Cron 45 3 * * * (Europe/Berlin)"
  */
-function resetColorsToDefault() {
-    const defaults = {
-        'chat': '#00ff00',
-        'audit': '#ffff00',
-        'system': '#ff00ff',
-        'info': '#2196f3',
-        'warn': '#ff9800',
-        'error': '#f44336',
-        'debug': '#888888'
-    };
+function describeSchedule(task) {
+    if (task.schedule.type === 'once') {
+        return `Once at ${new Date(task.schedule.at).toLocaleString()}`;
+    }
+    return `Cron ${task.schedule.cron}${task.timeZone ? ` (${task.timeZone})` : ''}`;
+}
 
-    Object.entries(defaults).forEach(([type, color]) => {
-        const picker = document.getElementById(`color-${type}`);
-        if (picker) {
-            picker.value = color;
-            updateLogColor(type, color);
-        }
-    });
+function describeLastRun(task) {
+    const run = task.lastRun;
+    if (!run) return 'Not run yet';
 
-    console.log('[UI] Colors reset to default');
+    const failed = (run.results || []).find(result => result.status !== 'success' && result.status !== 'skipped');
+    const when = new Date(run.finishedAt || run.startedAt).toLocaleString();
+    return `Last run ${when}: ${run.status}${failed ? ` - ${failed.command}: ${failed.message}` : ''} (${run.runner})`;
 }
 
 /**
- * Populate settings panel with current values
+ * Draw the active server's tasks: schedule, next runs, last result, pause/resume and cancel
  */
-function populateSettingsPanel(config) {
-    if (!config) return;
-
-    // RconEnabled (read-only)
-    if (config.RconEnabled !== undefined) {
-        const checkbox = document.getElementById('setting-rcon-enabled');
-        checkbox.checked = config.RconEnabled;
-        document.getElementById('setting-rcon-enabled-current').textContent = config.RconEnabled ? 'Currently: ON' : 'Currently: OFF';
-        document.getElementById('setting-rcon-enabled-current').style.color = config.RconEnabled ? '#4caf50' : '#ff9800';
+function renderSchedule() {
+    const list = document.getElementById('schedule-list');
+    if (!list) return;
+
+    const scheduler = getActiveScheduler();
+    list.innerHTML = '';
+    renderRestartStatus();
+    if (!scheduler) {
+        list.innerHTML = '<li class="macro-list-empty">Log in to see this server\'s scheduled tasks</li>';
+        return;
     }
 
-    // WebRconEnabled
-    if (config.WebRconEnabled !== undefined) {
-        const checkbox = document.getElementById('setting-web-rcon-enabled');
-        checkbox.checked = config.WebRconEnabled;
-        document.getElementById('setting-web-rcon-enabled-current').textContent = config.WebRconEnabled ? 'Currently: ON' : 'Currently: OFF';
-        document.getElementById('setting-web-rcon-enabled-current').style.color = config.WebRconEnabled ? '#4caf50' : '#ff9800';
+    const tasks = scheduler.getTasks();
+    if (tasks.length === 0) {
+        list.innerHTML = '<li class="macro-list-empty">No scheduled tasks - add one on the left</li>';
     }
 
-    // MaxConnections
-    if (config.MaxConnections !== undefined) {
-        document.getElementById('setting-max-connections-current').textContent = `Current: ${config.MaxConnections}`;
-    }
+    // Built with DOM nodes - task names and commands are user input
+    tasks.forEach(task => {
+        const item = document.createElement('li');
+        item.className = task.paused ? 'schedule-task paused' : 'schedule-task';
 
-    // ConnectionTimeoutSeconds
-    if (config.ConnectionTimeoutSeconds !== undefined) {
-        document.getElementById('setting-connection-timeout-current').textContent = `Current: ${config.ConnectionTimeoutSeconds}s`;
-    }
+        const info = document.createElement('div');
+        info.className = 'schedule-task-info';
 
-    // EnableLogging
-    if (config.EnableLogging !== undefined) {
-        const checkbox = document.getElementById('setting-enable-logging');
-        checkbox.checked = config.EnableLogging;
-        document.getElementById('setting-enable-logging-current').textContent = config.EnableLogging ? 'Currently: ON' : 'Currently: OFF';
-        document.getElementById('setting-enable-logging-current').style.color = config.EnableLogging ? '#4caf50' : '#ff9800';
-    }
+        const name = document.createElement('span');
+        name.textContent = task.name;
+        info.appendChild(name);
 
-    // DebugMode
-    if (config.DebugMode !== undefined) {
-        const checkbox = document.getElementById('setting-debug-mode');
-        checkbox.checked = config.DebugMode;
-        document.getElementById('setting-debug-mode-current').textContent = config.DebugMode ? 'Currently: ON' : 'Currently: OFF';
-        document.getElementById('setting-debug-mode-current').style.color = config.DebugMode ? '#4caf50' : '#ff9800';
-    }
+        const commands = document.createElement('span');
+        commands.className = 'schedule-task-detail';
+        commands.textContent = task.commands.join(' ; ');
+        info.appendChild(commands);
 
-    // AutoRefreshPlayers
-    if (config.AutoRefreshPlayers !== undefined) {
-        const checkbox = document.getElementById('setting-auto-refresh');
-        checkbox.checked = config.AutoRefreshPlayers;
-        document.getElementById('setting-auto-refresh-current').textContent = config.AutoRefreshPlayers ? 'Currently: ON' : 'Currently: OFF';
-        document.getElementById('setting-auto-refresh-current').style.color = config.AutoRefreshPlayers ? '#4caf50' : '#ff9800';
-    }
+        const upcoming = scheduler.getUpcomingRuns(task, 3).map(time => new Date(time).toLocaleString());
+        const next = document.createElement('span');
+        next.className = 'schedule-task-detail';
+        next.textContent = `${describeSchedule(task)} - ${task.paused ? 'paused' : (upcoming.length > 0 ? `next: ${upcoming.join(', ')}` : 'finished')}`;
+        info.appendChild(next);
 
-    // MaxReconnectAttempts
-    if (config.MaxReconnectAttempts !== undefined) {
-        document.getElementById('setting-max-reconnect-current').textContent = `Current: ${config.MaxReconnectAttempts}`;
+        const last = document.createElement('span');
+        last.className = `schedule-task-detail ${task.lastRun ? task.lastRun.status : ''}`;
+        last.textContent = describeLastRun(task);
+        info.appendChild(last);
+
+        item.appendChild(info);
+
+        const pause = document.createElement('button');
+        pause.textContent = task.paused ? 'Resume' : 'Pause';
+        pause.onclick = () => changeScheduledTask(scheduler.setPaused(task.id, !task.paused));
+        item.appendChild(pause);
+
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.onclick = () => {
+            if (confirm(`Cancel scheduled task ${task.name}?`)) {
+                changeScheduledTask(scheduler.removeTask(task.id));
+            }
+        };
+        item.appendChild(cancel);
+
+        list.appendChild(item);
+    });
+}
+
+function changeScheduledTask(change) {
+    change.catch(error => alert(`Schedule not changed: ${error.message}`));
+}
+
+/**
+ * Add the form's task to the active server's schedule
+ */
+async function addScheduledTask() {
+    const scheduler = getActiveScheduler();
+    if (!scheduler) {
+        alert('Log in to a server first');
+        return;
     }
 
-    // ReconnectDelayMs
-    if (config.ReconnectDelayMs !== undefined) {
-        document.getElementById('setting-reconnect-delay-current').textContent = `Current: ${config.ReconnectDelayMs}ms`;
+    const type = document.getElementById('schedule-type').value;
+    const at = document.getElementById('schedule-at').value;
+    try {
+        await scheduler.addTask({
+            name: document.getElementById('schedule-name').value,
+            commands: document.getElementById('schedule-commands').value,
+            schedule: type === 'once'
+                ? { type, at: at ? new Date(at).getTime() : null }  // datetime-local is the browser's local time
+                : { type, cron: document.getElementById('schedule-cron').value },
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+    } catch (error) {
+        alert(`Task not scheduled: ${error.message}`);
+        return;
     }
 
-    console.log('[UI] Settings panel populated:', config);
+    document.getElementById('schedule-name').value = '';
+    document.getElementById('schedule-commands').value = '';
 }
 
 /**
- * Save settings (placeholder for future API integration)
+ * ==================== SCHEDULED RESTART ====================
  */
-function saveSettings() {
-    const settings = {
-        WebRconEnabled: document.getElementById('setting-web-rcon-enabled').checked,
-        MaxConnections: document.getElementById('setting-max-connections').value,
-        ConnectionTimeoutSeconds: document.getElementById('setting-connection-timeout').value,
-        EnableLogging: document.getElementById('setting-enable-logging').checked,
-        DebugMode: document.getElementById('setting-debug-mode').checked,
-        AutoRefreshPlayers: document.getElementById('setting-auto-refresh').checked,
-        MaxReconnectAttempts: document.getElementById('setting-max-reconnect').value,
-        ReconnectDelayMs: document.getElementById('setting-reconnect-delay').value
-    };
 
-    console.log('[UI] Settings to save:', settings);
-    addOutput('Settings saved! ⚠️ Server restart required to apply changes.', 'success-message');
+/**
+ * Value for a datetime-local input (the browser's local time, to the minute)
+ */
+function toDateTimeLocalValue(ms) {
+    const date = new Date(ms);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
-    // TODO: Send settings to server API endpoint (when implemented)
-    // This would require a new server endpoint to update settings.json
+/**
+ * Default restart form: 30 minutes from now (next whole minute) with the standard messages
+ */
+function resetRestartForm() {
+    const at = document.getElementById('restart-at');
+    if (!at) return;
+
+    at.value = toDateTimeLocalValue(Math.ceil(Date.now() / 60000) * 60000 + 30 * 60000);
+    document.getElementById('restart-message').value = RconRestartPlanner.DEFAULTS.template;
+    document.getElementById('restart-cancel-message').value = RconRestartPlanner.DEFAULTS.cancelMessage;
 }
 
 /**
- * Update command history dropdown
+ * Show the pending restart of the active server (tasks are kept with the rest of its schedule)
  */
-function updateCommandHistoryDropdown() {
-    const dropdown = document.getElementById('command-history-dropdown');
-    if (!dropdown) {
-        console.error('[updateCommandHistoryDropdown] Dropdown element not found!');
+function renderRestartStatus() {
+    const status = document.getElementById('restart-status');
+    if (!status) return;
+
+    const scheduler = getActiveScheduler();
+    const pending = scheduler ? RconRestartPlanner.findPending(scheduler.getTasks()) : null;
+    document.getElementById('restart-cancel-btn').disabled = !pending;
+    document.getElementById('restart-schedule-btn').disabled = !scheduler || !!pending;
+
+    status.className = pending ? 'restart-status pending' : 'restart-status';
+    if (!scheduler) {
+        status.textContent = 'Log in to schedule a restart';
+    } else if (!pending) {
+        status.textContent = 'No restart scheduled';
+    } else {
+        status.textContent = `Restart at ${new Date(pending.at).toLocaleString()} - next: ${pending.next.name} at ${new Date(pending.next.nextRunAt).toLocaleTimeString()}`;
+    }
+}
+
+/**
+ * Schedule the form's restart on the active server: countdown broadcasts, world close, stop-now
+ */
+async function scheduleRestart() {
+    const scheduler = getActiveScheduler();
+    if (!scheduler) {
+        alert('Log in to a server first');
         return;
     }
 
-    let mgr = historyManager;
-    if (!mgr && typeof window.historyManager !== 'undefined') {
-        mgr = window.historyManager;
+    let restart;
+    try {
+        const at = document.getElementById('restart-at').value;
+        const close = document.getElementById('restart-close').value;
+        restart = RconRestartPlanner.plan({
+            at: at ? new Date(at).getTime() : null,
+            template: document.getElementById('restart-message').value,
+            warnings: document.getElementById('restart-warnings').value.split(',').map(entry => entry.trim()).filter(entry => entry),
+            closeWorldMinutes: close === '' ? null : Number(close)
+        });
+    } catch (error) {
+        alert(`Restart not scheduled: ${error.message}`);
+        return;
     }
 
-    if (!mgr || typeof mgr.getCommands !== 'function') {
-        console.warn('[updateCommandHistoryDropdown] History manager not available');
+    const warnings = restart.tasks.filter(task => task.commands[0].startsWith('gamecast')).length;
+    if (!confirm(`Restart the server at ${new Date(restart.at).toLocaleString()}? Players get ${warnings} warning(s), then the server stops.`)) {
         return;
     }
 
-    const commands = mgr.getCommands();
-    console.log('[updateCommandHistoryDropdown] Retrieved commands:', commands);
+    try {
+        await scheduler.addTasks(restart.tasks);
+        addOutput(`[Restart] Scheduled for ${new Date(restart.at).toLocaleString()} (${restart.tasks.length} tasks on the Schedule tab)`, 'success-message');
+    } catch (error) {
+        alert(`Restart not scheduled: ${error.message}`);
+    }
+}
 
-    // Clear existing options except the first one
-    while (dropdown.options.length > 1) {
-        dropdown.remove(1);
+/**
+ * Cancel the pending restart and tell the players
+ */
+async function cancelRestart() {
+    const scheduler = getActiveScheduler();
+    const pending = scheduler ? RconRestartPlanner.findPending(scheduler.getTasks()) : null;
+    if (!pending || !confirm('Cancel the scheduled restart?')) return;
+
+    try {
+        const message = document.getElementById('restart-cancel-message').value;
+        const result = await RconRestartPlanner.cancel(scheduler, client, pending.group, message);
+        const reopened = result.reopened ? ' - world reopened' : '';
+        addOutput(`[Restart] Cancelled${reopened}${result.broadcast ? ` - broadcast: ${message.trim()}` : ''}`, 'success-message');
+    } catch (error) {
+        addOutput(`[Restart] ${error.message}`, 'error-message');
     }
+}
 
-    // Add commands to dropdown
-    commands.forEach(command => {
-        const option = document.createElement('option');
-        option.value = command;
-        // Truncate long commands for display
-        option.textContent = command.length > 40 ? command.substring(0, 37) + '...' : command;
-        dropdown.appendChild(option);
-        console.log('[updateCommandHistoryDropdown] Added option:', command);
-    });
+/**
+ * ==================== CONSOLE FILTER RULES ====================
+ */
 
-    console.log('[updateCommandHistoryDropdown] Dropdown now has', dropdown.options.length, 'options');
+/**
+ * Show the console through the filter rules (and the search, in "Only matching" mode),
+ * re-filtering the lines already there
+ */
+function applyConsoleFilter() {
+    const view = getConsoleView();
+    if (view && consoleFilter) {
+        const byRules = consoleFilter.active;
+        const bySearch = consoleSearchOnlyMatching && !!consoleSearch && !!consoleSearch.pattern;
+        view.setFilter(byRules || bySearch
+            ? line => (!byRules || !line.record || consoleFilter.accepts(line.record)) && (!bySearch || consoleSearch.test(line))
+            : null);
+    }
+    renderConsoleFilterRules();
 }
 
 /**
- * Select from command history dropdown
+ * Short description of a rule, e.g. "Exclude logger ACE.Server.Network"
  */
-function selectFromCommandHistory(value) {
-    if (value) {
-        const input = document.getElementById('command-input');
-        if (input) {
-            input.value = value;
-            input.focus();
-        }
-        // Reset dropdown to default
-        const dropdown = document.getElementById('command-history-dropdown');
-        if (dropdown) {
-            dropdown.selectedIndex = 0;
-        }
+function describeConsoleFilterRule(rule) {
+    return `${rule.action === 'include' ? 'Include' : 'Exclude'} ${rule.type} ${rule.value}`;
+}
+
+/**
+ * Use the logged-in account's rules and presets (ACE logins each have their own set)
+ */
+function syncConsoleFilterAccount() {
+    if (!consoleFilter) return;
+
+    const account = client && client.isAuthenticated && client.session ? client.session.accountName : null;
+    if (consoleFilter.setAccount(account)) {
+        renderConsoleFilterRules();
+        applyConsoleFilter();
     }
 }
 
 /**
- * Send world message using gamecast command
+ * Fill the rule editor (Configuration tab), the rule toggles (Console Filters) and the preset lists
  */
-async function sendWorldMessage() {
-    const messageInput = document.getElementById('world-message-input');
-    if (!messageInput) return;
+function renderConsoleFilterRules() {
+    if (!consoleFilter) return;
+    const rules = consoleFilter.getRules();
+
+    const mode = document.getElementById('filter-mode');
+    if (mode) mode.value = consoleFilter.mode;
+
+    const list = document.getElementById('filter-rule-list');
+    if (list) {
+        list.innerHTML = '';
+        if (rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'filter-rule-empty';
+            empty.textContent = 'No rules - every line is shown';
+            list.appendChild(empty);
+        }
 
-    let message = messageInput.value.trim();
-    if (!message) return;
+        rules.forEach(rule => {
+            const row = document.createElement('li');
+            row.className = rule.enabled ? 'filter-rule' : 'filter-rule disabled';
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = rule.enabled;
+            enabled.title = 'Rule on/off';
+            enabled.onchange = () => updateConsoleFilterRule(rule.id, { enabled: enabled.checked });
+            row.appendChild(enabled);
+
+            [['action', ['exclude', 'include']], ['type', ['logger', 'level', 'tag', 'regex']]].forEach(([field, values]) => {
+                const select = document.createElement('select');
+                values.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    option.selected = value === rule[field];
+                    select.appendChild(option);
+                });
+                select.onchange = () => updateConsoleFilterRule(rule.id, { [field]: select.value });
+                row.appendChild(select);
+            });
 
-    if (!client.isAuthenticated) {
-        addOutput('Not authenticated', 'error-message');
-        return;
+            const value = document.createElement('input');
+            value.type = 'text';
+            value.value = rule.value;
+            value.onchange = () => updateConsoleFilterRule(rule.id, { value: value.value });
+            row.appendChild(value);
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Remove rule';
+            remove.onclick = () => removeConsoleFilterRule(rule.id);
+            row.appendChild(remove);
+
+            list.appendChild(row);
+        });
     }
 
-    try {
-        messageInput.disabled = true;
-        addOutput(`[BROADCAST] ${message}`, 'broadcast-message');
+    // Sidebar: one checkbox per rule, to switch rules on and off while watching the console
+    const toggles = document.getElementById('filter-rule-toggles');
+    if (toggles) {
+        toggles.innerHTML = '';
+        rules.forEach(rule => {
+            const label = document.createElement('label');
+            label.className = 'filter-rule-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = rule.enabled;
+            checkbox.onchange = () => updateConsoleFilterRule(rule.id, { enabled: checkbox.checked });
+            const text = document.createElement('span');
+            text.textContent = describeConsoleFilterRule(rule);
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            toggles.appendChild(label);
+        });
+        if (rules.length === 0) {
+            toggles.textContent = 'No filter rules';
+        }
+    }
 
-        // Parse message into words like sendCommand does
-        const parts = message.split(/\s+/);
-        const cmd = 'gamecast';
-        const args = parts; // Message words as separate args
+    ['filter-preset-select', 'filter-preset-quick'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '';
 
-        console.log('[sendWorldMessage] Sending gamecast command');
-        console.log('[sendWorldMessage] Command:', cmd);
-        console.log('[sendWorldMessage] Args:', args);
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Presets...';
+        select.appendChild(placeholder);
 
-        const response = await client.send(cmd, args);
+        consoleFilter.getPresets().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = `${preset.name} (${preset.rules.length} rule${preset.rules.length === 1 ? '' : 's'})`;
+            select.appendChild(option);
+        });
+        select.value = consoleFilter.getPresets().some(preset => preset.name === selected) ? selected : '';
+    });
+}
 
-        // Response is handled by onResponse
+function setConsoleFilterMode(mode) {
+    consoleFilter.setMode(mode);
+    applyConsoleFilter();
+}
+
+/**
+ * Add the rule typed into the editor's new rule row
+ */
+function addConsoleFilterRule() {
+    const valueInput = document.getElementById('filter-rule-value');
+    try {
+        consoleFilter.addRule({
+            action: document.getElementById('filter-rule-action').value,
+            type: document.getElementById('filter-rule-type').value,
+            value: valueInput.value
+        });
+        valueInput.value = '';
     } catch (error) {
-        addOutput(`Broadcast error: ${error.message}`, 'error-message');
-    } finally {
-        messageInput.disabled = false;
-        messageInput.value = '';
-        messageInput.focus();
+        alert(error.message);
+        return;
+    }
+    applyConsoleFilter();
+}
 
-        // Add to history manager and update dropdown
-        let mgr = historyManager;
-        if (!mgr && typeof window.historyManager !== 'undefined') {
-            mgr = window.historyManager;
-        }
-        if (mgr && typeof mgr.addMessage === 'function') {
-            mgr.addMessage(message);
-            updateMessageHistoryDropdown();
-        } else {
-            console.warn('[sendWorldMessage] History manager not available');
-        }
+function updateConsoleFilterRule(id, changes) {
+    try {
+        consoleFilter.updateRule(id, changes);
+    } catch (error) {
+        alert(error.message);
     }
+    applyConsoleFilter();
+}
+
+function removeConsoleFilterRule(id) {
+    consoleFilter.removeRule(id);
+    applyConsoleFilter();
 }
 
 /**
- * Update message history dropdown
+ * Example value for the rule type picked in the new rule row
  */
-function updateMessageHistoryDropdown() {
-    const dropdown = document.getElementById('message-history-dropdown');
-    if (!dropdown) return;
+function updateConsoleFilterRuleHint() {
+    const placeholders = {
+        logger: 'Namespace, e.g. ACE.Server.Managers',
+        level: 'debug, info, warn or error',
+        tag: 'Tag, e.g. AUDIT',
+        regex: 'Pattern, e.g. Landblock 0x[0-9A-F]+ loaded'
+    };
+    const type = document.getElementById('filter-rule-type');
+    const value = document.getElementById('filter-rule-value');
+    if (type && value) value.placeholder = placeholders[type.value];
+}
 
-    let mgr = historyManager;
-    if (!mgr && typeof window.historyManager !== 'undefined') {
-        mgr = window.historyManager;
+function saveConsoleFilterPreset() {
+    const nameInput = document.getElementById('filter-preset-name');
+    const name = nameInput.value.trim();
+    if (consoleFilter.getPresets().some(preset => preset.name === name) && !confirm(`Replace the preset "${name}"?`)) {
+        return;
     }
 
-    if (!mgr || typeof mgr.getMessages !== 'function') {
-        console.warn('[updateMessageHistoryDropdown] History manager not available');
+    try {
+        consoleFilter.savePreset(name);
+        nameInput.value = '';
+    } catch (error) {
+        alert(error.message);
         return;
     }
+    renderConsoleFilterRules();
+    document.getElementById('filter-preset-select').value = name;
+}
 
-    const messages = mgr.getMessages();
+/**
+ * Use a preset's rules (name defaults to the one picked in the editor)
+ */
+function loadConsoleFilterPreset(name) {
+    const presetName = name !== undefined ? name : document.getElementById('filter-preset-select').value;
+    if (!presetName) return;
 
-    // Clear existing options except the first one
-    while (dropdown.options.length > 1) {
-        dropdown.remove(1);
-    }
+    consoleFilter.loadPreset(presetName);
+    applyConsoleFilter();
+}
 
-    // Add messages to dropdown
-    messages.forEach(message => {
-        const option = document.createElement('option');
-        option.value = message;
-        // Truncate long messages for display
-        option.textContent = message.length > 40 ? message.substring(0, 37) + '...' : message;
-        dropdown.appendChild(option);
-    });
+function deleteConsoleFilterPreset() {
+    const name = document.getElementById('filter-preset-select').value;
+    if (!name || !confirm(`Delete the preset "${name}"?`)) return;
 
-    console.log('[UI] Message history dropdown updated with', messages.length, 'items');
+    consoleFilter.removePreset(name);
+    renderConsoleFilterRules();
 }
 
 /**
- * Select from message history dropdown
+ * ==================== CONSOLE SEARCH ====================
  */
-function selectFromMessageHistory(value) {
-    if (value) {
-        const input = document.getElementById('world-message-input');
-        if (input) {
-            input.value = value;
-            input.focus();
-        }
-        // Reset dropdown to default
-        const dropdown = document.getElementById('message-history-dropdown');
-        if (dropdown) {
-            dropdown.selectedIndex = 0;
-        }
-    }
-}
 
 /**
- * Initialize history manager
+ * Search the console for what is in the search bar, highlighting every match
  */
-async function initializeHistory() {
+function updateConsoleSearch() {
+    const view = getConsoleView();
+    const count = document.getElementById('console-search-count');
+    if (!view || !consoleSearch) return;
+
+    let error = null;
     try {
-        console.log('[UI] Initializing history manager...');
+        consoleSearch.setQuery(document.getElementById('console-search-input').value, {
+            caseSensitive: document.getElementById('console-search-case').checked,
+            regex: document.getElementById('console-search-regex').checked
+        });
+    } catch (e) {
+        error = e.message;
+    }
+    consoleSearchOnlyMatching = document.getElementById('console-search-only').checked;
 
-        // Ensure we have a reference to the global historyManager from history-manager.js
-        if (typeof window.historyManager !== 'undefined' && window.historyManager !== null) {
-            historyManager = window.historyManager;
-            console.log('[UI] Assigned global historyManager from window');
-        }
+    // The next draw searches the lines again (see refreshConsoleSearchCount)
+    view.setHighlight(consoleSearch.pattern ? line => consoleSearch.rangesFor(line) : null);
+    applyConsoleFilter();
 
-        console.log('[UI] historyManager type:', typeof historyManager);
-        console.log('[UI] historyManager object:', historyManager);
+    if (count) {
+        count.classList.toggle('error', !!error);
+        if (error) count.textContent = error;
+        else if (!consoleSearch.pattern) count.textContent = '';
+    }
+}
 
-        // historyManager is created in history-manager.js as a global
-        if (!historyManager) {
-            console.warn('[UI] historyManager is null or undefined - history will not work but UI will continue');
-            return;  // Don't block UI initialization if history manager isn't available
-        }
+/**
+ * Show "3 / 12" (current match / matches) - called after each console draw, as lines come and go.
+ * Only lines added since the last draw are searched, so scrolling costs nothing.
+ */
+function refreshConsoleSearchCount() {
+    const count = document.getElementById('console-search-count');
+    if (!consoleSearch || !consoleSearch.pattern || !count) return;
 
-        console.log('[UI] Calling historyManager.init()...');
-        await historyManager.init();
-        console.log('[UI] historyManager.init() completed');
+    consoleSearch.sync(consoleView.getShownLines());
+    const current = consoleSearch.current >= 0 ? consoleSearch.current + 1 : '-';
+    count.textContent = consoleSearch.count > 0 ? `${current} / ${consoleSearch.count}` : 'No matches';
+}
 
-        // Update dropdowns after history is loaded
-        try {
-            updateCommandHistoryDropdown();
-            updateMessageHistoryDropdown();
-        } catch (e) {
-            console.error('[UI] Error updating dropdowns:', e);
-        }
+/**
+ * Scroll to the next (1) or previous (-1) match
+ */
+function findConsoleMatch(direction) {
+    const view = getConsoleView();
+    if (!view || !consoleSearch || !consoleSearch.pattern) return;
 
-        historyManagerReady = true;
-        console.log('[UI] ✓ History manager fully initialized and ready');
-    } catch (error) {
-        console.error('[UI] FAILED to initialize history manager:', error);
-        console.error('[UI] Error stack:', error.stack);
-        // Continue anyway - history is not critical to UI function
+    consoleSearch.sync(view.getShownLines());
+    const match = direction < 0 ? consoleSearch.previous() : consoleSearch.next();
+    if (match) {
+        view.scrollToLine(match.line);
+    }
+}
+
+/**
+ * Enter finds the next match, Shift+Enter the previous one, Escape clears the search
+ */
+function handleConsoleSearchKey(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        findConsoleMatch(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        clearConsoleSearch();
     }
 }
 
+function clearConsoleSearch() {
+    const input = document.getElementById('console-search-input');
+    if (!input) return;
+    input.value = '';
+    updateConsoleSearch();
+}
+
 /**
  * ==================== BAN MANAGEMENT FUNCTIONS ====================
  */
@@ -2004,14 +4209,10 @@ async function fetchBans() {
 
         addOutput('> banlist', 'command-message');
 
-        const response = await client.send('banlist', []);
+        const bans = await client.banlist();
 
-        if (response.Status === 'success' && response.Data && response.Data.BannedAccounts) {
-            displayBans(response.Data.BannedAccounts);
-            addOutput(`Loaded ${response.Data.Count} banned accounts`, 'success-output');
-        } else {
-            addOutput(`Error fetching bans: ${response.Message || 'Unknown error'}`, 'error-output');
-        }
+        displayBans(bans.BannedAccounts);
+        addOutput(`Loaded ${bans.Count} banned accounts`, 'success-output');
     } catch (error) {
         addOutput(`Error fetching bans: ${error.message}`, 'error-output');
         console.error('[UI] Error in fetchBans:', error);
@@ -2083,14 +4284,8 @@ async function selectBannedAccount(element) {
 
     try {
         // Fetch detailed ban info
-        const response = await client.send('baninfo', [accountName]);
-
-        if (response.Status === 'success' && response.Data) {
-            displayBanDetails(response.Data, accountName);
-        } else {
-            const detailsDiv = document.getElementById('ban-details-info');
-            detailsDiv.innerHTML = `<p style="margin: 0; color: #f44336;">Error loading details: ${response.Message}</p>`;
-        }
+        const banInfo = await client.baninfo(accountName);
+        displayBanDetails(banInfo, accountName);
     } catch (error) {
         const detailsDiv = document.getElementById('ban-details-info');
         detailsDiv.innerHTML = `<p style="margin: 0; color: #f44336;">Error: ${error.message}</p>`;
@@ -2167,18 +4362,13 @@ async function unbanSelectedAccount() {
         try {
             addOutput(`Unbanning account: ${accountName}...`, 'info-output');
 
-            // Use ACE's unban command via passthrough
-            const response = await client.send('unban', [accountName]);
+            await client.unban(accountName);
 
-            if (response.Status === 'success') {
-                addOutput(`Successfully unbanned: ${accountName}`, 'success-output');
-                selected.classList.remove('selected');
-                updateBanActionsSidebar();
-                // Refresh the bans list
-                await fetchBans();
-            } else {
-                addOutput(`Error unbanning: ${response.Message || 'Unknown error'}`, 'error-output');
-            }
+            addOutput(`Successfully unbanned: ${accountName}`, 'success-output');
+            selected.classList.remove('selected');
+            updateBanActionsSidebar();
+            // Refresh the bans list
+            await fetchBans();
         } catch (error) {
             addOutput(`Error unbanning: ${error.message}`, 'error-output');
             console.error('[UI] Error in unbanSelectedAccount:', error);
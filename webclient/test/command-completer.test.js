@@ -0,0 +1,142 @@
+/**
+ * RconCommandCompleter tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconCommandCompleter = require('../public/command-completer.js');
+const { createLoggedInClient, MemoryStorage } = require('./helpers/fakes.js');
+
+const COMMAND_LIST = [
+    'Available commands:',
+    '[Admin]',
+    '@ban <acct> <days> <hours> <minutes> [reason] - Bans the specified player account.',
+    '@boot <account|char|iid> <who> [reason] - Boots the player.',
+    'Envoy commands:',
+    'gamecast - Sends a message to all players.',
+    'not a command line'
+].join('\\n');
+
+/**
+ * Server reply answering acecommands/acehelp from a table
+ */
+function answerFrom(replies) {
+    return (frame) => {
+        const message = replies[[frame.Command].concat(frame.Args || []).join(' ')];
+        return message === undefined
+            ? { Status: 'error', Message: 'Unknown command' }
+            : { Status: 'success', Message: message };
+    };
+}
+
+/**
+ * Completer with a catalog already loaded
+ */
+function createCompleter() {
+    const completer = new RconCommandCompleter({ storage: null });
+    RconCommandCompleter.parseCommandList(COMMAND_LIST).forEach(command => {
+        completer.commands.set(command.name.toLowerCase(), command);
+    });
+    return completer;
+}
+
+describe('parseCommandList()', () => {
+    it('reads names, usage, descriptions and access levels', () => {
+        const commands = RconCommandCompleter.parseCommandList(COMMAND_LIST);
+
+        assert.deepEqual(commands.map(command => [command.name, command.accessLevel]),
+            [['ban', 'Admin'], ['boot', 'Admin'], ['gamecast', 'Envoy']]);
+        assert.equal(commands[0].usage, '<acct> <days> <hours> <minutes> [reason]');
+        assert.equal(commands[0].description, 'Bans the specified player account.');
+        assert.equal(commands[2].usage, '');
+    });
+
+    it('reads the mock server list format', () => {
+        const commands = RconCommandCompleter.parseCommandList('Available commands:\nacecommands - Lists all commands.\nban - Bans a player.');
+        assert.deepEqual(commands.map(command => command.name), ['acecommands', 'ban']);
+        assert.equal(commands[1].accessLevel, null);
+    });
+});
+
+describe('parseCommandHelp()', () => {
+    it('reads usage and access level for the command asked about', () => {
+        const help = RconCommandCompleter.parseCommandHelp(
+            '@gamecast - Sends a message to all players.\nUsage: @gamecast <message>\nAccess level: Envoy', 'gamecast');
+        assert.deepEqual(help, { description: 'Sends a message to all players.', usage: '<message>', accessLevel: 'Envoy' });
+    });
+});
+
+describe('complete()', () => {
+    it('completes command names with their usage', () => {
+        const completion = createCompleter().complete('bo');
+        assert.deepEqual(completion.items.map(item => item.value), ['boot']);
+        assert.equal(completion.items[0].label, 'boot <account|char|iid> <who> [reason]');
+        assert.equal(completion.start, 0);
+        assert.equal(completion.hint, null);
+    });
+
+    it('completes online character names for arguments, quoting them when applied', () => {
+        const completer = createCompleter();
+        completer.setPlayers(['Sir Name', 'Asheron', 'Sirloin']);
+        const line = 'boot char si';
+        const completion = completer.complete(line);
+
+        assert.deepEqual(completion.items.map(item => item.value), ['Sir Name', 'Sirloin']);
+        assert.equal(completion.argIndex, 2);
+        assert.equal(completion.hint.name, 'boot');
+        assert.deepEqual(completer.apply(line, completion, completion.items[0]), { line: 'boot char "Sir Name" ', cursor: 21 });
+    });
+
+    it('completes inside an open quote and before the end of the line', () => {
+        const completer = createCompleter();
+        completer.setPlayers(['Sir Name']);
+
+        const quoted = completer.complete('boot char "Sir N');
+        assert.deepEqual([quoted.start, quoted.items.length], [10, 1]);
+
+        const line = 'bo char x';
+        const middle = completer.complete(line, 2);
+        assert.deepEqual(completer.apply(line, middle, middle.items[0]), { line: 'boot char x', cursor: 5 });
+    });
+});
+
+describe('use()', () => {
+    it('asks the server once per version and caches the catalog', async () => {
+        const client = await createLoggedInClient(answerFrom({ acecommands: COMMAND_LIST }));
+        const storage = new MemoryStorage();
+        const completer = new RconCommandCompleter({ storage });
+
+        assert.equal(await completer.use(client, 'shard:9005', '1.0'), 3);
+        assert.equal(await completer.use(client, 'shard:9005', '1.0'), 3);
+        assert.equal(client.ws.sent.length, 1);
+
+        // Another completer (a page reload) reads the cache instead of asking
+        const reloaded = new RconCommandCompleter({ storage });
+        assert.equal(await reloaded.use(client, 'shard:9005', '1.0'), 3);
+        assert.equal(client.ws.sent.length, 1);
+
+        // A new server version asks again
+        await reloaded.use(client, 'shard:9005', '1.1');
+        assert.equal(client.ws.sent.length, 2);
+
+        reloaded.clearCache();
+        assert.equal(storage.length, 0);
+        client.disconnect();
+    });
+
+    it('fills in missing usage from acehelp once', async () => {
+        const client = await createLoggedInClient(answerFrom({
+            acecommands: COMMAND_LIST,
+            'acehelp gamecast': 'Usage: @gamecast <message>'
+        }));
+        const completer = new RconCommandCompleter({ storage: null });
+        await completer.use(client, 'shard:9005', '1.0');
+
+        const [first, second] = await Promise.all([completer.describe(client, 'gamecast'), completer.describe(client, 'GAMECAST')]);
+        assert.equal(first.usage, '<message>');
+        assert.equal(second, first);
+        assert.equal(client.ws.sent.filter(frame => frame.Command === 'acehelp').length, 1);
+        client.disconnect();
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * CommandHistoryStore tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CommandHistoryStore = require('../public/command-history.js');
+const { createFakeIndexedDB } = require('./helpers/fakes.js');
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Memory-only store holding the given commands, oldest first
+ */
+async function createStore(entries, options = {}) {
+    const store = new CommandHistoryStore(Object.assign({ indexedDB: null }, options));
+    for (const entry of entries) {
+        await store.add(typeof entry === 'string' ? { command: entry, serverKey: 'a:9005' } : entry);
+    }
+    return store;
+}
+
+describe('add()', () => {
+    it('records timestamp, server and result', async () => {
+        const store = await createStore([]);
+        const entry = await store.add({ command: ' ban griefer 1 0 0 ', serverKey: 'a:9005', status: 'error', message: 'Account not found', timestamp: 1000 });
+
+        assert.deepEqual(entry, { id: 1, command: 'ban griefer 1 0 0', serverKey: 'a:9005', status: 'error', message: 'Account not found', timestamp: 1000 });
+        assert.equal(await store.add({ command: '  ' }), null);
+        assert.equal(store.entries.length, 1);
+    });
+
+    it('drops the oldest entries past maxEntries', async () => {
+        const store = await createStore(['one', 'two', 'three', 'four'], { maxEntries: 3 });
+        assert.deepEqual(store.list().map(entry => entry.command), ['four', 'three', 'two']);
+    });
+});
+
+describe('search()', () => {
+    it('finds matches newest first, once per command line', async () => {
+        const store = await createStore(['world open', 'status', 'world close', 'world open']);
+
+        assert.deepEqual(store.search('WORLD').map(entry => entry.command), ['world open', 'world close']);
+        assert.deepEqual(store.search('').map(entry => entry.command), ['world open', 'world close', 'status']);
+        assert.deepEqual(store.search('nothing'), []);
+    });
+
+    it('scopes to one server when asked', async () => {
+        const store = await createStore([
+            { command: 'status', serverKey: 'a:9005' },
+            { command: 'stop-now', serverKey: 'b:9005' }
+        ]);
+
+        assert.deepEqual(store.search('s', { serverKey: 'a:9005' }).map(entry => entry.command), ['status']);
+        assert.equal(store.search('s').length, 2);
+    });
+});
+
+describe('commands()', () => {
+    it('lists a server\'s lines oldest first without repeats in a row', async () => {
+        const store = await createStore(['status', 'status', 'players', 'status', { command: 'other', serverKey: 'b:9005' }]);
+        assert.deepEqual(store.commands('a:9005'), ['status', 'players', 'status']);
+    });
+});
+
+describe('IndexedDB persistence', () => {
+    it('keeps commands across a reload', async () => {
+        const indexedDB = createFakeIndexedDB();
+        const first = new CommandHistoryStore({ indexedDB });
+        await first.open();
+        await first.add({ command: 'status', serverKey: 'a:9005' });
+        await first.add({ command: 'world close', serverKey: 'a:9005', status: 'error' });
+
+        const reloaded = new CommandHistoryStore({ indexedDB });
+        assert.equal(await reloaded.open(), 2);
+        assert.deepEqual(reloaded.list().map(entry => [entry.id, entry.command, entry.status]),
+            [[2, 'world close', 'error'], [1, 'status', 'success']]);
+        assert.equal((await reloaded.add({ command: 'players' })).id, 3);
+    });
+
+    it('saves commands added before open() finished and deletes pruned or cleared ones', async () => {
+        const indexedDB = createFakeIndexedDB();
+        const store = new CommandHistoryStore({ indexedDB, maxEntries: 2 });
+        const opening = store.open();
+        await store.add({ command: 'early' });
+        await opening;
+        await store.add({ command: 'second' });
+        await store.add({ command: 'third' });
+
+        const records = indexedDB.databases.get('rconCommandHistory').get('commands').records;
+        assert.deepEqual(Array.from(records.values()).map(entry => entry.command), ['second', 'third']);
+
+        await store.clear();
+        assert.equal(records.size, 0);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Command line parser tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconCommandParser = require('../public/command-parser.js');
+const { parseArgs } = require('../bin/rcon.js');
+
+const tokenize = line => RconCommandParser.tokenize(line);
+const parse = line => RconCommandParser.parse(line);
+
+describe('tokenize()', () => {
+    it('splits plain lines like the old whitespace split', () => {
+        assert.deepEqual(tokenize('  world   open '), ['world', 'open']);
+        assert.deepEqual(tokenize(''), []);
+    });
+
+    it('keeps quoted words together', () => {
+        assert.deepEqual(tokenize('ban "Some Account" 7 0 0 "griefing in town"'),
+            ['ban', 'Some Account', '7', '0', '0', 'griefing in town']);
+        assert.deepEqual(tokenize("boot char 'Sir Name'"), ['boot', 'char', 'Sir Name']);
+        assert.deepEqual(tokenize('say pre"fix suf"fix'), ['say', 'prefix suffix']);
+        assert.deepEqual(tokenize('x "" y'), ['x', '', 'y']);
+    });
+
+    it('handles backslash escapes', () => {
+        assert.deepEqual(tokenize('boot char Some\\ Name'), ['boot', 'char', 'Some Name']);
+        assert.deepEqual(tokenize('say "a \\"quoted\\" word"'), ['say', 'a "quoted" word']);
+        assert.deepEqual(tokenize('say "C:\\\\path" "keep\\n"'), ['say', 'C:\\path', 'keep\\n']);
+        assert.deepEqual(tokenize("say 'no \\escapes'"), ['say', 'no \\escapes']);
+    });
+
+    it('stops interpreting quotes and escapes after a bare --', () => {
+        assert.deepEqual(tokenize("gamecast -- Don't \"forget\""), ['gamecast', "Don't", '"forget"']);
+        assert.deepEqual(tokenize('x "--" y'), ['x', '--', 'y']);
+        assert.deepEqual(tokenize('x --'), ['x']);
+    });
+
+    it('reports unterminated quotes and trailing backslashes with their position', () => {
+        assert.throws(() => tokenize('ban "Some Account 7'), { code: 'PARSE_ERROR', message: 'Unterminated double quote', position: 4 });
+        assert.throws(() => tokenize("ban 'x"), { message: 'Unterminated single quote', position: 4 });
+        assert.throws(() => tokenize('ban x\\'), { message: /Trailing backslash/, position: 5 });
+    });
+});
+
+describe('parse() and join()', () => {
+    it('splits the command from its args', () => {
+        assert.deepEqual(parse('unban "Some Account"'), { command: 'unban', args: ['Some Account'] });
+        assert.deepEqual(parse('   '), { command: '', args: [] });
+    });
+
+    it('round-trips tokens through join()', () => {
+        const tokens = ['ban', 'Some Account', '--', 'say "hi"', '', 'C:\\dir', "it's"];
+        assert.equal(RconCommandParser.join(['world', 'open']), 'world open');
+        assert.deepEqual(tokenize(RconCommandParser.join(tokens)), tokens);
+    });
+});
+
+describe('quoteForAce()', () => {
+    it('wraps args with spaces in double quotes for ACE', () => {
+        assert.deepEqual(RconCommandParser.quoteForAce(['char', 'Sir Name', '"AFK"', '']), ['char', '"Sir Name"', '"AFK"', '']);
+    });
+
+    it('rejects an arg ACE would split or strip', () => {
+        assert.throws(() => RconCommandParser.quoteForAce(['a "quoted" word']), { code: 'PARSE_ERROR', position: null });
+    });
+});
+
+describe('rcon exec', () => {
+    it('keeps shell-split words whole', () => {
+        assert.deepEqual(parse(parseArgs(['exec', 'boot', 'char', 'Sir Name']).exec), { command: 'boot', args: ['char', 'Sir Name'] });
+        assert.deepEqual(parse(parseArgs(['exec', 'world open']).exec), { command: 'world', args: ['open'] });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * ConnectionManager tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconClient = require('../public/rcon-client.js');
+const ConnectionManager = require('../public/connection-manager.js');
+const { createFakeWebSocket, MemoryStorage } = require('./helpers/fakes.js');
+
+/**
+ * Manager whose sessions use fake sockets
+ */
+function createManager(options = {}) {
+    const FakeWebSocket = createFakeWebSocket();
+    return new ConnectionManager(Object.assign({
+        storage: new MemoryStorage(),
+        defaultProfile: { name: 'This server', host: '127.0.0.1', port: 9005 },
+        createClient: (profile) => new RconClient(profile.host, profile.port, { WebSocket: FakeWebSocket, logger: null })
+    }, options));
+}
+
+function log(message) {
+    return { Identifier: 0, Status: 'log_info', Message: message, Command: 'log' };
+}
+
+describe('profiles', () => {
+    it('lists the default profile first and never saves it', () => {
+        const storage = new MemoryStorage();
+        const manager = createManager({ storage });
+        const added = manager.addProfile({ name: 'Test shard', host: 'test.example.com', authMode: 'ace' });
+
+        assert.deepEqual(manager.getProfiles().map(profile => profile.id), ['default', added.id]);
+        assert.deepEqual(added, { name: 'Test shard', host: 'test.example.com', port: 9005, authMode: 'ace', id: added.id });
+
+        const saved = JSON.parse(storage.getItem('rconServerProfiles'));
+        assert.deepEqual(saved.map(profile => profile.id), [added.id]);
+    });
+
+    it('loads saved profiles and skips invalid ones', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('rconServerProfiles', JSON.stringify([
+            { id: 'a', host: 'a.example.com', port: 9105 },
+            { id: 'b', host: '', port: 9005 }
+        ]));
+        const originalWarn = console.warn;
+        console.warn = () => {};
+        try {
+            const manager = createManager({ storage });
+            assert.deepEqual(manager.getProfile('a'), { name: 'a.example.com:9105', host: 'a.example.com', port: 9105, authMode: 'auto', id: 'a' });
+            assert.equal(manager.getProfile('b'), null);
+        } finally {
+            console.warn = originalWarn;
+        }
+    });
+
+    it('validates host, port and auth mode', () => {
+        const manager = createManager();
+        assert.throws(() => manager.addProfile({ host: ' ' }), /host is required/);
+        assert.throws(() => manager.addProfile({ host: 'a', port: 70000 }), /port must be/);
+        assert.throws(() => manager.addProfile({ host: 'a', authMode: 'token' }), /Unknown auth mode/);
+        assert.equal(manager.getProfiles().length, 1);
+    });
+
+    it('updates and removes saved profiles but not the default one', () => {
+        const manager = createManager();
+        const added = manager.addProfile({ host: 'a.example.com' });
+
+        assert.equal(manager.updateProfile(added.id, { port: '9105' }).port, 9105);
+        assert.throws(() => manager.updateProfile('default', { port: 1 }), /cannot be changed/);
+        assert.throws(() => manager.removeProfile('default'), /cannot be removed/);
+
+        manager.removeProfile(added.id);
+        assert.equal(manager.getProfile(added.id), null);
+    });
+});
+
+describe('sessions', () => {
+    it('keeps one client per profile', () => {
+        const manager = createManager();
+        const added = manager.addProfile({ host: 'a.example.com', port: 9105 });
+
+        const session = manager.open(added.id);
+        assert.equal(manager.open(added.id), session);
+        assert.equal(session.client.host, 'a.example.com');
+        assert.equal(session.client.port, 9105);
+        assert.notEqual(manager.open('default').client, session.client);
+        assert.throws(() => manager.open('missing'), /Unknown server profile/);
+    });
+
+    it('counts background broadcasts as unread and hands them back on select()', async () => {
+        const manager = createManager();
+        const added = manager.addProfile({ host: 'a.example.com' });
+        const unread = [];
+        manager.on('unread', data => unread.push(data));
+
+        const background = manager.open(added.id);
+        manager.open('default');
+        manager.select('default');
+        await background.client.connect();
+
+        background.client.ws.receive(log('one'));
+        background.client.ws.receive(log('two'));
+        background.client.ws.receive({ Identifier: 1, Status: 'success', Message: 'late reply' });
+
+        assert.deepEqual(unread, [{ id: added.id, count: 1 }, { id: added.id, count: 2 }]);
+        assert.equal(manager.getSessions().find(session => session.id === added.id).unread, 2);
+
+        const backlog = manager.select(added.id);
+        assert.deepEqual(backlog.map(frame => frame.Message), ['one', 'two']);
+        assert.equal(background.unread, 0);
+
+        // The active session's broadcasts go straight to the page
+        background.client.ws.receive(log('three'));
+        assert.equal(background.unread, 0);
+        assert.equal(background.backlog.length, 0);
+        manager.closeAll();
+    });
+
+    it('keeps only the newest backlogSize broadcasts', async () => {
+        const manager = createManager({ backlogSize: 2 });
+        const added = manager.addProfile({ host: 'a.example.com' });
+        const session = manager.open(added.id);
+        await session.client.connect();
+
+        ['one', 'two', 'three'].forEach(message => session.client.ws.receive(log(message)));
+
+        assert.equal(session.unread, 3);
+        assert.deepEqual(manager.select(added.id).map(frame => frame.Message), ['two', 'three']);
+        manager.closeAll();
+    });
+
+    it('selects the next session when the active one closes', async () => {
+        const manager = createManager();
+        const added = manager.addProfile({ host: 'a.example.com' });
+        const changes = [];
+        manager.on('active-changed', data => changes.push(data.id));
+
+        manager.open('default');
+        const session = manager.open(added.id);
+        await session.client.connect();
+        manager.select(added.id);
+
+        manager.close(added.id);
+        assert.equal(session.client.isConnected, false);
+        assert.equal(manager.getActive().id, 'default');
+
+        manager.close('default');
+        assert.equal(manager.getActive(), null);
+        assert.deepEqual(changes, [added.id, 'default', null]);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * ConsoleBuffer / ConsoleView tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ConsoleBuffer, ConsoleView } = require('../public/console-buffer.js');
+const { createFakeDocument } = require('./helpers/fakes.js');
+
+/**
+ * View of a 200px tall console with 20px rows, whose frames run when the test calls flush()
+ */
+function createView(limit) {
+    const document = createFakeDocument();
+    const container = document.createElement('div');
+    container.clientHeight = 200;
+
+    const frames = [];
+    const view = new ConsoleView(container, {
+        buffer: new ConsoleBuffer({ limit }),
+        rowHeight: 20,
+        overscan: 2,
+        document,
+        requestFrame: callback => frames.push(callback)
+    });
+    const flush = () => frames.splice(0).forEach(callback => callback());
+    const rows = () => view.rows.children.map(row => row.textContent);
+    return { view, container, frames, flush, rows };
+}
+
+describe('ConsoleBuffer', () => {
+    it('keeps the newest lines up to the limit and counts the dropped ones', () => {
+        const buffer = new ConsoleBuffer({ limit: 3 });
+        ['a', 'b', 'c', 'd', 'e'].forEach(text => buffer.push(text));
+
+        assert.deepEqual(buffer.toArray().map(line => line.text), ['c', 'd', 'e']);
+        assert.equal(buffer.dropped, 2);
+        assert.equal(buffer.get(0).text, 'c');
+        assert.equal(buffer.get(3), null);
+
+        buffer.clear();
+        assert.equal(buffer.size, 0);
+        assert.equal(buffer.dropped, 0);
+    });
+
+    it('gives multi-line messages one row per line', () => {
+        const buffer = new ConsoleBuffer({ limit: 3 });
+        buffer.push('one');
+        buffer.push('{\n  "a": 1\n}');
+        buffer.push('two');
+
+        assert.equal(buffer.rowCount, 5);
+        assert.deepEqual([0, 1, 2, 3, 4, 9].map(row => buffer.indexAtRow(row)), [0, 1, 1, 1, 2, 2]);
+
+        // Dropping the first line shifts every row up by one
+        buffer.push('three');
+        assert.equal(buffer.rowCount, 5);
+        assert.equal(buffer.rowOf(buffer.get(0)), 0);
+        assert.equal(buffer.rowOf(buffer.get(2)), 4);
+    });
+
+    it('drops the oldest lines when the limit is lowered', () => {
+        const buffer = new ConsoleBuffer({ limit: 5 });
+        for (let i = 1; i <= 7; i++) buffer.push(`line ${i}`);
+
+        buffer.setLimit(2);
+        assert.deepEqual(buffer.toArray().map(line => line.text), ['line 6', 'line 7']);
+        assert.equal(buffer.dropped, 5);
+
+        buffer.setLimit(10);
+        buffer.push('line 8');
+        assert.equal(buffer.size, 3);
+        assert.equal(new ConsoleBuffer({ limit: 'lots' }).limit, 5000);
+    });
+});
+
+describe('ConsoleView', () => {
+    it('draws a flood of lines once, showing only the rows in view', () => {
+        const { view, container, frames, flush, rows } = createView(1000);
+
+        for (let i = 1; i <= 5000; i++) view.append(`line ${i}`);
+        assert.equal(frames.length, 1);
+        assert.equal(view.rows.children.length, 0);
+
+        flush();
+        assert.equal(view.spacer.style.height, `${1001 * 20}px`);
+        assert.equal(container.scrollTop, 1001 * 20 - 200);
+
+        // 10 rows in view plus the overscan above them
+        assert.equal(rows().length, 12);
+        assert.equal(rows()[rows().length - 1], 'line 5000');
+        assert.equal(view.rows.children[0].style.top, `${989 * 20}px`);
+    });
+
+    it('shows the dropped count at the top', () => {
+        const { view, container, flush, rows } = createView(10);
+        for (let i = 1; i <= 25; i++) view.append(`line ${i}`, 'log-info');
+        flush();
+
+        container.scrollTop = 0;
+        container.dispatch('scroll');
+        flush();
+
+        assert.equal(rows()[0], '--- 15 lines dropped (limit 10) ---');
+        assert.equal(rows()[1], 'line 16');
+        assert.equal(view.rows.children[1].className, 'console-row log-info');
+        assert.equal(view.rows.children[1].style.top, '20px');
+    });
+
+    it('stays where the user scrolled to while lines arrive', () => {
+        const { view, container, flush, rows } = createView(1000);
+        for (let i = 1; i <= 100; i++) view.append(`line ${i}`);
+        flush();
+
+        container.scrollTop = 400;
+        container.dispatch('scroll');
+        flush();
+        assert.equal(view.stickToBottom, false);
+
+        view.append('line 101');
+        flush();
+        assert.equal(container.scrollTop, 400);
+        assert.equal(rows()[2], 'line 21');
+
+        // Back at the bottom it follows new lines again
+        container.scrollTop = container.scrollHeight;
+        container.dispatch('scroll');
+        view.append('line 102');
+        flush();
+        assert.equal(rows()[rows().length - 1], 'line 102');
+    });
+
+    it('filters the lines already received and keeps up as lines come and go', () => {
+        const { view, flush, rows } = createView(6);
+        for (let i = 1; i <= 4; i++) view.append(`line ${i}`, i % 2 ? 'odd' : 'even');
+        flush();
+
+        view.setFilter(line => line.className === 'odd');
+        assert.deepEqual(rows(), ['line 1', 'line 3']);
+        assert.equal(view.spacer.style.height, '40px');
+
+        // line 1 and 2 are dropped, line 5 and 7 shown
+        for (let i = 5; i <= 8; i++) view.append(`line ${i}`, i % 2 ? 'odd' : 'even');
+        flush();
+        assert.deepEqual(rows(), ['--- 2 lines dropped (limit 6) ---', 'line 3', 'line 5', 'line 7']);
+        assert.deepEqual(view.getLines().map(line => line.text), ['line 3', 'line 5', 'line 7']);
+
+        view.setFilter(null);
+        assert.equal(rows().length, 7);
+
+        view.setFilter(line => line.text.endsWith('8'));
+        view.clear();
+        view.append('line 18');
+        flush();
+        assert.deepEqual(rows(), ['line 18']);
+    });
+
+    it('marks highlighted ranges and scrolls a line into view', () => {
+        const { view, container, flush } = createView(1000);
+        for (let i = 1; i <= 100; i++) view.append(`line ${i}`);
+        flush();
+
+        view.setHighlight(line => (line.text === 'line 20' ? [{ start: 0, end: 4, current: true }, { start: 5, end: 7, current: false }] : []));
+        assert.equal(view.scrollToLine(view.buffer.get(19)), true);
+        assert.equal(view.stickToBottom, false);
+        assert.equal(container.scrollTop, 19 * 20 - 90);
+
+        const row = view.rows.children.find(child => child.style.top === `${19 * 20}px`);
+        assert.deepEqual(row.children.map(child => [child.tagName, child.className || '', child.textContent]), [
+            ['mark', 'console-match current', 'line'],
+            ['#text', '', ' '],
+            ['mark', 'console-match', '20']
+        ]);
+
+        // Hidden by the filter - nothing to scroll to
+        view.setFilter(line => line.text !== 'line 20');
+        assert.equal(view.scrollToLine(view.buffer.get(19)), false);
+        assert.equal(view.scrollToLine(view.buffer.get(20)), true);
+    });
+
+    it('swaps to another buffer', () => {
+        const { view, rows } = createView(100);
+        const other = new ConsoleBuffer({ limit: 100 });
+        other.push('other server');
+
+        view.setBuffer(other);
+        assert.deepEqual(rows(), ['other server']);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * ConsoleFilter tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ConsoleFilter = require('../public/console-filter.js');
+const RconLogParser = require('../public/log-parser.js');
+const { MemoryStorage } = require('./helpers/fakes.js');
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const log = (level, logger, text) => RconLogParser.parse({
+    Status: `log_${level}`,
+    Message: `[${logger}] ${text}`,
+    Data: { Logger: logger, Timestamp: '2026-01-01T00:00:00Z' }
+});
+
+const LINES = {
+    playerDebug: log('debug', 'ACE.Server.Managers.PlayerManager', 'Tick'),
+    playerAudit: log('info', 'ACE.Server.Managers.PlayerManager', '[AUDIT] Tirethas used /teleto'),
+    network: log('info', 'ACE.Server.Network.Managers.NetworkManager', 'Heartbeat from 2 sessions'),
+    database: log('error', 'ACE.Database.SerializedShardDatabase', 'Save of character Tirethas took 2150 ms')
+};
+
+const shown = filter => Object.keys(LINES).filter(name => filter.accepts(LINES[name]));
+
+describe('rules', () => {
+    it('validates rules', () => {
+        const filter = new ConsoleFilter({ storage: null });
+        assert.throws(() => filter.addRule({ type: 'color', value: 'red' }), /Unknown rule type "color"/);
+        assert.throws(() => filter.addRule({ type: 'logger', value: ' ' }), /logger rule needs a value/);
+        assert.throws(() => filter.addRule({ type: 'level', value: 'loud' }), /Unknown level "loud"/);
+        assert.throws(() => filter.addRule({ type: 'regex', value: '(' }), /Invalid regex/);
+        assert.throws(() => filter.addRule({ type: 'tag', value: 'AUDIT', action: 'hide' }), /Unknown rule action/);
+
+        const rule = filter.addRule({ type: 'tag', value: '[AUDIT]' });
+        assert.match(rule.id, /^rule-/);
+        assert.deepEqual([rule.value, rule.action, rule.enabled], ['AUDIT', 'exclude', true]);
+    });
+
+    it('shows any include match and hides any exclude match in OR mode', () => {
+        const filter = new ConsoleFilter({ storage: null });
+        assert.equal(filter.active, false);
+        assert.deepEqual(shown(filter), ['playerDebug', 'playerAudit', 'network', 'database']);
+
+        filter.addRule({ type: 'logger', value: 'ACE.Server.Network.', action: 'exclude' });
+        filter.addRule({ type: 'regex', value: 'Tirethas \\w+ /', action: 'exclude' });
+        assert.deepEqual(shown(filter), ['playerDebug', 'database']);
+
+        filter.addRule({ type: 'level', value: 'ERROR', action: 'include' });
+        filter.addRule({ type: 'tag', value: 'audit', action: 'include' });
+        assert.deepEqual(shown(filter), ['database']);
+    });
+
+    it('needs every include rule and every exclude rule in AND mode', () => {
+        const filter = new ConsoleFilter({ storage: null });
+        filter.setMode('and');
+        const managers = filter.addRule({ type: 'logger', value: 'ACE.Server.Managers', action: 'exclude' });
+        filter.addRule({ type: 'level', value: 'debug', action: 'exclude' });
+        assert.deepEqual(shown(filter), ['playerAudit', 'network', 'database']);
+
+        // Switched off, the level rule alone hides every debug line
+        filter.updateRule(managers.id, { enabled: false });
+        assert.deepEqual(shown(filter), ['playerAudit', 'network', 'database']);
+        filter.updateRule(managers.id, { enabled: true, type: 'tag', value: 'AUDIT' });
+        assert.deepEqual(shown(filter), ['playerDebug', 'playerAudit', 'network', 'database']);
+
+        assert.throws(() => filter.setMode('xor'), /Unknown mode/);
+        assert.throws(() => filter.updateRule('rule-missing', {}), /Unknown rule/);
+    });
+});
+
+describe('storage', () => {
+    it('saves rules and named presets', () => {
+        const storage = new MemoryStorage();
+        const filter = new ConsoleFilter({ storage });
+        filter.addRule({ type: 'logger', value: 'ACE.Database' });
+        filter.savePreset('Quiet');
+
+        filter.removeRule(filter.getRules()[0].id);
+        filter.setMode('and');
+        filter.addRule({ type: 'level', value: 'error', action: 'include' });
+        filter.savePreset('Errors only');
+        assert.throws(() => filter.savePreset(' '), /Preset name is required/);
+
+        const reloaded = new ConsoleFilter({ storage });
+        assert.deepEqual(reloaded.getPresets().map(preset => preset.name), ['Quiet', 'Errors only']);
+        assert.deepEqual(shown(reloaded), ['database']);
+
+        reloaded.loadPreset('Quiet');
+        assert.equal(reloaded.mode, 'or');
+        assert.deepEqual(shown(reloaded), ['playerDebug', 'playerAudit', 'network']);
+
+        reloaded.removePreset('Quiet');
+        assert.deepEqual(new ConsoleFilter({ storage }).getPresets().map(preset => preset.name), ['Errors only']);
+    });
+
+    it('keeps each account its own rules and presets, starting from the shared set', () => {
+        const storage = new MemoryStorage();
+        const shared = new ConsoleFilter({ storage });
+        shared.addRule({ type: 'logger', value: 'ACE.Database' });
+
+        const admin = new ConsoleFilter({ storage, account: 'Admin' });
+        assert.deepEqual(admin.getRules().map(rule => rule.value), ['ACE.Database']);
+        admin.addRule({ type: 'tag', value: 'AUDIT' });
+        admin.savePreset('Admin view');
+
+        const other = new ConsoleFilter({ storage });
+        assert.equal(other.setAccount('helper'), true);
+        assert.equal(other.setAccount('Helper'), false);
+        assert.deepEqual(other.getRules().map(rule => rule.value), ['ACE.Database']);
+        assert.deepEqual(other.getPresets(), []);
+
+        other.setAccount('ADMIN');
+        assert.deepEqual(other.getRules().map(rule => rule.value), ['ACE.Database', 'AUDIT']);
+        assert.deepEqual(other.getPresets().map(preset => preset.name), ['Admin view']);
+        assert.deepEqual(new ConsoleFilter({ storage }).getRules().map(rule => rule.value), ['ACE.Database']);
+    });
+
+    it('turns the old logger checkboxes into exclude rules once', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('consoleFilters', JSON.stringify({ managers: true, network: true, database: false, timestamp: true }));
+
+        const filter = new ConsoleFilter({ storage });
+        assert.deepEqual(filter.getRules().map(rule => [rule.action, rule.type, rule.value]), [
+            ['exclude', 'logger', 'ACE.Server.Managers'],
+            ['exclude', 'logger', 'ACE.Server.Network']
+        ]);
+        assert.deepEqual(shown(filter), ['database']);
+
+        filter.removeRule(filter.getRules()[0].id);
+        assert.equal(new ConsoleFilter({ storage }).getRules().length, 1);
+    });
+
+    it('skips invalid saved rules', () => {
+        const storage = new MemoryStorage();
+        storage.setItem('consoleFilterRules', JSON.stringify({ mode: 'and', rules: [{ type: 'regex', value: '[' }, { type: 'tag', value: 'AUDIT' }] }));
+
+        const filter = new ConsoleFilter({ storage });
+        assert.equal(filter.mode, 'and');
+        assert.deepEqual(filter.getRules().map(rule => rule.value), ['AUDIT']);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * ConsoleSearch tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ConsoleSearch = require('../public/console-search.js');
+const { ConsoleBuffer, ConsoleFilteredLines } = require('../public/console-buffer.js');
+
+function createBuffer(texts, limit = 100) {
+    const buffer = new ConsoleBuffer({ limit });
+    texts.forEach(text => buffer.push(text));
+    return buffer;
+}
+
+describe('ConsoleSearch', () => {
+    it('finds plain text literally, ignoring case unless asked', () => {
+        const buffer = createBuffer(['Landblock 0xA9B4 loaded (1.5s)', 'landblock 0x7D64 loaded', 'Heartbeat']);
+        const search = new ConsoleSearch();
+
+        search.setQuery('LANDBLOCK');
+        search.sync(buffer);
+        assert.equal(search.count, 2);
+
+        search.setQuery('LANDBLOCK', { caseSensitive: true });
+        search.sync(buffer);
+        assert.equal(search.count, 0);
+
+        // Regex characters in plain text match themselves
+        search.setQuery('(1.5s)');
+        search.sync(buffer);
+        assert.deepEqual(search.matches.map(match => [match.line.text, match.start, match.end]), [[buffer.get(0).text, 24, 30]]);
+    });
+
+    it('searches with a regex and reports invalid ones', () => {
+        const buffer = createBuffer(['Landblock 0xA9B4 loaded', 'Landblock 0x7D64 loaded, then 0x7D65']);
+        const search = new ConsoleSearch();
+
+        search.setQuery('0x[0-9a-f]+', { regex: true });
+        search.sync(buffer);
+        assert.equal(search.count, 3);
+        assert.deepEqual(search.rangesFor(buffer.get(1)).map(range => [range.start, range.end]), [[10, 16], [30, 36]]);
+
+        // Empty matches are skipped instead of looping forever
+        search.setQuery('z*', { regex: true });
+        search.sync(buffer);
+        assert.equal(search.count, 0);
+
+        assert.throws(() => search.setQuery('0x[', { regex: true }), /Invalid regex/);
+        assert.equal(search.pattern, null);
+        assert.equal(search.test(buffer.get(0)), true);
+    });
+
+    it('steps through the matches, wrapping around, and stays on the current one as lines arrive', () => {
+        const buffer = createBuffer(['error 1', 'ok', 'error 2', 'error 3'], 4);
+        const search = new ConsoleSearch();
+        search.setQuery('error');
+        search.sync(buffer);
+
+        assert.equal(search.previous().line.text, 'error 3');
+        assert.equal(search.next().line.text, 'error 1');
+        assert.equal(search.next().line.text, 'error 2');
+        assert.deepEqual(search.rangesFor(buffer.get(2)), [{ start: 0, end: 5, current: true }]);
+        assert.deepEqual(search.rangesFor(buffer.get(3)), [{ start: 0, end: 5, current: false }]);
+
+        // 'error 1' is dropped - the current match is still 'error 2', now the first of three
+        buffer.push('error 4');
+        search.sync(buffer);
+        assert.equal(search.current, 0);
+        assert.equal(search.count, 3);
+        assert.equal(search.test(buffer.get(0)), false);
+        assert.equal(search.next().line.text, 'error 3');
+
+        search.setQuery('');
+        search.sync(buffer);
+        assert.equal(search.next(), null);
+    });
+
+    it('searches only the lines added since the last sync, and every line for another list', (t) => {
+        const buffer = createBuffer(Array.from({ length: 100 }, (_, i) => `line ${i + 1}`), 100);
+        const search = new ConsoleSearch();
+        const findRanges = t.mock.method(ConsoleSearch, 'findRanges');
+        search.setQuery('line 1');
+        search.sync(buffer);
+        assert.equal(findRanges.mock.callCount(), 100);
+        assert.equal(search.count, 12);  // 1, 10-19 and 100
+
+        // A scroll redraw - nothing new to search
+        search.sync(buffer);
+        assert.equal(findRanges.mock.callCount(), 100);
+
+        // 'line 1' and 'line 2' are dropped
+        search.next();
+        buffer.push('line 101');
+        buffer.push('line 102');
+        search.sync(buffer);
+        assert.equal(findRanges.mock.callCount(), 102);
+        assert.equal(search.count, 13);
+        assert.equal(search.current, -1);
+
+        // A filter is another list of lines - searched from scratch
+        search.sync(new ConsoleFilteredLines(buffer, line => line.text.endsWith('0')));
+        assert.equal(findRanges.mock.callCount(), 112);
+        assert.deepEqual(search.matches.map(match => match.line.text), ['line 10', 'line 100']);
+
+        // Cleared - the old matches go and only the new line is searched
+        search.sync(buffer);
+        buffer.clear();
+        buffer.push('line 1 again');
+        const calls = findRanges.mock.callCount();
+        search.sync(buffer);
+        assert.equal(findRanges.mock.callCount(), calls + 1);
+        assert.deepEqual(search.matches.map(match => match.line.text), ['line 1 again']);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * FleetRunner tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const FleetRunner = require('../public/fleet-runner.js');
+const { createLoggedInClient } = require('./helpers/fakes.js');
+
+function succeed(message) {
+    return () => ({ Status: 'success', Message: message });
+}
+
+function fail(message) {
+    return () => ({ Status: 'error', Message: message });
+}
+
+describe('FleetRunner.run()', () => {
+    it('collects one result per server in target order', async () => {
+        const a = await createLoggedInClient(succeed('World closed'));
+        const b = await createLoggedInClient(fail('Command failed: InvalidCommand'));
+        const seen = [];
+
+        const run = await new FleetRunner().run([
+            { id: 'a', name: 'Shard A', client: a },
+            { id: 'b', name: 'Shard B', client: b }
+        ], 'world', ['close'], { onResult: result => seen.push(result.id) });
+
+        assert.deepEqual(run.results.map(result => [result.id, result.status, result.message]), [
+            ['a', 'success', 'World closed'],
+            ['b', 'error', 'Command failed: InvalidCommand']
+        ]);
+        assert.equal(run.results[1].response.Status, 'error');
+        assert.equal(run.succeeded, 1);
+        assert.equal(run.failed, 1);
+        assert.equal(run.stopped, false);
+        assert.equal(seen.length, 2);
+        assert.deepEqual(a.ws.sent[0].Args, ['close']);
+        a.disconnect();
+        b.disconnect();
+    });
+
+    it('reports timeouts and servers that are not logged in', async () => {
+        const silent = await createLoggedInClient(() => null);
+        const loggedOut = await createLoggedInClient(succeed('unused'));
+        loggedOut.isAuthenticated = false;
+
+        const run = await new FleetRunner({ timeoutMs: 10 }).run([
+            { id: 'silent', client: silent },
+            { id: 'logged-out', client: loggedOut }
+        ], 'status');
+
+        assert.deepEqual(run.results.map(result => result.status), ['timeout', 'error']);
+        assert.equal(run.results[1].message, 'Not logged in');
+        assert.equal(loggedOut.ws.sent.length, 0);
+        silent.disconnect();
+        loggedOut.disconnect();
+    });
+
+    it('skips the remaining servers after the first failure with stopOnFailure', async () => {
+        const a = await createLoggedInClient(fail('Account not found'));
+        const b = await createLoggedInClient(succeed('Banned'));
+
+        const run = await new FleetRunner().run([
+            { id: 'a', client: a },
+            { id: 'b', client: b }
+        ], 'ban', ['griefer', '1', '0', '0'], { stopOnFailure: true, concurrency: 1 });
+
+        assert.deepEqual(run.results.map(result => result.status), ['error', 'skipped']);
+        assert.equal(run.stopped, true);
+        assert.equal(b.ws.sent.length, 0);
+        a.disconnect();
+        b.disconnect();
+    });
+
+    it('aborts requests still in flight when the run stops', async () => {
+        const slow = await createLoggedInClient(() => null);
+        const failing = await createLoggedInClient(fail('Command failed'));
+
+        const run = await new FleetRunner().run([
+            { id: 'slow', client: slow },
+            { id: 'failing', client: failing }
+        ], 'world', ['close'], { stopOnFailure: true });
+
+        assert.deepEqual(run.results.map(result => result.status), ['aborted', 'error']);
+        assert.equal(slow.pendingRequests.size, 0);
+        slow.disconnect();
+        failing.disconnect();
+    });
+
+    it('stops when its signal aborts', async () => {
+        const slow = await createLoggedInClient(() => null);
+        const controller = new AbortController();
+
+        const running = new FleetRunner().run([{ id: 'slow', client: slow }], 'status', [], { signal: controller.signal });
+        controller.abort();
+        const run = await running;
+
+        assert.equal(run.results[0].status, 'aborted');
+        assert.equal(run.stopped, true);
+        slow.disconnect();
+    });
+
+    it('opens and closes clients with connect() for targets without one', async () => {
+        const opened = [];
+        const runner = new FleetRunner({
+            connect: async (target) => {
+                const client = await createLoggedInClient(succeed(`hello from ${target.host}`));
+                opened.push(client);
+                return client;
+            }
+        });
+
+        const run = await runner.run([{ id: 'a', host: 'a.example.com' }], 'hello');
+
+        assert.equal(run.results[0].message, 'hello from a.example.com');
+        assert.equal(opened[0].isConnected, false);
+    });
+
+    it('rejects an empty target list or command', async () => {
+        await assert.rejects(new FleetRunner().run([], 'status'), /No target servers/);
+        await assert.rejects(new FleetRunner().run([{ id: 'a' }], ''), /Command is required/);
+    });
+});
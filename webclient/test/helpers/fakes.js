@@ -0,0 +1,293 @@
+/**
+ * Test doubles for the browser APIs the web client uses
+ * - createFakeWebSocket(): WebSocket class whose sockets are driven by the test
+ * - createLoggedInClient(): RconClient on a fake WebSocket whose server answers from a function
+ * - MemoryStorage: in-memory localStorage
+ * - createFakeIndexedDB(): in-memory IndexedDB with just the calls the client makes
+ * - createFakeDocument(): elements with just enough DOM for ConsoleView
+ */
+
+/**
+ * Create a fake WebSocket class with its own list of created sockets
+ * @param {Object} options
+ * - autoOpen: open every socket on the next tick (default true)
+ * - onCreate: (socket, index) => void, called for each new socket (index counts from 0)
+ * - onSend: (socket, frame) => void, called with each parsed frame the client sends
+ * @returns {Function} WebSocket constructor (FakeWebSocket.sockets holds every instance)
+ */
+function createFakeWebSocket(options = {}) {
+    const autoOpen = options.autoOpen !== false;
+
+    class FakeWebSocket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = 0;
+            this.sent = [];
+            this.closeEvent = null;
+            this.onopen = null;
+            this.onmessage = null;
+            this.onerror = null;
+            this.onclose = null;
+            FakeWebSocket.sockets.push(this);
+
+            if (options.onCreate) {
+                options.onCreate(this, FakeWebSocket.sockets.length - 1);
+            }
+            if (autoOpen) {
+                setImmediate(() => this.open());
+            }
+        }
+
+        send(data) {
+            if (this.readyState !== 1) {
+                throw new Error('WebSocket is not open');
+            }
+            const frame = JSON.parse(data);
+            this.sent.push(frame);
+            if (options.onSend) {
+                options.onSend(this, frame);
+            }
+        }
+
+        /**
+         * Client-initiated close - the close event follows asynchronously, like a browser
+         */
+        close(code = 1000, reason = '') {
+            if (this.readyState >= 2) return;
+            this.readyState = 2;
+            setImmediate(() => this.serverClose(code, reason));
+        }
+
+        // ==================== Test controls ====================
+
+        open() {
+            if (this.readyState !== 0) return;
+            this.readyState = 1;
+            if (this.onopen) this.onopen({});
+        }
+
+        /**
+         * Deliver a frame from the server
+         */
+        receive(frame) {
+            if (this.onmessage) this.onmessage({ data: JSON.stringify(frame) });
+        }
+
+        /**
+         * Reply to the last frame the client sent, copying its Identifier
+         */
+        reply(fields) {
+            const request = this.sent[this.sent.length - 1];
+            this.receive(Object.assign({ Identifier: request.Identifier }, fields));
+        }
+
+        /**
+         * Connection closed by the server (or lost)
+         */
+        serverClose(code = 1006, reason = '') {
+            if (this.readyState === 3) return;
+            this.readyState = 3;
+            this.closeEvent = { code, reason };
+            if (this.onclose) this.onclose({ code, reason });
+        }
+
+        /**
+         * Handshake failure - error without a close event, like Node's built-in WebSocket
+         */
+        fail() {
+            this.readyState = 3;
+            if (this.onerror) this.onerror({ type: 'error' });
+        }
+    }
+
+    FakeWebSocket.sockets = [];
+    return FakeWebSocket;
+}
+
+/**
+ * Logged-in client whose server answers each command with reply(frame), or never when it returns null
+ * @param {Function} reply - (frame) => response fields (default success 'ok')
+ * @returns {Promise<RconClient>} Connected client, its socket at client.ws
+ */
+async function createLoggedInClient(reply = () => ({ Status: 'success', Message: 'ok' })) {
+    const RconClient = require('../../public/rcon-client.js');
+    const FakeWebSocket = createFakeWebSocket({
+        onSend(socket, frame) {
+            const fields = reply(frame);
+            if (fields) {
+                setImmediate(() => socket.receive(Object.assign({ Identifier: frame.Identifier }, fields)));
+            }
+        }
+    });
+    const client = new RconClient('127.0.0.1', 9005, { WebSocket: FakeWebSocket, logger: null, schema: null });
+    await client.connect();
+    client.isAuthenticated = true;
+    return client;
+}
+
+/**
+ * Minimal Web Storage implementation
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] || null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Resolve once predicate() is truthy, checking after each turn of the event loop
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('waitFor timed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+}
+
+/**
+ * In-memory IndexedDB - object stores with a keyPath, put/delete/getAll, and transactions that
+ * complete on the next tick. Databases outlive their connections, like a page reload.
+ * @returns {Object} IDBFactory stand-in (factory.databases maps name -> Map of stores)
+ */
+function createFakeIndexedDB() {
+    const databases = new Map();
+
+    // Settle an IDBRequest-like object on the next tick
+    const settle = (request, produce) => {
+        setImmediate(() => {
+            request.result = produce();
+            if (request.onsuccess) request.onsuccess({ target: request });
+        });
+        return request;
+    };
+
+    const connect = (stores) => ({
+        transaction(name) {
+            const store = stores.get(name);
+            const transaction = { oncomplete: null, onerror: null, onabort: null };
+            transaction.objectStore = () => ({
+                put(value) {
+                    store.records.set(value[store.keyPath], structuredClone(value));
+                },
+                delete(key) {
+                    store.records.delete(key);
+                },
+                getAll() {
+                    return settle({ onsuccess: null, onerror: null }, () => Array.from(store.records.values()).map(value => structuredClone(value)));
+                }
+            });
+            setImmediate(() => setImmediate(() => {
+                if (transaction.oncomplete) transaction.oncomplete({});
+            }));
+            return transaction;
+        }
+    });
+
+    return {
+        databases,
+        open(name) {
+            const request = { onsuccess: null, onerror: null, onupgradeneeded: null, result: null };
+            setImmediate(() => {
+                if (!databases.has(name)) {
+                    const stores = new Map();
+                    databases.set(name, stores);
+                    request.result = {
+                        createObjectStore(storeName, options) {
+                            stores.set(storeName, { keyPath: options.keyPath, records: new Map() });
+                        }
+                    };
+                    if (request.onupgradeneeded) request.onupgradeneeded({ target: request });
+                }
+                settle(request, () => connect(databases.get(name)));
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * Minimal document for ConsoleView - elements keep children, style, text and scroll position.
+ * An element's scrollHeight is the sum of its children's style.height; scrollTop is clamped to it.
+ * @returns {Object} document stand-in (createElement, createDocumentFragment, createTextNode)
+ */
+function createFakeDocument() {
+    const createElement = (tagName) => {
+        const listeners = new Map();
+        let scrollTop = 0;
+        const element = {
+            tagName,
+            className: '',
+            textContent: '',
+            style: {},
+            children: [],
+            clientHeight: 0,
+            offsetTop: 0,
+            appendChild(child) {
+                element.children.push(...(child.tagName === '#fragment' ? child.children : [child]));
+                return child;
+            },
+            replaceChildren(...nodes) {
+                element.children = [];
+                nodes.forEach(node => element.appendChild(node));
+            },
+            addEventListener(type, listener) {
+                listeners.set(type, (listeners.get(type) || []).concat(listener));
+            },
+            dispatch(type) {
+                (listeners.get(type) || []).forEach(listener => listener({ type, target: element }));
+            },
+            get scrollHeight() {
+                return Math.max(element.clientHeight, element.children.reduce((sum, child) => sum + (parseFloat(child.style.height) || 0), 0));
+            },
+            get scrollTop() {
+                return scrollTop;
+            },
+            set scrollTop(value) {
+                scrollTop = Math.max(0, Math.min(value, element.scrollHeight - element.clientHeight));
+            }
+        };
+        return element;
+    };
+
+    return {
+        createElement,
+        createDocumentFragment: () => createElement('#fragment'),
+        createTextNode: text => ({ tagName: '#text', textContent: text, style: {} })
+    };
+}
+
+module.exports = {
+    createFakeWebSocket,
+    createLoggedInClient,
+    MemoryStorage,
+    createFakeIndexedDB,
+    createFakeDocument,
+    waitFor
+};
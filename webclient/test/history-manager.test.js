@@ -0,0 +1,272 @@
+/**
+ * HistoryManager tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HistoryManager = require('../public/history-manager.js');
+const { MemoryStorage } = require('./helpers/fakes.js');
+
+const originalFetch = globalThis.fetch;
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+    // No server-side history in tests
+    globalThis.fetch = async () => ({ ok: false, status: 404 });
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    delete globalThis.localStorage;
+    globalThis.fetch = originalFetch;
+});
+
+describe('addCommand', () => {
+    it('adds the newest command first and saves it', () => {
+        const history = new HistoryManager();
+        history.addCommand('status');
+        history.addCommand('players');
+
+        assert.deepEqual(history.getCommands(), ['players', 'status']);
+        assert.deepEqual(JSON.parse(localStorage.getItem('rconCommandHistory')), ['players', 'status']);
+    });
+
+    it('moves a repeated command to the front instead of duplicating it', () => {
+        const history = new HistoryManager();
+        history.addCommand('status');
+        history.addCommand('players');
+        history.addCommand('status');
+
+        assert.deepEqual(history.getCommands(), ['status', 'players']);
+    });
+
+    it('keeps only the 10 most recent commands', () => {
+        const history = new HistoryManager();
+        for (let i = 1; i <= 12; i++) {
+            history.addCommand(`cmd ${i}`);
+        }
+
+        const commands = history.getCommands();
+        assert.equal(commands.length, 10);
+        assert.equal(commands[0], 'cmd 12');
+        assert.equal(commands[9], 'cmd 3');
+        assert.equal(JSON.parse(localStorage.getItem('rconCommandHistory')).length, 10);
+    });
+
+    it('ignores empty commands', () => {
+        const history = new HistoryManager();
+        history.addCommand('status');
+
+        assert.equal(history.addCommand(''), undefined);
+        assert.equal(history.addCommand('   '), undefined);
+        assert.deepEqual(history.getCommands(), ['status']);
+    });
+});
+
+describe('addMessage', () => {
+    it('de-duplicates and caps world messages separately from commands', () => {
+        const history = new HistoryManager();
+        history.addCommand('status');
+        for (let i = 1; i <= 11; i++) {
+            history.addMessage(`message ${i}`);
+        }
+        history.addMessage('message 5');
+
+        const messages = history.getMessages();
+        assert.equal(messages.length, 10);
+        assert.equal(messages[0], 'message 5');
+        assert.equal(messages.filter(message => message === 'message 5').length, 1);
+        assert.ok(!messages.includes('message 1'));
+        assert.deepEqual(history.getCommands(), ['status']);
+        assert.deepEqual(JSON.parse(localStorage.getItem('rconMessageHistory')), messages);
+    });
+});
+
+describe('init', () => {
+    it('loads saved history, dropping duplicates and entries past the cap', async () => {
+        const saved = ['a', 'b', 'a'];
+        for (let i = 0; i < 12; i++) {
+            saved.push(`cmd ${i}`);
+        }
+        localStorage.setItem('rconCommandHistory', JSON.stringify(saved));
+        localStorage.setItem('rconMessageHistory', JSON.stringify(['hello', 'hello', 'bye']));
+
+        const history = new HistoryManager();
+        await history.init();
+
+        assert.deepEqual(history.getCommands(), ['a', 'b', 'cmd 0', 'cmd 1', 'cmd 2', 'cmd 3', 'cmd 4', 'cmd 5', 'cmd 6', 'cmd 7']);
+        assert.deepEqual(history.getMessages(), ['hello', 'bye']);
+    });
+
+    it('starts empty when saved history is corrupt', async () => {
+        localStorage.setItem('rconCommandHistory', '{not json');
+
+        const history = new HistoryManager();
+        await history.init();
+
+        assert.deepEqual(history.getCommands(), []);
+    });
+});
+
+describe('clearHistory', () => {
+    it('empties both lists and storage', () => {
+        const history = new HistoryManager();
+        history.addCommand('status');
+        history.addMessage('hello');
+        history.clearHistory();
+
+        assert.deepEqual(history.getCommands(), []);
+        assert.deepEqual(history.getMessages(), []);
+        assert.equal(localStorage.getItem('rconCommandHistory'), null);
+    });
+});
+
+describe('mergeEntries', () => {
+    it('keeps each line once with its newest timestamp, newest first', () => {
+        const merged = HistoryManager.mergeEntries(
+            [{ Text: 'status', Author: '', Timestamp: 300 }, { Text: 'players', Author: '', Timestamp: 100 }],
+            [{ Text: 'players', Author: 'Admin2', Timestamp: 200 }, { Text: 'status', Author: 'Admin2', Timestamp: 50 }, { Text: ' ', Timestamp: 400 }],
+            10);
+
+        assert.deepEqual(merged, [
+            { Text: 'status', Author: '', Timestamp: 300 },
+            { Text: 'players', Author: 'Admin2', Timestamp: 200 }
+        ]);
+        assert.equal(HistoryManager.mergeEntries(merged, [], 1).length, 1);
+    });
+
+    it('prefers the credited copy on equal timestamps', () => {
+        const merged = HistoryManager.mergeEntries([{ Text: 'status', Timestamp: 100 }], [{ Text: 'status', Author: 'Admin', Timestamp: 100 }], 10);
+        assert.equal(merged[0].Author, 'Admin');
+    });
+});
+
+describe('shared history', () => {
+    /**
+     * fetch stub acting as /api/history, crediting uploads to 'Admin2'
+     */
+    function createSharedServer(shared) {
+        const requests = [];
+        globalThis.fetch = async (url, options = {}) => {
+            requests.push({ url, method: options.method || 'GET', headers: options.headers, body: options.body && JSON.parse(options.body) });
+            if (options.method === 'POST') {
+                const upload = JSON.parse(options.body);
+                const credit = entries => entries.map(entry => Object.assign({}, entry, { Author: 'Admin2' }));
+                shared = {
+                    Commands: HistoryManager.mergeEntries(shared.Commands, credit(upload.Commands), 200),
+                    Messages: HistoryManager.mergeEntries(shared.Messages, credit(upload.Messages), 200)
+                };
+            }
+            return { ok: true, status: 200, json: async () => shared };
+        };
+        return requests;
+    }
+
+    it('merges the server\'s lines and uploads only the unshared ones', async () => {
+        const requests = createSharedServer({
+            Commands: [{ Text: 'world close', Author: 'Admin1', Timestamp: Date.now() - 1000 }],
+            Messages: [{ Text: 'Restarting soon', Author: 'Admin1', Timestamp: Date.now() - 2000 }]
+        });
+        const history = new HistoryManager();
+        history.addCommand('status');
+        let updates = 0;
+        history.onUpdate = () => updates++;
+
+        assert.equal(await history.setSharedServer({ baseUrl: 'http://shard:9005', authorization: 'Basic eDp5' }), true);
+
+        assert.deepEqual(history.getCommands(), ['status', 'world close']);
+        assert.deepEqual(history.getMessages(), ['Restarting soon']);
+        assert.deepEqual(history.getEntries('command').map(entry => entry.Author), ['Admin2', 'Admin1']);
+        assert.ok(updates > 0);
+
+        assert.deepEqual(requests.map(request => [request.method, request.url]),
+            [['GET', 'http://shard:9005/api/history'], ['POST', 'http://shard:9005/api/history']]);
+        assert.equal(requests[1].headers.Authorization, 'Basic eDp5');
+        assert.deepEqual(requests[1].body.Commands.map(entry => entry.Text), ['status']);
+        assert.deepEqual(requests[1].body.Messages, []);
+
+        // Timestamps and authors survive a reload
+        const reloaded = new HistoryManager();
+        await reloaded.init();
+        assert.deepEqual(reloaded.getEntries('command').map(entry => entry.Author), ['Admin2', 'Admin1']);
+    });
+
+    it('keeps as many shared lines as the server while sharing', async () => {
+        const now = Date.now();
+        const commands = Array.from({ length: 30 }, (_, i) => ({ Text: `cmd ${i}`, Author: 'Admin1', Timestamp: now - 1000 - i }));
+        createSharedServer({ Commands: commands, Messages: [] });
+        const history = new HistoryManager();
+
+        await history.setSharedServer({ baseUrl: 'http://shard:9005', authorization: 'Basic eDp5' });
+        assert.equal(history.getCommands().length, 30);
+        history.addCommand('status');
+        assert.equal(history.getCommands().length, 31);
+
+        // Back to the local cap once sharing stops
+        await history.setSharedServer(null);
+        history.addCommand('players');
+        assert.equal(history.getCommands().length, 10);
+    });
+
+    it('stays local without a shared server or when the server refuses', async () => {
+        let calls = 0;
+        globalThis.fetch = async () => {
+            calls++;
+            return { ok: false, status: 401 };
+        };
+        const history = new HistoryManager();
+        history.addCommand('status');
+        assert.equal(calls, 0);
+
+        assert.equal(await history.setSharedServer({ baseUrl: 'http://shard:9005', authorization: 'Basic eDp5' }), false);
+        assert.deepEqual(history.getCommands(), ['status']);
+        assert.equal(await history.setSharedServer(null), false);
+        assert.equal(calls, 1);
+    });
+});
+
+describe('favorites', () => {
+    it('stars each line once per kind with normalized tags', () => {
+        const history = new HistoryManager();
+        const favorite = history.addFavorite('command', ' world close ', 'Maintenance, maintenance , ');
+
+        assert.deepEqual(favorite, { id: 1, kind: 'command', text: 'world close', tags: ['maintenance'] });
+        assert.equal(history.addFavorite('command', 'world close'), favorite);
+        assert.equal(history.addFavorite('message', 'world close').id, 2);
+        assert.equal(history.addFavorite('command', '  '), null);
+
+        assert.equal(history.toggleFavorite('message', 'world close'), false);
+        assert.equal(history.toggleFavorite('message', 'Event starting!'), true);
+        assert.deepEqual(history.getFavorites().map(entry => [entry.kind, entry.text]),
+            [['command', 'world close'], ['message', 'Event starting!']]);
+    });
+
+    it('filters by tag and lists the tags in use', () => {
+        const history = new HistoryManager();
+        const open = history.addFavorite('command', 'world open', ['maintenance']);
+        history.addFavorite('message', 'Event at noon', ['events']);
+        history.setFavoriteTags(open.id, 'maintenance, events');
+
+        assert.deepEqual(history.getFavoriteTags(), ['events', 'maintenance']);
+        assert.deepEqual(history.getFavorites('events').map(entry => entry.text), ['world open', 'Event at noon']);
+        assert.deepEqual(history.getFavorites('maintenance').map(entry => entry.text), ['world open']);
+    });
+
+    it('reorders, and keeps order and tags across clearHistory and a reload', async () => {
+        const history = new HistoryManager();
+        const [a, b, c] = ['a', 'b', 'c'].map(text => history.addFavorite('command', text));
+        history.moveFavorite(c.id, a.id);
+        history.moveFavorite(a.id, null);
+        history.setFavoriteTags(b.id, ['events']);
+        assert.deepEqual(history.getFavorites().map(entry => entry.text), ['c', 'b', 'a']);
+
+        history.clearHistory();
+        const reloaded = new HistoryManager();
+        await reloaded.init();
+        assert.deepEqual(reloaded.getFavorites().map(entry => [entry.text, entry.tags]), [['c', []], ['b', ['events']], ['a', []]]);
+        assert.equal(reloaded.addFavorite('command', 'd').id, 4);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * RconLogParser tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconLogParser = require('../public/log-parser.js');
+const RconSchema = require('../public/rcon-schema.js');
+
+const RECEIVED = Date.parse('2026-01-01T04:00:05Z');
+
+describe('parse()', () => {
+    it('splits a structured broadcast into fields', () => {
+        const record = RconLogParser.parse({
+            Status: 'log_warn',
+            Message: '[ACE.Server.Managers.PlayerManager] [AUDIT] Tirethas used /teleto Holtburg',
+            Data: { Logger: 'ACE.Server.Managers.PlayerManager', Timestamp: '2026-01-01T04:00:00.1234567Z' }
+        }, RECEIVED);
+
+        assert.deepEqual(record, {
+            level: 'warn',
+            logger: 'ACE.Server.Managers.PlayerManager',
+            tags: ['AUDIT'],
+            timestamp: Date.parse('2026-01-01T04:00:00.123Z'),
+            message: 'Tirethas used /teleto Holtburg',
+            text: '[ACE.Server.Managers.PlayerManager] [AUDIT] Tirethas used /teleto Holtburg'
+        });
+    });
+
+    it('reads the logger from the line when the server sends no Data', () => {
+        const record = RconLogParser.parse({ Status: 'log_info', Message: '[WorldManager] Landblock 0xA9B4FFFF loaded' }, RECEIVED);
+        assert.equal(record.logger, 'WorldManager');
+        assert.deepEqual(record.tags, []);
+        assert.equal(record.timestamp, RECEIVED);
+        assert.equal(record.message, 'Landblock 0xA9B4FFFF loaded');
+
+        // A leading TAG is not a logger
+        const chat = RconLogParser.parse({ Status: 'log_info', Message: '[CHAT][General] Tirethas says, "hi"' }, RECEIVED);
+        assert.equal(chat.logger, '');
+        assert.deepEqual(chat.tags, ['CHAT', 'General']);
+        assert.equal(chat.message, 'Tirethas says, "hi"');
+    });
+
+    it('keeps brackets that are part of the message', () => {
+        const record = RconLogParser.parse({
+            Status: 'log_debug',
+            Message: '[ACE.Server.Network] Packet [0x1234 bytes] from 127.0.0.1',
+            Data: { Logger: 'ACE.Server.Network', Timestamp: 'soon' }
+        }, RECEIVED);
+
+        assert.deepEqual(record.tags, []);
+        assert.equal(record.message, 'Packet [0x1234 bytes] from 127.0.0.1');
+        assert.equal(record.timestamp, RECEIVED);
+    });
+});
+
+describe('fields', () => {
+    it('matches loggers by namespace', () => {
+        assert.equal(RconLogParser.matchesLogger('ACE.Server.Managers.PlayerManager', 'ACE.Server.Managers'), true);
+        assert.equal(RconLogParser.matchesLogger('ACE.Server.Managers', 'ACE.Server.Managers.'), true);
+        assert.equal(RconLogParser.matchesLogger('ACE.Server.ManagersExtra', 'ACE.Server.Managers'), false);
+        assert.equal(RconLogParser.matchesLogger('ACE.Server.Program', ''), false);
+    });
+
+    it('colours by tag first, then by level', () => {
+        const record = (tags, level = 'info') => ({ level, logger: '', tags, timestamp: 0, message: '', text: '' });
+        assert.equal(RconLogParser.className(record(['audit'])), 'log-audit');
+        assert.equal(RconLogParser.className(record(['CHAT', 'SYSTEM', 'ERROR'])), 'log-system');
+        assert.equal(RconLogParser.className(record(['WARNING'])), 'log-warn-output');
+        assert.equal(RconLogParser.className(record([], 'error')), 'log_error-output');
+    });
+
+    it('formats and exports a record', () => {
+        const record = RconLogParser.parse({
+            Status: 'log_info',
+            Message: '[ACE.Server.Managers.PlayerManager] [AUDIT] Tirethas used /teleto Holtburg',
+            Data: { Logger: 'ACE.Server.Managers.PlayerManager', Timestamp: '2026-01-01T04:00:00Z' }
+        });
+
+        assert.equal(RconLogParser.format(record, { timestamp: false }), '[ACE.Server.Managers.PlayerManager] [AUDIT] Tirethas used /teleto Holtburg');
+        assert.equal(RconLogParser.format(record, { timestamp: false, logger: false }), '[AUDIT] Tirethas used /teleto Holtburg');
+        assert.match(RconLogParser.format(record), /^\[\d\d:\d\d:\d\d\] \[ACE/);
+        assert.deepEqual(RconLogParser.toJSON(record), {
+            time: '2026-01-01T04:00:00.000Z',
+            level: 'info',
+            logger: 'ACE.Server.Managers.PlayerManager',
+            tags: ['AUDIT'],
+            message: 'Tirethas used /teleto Holtburg'
+        });
+    });
+});
+
+describe('schema', () => {
+    it('accepts log broadcasts with or without Data', () => {
+        const withData = RconSchema.check({ Identifier: 0, Status: 'log_info', Message: '[X] y', Data: { logger: 'X', Timestamp: '2026-01-01T00:00:00Z' } });
+        assert.deepEqual(withData.warnings, []);
+        assert.equal(withData.frame.Data.Logger, 'X');
+
+        assert.deepEqual(RconSchema.check({ Identifier: 0, Status: 'log_info', Message: '[X] y' }).warnings, []);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * MacroRunner tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MacroRunner = require('../public/macro-runner.js');
+const { createLoggedInClient, MemoryStorage } = require('./helpers/fakes.js');
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const RESTART = {
+    name: 'Restart',
+    params: [{ name: 'minutes', label: 'Minutes of warning', default: '5' }, { name: 'reason' }],
+    steps: [
+        { type: 'message', text: 'Restart in ${minutes} minutes: ${reason}' },
+        { type: 'delay', seconds: 0 },
+        { type: 'confirm', text: 'Close the world?' },
+        { type: 'command', command: 'world close' },
+        { type: 'command', command: 'stop-now' }
+    ]
+};
+
+describe('macros', () => {
+    it('validates macros and steps', () => {
+        const runner = new MacroRunner({ storage: null });
+
+        assert.throws(() => runner.addMacro({ name: ' ', steps: [{ type: 'command', command: 'status' }] }), /name is required/);
+        assert.throws(() => runner.addMacro({ name: 'Empty', steps: [] }), /at least one step/);
+        assert.throws(() => runner.addMacro({ name: 'Bad', steps: [{ type: 'shell', command: 'x' }] }), /Step 1: unknown type "shell"/);
+        assert.throws(() => runner.addMacro({ name: 'Bad', steps: [{ type: 'delay', seconds: 'soon' }] }), /Step 1: delay needs a number/);
+        assert.throws(() => runner.addMacro({ name: 'Bad', steps: [{ type: 'command', command: 'gamecast "open' }] }), /Step 1: Unterminated double quote/);
+
+        const stored = runner.addMacro(RESTART);
+        assert.match(stored.id, /^macro-/);
+        assert.deepEqual(stored.params[1], { name: 'reason', label: 'reason', default: '' });
+        assert.deepEqual(runner.addMacro({ name: 'Wait', steps: [{ type: 'delay', seconds: '${s}' }] }).steps[0], { type: 'delay', seconds: '${s}' });
+    });
+
+    it('saves to storage and round-trips through export/import', () => {
+        const storage = new MemoryStorage();
+        const runner = new MacroRunner({ storage });
+        const stored = runner.addMacro(RESTART);
+        runner.updateMacro(stored.id, { description: 'Warn, close, stop' });
+
+        const reloaded = new MacroRunner({ storage });
+        assert.deepEqual(reloaded.getMacros(), runner.getMacros());
+
+        const other = new MacroRunner({ storage: null });
+        const [imported] = other.importMacros(runner.exportMacros());
+        assert.notEqual(imported.id, stored.id);
+        assert.equal(imported.description, 'Warn, close, stop');
+        assert.deepEqual(imported.steps, stored.steps);
+
+        // One bad macro rejects the whole file
+        assert.throws(() => other.importMacros({ macros: [RESTART, { name: 'Bad' }] }), /Macro 2: A macro needs at least one step/);
+        assert.throws(() => other.importMacros('{nope'), /Not valid JSON/);
+        assert.equal(other.getMacros().length, 1);
+    });
+
+    it('lists declared parameters first, then any other placeholders', () => {
+        const macro = { params: [{ name: 'b' }], steps: [{ type: 'command', command: 'x ${a} ${b}' }, { type: 'delay', seconds: '${c}' }] };
+        assert.deepEqual(MacroRunner.getParameters(macro), ['b', 'a', 'c']);
+    });
+});
+
+describe('run()', () => {
+    it('runs each step in order and reports progress', async () => {
+        const client = await createLoggedInClient(frame => ({ Status: 'success', Message: `ok ${frame.Command}` }));
+        const confirmed = [];
+        const runner = new MacroRunner({ storage: null, confirm: async text => confirmed.push(text) > 0 });
+        const seen = [];
+
+        const run = await runner.run(client, runner.addMacro(RESTART), { reason: 'patch day' }, {
+            onStep: step => seen.push(`${step.index}:${step.status}`)
+        });
+
+        assert.equal(run.status, 'success');
+        assert.deepEqual(run.steps.map(step => step.status), ['success', 'success', 'success', 'success', 'success']);
+        assert.equal(run.steps[0].label, 'Broadcast: Restart in 5 minutes: patch day');
+        assert.deepEqual(confirmed, ['Close the world?']);
+        assert.deepEqual(seen.slice(0, 2), ['0:running', '0:success']);
+        assert.equal(seen.length, 10);
+
+        assert.deepEqual(client.ws.sent.map(frame => [frame.Command, frame.Args]), [
+            ['gamecast', ['Restart', 'in', '5', 'minutes:', 'patch', 'day']],
+            ['world', ['close']],
+            ['stop-now', []]
+        ]);
+        client.disconnect();
+    });
+
+    it('keeps a value with spaces in one argument', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'Booted' }));
+        const runner = new MacroRunner({ storage: null });
+        const macro = runner.addMacro({ name: 'Boot', steps: [{ type: 'command', command: 'boot char ${player} "${reason} (macro)"' }] });
+
+        await runner.run(client, macro, { player: 'Sir Name', reason: 'AFK farming' });
+        assert.deepEqual(client.ws.sent[0].Args, ['char', '"Sir Name"', '"AFK farming (macro)"']);  // Quoted for ACE
+        client.disconnect();
+    });
+
+    it('stops at the first failing step and skips the rest', async () => {
+        const client = await createLoggedInClient(frame => (frame.Command === 'world'
+            ? { Status: 'error', Message: 'Command failed: InvalidCommand' }
+            : { Status: 'success', Message: 'ok' }));
+        const runner = new MacroRunner({ storage: null });
+
+        const run = await runner.run(client, runner.addMacro(RESTART), { reason: 'x' });
+
+        assert.equal(run.status, 'error');
+        assert.deepEqual(run.steps.map(step => step.status), ['success', 'success', 'success', 'error', 'skipped']);
+        assert.equal(run.steps[3].message, 'Command failed: InvalidCommand');
+        assert.equal(client.ws.sent.some(frame => frame.Command === 'stop-now'), false);
+        client.disconnect();
+    });
+
+    it('stops when a confirmation is declined', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'ok' }));
+        const runner = new MacroRunner({ storage: null, confirm: async () => false });
+
+        const run = await runner.run(client, runner.addMacro(RESTART), { reason: 'x' });
+
+        assert.equal(run.status, 'cancelled');
+        assert.deepEqual(run.steps.map(step => step.status), ['success', 'success', 'cancelled', 'skipped', 'skipped']);
+        client.disconnect();
+    });
+
+    it('ends a delay early when its signal aborts', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'ok' }));
+        const runner = new MacroRunner({ storage: null });
+        const macro = runner.addMacro({ name: 'Slow', steps: [{ type: 'delay', seconds: 60 }, { type: 'command', command: 'status' }] });
+        const controller = new AbortController();
+
+        const running = runner.run(client, macro, {}, { signal: controller.signal });
+        setImmediate(() => controller.abort());
+        const run = await running;
+
+        assert.equal(run.status, 'aborted');
+        assert.deepEqual(run.steps.map(step => step.status), ['aborted', 'skipped']);
+        assert.equal(client.ws.sent.length, 0);
+        client.disconnect();
+    });
+
+    it('checks login and parameter values before sending anything', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'ok' }));
+        const runner = new MacroRunner({ storage: null });
+        const macro = runner.addMacro({ name: 'Ban', steps: [{ type: 'command', command: 'ban ${account} ${days} 0 0' }] });
+
+        await assert.rejects(runner.run(client, macro, { account: 'griefer' }), /No value for \$\{days\}/);
+        client.isAuthenticated = false;
+        await assert.rejects(runner.run(client, macro, { account: 'griefer', days: '1' }), /Not logged in/);
+        assert.equal(client.ws.sent.length, 0);
+        client.disconnect();
+    });
+});
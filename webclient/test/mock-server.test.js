@@ -0,0 +1,129 @@
+/**
+ * RconClient against the mock server over a real WebSocket - run with: node --test webclient/test/*.test.js
+ * Needs Node 22+ for the built-in WebSocket; skipped on older versions.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockServer } = require('../mock/mock-server.js');
+const { createClient, login } = require('../lib/node-client.js');
+const RconScheduler = require('../public/rcon-scheduler.js');
+const RconLogParser = require('../public/log-parser.js');
+
+const skip = typeof WebSocket === 'undefined' ? 'needs the built-in WebSocket (Node 22+)' : false;
+
+describe('mock server', { skip }, () => {
+    let server;
+    let port;
+
+    before(async () => {
+        server = createMockServer({ port: 0, broadcasts: false, logger: null });
+        ({ port } = await server.listen());
+    });
+
+    after(() => server.close());
+
+    it('answers the typed helpers after URL auth', async () => {
+        const { client } = await login({ port, password: 'secret' });
+        try {
+            const players = await client.players();
+            assert.equal(players.CurrentPlayers, players.OnlinePlayers.length);
+
+            const { BannedAccounts } = await client.banlist();
+            const info = await client.baninfo(BannedAccounts[0].AccountName);
+            assert.equal(info.AccountName, BannedAccounts[0].AccountName);
+        } finally {
+            client.disconnect();
+        }
+    });
+
+    it('closes with 1008 on a wrong password', async () => {
+        const client = createClient({ port });
+        client.setPassword('wrong');
+        const gaveUp = new Promise(resolve => client.on('gave-up', resolve));
+
+        await client.connect();
+        const info = await gaveUp;
+        assert.equal(info.reason, 'Connection rejected - Invalid credentials');
+    });
+
+    it('delivers player_event broadcasts with normalized Data', async () => {
+        const { client } = await login({ port, password: 'secret' });
+        try {
+            const event = new Promise(resolve => client.on('response', response => {
+                if (response.Status === 'player_event') resolve(response);
+            }));
+            server.runEvent({ type: 'login', player: { Name: 'Tester', Guid: 1, Level: 2, Race: 'Sho', Location: '' } });
+
+            const response = await event;
+            assert.equal(response.Command, 'login');
+            assert.equal(response.Data.PlayerName, 'Tester');
+            assert.equal(response.Data.Count, server.players.length);
+        } finally {
+            client.disconnect();
+        }
+    });
+
+    it('sends the logger and log time of log broadcasts in Data', async () => {
+        const { client } = await login({ port, password: 'secret' });
+        try {
+            const log = new Promise(resolve => client.on('response', response => {
+                if (response.Status === 'log_warn') resolve(response);
+            }));
+            server.runEvent({ type: 'log', level: 'warn', logger: 'ACE.Server.Managers.GuidManager', message: 'Pool low' });
+
+            const record = RconLogParser.parse(await log);
+            assert.equal(record.logger, 'ACE.Server.Managers.GuidManager');
+            assert.equal(record.message, 'Pool low');
+            assert.ok(Math.abs(record.timestamp - Date.now()) < 5000);
+        } finally {
+            client.disconnect();
+        }
+    });
+
+    it('shares history over /api/history with the login credentials', async () => {
+        const { client } = await login({ port, password: 'secret' });
+        try {
+            const { baseUrl, authorization } = client.getHttpAuth();
+            const url = `${baseUrl}/api/history`;
+
+            assert.equal((await fetch(url)).status, 401);
+
+            const posted = await fetch(url, {
+                method: 'POST',
+                headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ Commands: [{ Text: 'status', Timestamp: Date.now() + 60000 }], Messages: [] })
+            });
+            assert.equal(posted.status, 200);
+
+            const { Commands } = await (await fetch(url, { headers: { Authorization: authorization } })).json();
+            assert.equal(Commands.length, 1);
+            assert.equal(Commands[0].Author, 'rcon');
+            assert.ok(Commands[0].Timestamp <= Date.now());  // Future timestamps are clamped
+        } finally {
+            client.disconnect();
+        }
+    });
+
+    it('keeps the schedule on /api/schedule and rejects stale versions', async () => {
+        const { client } = await login({ port, password: 'secret' });
+        try {
+            const store = RconScheduler.createHttpStore(client.getHttpAuth());
+            const saved = await store.save({ Version: 0, Tasks: [{ id: 'task-1', name: 'One' }] });
+            assert.equal(saved.Version, 1);
+
+            await assert.rejects(store.save({ Version: 0, Tasks: [] }), error => error.code === 'CONFLICT' && error.current.Tasks.length === 1);
+            assert.deepEqual(await store.load(), saved);
+
+            // Over the task limit nothing is saved
+            const tooMany = Array.from({ length: 501 }, (_, index) => ({ id: `task-${index}`, name: 'Many' }));
+            await assert.rejects(store.save({ Version: 1, Tasks: tooMany }), /HTTP 413 - Too many scheduled tasks \(max 500\)/);
+            assert.deepEqual(await store.load(), saved);
+
+            await assert.rejects(RconScheduler.createHttpStore({ baseUrl: `http://127.0.0.1:${port}`, authorization: 'Basic eDp5' }).load(), /HTTP 401/);
+        } finally {
+            client.disconnect();
+        }
+    });
+});
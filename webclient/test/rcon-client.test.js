@@ -0,0 +1,349 @@
+/**
+ * RconClient tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconClient = require('../public/rcon-client.js');
+const { createFakeWebSocket, waitFor } = require('./helpers/fakes.js');
+
+const { ReconnectPolicy } = RconClient;
+
+/**
+ * Client wired to a fake WebSocket, with near-instant reconnect delays
+ */
+function createClient(FakeWebSocket, options = {}) {
+    return new RconClient('127.0.0.1', 9005, Object.assign({
+        WebSocket: FakeWebSocket,
+        logger: null,
+        reconnect: { initialDelayMs: 1, maxDelayMs: 1, jitter: 0, maxAttempts: 3 }
+    }, options));
+}
+
+/**
+ * Record every payload of an event
+ */
+function record(client, event) {
+    const events = [];
+    client.on(event, data => events.push(data));
+    return events;
+}
+
+describe('request/response correlation', () => {
+    it('resolves each request with the response carrying its Identifier', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+        const socket = client.ws;
+
+        const status = client.send('status');
+        const players = client.send('players');
+        assert.deepEqual(socket.sent.map(frame => frame.Identifier), [1, 2]);
+
+        // Answer out of order
+        socket.receive({ Identifier: 2, Status: 'success', Message: 'passthrough players' });
+        socket.receive({ Identifier: 1, Status: 'success', Message: 'passthrough status' });
+
+        assert.equal((await status).Message, 'passthrough status');
+        assert.equal((await players).Message, 'passthrough players');
+        assert.equal(client.pendingRequests.size, 0);
+        client.disconnect();
+    });
+
+    it('emits broadcasts without settling pending requests', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        const responses = record(client, 'response');
+        await client.connect();
+
+        const pending = client.send('acecommands');
+        client.ws.receive({ Identifier: 0, Status: 'log_info', Message: '[Logger] hello', Command: 'log' });
+        assert.equal(responses.length, 1);
+        assert.equal(client.pendingRequests.size, 1);
+
+        client.ws.reply({ Status: 'success', Message: 'done' });
+        assert.equal((await pending).Message, 'done');
+        client.disconnect();
+    });
+
+    it('does not emit response for quiet requests', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        const responses = record(client, 'response');
+        await client.connect();
+
+        const pending = client.send('acecommands', [], { quiet: true });
+        client.ws.reply({ Status: 'success', Message: 'Available commands:' });
+        assert.equal((await pending).Message, 'Available commands:');
+        assert.equal(responses.length, 0);
+        client.disconnect();
+    });
+
+    it('rejects with error.response when the server answers Status error', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+
+        const pending = client.send('bogus');
+        client.ws.reply({ Status: 'error', Message: 'Command failed: InvalidCommand' });
+
+        await assert.rejects(pending, error => {
+            assert.equal(error.message, 'Command failed: InvalidCommand');
+            assert.equal(error.response.Status, 'error');
+            return true;
+        });
+        client.disconnect();
+    });
+
+    it('rejects with NOT_CONNECTED before connect()', async () => {
+        const client = createClient(createFakeWebSocket());
+        await assert.rejects(client.send('status'), { code: 'NOT_CONNECTED' });
+    });
+});
+
+describe('timeouts', () => {
+    it('rejects with TIMEOUT and forgets the request', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+        const socket = client.ws;
+
+        await assert.rejects(client.send('status', [], { timeoutMs: 10 }), { code: 'TIMEOUT' });
+        assert.equal(client.pendingRequests.size, 0);
+
+        // A late response is delivered as an event and otherwise ignored
+        const responses = record(client, 'response');
+        socket.receive({ Identifier: 1, Status: 'success', Message: 'late' });
+        assert.equal(responses.length, 1);
+        client.disconnect();
+    });
+
+    it('cancels pending requests and their timers on disconnect()', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+
+        const pending = client.send('status');
+        client.disconnect();
+
+        await assert.rejects(pending, { code: 'CANCELLED' });
+        assert.equal(client.pendingRequests.size, 0);
+    });
+
+    it('drops the pending request when its signal aborts', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+
+        const controller = new AbortController();
+        const pending = client.send('status', [], { signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(pending, { code: 'ABORTED' });
+        assert.equal(client.pendingRequests.size, 0);
+        client.disconnect();
+    });
+});
+
+describe('auth failure (close code 1008)', () => {
+    it('rejects connect() when the socket is closed before it opens', async () => {
+        const FakeWebSocket = createFakeWebSocket({ autoOpen: false });
+        const client = createClient(FakeWebSocket);
+
+        const connecting = client.connect();
+        FakeWebSocket.sockets[0].serverClose(1008, 'Invalid password');
+
+        await assert.rejects(connecting, { message: 'Connection rejected - Invalid credentials' });
+        assert.equal(client.getStatus().isReconnecting, false);
+    });
+
+    it('rejects in-flight requests with AUTH_FAILED', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        client.setPassword('wrong');
+        await client.connect();
+
+        const hello = client.send('hello');
+        client.ws.serverClose(1008, 'Invalid password');
+
+        await assert.rejects(hello, { code: 'AUTH_FAILED' });
+        assert.equal(client.isConnected, false);
+    });
+
+    it('gives up instead of reconnecting', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        const gaveUp = record(client, 'gave-up');
+        const reconnecting = record(client, 'reconnecting');
+        client.setPassword('wrong');
+        await client.connect();
+
+        client.ws.serverClose(1008, 'Invalid password');
+
+        assert.deepEqual(gaveUp, [{ attempts: 0, reason: 'Connection rejected - Invalid credentials' }]);
+        assert.equal(reconnecting.length, 0);
+        assert.equal(client.getStatus().isReconnecting, false);
+        assert.equal(FakeWebSocket.sockets.length, 1);
+    });
+
+    it('rejects authenticate() with the server error frame', async () => {
+        const FakeWebSocket = createFakeWebSocket({
+            onSend(socket, frame) {
+                socket.receive({ Identifier: frame.Identifier, Status: 'error', Message: 'Invalid account name or password, or account is not an admin' });
+                socket.serverClose(1008, 'Authentication failed');
+            }
+        });
+        const client = createClient(FakeWebSocket);
+        await client.connect();
+
+        await assert.rejects(client.authenticate('bad', 'admin'), error => {
+            assert.equal(error.response.Status, 'error');
+            return true;
+        });
+        assert.equal(client.isAuthenticated, false);
+        assert.equal(client.session, null);
+    });
+});
+
+describe('reconnect', () => {
+    it('counts attempts and gives up after maxAttempts', async () => {
+        // First socket connects, every reconnect attempt fails during the handshake
+        const FakeWebSocket = createFakeWebSocket({
+            autoOpen: false,
+            onCreate(socket, index) {
+                setImmediate(() => (index === 0 ? socket.open() : socket.fail()));
+            }
+        });
+        const client = createClient(FakeWebSocket);
+        const reconnecting = record(client, 'reconnecting');
+        const disconnected = record(client, 'disconnected');
+        const gaveUp = record(client, 'gave-up');
+        await client.connect();
+
+        client.ws.serverClose(1006, 'Connection lost');
+        await waitFor(() => gaveUp.length > 0);
+
+        assert.deepEqual(reconnecting.map(info => info.attempt), [1, 2, 3]);
+        assert.ok(reconnecting.every(info => info.maxAttempts === 3));
+        assert.deepEqual(gaveUp, [{ attempts: 3, reason: 'Max reconnect attempts reached' }]);
+        assert.equal(disconnected.length, 1);  // Failed attempts don't report a disconnect each
+        assert.equal(FakeWebSocket.sockets.length, 4);
+        assert.equal(client.reconnectAttempts, 0);
+    });
+
+    it('restores the session and resets the count once reconnected', async () => {
+        // Second socket fails, third one opens; HELLO is always accepted
+        const FakeWebSocket = createFakeWebSocket({
+            autoOpen: false,
+            onCreate(socket, index) {
+                setImmediate(() => (index === 1 ? socket.fail() : socket.open()));
+            },
+            onSend(socket, frame) {
+                if (frame.Command === 'hello') {
+                    socket.receive({ Identifier: frame.Identifier, Status: 'success', Message: 'Server hello' });
+                }
+            }
+        });
+        const client = createClient(FakeWebSocket, { schema: null });
+        const reconnected = record(client, 'reconnected');
+        client.setPassword('secret');
+        await client.connect();
+        await client.send('hello');
+        assert.deepEqual(client.session, { mode: 'url' });
+
+        client.ws.serverClose(1006, 'Connection lost');
+        await waitFor(() => reconnected.length > 0);
+
+        assert.deepEqual(reconnected, [{ attempts: 2 }]);
+        assert.equal(client.reconnectAttempts, 0);
+        assert.equal(client.isAuthenticated, true);
+        assert.equal(FakeWebSocket.sockets[2].url, 'ws://127.0.0.1:9005/secret');
+        assert.equal(FakeWebSocket.sockets[2].sent[0].Command, 'hello');
+        client.disconnect();
+    });
+
+    it('ends the session once when the saved credentials are rejected', async () => {
+        // HELLO succeeds on the first socket, the reconnected one rejects it
+        const FakeWebSocket = createFakeWebSocket({
+            onSend(socket, frame) {
+                const accepted = socket === FakeWebSocket.sockets[0];
+                socket.receive({
+                    Identifier: frame.Identifier,
+                    Status: accepted ? 'success' : 'error',
+                    Message: accepted ? 'Server hello' : 'Invalid password'
+                });
+            }
+        });
+        const client = createClient(FakeWebSocket, { schema: null });
+        const gaveUp = record(client, 'gave-up');
+        const ended = record(client, 'session-ended');
+        client.setPassword('secret');
+        await client.connect();
+        await client.send('hello');
+
+        client.ws.serverClose(1006, 'Connection lost');
+        await waitFor(() => gaveUp.length > 0);
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.deepEqual(gaveUp, [{ attempts: 1, reason: 'Invalid password' }]);
+        assert.deepEqual(ended, [{ reason: 'Invalid password' }]);
+        assert.equal(client.ws, null);
+        assert.equal(client.session, null);
+        assert.equal(FakeWebSocket.sockets.length, 2);
+        assert.equal(FakeWebSocket.sockets[1].readyState, 3);  // CLOSED
+    });
+
+    it('does not reconnect after disconnect()', async () => {
+        const FakeWebSocket = createFakeWebSocket();
+        const client = createClient(FakeWebSocket);
+        const reconnecting = record(client, 'reconnecting');
+        await client.connect();
+
+        client.disconnect();
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        assert.equal(reconnecting.length, 0);
+        assert.equal(FakeWebSocket.sockets.length, 1);
+    });
+});
+
+describe('ReconnectPolicy', () => {
+    it('doubles the delay up to maxDelayMs', () => {
+        const policy = new ReconnectPolicy({ initialDelayMs: 1000, maxDelayMs: 15000, jitter: 0 });
+        assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempt => policy.getDelay(attempt)), [1000, 2000, 4000, 8000, 15000, 15000]);
+    });
+
+    it('keeps jittered delays within bounds', () => {
+        const policy = new ReconnectPolicy({ initialDelayMs: 1000, maxDelayMs: 15000, jitter: 0.2 });
+        for (let i = 0; i < 50; i++) {
+            const delay = policy.getDelay(2);
+            assert.ok(delay >= 1600 && delay <= 2400, `delay ${delay} out of range`);
+            assert.ok(policy.getDelay(10) <= 15000);
+        }
+    });
+
+    it('allows maxAttempts attempts', () => {
+        const policy = new ReconnectPolicy({ maxAttempts: 2 });
+        assert.equal(policy.canRetry(2), true);
+        assert.equal(policy.canRetry(3), false);
+    });
+});
+
+describe('getHttpAuth()', () => {
+    it('turns the login into Basic credentials for the HTTP API', () => {
+        const client = createClient(createFakeWebSocket());
+        assert.equal(client.getHttpAuth(), null);
+
+        client.isAuthenticated = true;
+        client.session = { mode: 'ace', password: 'pässword', accountName: 'Admin' };
+        assert.deepEqual(client.getHttpAuth(), {
+            baseUrl: 'http://127.0.0.1:9005',
+            authorization: `Basic ${Buffer.from('Admin:pässword').toString('base64')}`
+        });
+
+        client.session = { mode: 'url' };
+        client.password = 'secret';
+        assert.equal(client.getHttpAuth().authorization, `Basic ${Buffer.from(':secret').toString('base64')}`);
+    });
+});
@@ -0,0 +1,227 @@
+/**
+ * RconScheduler tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconScheduler = require('../public/rcon-scheduler.js');
+const { createLoggedInClient } = require('./helpers/fakes.js');
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const at = (iso) => Date.parse(iso);
+
+describe('cron', () => {
+    it('finds the next matching minute', () => {
+        assert.equal(RconScheduler.nextCronTime('45 3 * * *', at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-01T03:45:00Z'));
+        assert.equal(RconScheduler.nextCronTime('45 3 * * *', at('2026-01-01T03:45:00Z'), 'UTC'), at('2026-01-02T03:45:00Z'));
+        // Saturday -> Monday morning
+        assert.equal(RconScheduler.nextCronTime('*/15 9-17 * * 1-5', at('2026-01-03T12:00:00Z'), 'UTC'), at('2026-01-05T09:00:00Z'));
+        assert.equal(RconScheduler.nextCronTime('@monthly', at('2026-01-15T00:00:00Z'), 'UTC'), at('2026-02-01T00:00:00Z'));
+        assert.equal(RconScheduler.nextCronTime('0 0 29 2 *', at('2026-03-01T00:00:00Z'), 'UTC'), at('2028-02-29T00:00:00Z'));
+    });
+
+    it('matches either a restricted day of month or day of week, and 7 as Sunday', () => {
+        // The 13th or any Friday - Friday Jan 2 comes first
+        assert.equal(RconScheduler.nextCronTime('0 0 13 * 5', at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-02T00:00:00Z'));
+        assert.equal(RconScheduler.nextCronTime('0 12 * * 7', at('2026-01-01T00:00:00Z'), 'UTC'), at('2026-01-04T12:00:00Z'));
+    });
+
+    it('uses the wall clock of the task time zone across DST', () => {
+        assert.equal(RconScheduler.nextCronTime('0 9 * * *', at('2026-01-10T00:00:00Z'), 'America/New_York'), at('2026-01-10T14:00:00Z'));
+        assert.equal(RconScheduler.nextCronTime('0 9 * * *', at('2026-07-10T00:00:00Z'), 'America/New_York'), at('2026-07-10T13:00:00Z'));
+    });
+
+    it('rejects invalid expressions', () => {
+        assert.throws(() => RconScheduler.parseCron('* * *'), /needs 5 fields/);
+        assert.throws(() => RconScheduler.parseCron('60 * * * *'), /Invalid cron minute: "60"/);
+        assert.throws(() => RconScheduler.parseCron('0 5-1 * * *'), /Invalid cron hour/);
+        assert.throws(() => RconScheduler.parseCron('0 0 * jan *'), /Invalid cron month/);
+        assert.equal(RconScheduler.nextCronTime('0 0 31 2 *', 0, 'UTC'), null);
+    });
+});
+
+describe('tasks', () => {
+    it('validates tasks before saving', async () => {
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore() });
+        const cron = { type: 'cron', cron: '0 4 * * *' };
+
+        await assert.rejects(scheduler.addTask({ name: '', commands: ['status'], schedule: cron }), /name is required/);
+        await assert.rejects(scheduler.addTask({ name: 'X', commands: ' \n ', schedule: cron }), /at least one command/);
+        await assert.rejects(scheduler.addTask({ name: 'X', commands: ['gamecast "open'], schedule: cron }), /Command 1: Unterminated double quote/);
+        await assert.rejects(scheduler.addTask({ name: 'X', commands: ['status'], schedule: { type: 'cron', cron: '0 0 31 2 *' } }), /never matches/);
+        await assert.rejects(scheduler.addTask({ name: 'X', commands: ['status'], schedule: cron, timeZone: 'Mars/Olympus' }), /Unknown time zone/);
+        await assert.rejects(scheduler.addTask({ name: 'X', commands: ['status'], schedule: { type: 'once' } }), /needs a date and time/);
+
+        const task = await scheduler.addTask({ name: 'Nightly', commands: 'gamecast Restart soon\n\nworld close', schedule: cron, timeZone: 'UTC' });
+        assert.match(task.id, /^task-/);
+        assert.deepEqual(task.commands, ['gamecast Restart soon', 'world close']);
+        assert.equal(scheduler.version, 1);
+    });
+
+    it('lists upcoming runs and skips slots missed while paused', async () => {
+        let now = at('2026-01-01T12:00:00Z');
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), now: () => now });
+        const task = await scheduler.addTask({ name: 'Hourly', commands: ['status'], schedule: { type: 'cron', cron: '@hourly' }, timeZone: 'UTC' });
+
+        assert.deepEqual(scheduler.getUpcomingRuns(scheduler.getTask(task.id), 2), [at('2026-01-01T13:00:00Z'), at('2026-01-01T14:00:00Z')]);
+
+        await scheduler.setPaused(task.id, true);
+        assert.equal(scheduler.getTask(task.id).nextRunAt, null);
+
+        now = at('2026-01-02T08:30:00Z');
+        await scheduler.setPaused(task.id, false);
+        assert.equal(scheduler.getTask(task.id).nextRunAt, at('2026-01-02T09:00:00Z'));
+
+        await scheduler.removeTask(task.id);
+        assert.deepEqual(scheduler.getTasks(), []);
+        await assert.rejects(scheduler.removeTask(task.id), /Unknown task/);
+    });
+
+    it('re-applies a change on top of a schedule saved by someone else', async () => {
+        const store = RconScheduler.createMemoryStore();
+        const first = new RconScheduler({ store });
+        const second = new RconScheduler({ store });
+        await second.load();
+
+        await first.addTask({ name: 'One', commands: ['status'], schedule: { type: 'once', at: Date.now() + 60000 } });
+        await second.addTask({ name: 'Two', commands: ['status'], schedule: { type: 'once', at: Date.now() + 60000 } });
+
+        assert.deepEqual(second.getTasks().map(task => task.name), ['One', 'Two']);
+        assert.equal(second.version, 2);
+    });
+});
+
+describe('runDue()', () => {
+    it('runs a due task once even with two runners', async () => {
+        const client = await createLoggedInClient(frame => ({ Status: 'success', Message: `ok ${frame.Command}` }));
+        const store = RconScheduler.createMemoryStore();
+        let now = at('2026-01-01T03:00:00Z');
+        const web = new RconScheduler({ store, getClient: () => client, runner: 'web', now: () => now });
+        const headless = new RconScheduler({ store, getClient: () => client, runner: 'headless', now: () => now });
+
+        await web.addTask({ name: 'Nightly', commands: ['gamecast Restart soon', 'world close'], schedule: { type: 'cron', cron: '45 3 * * *' }, timeZone: 'UTC' });
+        await headless.load();
+
+        now = at('2026-01-01T03:45:20Z');
+        const [webRuns, headlessRuns] = await Promise.all([web.runDue(), headless.runDue()]);
+
+        assert.equal(webRuns.length + headlessRuns.length, 1);
+        assert.deepEqual(client.ws.sent.map(frame => frame.Command), ['gamecast', 'world']);
+
+        await web.load();
+        const [task] = web.getTasks();
+        assert.equal(task.lastRun.status, 'success');
+        assert.equal(task.lastRun.slot, at('2026-01-01T03:45:00Z'));
+        assert.deepEqual(task.lastRun.results.map(result => result.message), ['ok gamecast', 'ok world']);
+        assert.equal(task.nextRunAt, at('2026-01-02T03:45:00Z'));
+
+        // Nothing more is due until tomorrow
+        assert.deepEqual(await headless.runDue(), []);
+        client.disconnect();
+    });
+
+    it('stops a task at its first failing command', async () => {
+        const client = await createLoggedInClient(frame => (frame.Command === 'world'
+            ? { Status: 'error', Message: 'Command failed: InvalidCommand' }
+            : { Status: 'success', Message: 'ok' }));
+        let now = at('2026-01-01T00:00:00Z');
+        const runs = [];
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now, onRun: run => runs.push(run) });
+        await scheduler.addTask({ name: 'Close', commands: ['gamecast bye', 'world close', 'stop-now'], schedule: { type: 'once', at: now + 60000 } });
+
+        now += 61000;
+        await scheduler.runDue();
+
+        assert.equal(runs.length, 1);
+        assert.equal(runs[0].status, 'error');
+        assert.deepEqual(runs[0].results.map(result => result.status), ['success', 'error', 'skipped']);
+        assert.equal(client.ws.sent.some(frame => frame.Command === 'stop-now'), false);
+
+        const [task] = scheduler.getTasks();
+        assert.equal(task.lastRun.status, 'error');
+        assert.equal(task.nextRunAt, null);
+        client.disconnect();
+    });
+
+    it('marks runs missed while no runner was up instead of running them late', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'ok' }));
+        let now = at('2026-01-01T00:00:00Z');
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        await scheduler.addTask({ name: 'Once', commands: ['status'], schedule: { type: 'once', at: now + 60000 } });
+        await scheduler.addTask({ name: 'Hourly', commands: ['players'], schedule: { type: 'cron', cron: '0 * * * *' }, timeZone: 'UTC' });
+
+        // Down from 00:00 to 05:02 - the once task is 5 hours late, the 05:00 slot only 2 minutes
+        now = at('2026-01-01T05:02:00Z');
+        const runs = await scheduler.runDue();
+
+        assert.deepEqual(runs.map(run => run.name), ['Hourly']);
+        assert.deepEqual(client.ws.sent.map(frame => frame.Command), ['players']);
+
+        const [once, hourly] = scheduler.getTasks();
+        assert.equal(once.lastRun.status, 'missed');
+        assert.equal(hourly.lastRun.slot, at('2026-01-01T05:00:00Z'));
+        client.disconnect();
+    });
+
+    it('does nothing while logged out or for paused tasks', async () => {
+        const client = await createLoggedInClient(() => ({ Status: 'success', Message: 'ok' }));
+        let now = at('2026-01-01T00:00:00Z');
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        const task = await scheduler.addTask({ name: 'Once', commands: ['status'], schedule: { type: 'once', at: now + 60000 } });
+        now += 61000;
+
+        client.isAuthenticated = false;
+        assert.deepEqual(await scheduler.runDue(), []);
+
+        client.isAuthenticated = true;
+        await scheduler.setPaused(task.id, true);
+        assert.deepEqual(await scheduler.runDue(), []);
+        assert.equal(client.ws.sent.length, 0);
+        client.disconnect();
+    });
+});
+
+describe('start()', () => {
+    it('checks again soon after a run, but waits pollMs for a due task it cannot run', async () => {
+        let now = at('2026-01-01T00:00:00Z');
+        // Each command takes two minutes, so the next minute's slot is already due when it finishes
+        const client = await createLoggedInClient(() => {
+            now += 120000;
+            return { Status: 'success', Message: 'ok' };
+        });
+        const delays = [];
+        mock.method(global, 'setTimeout', (callback, delay) => delays.push(delay));
+        const nextCheck = () => delays[delays.length - 1];  // The client's command timeouts come before it
+
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now, pollMs: 60000 });
+        await scheduler.addTask({ name: 'Every minute', commands: ['status'], schedule: { type: 'cron', cron: '* * * * *' }, timeZone: 'UTC' });
+        now += 61000;
+        scheduler.active = true;
+
+        client.isAuthenticated = false;
+        await scheduler.tick();
+        assert.equal(nextCheck(), 60000);
+
+        const load = mock.method(scheduler.store, 'load', async () => { throw new Error('Schedule request failed: HTTP 401'); });
+        client.isAuthenticated = true;
+        await scheduler.tick();
+        assert.equal(nextCheck(), 60000);
+        load.mock.restore();
+
+        await scheduler.tick();
+        assert.equal(client.ws.sent.length, 1);
+        assert.equal(nextCheck(), 1000);
+
+        scheduler.stop();
+        client.disconnect();
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Broadcast stream tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconClient = require('../public/rcon-client.js');
+const { createFakeWebSocket } = require('./helpers/fakes.js');
+
+async function connectClient() {
+    const client = new RconClient('127.0.0.1', 9005, { WebSocket: createFakeWebSocket(), logger: null });
+    await client.connect();
+    return client;
+}
+
+function log(level, message) {
+    return { Identifier: 0, Status: `log_${level}`, Message: message, Command: 'log' };
+}
+
+describe('logs()', () => {
+    it('yields only the requested levels, in order', async () => {
+        const client = await connectClient();
+        const stream = client.logs({ levels: ['warn', 'error'] });
+
+        client.ws.receive(log('info', '[A] skipped'));
+        client.ws.receive(log('warn', '[A] first'));
+        client.ws.receive(log('error', '[A] second'));
+        client.disconnect();
+
+        const entries = [];
+        for await (const entry of stream) {
+            entries.push(entry);
+        }
+        assert.deepEqual(entries, [
+            { Level: 'warn', Message: '[A] first' },
+            { Level: 'error', Message: '[A] second' }
+        ]);
+    });
+
+    it('ignores command responses', async () => {
+        const client = await connectClient();
+        const stream = client.logs();
+
+        const pending = client.send('status');
+        client.ws.reply({ Status: 'success', Message: 'Server status', Data: {} });
+        await pending;
+        client.ws.receive(log('info', '[A] broadcast'));
+
+        assert.deepEqual((await stream.next()).value, { Level: 'info', Message: '[A] broadcast' });
+        client.disconnect();
+    });
+
+    it('rejects unknown levels', async () => {
+        const client = await connectClient();
+        assert.throws(() => client.logs({ levels: ['verbose'] }), /Unknown log level/);
+        client.disconnect();
+    });
+});
+
+describe('playerEvents() and statusUpdates()', () => {
+    it('yield normalized player events', async () => {
+        const client = await connectClient();
+        const stream = client.playerEvents();
+        const next = stream.next();
+
+        client.ws.receive({
+            Identifier: 0,
+            Status: 'player_event',
+            Message: 'Player login',
+            Command: 'login',
+            Data: { playerName: 'Tester', playerGuid: 1342177283, level: 8, location: '0x1', count: 3, WorldTime: '2025-01-01T00:00:00Z' }
+        });
+
+        assert.deepEqual((await next).value, {
+            Event: 'login',
+            PlayerName: 'Tester',
+            PlayerGuid: 1342177283,
+            Level: 8,
+            Location: '0x1',
+            Count: 3,
+            WorldTime: '2025-01-01T00:00:00Z'
+        });
+        client.disconnect();
+    });
+
+    it('yield status_update Data', async () => {
+        const client = await connectClient();
+        const stream = client.statusUpdates();
+
+        client.ws.receive({ Identifier: 0, Status: 'status_update', Command: 'status_update', Data: { ServerName: 'Test', CurrentPlayers: 4 } });
+
+        const { value } = await stream.next();
+        assert.equal(value.ServerName, 'Test');
+        assert.equal(value.CurrentPlayers, 4);
+        client.disconnect();
+    });
+});
+
+describe('buffering', () => {
+    it('drops the oldest items past highWaterMark by default', async () => {
+        const client = await connectClient();
+        const stream = client.logs({ highWaterMark: 2 });
+
+        ['one', 'two', 'three'].forEach(message => client.ws.receive(log('info', message)));
+
+        assert.equal(stream.dropped, 1);
+        assert.equal((await stream.next()).value.Message, 'two');
+        assert.equal((await stream.next()).value.Message, 'three');
+        client.disconnect();
+    });
+
+    it('keeps the oldest items with overflow drop-newest', async () => {
+        const client = await connectClient();
+        const stream = client.logs({ highWaterMark: 2, overflow: 'drop-newest' });
+
+        ['one', 'two', 'three'].forEach(message => client.ws.receive(log('info', message)));
+
+        assert.equal((await stream.next()).value.Message, 'one');
+        assert.equal((await stream.next()).value.Message, 'two');
+        client.disconnect();
+        assert.equal((await stream.next()).done, true);
+    });
+
+    it('ends with OVERFLOW after the buffered items with overflow error', async () => {
+        const client = await connectClient();
+        const stream = client.logs({ highWaterMark: 1, overflow: 'error' });
+
+        client.ws.receive(log('info', 'one'));
+        client.ws.receive(log('info', 'two'));
+
+        assert.equal((await stream.next()).value.Message, 'one');
+        await assert.rejects(stream.next(), { code: 'OVERFLOW' });
+        assert.equal(client.listeners.get('response').length, 0);
+        client.disconnect();
+    });
+});
+
+describe('cleanup', () => {
+    it('finishes waiting consumers and removes its listeners on disconnect()', async () => {
+        const client = await connectClient();
+        const stream = client.playerEvents();
+        const next = stream.next();
+
+        client.disconnect();
+
+        assert.deepEqual(await next, { value: undefined, done: true });
+        assert.equal(client.listeners.get('response').length, 0);
+        assert.equal(client.listeners.get('session-ended').length, 0);
+    });
+
+    it('stops when the loop exits early', async () => {
+        const client = await connectClient();
+        const stream = client.logs();
+        client.ws.receive(log('info', 'one'));
+        client.ws.receive(log('info', 'two'));
+
+        for await (const entry of stream) {
+            assert.equal(entry.Message, 'one');
+            break;
+        }
+
+        assert.equal(client.listeners.get('response').length, 0);
+        assert.equal((await stream.next()).done, true);
+        client.disconnect();
+    });
+
+    it('stops when its signal aborts', async () => {
+        const client = await connectClient();
+        const controller = new AbortController();
+        const stream = client.statusUpdates({ signal: controller.signal });
+        const next = stream.next();
+
+        controller.abort();
+
+        assert.equal((await next).done, true);
+        assert.equal(client.listeners.get('response').length, 0);
+        client.disconnect();
+    });
+
+    it('keeps streaming across an automatic reconnect', async () => {
+        const client = new RconClient('127.0.0.1', 9005, {
+            WebSocket: createFakeWebSocket(),
+            logger: null,
+            reconnect: { initialDelayMs: 1, jitter: 0 }
+        });
+        await client.connect();
+        const stream = client.logs();
+        const reconnected = new Promise(resolve => client.on('reconnected', resolve));
+
+        client.ws.serverClose(1006, 'Connection lost');
+        await reconnected;
+        client.ws.receive(log('info', 'after reconnect'));
+
+        assert.equal((await stream.next()).value.Message, 'after reconnect');
+        client.disconnect();
+    });
+});
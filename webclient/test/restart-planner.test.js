@@ -0,0 +1,140 @@
+/**
+ * RconRestartPlanner tests - run with: node --test webclient/test/*.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RconCommandParser = require('../public/command-parser.js');
+const RconScheduler = require('../public/rcon-scheduler.js');
+const RconRestartPlanner = require('../public/restart-planner.js');
+const { createLoggedInClient } = require('./helpers/fakes.js');
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const NOW = Date.parse('2026-01-01T03:00:00Z');
+const MINUTE = 60000;
+
+describe('plan()', () => {
+    it('counts down, closes the world, then stops', () => {
+        const restart = RconRestartPlanner.plan({ at: NOW + 60 * MINUTE, template: 'Restart in ${time} (${minutes}m)', now: NOW });
+
+        assert.match(restart.group, /^restart-/);
+        assert.deepEqual(restart.tasks.map(task => [task.schedule.at - restart.at, task.commands]), [
+            [-30 * MINUTE, ['gamecast Restart in 30 minutes (30m)']],
+            [-10 * MINUTE, ['gamecast Restart in 10 minutes (10m)']],
+            [-5 * MINUTE, ['gamecast Restart in 5 minutes (5m)']],
+            [-1 * MINUTE, ['gamecast Restart in 1 minute (1m)']],
+            [-1 * MINUTE, ['world close']],
+            [0, ['stop-now']]
+        ]);
+        assert.ok(restart.tasks.every(task => task.group === restart.group && task.schedule.type === 'once'));
+    });
+
+    it('leaves out warnings already past and can close the world at the restart or not at all', () => {
+        const soon = RconRestartPlanner.plan({ at: NOW + 7 * MINUTE, warnings: [10, 5, 5, 1], closeWorldMinutes: 0, now: NOW });
+        assert.deepEqual(soon.tasks.map(task => task.name), ['Restart warning (5 minutes)', 'Restart warning (1 minute)', soon.tasks[2].name]);
+        assert.deepEqual(soon.tasks[2].commands, ['world close', 'stop-now']);
+
+        const open = RconRestartPlanner.plan({ at: NOW + 7 * MINUTE, warnings: [1], closeWorldMinutes: null, now: NOW });
+        assert.deepEqual(open.tasks.map(task => task.commands), [[open.tasks[0].commands[0]], ['stop-now']]);
+    });
+
+    it('quotes broadcast words that the scheduler would otherwise split on', () => {
+        const restart = RconRestartPlanner.plan({ at: NOW + 2 * MINUTE, template: "We'll be back soon", warnings: [1], now: NOW });
+        assert.equal(restart.tasks[0].commands[0], 'gamecast "We\'ll" be back soon');
+        assert.deepEqual(RconCommandParser.parse(restart.tasks[0].commands[0]).args, ["We'll", 'be', 'back', 'soon']);
+    });
+
+    it('rejects bad options', () => {
+        assert.throws(() => RconRestartPlanner.plan({ at: NOW - 1, now: NOW }), /in the future/);
+        assert.throws(() => RconRestartPlanner.plan({ at: NOW + MINUTE, template: ' ', now: NOW }), /warning message is required/);
+        assert.throws(() => RconRestartPlanner.plan({ at: NOW + MINUTE, warnings: ['soon'], now: NOW }), /whole minutes/);
+        assert.throws(() => RconRestartPlanner.plan({ at: NOW + MINUTE, closeWorldMinutes: -1, now: NOW }), /World close/);
+    });
+});
+
+describe('running a restart', () => {
+    it('broadcasts each warning on time and stops the server', async () => {
+        const client = await createLoggedInClient();
+        let now = NOW;
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        await scheduler.addTasks(RconRestartPlanner.plan({ at: NOW + 10 * MINUTE, warnings: [5, 1], now }).tasks);
+
+        now = NOW + 5 * MINUTE;
+        await scheduler.runDue();
+        assert.deepEqual(client.ws.sent.map(frame => frame.Command), ['gamecast']);
+        assert.equal(RconRestartPlanner.findPending(scheduler.getTasks()).next.name, 'Restart warning (1 minute)');
+
+        now = NOW + 10 * MINUTE;
+        await scheduler.runDue();
+
+        // The 1 minute warning and world close are 2 minutes late - still within the grace period
+        assert.deepEqual(client.ws.sent.map(frame => [frame.Command, frame.Args[0]]), [
+            ['gamecast', 'Server'], ['gamecast', 'Server'], ['world', 'close'], ['stop-now', undefined]
+        ]);
+        assert.equal(RconRestartPlanner.findPending(scheduler.getTasks()), null);
+        client.disconnect();
+    });
+
+    it('cancels the remaining tasks and tells the players', async () => {
+        const client = await createLoggedInClient();
+        let now = NOW;
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        await scheduler.addTask({ name: 'Other', commands: ['status'], schedule: { type: 'once', at: NOW + 60 * MINUTE } });
+        await scheduler.addTasks(RconRestartPlanner.plan({ at: NOW + 30 * MINUTE, now }).tasks);
+
+        const pending = RconRestartPlanner.findPending(scheduler.getTasks());
+        assert.equal(pending.at, NOW + 30 * MINUTE);
+
+        assert.deepEqual(await RconRestartPlanner.cancel(scheduler, client, pending.group), { reopened: false, broadcast: true });
+        assert.deepEqual(scheduler.getTasks().map(task => task.name), ['Other']);
+        assert.deepEqual(client.ws.sent.map(frame => frame.Args.join(' ')), ['Server restart cancelled.']);
+
+        // Nothing left to cancel - no second broadcast
+        assert.deepEqual(await RconRestartPlanner.cancel(scheduler, client, pending.group), { reopened: false, broadcast: false });
+        client.disconnect();
+    });
+
+    it('reopens the world when cancelled after it was closed', async () => {
+        const client = await createLoggedInClient();
+        let now = NOW;
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        await scheduler.addTasks(RconRestartPlanner.plan({ at: NOW + 10 * MINUTE, warnings: [5], closeWorldMinutes: 2, now }).tasks);
+
+        now = NOW + 8 * MINUTE;
+        await scheduler.runDue();
+        assert.deepEqual(client.ws.sent.map(frame => [frame.Command, frame.Args[0]]), [['gamecast', 'Server'], ['world', 'close']]);
+
+        const pending = RconRestartPlanner.findPending(scheduler.getTasks());
+        assert.deepEqual(await RconRestartPlanner.cancel(scheduler, client, pending.group), { reopened: true, broadcast: true });
+        assert.deepEqual(client.ws.sent.slice(2).map(frame => [frame.Command, frame.Args.join(' ')]), [
+            ['world', 'open'], ['gamecast', 'Server restart cancelled.']
+        ]);
+        assert.deepEqual(scheduler.getTasks(), []);
+        client.disconnect();
+    });
+
+    it('leaves the world alone when world close failed', async () => {
+        const client = await createLoggedInClient(frame => (frame.Command === 'world'
+            ? { Status: 'error', Message: 'World close failed' }
+            : { Status: 'success', Message: 'ok' }));
+        let now = NOW;
+        const scheduler = new RconScheduler({ store: RconScheduler.createMemoryStore(), getClient: () => client, now: () => now });
+        await scheduler.addTasks(RconRestartPlanner.plan({ at: NOW + 10 * MINUTE, warnings: [5], closeWorldMinutes: 2, now }).tasks);
+
+        now = NOW + 8 * MINUTE;
+        await scheduler.runDue();
+
+        const pending = RconRestartPlanner.findPending(scheduler.getTasks());
+        assert.deepEqual(await RconRestartPlanner.cancel(scheduler, client, pending.group, "Restart's off"), { reopened: false, broadcast: true });
+        assert.deepEqual(client.ws.sent.slice(2).map(frame => [frame.Command, frame.Args]), [['gamecast', ["Restart's", 'off']]]);
+        client.disconnect();
+    });
+});